@@ -1,26 +1,44 @@
 import { jest, describe, it, expect, beforeEach } from '@jest/globals';
 
 const mockGetEmployeePunches = jest.fn();
+const mockCreatePunch = jest.fn();
 const mockEditPunch = jest.fn();
 const mockDeletePunch = jest.fn();
+const mockListDeletedPunches = jest.fn();
+const mockRestorePunch = jest.fn();
+const mockPurgePunch = jest.fn();
 const mockAssignSchedule = jest.fn();
+const mockGetScheduleTimeline = jest.fn();
+const mockLoadDtr = jest.fn();
 const mockGetAllDailyReports = jest.fn();
 const mockGetAllWeeklyReports = jest.fn();
 
 jest.unstable_mockModule('../../../src/api/admin/admin.services.js', () => ({
   getEmployeePunches: mockGetEmployeePunches,
+  createPunch: mockCreatePunch,
   editPunch: mockEditPunch,
   deletePunch: mockDeletePunch,
+  listDeletedPunches: mockListDeletedPunches,
+  restorePunch: mockRestorePunch,
+  purgePunch: mockPurgePunch,
   assignSchedule: mockAssignSchedule,
+  getScheduleTimeline: mockGetScheduleTimeline,
+  loadDtr: mockLoadDtr,
   getAllDailyReports: mockGetAllDailyReports,
   getAllWeeklyReports: mockGetAllWeeklyReports,
 }));
 
 const {
   getEmployeePunchesHandler,
+  createPunchHandler,
   editPunchHandler,
   deletePunchHandler,
+  listDeletedPunchesHandler,
+  restorePunchHandler,
+  purgePunchHandler,
   assignScheduleHandler,
+  getScheduleTimelineHandler,
+  getDtrHandler,
   dailyReportHandler,
   weeklyReportHandler,
 } = await import('../../../src/api/admin/admin.controller.js');
@@ -31,9 +49,16 @@ function mockRes() {
   const res = {};
   res.status = jest.fn().mockReturnValue(res);
   res.json = jest.fn().mockReturnValue(res);
+  res.attachment = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.type = jest.fn().mockReturnValue(res);
   return res;
 }
 
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const NO_FILTERS = { department: undefined, position: undefined };
+const REASON = 'Employee forgot to punch out';
+
 // ─── getEmployeePunchesHandler ────────────────────────────────────────────────
 
 describe('getEmployeePunchesHandler', () => {
@@ -76,13 +101,81 @@ describe('getEmployeePunchesHandler', () => {
   });
 });
 
+// ─── createPunchHandler ───────────────────────────────────────────────────────
+
+describe('createPunchHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const body = {
+    uid: 'user1',
+    punchIn: '2024-01-15T01:00:00.000Z',
+    punchOut: '2024-01-15T10:00:00.000Z',
+    reason: REASON,
+  };
+
+  it('returns 201 with the created punch', async () => {
+    mockCreatePunch.mockResolvedValueOnce({ id: 'p9', uid: 'user1', adminCreated: true });
+    const res = mockRes();
+    await createPunchHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Punch created successfully', id: 'p9' }),
+    );
+    expect(mockCreatePunch).toHaveBeenCalledWith(
+      'user1',
+      { punchIn: body.punchIn, punchOut: body.punchOut },
+      { actorUid: 'admin1', reason: REASON },
+    );
+  });
+
+  it('returns 400 without uid, punchIn or reason', async () => {
+    for (const missing of ['uid', 'punchIn', 'reason']) {
+      const res = mockRes();
+      await createPunchHandler({ user: ADMIN, body: { ...body, [missing]: undefined } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(mockCreatePunch).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when the punch overlaps another record', async () => {
+    mockCreatePunch.mockRejectedValueOnce(new Error('Punch overlaps record p1 (…)'));
+    const res = mockRes();
+    await createPunchHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 404 for an unknown user and 400 for invalid times', async () => {
+    mockCreatePunch.mockRejectedValueOnce(new Error('User not found'));
+    const notFound = mockRes();
+    await createPunchHandler({ user: ADMIN, body }, notFound);
+    expect(notFound.status).toHaveBeenCalledWith(404);
+
+    mockCreatePunch.mockRejectedValueOnce(new Error('punchOut must be after punchIn'));
+    const invalid = mockRes();
+    await createPunchHandler({ user: ADMIN, body }, invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+  });
+});
+
 // ─── editPunchHandler ─────────────────────────────────────────────────────────
 
 describe('editPunchHandler', () => {
   beforeEach(() => jest.clearAllMocks());
 
   it('returns 400 when neither punchIn nor punchOut is provided', async () => {
-    const req = { params: { punchId: 'p1' }, body: {} };
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await editPunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockEditPunch).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 without a reason', async () => {
+    const req = {
+      user: ADMIN,
+      params: { punchId: 'p1' },
+      body: { punchOut: '2024-01-15T18:00:00Z' },
+    };
     const res = mockRes();
     await editPunchHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(400);
@@ -97,8 +190,9 @@ describe('editPunchHandler', () => {
     };
     mockEditPunch.mockResolvedValueOnce(updated);
     const req = {
+      user: ADMIN,
       params: { punchId: 'p1' },
-      body: { punchIn: '2024-01-15T09:00:00Z' },
+      body: { punchIn: '2024-01-15T09:00:00Z', reason: REASON },
     };
     const res = mockRes();
     await editPunchHandler(req, res);
@@ -111,34 +205,64 @@ describe('editPunchHandler', () => {
   it('accepts punchOut alone as a valid edit', async () => {
     mockEditPunch.mockResolvedValueOnce({ id: 'p1' });
     const req = {
+      user: ADMIN,
       params: { punchId: 'p1' },
-      body: { punchOut: '2024-01-15T18:00:00Z' },
+      body: { punchOut: '2024-01-15T18:00:00Z', reason: REASON },
     };
     const res = mockRes();
     await editPunchHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(200);
-    expect(mockEditPunch).toHaveBeenCalledWith('p1', {
-      punchIn: undefined,
-      punchOut: '2024-01-15T18:00:00Z',
-    });
+    expect(mockEditPunch).toHaveBeenCalledWith(
+      'p1',
+      { punchIn: undefined, punchOut: '2024-01-15T18:00:00Z' },
+      { actorUid: 'admin1', reason: REASON },
+    );
   });
 
   it('returns 404 when punch record is not found', async () => {
     mockEditPunch.mockRejectedValueOnce(new Error('Punch record not found'));
     const req = {
+      user: ADMIN,
       params: { punchId: 'ghost' },
-      body: { punchOut: '2024-01-15T18:00:00Z' },
+      body: { punchOut: '2024-01-15T18:00:00Z', reason: REASON },
     };
     const res = mockRes();
     await editPunchHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(404);
   });
 
+  it('returns 400 when punchOut would not be after punchIn', async () => {
+    mockEditPunch.mockRejectedValueOnce(new Error('punchOut must be after punchIn'));
+    const req = {
+      user: ADMIN,
+      params: { punchId: 'p1' },
+      body: { punchOut: '2024-01-15T08:00:00Z', reason: REASON },
+    };
+    const res = mockRes();
+    await editPunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 409 when the edit overlaps another punch', async () => {
+    mockEditPunch.mockRejectedValueOnce(
+      new Error('Punch overlaps record p2 (2024-01-15T12:00:00Z – 2024-01-15T18:00:00Z)'),
+    );
+    const req = {
+      user: ADMIN,
+      params: { punchId: 'p1' },
+      body: { punchOut: '2024-01-15T14:00:00Z', reason: REASON },
+    };
+    const res = mockRes();
+    await editPunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
   it('returns 500 on other service errors', async () => {
     mockEditPunch.mockRejectedValueOnce(new Error('Compute failed'));
     const req = {
+      user: ADMIN,
       params: { punchId: 'p1' },
-      body: { punchIn: '2024-01-15T09:00:00Z' },
+      body: { punchIn: '2024-01-15T09:00:00Z', reason: REASON },
     };
     const res = mockRes();
     await editPunchHandler(req, res);
@@ -153,33 +277,152 @@ describe('deletePunchHandler', () => {
 
   it('returns 200 with deleted:true on success', async () => {
     mockDeletePunch.mockResolvedValueOnce({ id: 'p1', deleted: true });
-    const req = { params: { punchId: 'p1' } };
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
     const res = mockRes();
     await deletePunchHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith(
       expect.objectContaining({ message: 'Punch deleted successfully', id: 'p1', deleted: true }),
     );
-    expect(mockDeletePunch).toHaveBeenCalledWith('p1');
+    expect(mockDeletePunch).toHaveBeenCalledWith('p1', { actorUid: 'admin1', reason: REASON });
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await deletePunchHandler({ user: ADMIN, params: { punchId: 'p1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockDeletePunch).not.toHaveBeenCalled();
   });
 
   it('returns 404 when punch record is not found', async () => {
     mockDeletePunch.mockRejectedValueOnce(new Error('Punch record not found'));
-    const req = { params: { punchId: 'ghost' } };
+    const req = { user: ADMIN, params: { punchId: 'ghost' }, body: { reason: REASON } };
     const res = mockRes();
     await deletePunchHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(404);
   });
 
+  it('returns 409 when the punch is already deleted', async () => {
+    mockDeletePunch.mockRejectedValueOnce(new Error('Punch record is already deleted'));
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await deletePunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
   it('returns 500 on other service errors', async () => {
     mockDeletePunch.mockRejectedValueOnce(new Error('Unexpected error'));
-    const req = { params: { punchId: 'p1' } };
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
     const res = mockRes();
     await deletePunchHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(500);
   });
 });
 
+// ─── listDeletedPunchesHandler ───────────────────────────────────────────────
+
+describe('listDeletedPunchesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with count and data', async () => {
+    mockListDeletedPunches.mockResolvedValueOnce([{ id: 'p1', deleted: true }]);
+    const res = mockRes();
+    await listDeletedPunchesHandler({ user: ADMIN, query: { uid: 'u1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'p1', deleted: true }] });
+    expect(mockListDeletedPunches).toHaveBeenCalledWith({
+      uid: 'u1',
+      startDate: undefined,
+      endDate: undefined,
+    });
+  });
+
+  it('returns 400 for a malformed date', async () => {
+    mockListDeletedPunches.mockRejectedValueOnce(
+      new Error('startDate and endDate must be in YYYY-MM-DD format'),
+    );
+    const res = mockRes();
+    await listDeletedPunchesHandler({ user: ADMIN, query: { startDate: 'jan' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── restorePunchHandler ─────────────────────────────────────────────────────
+
+describe('restorePunchHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the audit context', async () => {
+    mockRestorePunch.mockResolvedValueOnce({ id: 'p1', deleted: false, workDate: '2024-01-15' });
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await restorePunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Punch restored successfully', deleted: false }),
+    );
+    expect(mockRestorePunch).toHaveBeenCalledWith('p1', { actorUid: 'admin1', reason: REASON });
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await restorePunchHandler({ user: ADMIN, params: { punchId: 'p1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockRestorePunch).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when the punch is not deleted', async () => {
+    mockRestorePunch.mockRejectedValueOnce(new Error('Punch record is not deleted'));
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await restorePunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 409 when the employee already has an open punch', async () => {
+    mockRestorePunch.mockRejectedValueOnce(
+      new Error('The employee already has an open punch; close it before restoring this one'),
+    );
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await restorePunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+// ─── purgePunchHandler ───────────────────────────────────────────────────────
+
+describe('purgePunchHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const SUPERADMIN = { uid: 'su0', role: 'superadmin' };
+
+  it('returns 200 with purged:true', async () => {
+    mockPurgePunch.mockResolvedValueOnce({ id: 'p1', purged: true });
+    const req = { user: SUPERADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await purgePunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockPurgePunch).toHaveBeenCalledWith('p1', { actorUid: 'su0', reason: REASON });
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await purgePunchHandler({ user: SUPERADMIN, params: { punchId: 'p1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 409 when the punch has not been soft-deleted', async () => {
+    mockPurgePunch.mockRejectedValueOnce(
+      new Error('Only a deleted punch can be purged; delete it first'),
+    );
+    const req = { user: SUPERADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    const res = mockRes();
+    await purgePunchHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
 // ─── assignScheduleHandler ────────────────────────────────────────────────────
 
 describe('assignScheduleHandler', () => {
@@ -193,8 +436,9 @@ describe('assignScheduleHandler', () => {
     };
     mockAssignSchedule.mockResolvedValueOnce(updated);
     const req = {
+      user: ADMIN,
       params: { uid: 'u1' },
-      body: { schedule: { start: '09:00', end: '18:00' }, timezone: 'Asia/Manila' },
+      body: { schedule: { start: '09:00', end: '18:00' }, timezone: 'Asia/Manila', reason: REASON },
     };
     const res = mockRes();
     await assignScheduleHandler(req, res);
@@ -202,15 +446,74 @@ describe('assignScheduleHandler', () => {
     expect(res.json).toHaveBeenCalledWith(
       expect.objectContaining({ message: 'Schedule updated successfully', uid: 'u1' }),
     );
-    expect(mockAssignSchedule).toHaveBeenCalledWith('u1', {
-      schedule: { start: '09:00', end: '18:00' },
-      timezone: 'Asia/Manila',
-    });
+    expect(mockAssignSchedule).toHaveBeenCalledWith(
+      'u1',
+      { schedule: { start: '09:00', end: '18:00' }, timezone: 'Asia/Manila' },
+      { actorUid: 'admin1', reason: REASON },
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const req = { user: ADMIN, params: { uid: 'u1' }, body: { templateId: 't1' } };
+    const res = mockRes();
+    await assignScheduleHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockAssignSchedule).not.toHaveBeenCalled();
+  });
+
+  it('forwards a shift template reference', async () => {
+    mockAssignSchedule.mockResolvedValueOnce({ uid: 'u1', scheduleTemplateId: 't1' });
+    const req = { user: ADMIN, params: { uid: 'u1' }, body: { templateId: 't1', reason: REASON } };
+    const res = mockRes();
+    await assignScheduleHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockAssignSchedule).toHaveBeenCalledWith(
+      'u1',
+      { schedule: undefined, timezone: undefined, templateId: 't1', effectiveFrom: undefined },
+      { actorUid: 'admin1', reason: REASON },
+    );
+  });
+
+  it('forwards effectiveFrom so earlier workDates keep their schedule', async () => {
+    mockAssignSchedule.mockResolvedValueOnce({ uid: 'u1' });
+    const req = {
+      user: ADMIN,
+      params: { uid: 'u1' },
+      body: {
+        schedule: { start: '10:00', end: '19:00' },
+        effectiveFrom: '2024-02-01',
+        reason: REASON,
+      },
+    };
+    const res = mockRes();
+    await assignScheduleHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockAssignSchedule).toHaveBeenCalledWith(
+      'u1',
+      expect.objectContaining({ effectiveFrom: '2024-02-01' }),
+      expect.anything(),
+    );
+  });
+
+  it('returns 404 when the shift template does not exist', async () => {
+    mockAssignSchedule.mockRejectedValueOnce(new Error('Shift template not found'));
+    const req = {
+      user: ADMIN,
+      params: { uid: 'u1' },
+      body: { templateId: 'ghost', reason: REASON },
+    };
+    const res = mockRes();
+    await assignScheduleHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(404);
   });
 
   it('returns 404 when user is not found', async () => {
     mockAssignSchedule.mockRejectedValueOnce(new Error('User not found'));
-    const req = { params: { uid: 'ghost' }, body: { schedule: { start: '08:00', end: '17:00' } } };
+    const req = {
+      user: ADMIN,
+      params: { uid: 'ghost' },
+      body: { schedule: { start: '08:00', end: '17:00' }, reason: REASON },
+    };
     const res = mockRes();
     await assignScheduleHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(404);
@@ -220,13 +523,66 @@ describe('assignScheduleHandler', () => {
     mockAssignSchedule.mockRejectedValueOnce(
       new Error('Provide at least one of schedule or timezone to update'),
     );
-    const req = { params: { uid: 'u1' }, body: {} };
+    const req = { user: ADMIN, params: { uid: 'u1' }, body: { reason: REASON } };
     const res = mockRes();
     await assignScheduleHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(400);
   });
 });
 
+// ─── getScheduleTimelineHandler ───────────────────────────────────────────────
+
+describe('getScheduleTimelineHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the schedule timeline', async () => {
+    const timeline = { uid: 'u1', timezone: 'Asia/Manila', timeline: [] };
+    mockGetScheduleTimeline.mockResolvedValueOnce(timeline);
+    const res = mockRes();
+    await getScheduleTimelineHandler({ params: { uid: 'u1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(timeline);
+  });
+
+  it('returns 404 when the user is not found', async () => {
+    mockGetScheduleTimeline.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await getScheduleTimelineHandler({ params: { uid: 'ghost' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── getDtrHandler ────────────────────────────────────────────────────────────
+
+describe('getDtrHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("renders any employee's DTR as HTML", async () => {
+    mockLoadDtr.mockResolvedValueOnce({
+      month: '2024-01',
+      monthLabel: 'January 2024',
+      employee: { uid: 'user1', name: 'Alice Smith' },
+      days: [],
+      totalUndertime: { hours: 0, minutes: 0 },
+    });
+    const res = mockRes();
+    await getDtrHandler(
+      { user: ADMIN, params: { uid: 'user1' }, query: { month: '2024-01' } },
+      res,
+    );
+    expect(mockLoadDtr).toHaveBeenCalledWith('user1', '2024-01');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).toContain('Alice Smith');
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    mockLoadDtr.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await getDtrHandler({ user: ADMIN, params: { uid: 'ghost' }, query: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
 // ─── dailyReportHandler ───────────────────────────────────────────────────────
 
 describe('dailyReportHandler', () => {
@@ -250,26 +606,86 @@ describe('dailyReportHandler', () => {
     const res = mockRes();
     await dailyReportHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.json).toHaveBeenCalledWith({ date: '2024-01-15', count: 1, data: report });
-    expect(mockGetAllDailyReports).toHaveBeenCalledWith('2024-01-15');
+    expect(res.json).toHaveBeenCalledWith({
+      date: '2024-01-15',
+      count: 1,
+      absentCount: 0,
+      departments: [expect.objectContaining({ department: null, headcount: 1, regularHours: 9 })],
+      data: report,
+    });
+    expect(mockGetAllDailyReports).toHaveBeenCalledWith('2024-01-15', NO_FILTERS);
   });
 
-  it('defaults to today (UTC) when no date query param is supplied', async () => {
+  it('defaults to today in Asia/Manila when no date query param is supplied', async () => {
     mockGetAllDailyReports.mockResolvedValueOnce([]);
     const req = { query: {} };
     const res = mockRes();
     await dailyReportHandler(req, res);
-    const today = new Date().toISOString().slice(0, 10);
-    expect(mockGetAllDailyReports).toHaveBeenCalledWith(today);
-    expect(res.json).toHaveBeenCalledWith({ date: today, count: 0, data: [] });
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Manila' }).format(new Date());
+    expect(mockGetAllDailyReports).toHaveBeenCalledWith(today, NO_FILTERS);
+    expect(res.json).toHaveBeenCalledWith({
+      date: today,
+      count: 0,
+      absentCount: 0,
+      departments: [],
+      data: [],
+    });
+  });
+
+  it('resolves today in the timezone query param when supplied', async () => {
+    mockGetAllDailyReports.mockResolvedValueOnce([]);
+    const req = { query: { timezone: 'America/Los_Angeles' } };
+    const res = mockRes();
+    await dailyReportHandler(req, res);
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(
+      new Date(),
+    );
+    expect(mockGetAllDailyReports).toHaveBeenCalledWith(today, NO_FILTERS);
+  });
+
+  it('returns 400 for an invalid timezone query param', async () => {
+    const req = { query: { timezone: 'Mars/Olympus' } };
+    const res = mockRes();
+    await dailyReportHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockGetAllDailyReports).not.toHaveBeenCalled();
   });
 
-  it('returns 200 with count: 0 when no employees worked that day', async () => {
+  it('returns 400 for a date that is not a real YYYY-MM-DD date', async () => {
+    for (const date of ['abc', '2024-02-30']) {
+      const res = mockRes();
+      await dailyReportHandler({ query: { date } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(mockGetAllDailyReports).not.toHaveBeenCalled();
+  });
+
+  it('returns 200 with count: 0 when there are no active employees', async () => {
     mockGetAllDailyReports.mockResolvedValueOnce([]);
     const req = { query: { date: '2024-01-01' } };
     const res = mockRes();
     await dailyReportHandler(req, res);
-    expect(res.json).toHaveBeenCalledWith({ date: '2024-01-01', count: 0, data: [] });
+    expect(res.json).toHaveBeenCalledWith({
+      date: '2024-01-01',
+      count: 0,
+      absentCount: 0,
+      departments: [],
+      data: [],
+    });
+  });
+
+  it('counts the absent rows', async () => {
+    const report = [
+      { uid: 'u1', workDate: '2024-01-15', status: 'present', regularHours: 8 },
+      { uid: 'u2', workDate: '2024-01-15', status: 'absent' },
+      { uid: 'u3', workDate: '2024-01-15', status: 'restDay' },
+    ];
+    mockGetAllDailyReports.mockResolvedValueOnce(report);
+    const res = mockRes();
+    await dailyReportHandler({ query: { date: '2024-01-15' } }, res);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ count: 3, absentCount: 1, data: report }),
+    );
   });
 
   it('returns 500 on service error', async () => {
@@ -279,6 +695,69 @@ describe('dailyReportHandler', () => {
     await dailyReportHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(500);
   });
+
+  it('passes department and position filters and rolls up by department', async () => {
+    const report = [
+      {
+        uid: 'u1',
+        status: 'present',
+        regularHours: 8,
+        overtimeHours: 1,
+        nightDiffHours: 0,
+        lateMinutes: 5,
+        totalWorkedHours: 9,
+        employee: { department: 'Ops', position: 'Clerk' },
+      },
+      { uid: 'u2', status: 'absent', employee: { department: 'Ops', position: 'Clerk' } },
+    ];
+    mockGetAllDailyReports.mockResolvedValueOnce(report);
+    const res = mockRes();
+    const query = { date: '2024-01-15', department: 'Ops', position: 'Clerk' };
+    await dailyReportHandler({ query }, res);
+    expect(mockGetAllDailyReports).toHaveBeenCalledWith('2024-01-15', {
+      department: 'Ops',
+      position: 'Clerk',
+    });
+    expect(res.json.mock.calls[0][0].departments).toEqual([
+      {
+        department: 'Ops',
+        headcount: 2,
+        regularHours: 8,
+        overtimeHours: 1,
+        nightDiffHours: 0,
+        lateMinutes: 5,
+        totalWorkedHours: 9,
+        averageWorkedHours: 4.5,
+      },
+    ]);
+  });
+
+  it('downloads one CSV row per employee-day with format=csv', async () => {
+    mockGetAllDailyReports.mockResolvedValueOnce([
+      {
+        uid: 'u1',
+        workDate: '2024-01-15',
+        status: 'present',
+        regularHours: 8,
+        employee: { firstName: 'Alice', lastName: 'Smith', department: 'Ops', position: 'Clerk' },
+      },
+    ]);
+    const res = mockRes();
+    await dailyReportHandler({ query: { date: '2024-01-15', format: 'csv' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.attachment).toHaveBeenCalledWith('daily-report-2024-01-15.csv');
+    const [header, row] = res.send.mock.calls[0][0].split('\r\n');
+    expect(header.startsWith('Employee ID,Last Name,First Name,Department,Position')).toBe(true);
+    expect(row.startsWith('u1,Smith,Alice,Ops,Clerk,2024-01-15,present')).toBe(true);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 for an unknown format', async () => {
+    const res = mockRes();
+    await dailyReportHandler({ query: { format: 'pdf' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockGetAllDailyReports).not.toHaveBeenCalled();
+  });
 });
 
 // ─── weeklyReportHandler ──────────────────────────────────────────────────────
@@ -287,7 +766,16 @@ describe('weeklyReportHandler', () => {
   beforeEach(() => jest.clearAllMocks());
 
   it('returns 200 with weekly report for a supplied date range', async () => {
-    const report = [{ uid: 'u1', totals: { regularHours: 45 }, days: [] }];
+    const report = [
+      { uid: 'u1', totals: { regularHours: 45 }, days: [], absentDates: [], absenceCount: 0 },
+      {
+        uid: 'u2',
+        totals: { regularHours: 32 },
+        days: [],
+        absentDates: ['2024-01-17'],
+        absenceCount: 1,
+      },
+    ];
     mockGetAllWeeklyReports.mockResolvedValueOnce(report);
     const req = { query: { startDate: '2024-01-15', endDate: '2024-01-21' } };
     const res = mockRes();
@@ -296,10 +784,12 @@ describe('weeklyReportHandler', () => {
     expect(res.json).toHaveBeenCalledWith({
       startDate: '2024-01-15',
       endDate: '2024-01-21',
-      count: 1,
+      count: 2,
+      absenceCount: 1,
+      departments: [expect.objectContaining({ department: null, headcount: 2, regularHours: 77 })],
       data: report,
     });
-    expect(mockGetAllWeeklyReports).toHaveBeenCalledWith('2024-01-15', '2024-01-21');
+    expect(mockGetAllWeeklyReports).toHaveBeenCalledWith('2024-01-15', '2024-01-21', NO_FILTERS);
   });
 
   it('auto-computes current Mon–Sun when no date range is supplied', async () => {
@@ -311,10 +801,19 @@ describe('weeklyReportHandler', () => {
     expect(mockGetAllWeeklyReports).toHaveBeenCalledWith(
       expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
       expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      NO_FILTERS,
     );
     expect(res.status).toHaveBeenCalledWith(200);
   });
 
+  it('returns 400 for a range longer than a year', async () => {
+    mockGetAllWeeklyReports.mockRejectedValueOnce(new Error('Date range must be at most 366 days'));
+    const req = { query: { startDate: '2023-01-01', endDate: '2024-12-31' } };
+    const res = mockRes();
+    await weeklyReportHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
   it('returns 500 on service error', async () => {
     mockGetAllWeeklyReports.mockRejectedValueOnce(new Error('DB error'));
     const req = { query: { startDate: '2024-01-15', endDate: '2024-01-21' } };
@@ -322,4 +821,23 @@ describe('weeklyReportHandler', () => {
     await weeklyReportHandler(req, res);
     expect(res.status).toHaveBeenCalledWith(500);
   });
+
+  it('downloads one CSV row per employee-period with format=csv', async () => {
+    mockGetAllWeeklyReports.mockResolvedValueOnce([
+      {
+        uid: 'u2',
+        totals: { regularHours: 32 },
+        days: [],
+        absentDates: ['2024-01-17'],
+        absenceCount: 1,
+        employee: { firstName: 'Bob', lastName: 'Reyes' },
+      },
+    ]);
+    const res = mockRes();
+    const query = { startDate: '2024-01-15', endDate: '2024-01-21', format: 'csv' };
+    await weeklyReportHandler({ query }, res);
+    expect(res.attachment).toHaveBeenCalledWith('weekly-report-2024-01-15-to-2024-01-21.csv');
+    const row = res.send.mock.calls[0][0].split('\r\n')[1];
+    expect(row.startsWith('u2,Reyes,Bob,,,2024-01-15,2024-01-21,0,1,2024-01-17,32,')).toBe(true);
+  });
 });
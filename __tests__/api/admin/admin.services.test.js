@@ -0,0 +1,137 @@
+/**
+ * Service-level tests for admin punch edits and report date validation, run
+ * against an in-memory document store so the ordering and overlap checks are
+ * exercised for real.
+ */
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const store = {};
+let nextId = 0;
+
+function docRef(collection, id = `auto${++nextId}`) {
+  const data = () => store[collection]?.[id];
+  return {
+    id,
+    get: async () => ({ id, exists: data() !== undefined, data }),
+    set: async (value) => {
+      (store[collection] ??= {})[id] = value;
+    },
+    update: async (value) => {
+      store[collection][id] = { ...data(), ...value };
+    },
+    delete: async () => {
+      delete store[collection]?.[id];
+    },
+  };
+}
+
+function query(collection, filters = []) {
+  return {
+    where: (field, op, value) => query(collection, [...filters, [field, value]]),
+    get: async () => ({
+      docs: Object.entries(store[collection] ?? {})
+        .filter(([, d]) => filters.every(([f, v]) => d[f] === v))
+        .map(([id, d]) => ({ id, data: () => d })),
+    }),
+  };
+}
+
+jest.unstable_mockModule('../../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({ ...query(collection), doc: (id) => docRef(collection, id) }),
+    batch: () => {
+      const writes = [];
+      return {
+        create: (ref, value) => writes.push(() => ref.set(value)),
+        set: (ref, value) => writes.push(() => ref.set(value)),
+        update: (ref, value) => writes.push(() => ref.update(value)),
+        commit: async () => {
+          for (const write of writes) await write();
+        },
+      };
+    },
+  },
+  auth: {},
+}));
+
+const { editPunch, getAllWeeklyReports } = await import('../../../src/api/admin/admin.services.js');
+
+const AUDIT = { actorUid: 'admin1', reason: 'Fixing the biometric import' };
+
+// Asia/Manila (UTC+8): a morning punch 08:00–12:00 and an afternoon punch 13:00–17:00
+const MORNING = {
+  uid: 'u1',
+  punchIn: '2024-01-15T00:00:00.000Z',
+  punchOut: '2024-01-15T04:00:00.000Z',
+};
+const AFTERNOON = {
+  uid: 'u1',
+  punchIn: '2024-01-15T05:00:00.000Z',
+  punchOut: '2024-01-15T09:00:00.000Z',
+};
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  store.users = { u1: { schedule: { start: '08:00', end: '17:00' } } };
+  store.attendance = {
+    am: { ...MORNING, metrics: { workDate: '2024-01-15' } },
+    pm: { ...AFTERNOON, metrics: { workDate: '2024-01-15' } },
+  };
+  store.auditLog = {};
+});
+
+describe('editPunch', () => {
+  it('recomputes metrics and records the edit in the audit trail', async () => {
+    const updated = await editPunch('am', { punchOut: '2024-01-15T05:00:00.000Z' }, AUDIT);
+
+    expect(updated.punchOut).toBe('2024-01-15T05:00:00.000Z');
+    expect(updated.metrics.workDate).toBe('2024-01-15');
+    expect(Object.values(store.auditLog)).toEqual([
+      expect.objectContaining({ action: 'punch.edit', targetId: 'am' }),
+    ]);
+  });
+
+  it('rejects a punchOut at or before punchIn', async () => {
+    await expect(editPunch('am', { punchOut: MORNING.punchIn }, AUDIT)).rejects.toThrow(
+      'punchOut must be after punchIn',
+    );
+    await expect(editPunch('am', { punchIn: '2024-01-15T06:00:00.000Z' }, AUDIT)).rejects.toThrow(
+      'punchOut must be after punchIn',
+    );
+    expect(store.attendance.am.punchOut).toBe(MORNING.punchOut);
+  });
+
+  it('rejects an edit that overlaps another record', async () => {
+    await expect(editPunch('am', { punchOut: '2024-01-15T06:00:00.000Z' }, AUDIT)).rejects.toThrow(
+      'Punch overlaps record pm',
+    );
+    expect(store.attendance.am.punchOut).toBe(MORNING.punchOut);
+    expect(store.auditLog).toEqual({});
+  });
+
+  it('ignores deleted records when checking overlaps', async () => {
+    store.attendance.pm.deleted = true;
+    const updated = await editPunch('am', { punchOut: '2024-01-15T06:00:00.000Z' }, AUDIT);
+    expect(updated.punchOut).toBe('2024-01-15T06:00:00.000Z');
+  });
+
+  it('rejects malformed times', async () => {
+    await expect(editPunch('am', { punchIn: 'yesterday' }, AUDIT)).rejects.toThrow(
+      'punchIn must be an ISO 8601 timestamp',
+    );
+  });
+});
+
+describe('getAllWeeklyReports', () => {
+  it('rejects dates that are not real YYYY-MM-DD dates', async () => {
+    await expect(getAllWeeklyReports('2024-01-15', 'abc')).rejects.toThrow(
+      'startDate and endDate must be valid YYYY-MM-DD dates',
+    );
+  });
+
+  it('rejects an endDate before the startDate', async () => {
+    await expect(getAllWeeklyReports('2024-01-21', '2024-01-15')).rejects.toThrow(
+      'startDate must be on or before endDate',
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockQueryAuditLog = jest.fn();
+const mockGetAuditEntry = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/audit.services.js', () => ({
+  queryAuditLog: mockQueryAuditLog,
+  getAuditEntry: mockGetAuditEntry,
+}));
+
+const { queryAuditLogHandler, getAuditEntryHandler } =
+  await import('../../../src/api/admin/audit.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+// ─── queryAuditLogHandler ─────────────────────────────────────────────────────
+
+describe('queryAuditLogHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the filters', async () => {
+    mockQueryAuditLog.mockResolvedValueOnce([{ id: 'a1', action: 'punch.edit' }]);
+    const res = mockRes();
+    const query = { uid: 'user1', startDate: '2024-01-01', endDate: '2024-01-31' };
+    await queryAuditLogHandler({ user: ADMIN, query }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'a1', action: 'punch.edit' }] });
+    expect(mockQueryAuditLog).toHaveBeenCalledWith({
+      ...query,
+      actorUid: undefined,
+      action: undefined,
+    });
+  });
+
+  it('returns 400 for an unknown action', async () => {
+    mockQueryAuditLog.mockRejectedValueOnce(new Error('action must be one of punch.edit'));
+    const res = mockRes();
+    await queryAuditLogHandler({ user: ADMIN, query: { action: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── getAuditEntryHandler ─────────────────────────────────────────────────────
+
+describe('getAuditEntryHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the entry', async () => {
+    mockGetAuditEntry.mockResolvedValueOnce({ id: 'a1' });
+    const res = mockRes();
+    await getAuditEntryHandler({ user: ADMIN, params: { auditId: 'a1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('returns 404 for an unknown entry', async () => {
+    mockGetAuditEntry.mockRejectedValueOnce(new Error('Audit entry not found'));
+    const res = mockRes();
+    await getAuditEntryHandler({ user: ADMIN, params: { auditId: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
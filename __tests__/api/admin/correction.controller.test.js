@@ -0,0 +1,104 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListCorrections = jest.fn();
+const mockApproveCorrection = jest.fn();
+const mockRejectCorrection = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/correction.services.js', () => ({
+  listCorrections: mockListCorrections,
+  approveCorrection: mockApproveCorrection,
+  rejectCorrection: mockRejectCorrection,
+}));
+
+const { listCorrectionsHandler, approveCorrectionHandler, rejectCorrectionHandler } =
+  await import('../../../src/api/admin/correction.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+// ─── listCorrectionsHandler ───────────────────────────────────────────────────
+
+describe('listCorrectionsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the queue', async () => {
+    mockListCorrections.mockResolvedValueOnce([{ id: 'c1', status: 'pending' }]);
+    const res = mockRes();
+    await listCorrectionsHandler({ user: ADMIN, query: { status: 'pending' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockListCorrections).toHaveBeenCalledWith({ status: 'pending', uid: undefined });
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    mockListCorrections.mockRejectedValueOnce(new Error('status must be one of …'));
+    const res = mockRes();
+    await listCorrectionsHandler({ user: ADMIN, query: { status: 'done' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── approveCorrectionHandler ─────────────────────────────────────────────────
+
+describe('approveCorrectionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the recomputed attendance record', async () => {
+    const attendance = { id: 'att1', metrics: { workDate: '2024-01-15' } };
+    mockApproveCorrection.mockResolvedValueOnce({ id: 'c1', status: 'approved', attendance });
+    const res = mockRes();
+    await approveCorrectionHandler(
+      { user: ADMIN, params: { correctionId: 'c1' }, body: { note: 'Checked CCTV' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ attendance }));
+    expect(mockApproveCorrection).toHaveBeenCalledWith('c1', 'admin1', { note: 'Checked CCTV' });
+  });
+
+  it('returns 404 when the punch no longer exists', async () => {
+    mockApproveCorrection.mockRejectedValueOnce(new Error('Punch record not found'));
+    const res = mockRes();
+    await approveCorrectionHandler({ user: ADMIN, params: { correctionId: 'c1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 409 when the request was already reviewed', async () => {
+    mockApproveCorrection.mockRejectedValueOnce(
+      new Error('Correction request is already rejected'),
+    );
+    const res = mockRes();
+    await approveCorrectionHandler({ user: ADMIN, params: { correctionId: 'c1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 409 when the missing punch overlaps an existing record', async () => {
+    mockApproveCorrection.mockRejectedValueOnce(
+      new Error('Punch overlaps record att2 (2024-01-15T01:00:00.000Z – 2024-01-15T10:00:00.000Z)'),
+    );
+    const res = mockRes();
+    await approveCorrectionHandler({ user: ADMIN, params: { correctionId: 'c1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+// ─── rejectCorrectionHandler ──────────────────────────────────────────────────
+
+describe('rejectCorrectionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 when rejected', async () => {
+    mockRejectCorrection.mockResolvedValueOnce({ id: 'c1', status: 'rejected' });
+    const res = mockRes();
+    await rejectCorrectionHandler({ user: ADMIN, params: { correctionId: 'c1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockRejectCorrection).toHaveBeenCalledWith('c1', 'admin1', { note: undefined });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Service-level tests for approving correction and missing-punch requests,
+ * run against an in-memory document store so editPunch, createPunch, the
+ * overlap check and the audit trail are exercised for real.
+ */
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const store = {};
+let nextId = 0;
+
+function docRef(collection, id = `auto${++nextId}`) {
+  const data = () => store[collection]?.[id];
+  return {
+    id,
+    get: async () => ({ id, exists: data() !== undefined, data }),
+    set: async (value) => {
+      (store[collection] ??= {})[id] = value;
+    },
+    update: async (value) => {
+      store[collection][id] = { ...data(), ...value };
+    },
+    delete: async () => {
+      delete store[collection]?.[id];
+    },
+  };
+}
+
+function query(collection, filters = []) {
+  return {
+    where: (field, op, value) => query(collection, [...filters, [field, value]]),
+    get: async () => ({
+      docs: Object.entries(store[collection] ?? {})
+        .filter(([, d]) => filters.every(([f, v]) => d[f] === v))
+        .map(([id, d]) => ({ id, data: () => d })),
+    }),
+  };
+}
+
+jest.unstable_mockModule('../../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({ ...query(collection), doc: (id) => docRef(collection, id) }),
+    batch: () => {
+      const writes = [];
+      return {
+        create: (ref, value) => writes.push(() => ref.set(value)),
+        set: (ref, value) => writes.push(() => ref.set(value)),
+        update: (ref, value) => writes.push(() => ref.update(value)),
+        commit: async () => {
+          for (const write of writes) await write();
+        },
+      };
+    },
+  },
+  auth: {},
+}));
+
+const { approveCorrection } = await import('../../../src/api/admin/correction.services.js');
+
+// 09:00–18:00 Asia/Manila (UTC+8) on 2024-01-15
+const IN = '2024-01-15T01:00:00.000Z';
+const OUT = '2024-01-15T10:00:00.000Z';
+
+const attendanceFor = (uid) => Object.values(store.attendance).filter((r) => r.uid === uid);
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  store.users = { u1: { schedule: { start: '09:00', end: '18:00' } } };
+  store.attendance = {};
+  store.attendanceCorrections = {};
+  store.auditLog = {};
+});
+
+describe('approveCorrection', () => {
+  it('creates the proposed record for a missing punch', async () => {
+    store.attendanceCorrections.c1 = {
+      uid: 'u1',
+      type: 'missingPunch',
+      attendanceId: null,
+      punchIn: IN,
+      punchOut: OUT,
+      reason: 'Biometrics were down',
+      status: 'pending',
+    };
+
+    const result = await approveCorrection('c1', 'admin1');
+
+    expect(result.status).toBe('approved');
+    expect(attendanceFor('u1')).toHaveLength(1);
+    expect(store.attendance[result.attendanceId].metrics.workDate).toBe('2024-01-15');
+    expect(store.dailySummary['u1_2024-01-15']).toBeDefined();
+    expect(store.attendance[result.attendanceId].correctionId).toBe('c1');
+    expect(Object.values(store.auditLog)).toEqual([
+      expect.objectContaining({
+        action: 'punch.create',
+        targetId: result.attendanceId,
+        before: null,
+        request: { type: 'missingPunch', id: 'c1', reason: 'Biometrics were down' },
+      }),
+    ]);
+  });
+
+  it('approves a correction whose employee reason uses the full 500 characters', async () => {
+    store.attendance.att1 = {
+      uid: 'u1',
+      punchIn: IN,
+      punchOut: null,
+      metrics: null,
+    };
+    store.attendanceCorrections.c1 = {
+      uid: 'u1',
+      type: 'correction',
+      attendanceId: 'att1',
+      punchIn: IN,
+      punchOut: OUT,
+      reason: 'x'.repeat(500),
+      status: 'pending',
+    };
+
+    const result = await approveCorrection('c1', 'admin1');
+
+    expect(result.status).toBe('approved');
+    expect(store.attendance.att1.punchOut).toBe(OUT);
+    const [entry] = Object.values(store.auditLog);
+    expect(entry).toMatchObject({
+      action: 'punch.edit',
+      targetId: 'att1',
+      reason: 'Approved correction request c1',
+      request: { type: 'correction', id: 'c1', reason: 'x'.repeat(500) },
+    });
+  });
+
+  it('rejects a missing punch that overlaps an existing record', async () => {
+    store.attendance.att1 = {
+      uid: 'u1',
+      punchIn: '2024-01-15T05:00:00.000Z',
+      punchOut: '2024-01-15T12:00:00.000Z',
+      metrics: { workDate: '2024-01-15' },
+    };
+    store.attendanceCorrections.c1 = {
+      uid: 'u1',
+      type: 'missingPunch',
+      attendanceId: null,
+      punchIn: IN,
+      punchOut: OUT,
+      reason: 'Biometrics were down',
+      status: 'pending',
+    };
+
+    await expect(approveCorrection('c1', 'admin1')).rejects.toThrow('overlaps record att1');
+    expect(attendanceFor('u1')).toHaveLength(1);
+    expect(store.attendanceCorrections.c1.status).toBe('pending');
+  });
+});
@@ -0,0 +1,175 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListHolidays = jest.fn();
+const mockCreateHoliday = jest.fn();
+const mockUpdateHoliday = jest.fn();
+const mockDeleteHoliday = jest.fn();
+const mockImportHolidays = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/holiday.services.js', () => ({
+  listHolidays: mockListHolidays,
+  createHoliday: mockCreateHoliday,
+  updateHoliday: mockUpdateHoliday,
+  deleteHoliday: mockDeleteHoliday,
+  importHolidays: mockImportHolidays,
+}));
+
+const {
+  listHolidaysHandler,
+  createHolidayHandler,
+  importHolidaysHandler,
+  updateHolidayHandler,
+  deleteHolidayHandler,
+} = await import('../../../src/api/admin/holiday.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const XMAS = { date: '2024-12-25', name: 'Christmas Day', type: 'regular' };
+
+// ─── listHolidaysHandler ──────────────────────────────────────────────────────
+
+describe('listHolidaysHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the year filter', async () => {
+    mockListHolidays.mockResolvedValueOnce([{ id: XMAS.date, ...XMAS }]);
+    const res = mockRes();
+    await listHolidaysHandler({ user: ADMIN, query: { year: '2024' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: XMAS.date, ...XMAS }] });
+    expect(mockListHolidays).toHaveBeenCalledWith({
+      year: '2024',
+      startDate: undefined,
+      endDate: undefined,
+    });
+  });
+
+  it('returns 400 for a malformed year', async () => {
+    mockListHolidays.mockRejectedValueOnce(new Error('year must be a 4-digit year'));
+    const res = mockRes();
+    await listHolidaysHandler({ user: ADMIN, query: { year: '24' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── createHolidayHandler ─────────────────────────────────────────────────────
+
+describe('createHolidayHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 201 and records the acting admin', async () => {
+    mockCreateHoliday.mockResolvedValueOnce({ id: XMAS.date, ...XMAS });
+    const res = mockRes();
+    await createHolidayHandler({ user: ADMIN, body: XMAS }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockCreateHoliday).toHaveBeenCalledWith(XMAS, 'admin1');
+  });
+
+  it('returns 409 when the date already has a holiday', async () => {
+    mockCreateHoliday.mockRejectedValueOnce(new Error('A holiday already exists on 2024-12-25'));
+    const res = mockRes();
+    await createHolidayHandler({ user: ADMIN, body: XMAS }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 400 on validation errors', async () => {
+    mockCreateHoliday.mockRejectedValueOnce(new Error('Invalid holiday type: local'));
+    const res = mockRes();
+    await createHolidayHandler({ user: ADMIN, body: { ...XMAS, type: 'local' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── importHolidaysHandler ────────────────────────────────────────────────────
+
+describe('importHolidaysHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the import counts', async () => {
+    mockImportHolidays.mockResolvedValueOnce({ year: 2024, imported: 1, removed: 2 });
+    const res = mockRes();
+    await importHolidaysHandler(
+      { user: ADMIN, body: { year: 2024, holidays: [XMAS], replace: true } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockImportHolidays).toHaveBeenCalledWith(
+      { year: 2024, holidays: [XMAS], replace: true },
+      'admin1',
+    );
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ imported: 1, removed: 2 }));
+  });
+
+  it('only replaces when replace is exactly true', async () => {
+    mockImportHolidays.mockResolvedValueOnce({ year: 2024, imported: 1, removed: 0 });
+    const res = mockRes();
+    await importHolidaysHandler(
+      { user: ADMIN, body: { year: 2024, holidays: [XMAS], replace: 'yes' } },
+      res,
+    );
+    expect(mockImportHolidays).toHaveBeenCalledWith(
+      expect.objectContaining({ replace: false }),
+      'admin1',
+    );
+  });
+
+  it('returns 400 when an entry is invalid', async () => {
+    mockImportHolidays.mockRejectedValueOnce(new Error('2025-01-01 is not in 2024'));
+    const res = mockRes();
+    await importHolidaysHandler({ user: ADMIN, body: { year: 2024, holidays: [] } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── updateHolidayHandler / deleteHolidayHandler ──────────────────────────────
+
+describe('updateHolidayHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and forwards the changes', async () => {
+    mockUpdateHoliday.mockResolvedValueOnce({ id: XMAS.date, ...XMAS, type: 'special' });
+    const res = mockRes();
+    await updateHolidayHandler(
+      { user: ADMIN, params: { date: XMAS.date }, body: { type: 'special' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateHoliday).toHaveBeenCalledWith(XMAS.date, {
+      name: undefined,
+      type: 'special',
+    });
+  });
+
+  it('returns 404 for an unknown date', async () => {
+    mockUpdateHoliday.mockRejectedValueOnce(new Error('Holiday not found'));
+    const res = mockRes();
+    await updateHolidayHandler({ user: ADMIN, params: { date: '2024-01-02' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('deleteHolidayHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 on delete', async () => {
+    mockDeleteHoliday.mockResolvedValueOnce({ id: XMAS.date, deleted: true });
+    const res = mockRes();
+    await deleteHolidayHandler({ user: ADMIN, params: { date: XMAS.date } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('returns 404 for an unknown date', async () => {
+    mockDeleteHoliday.mockRejectedValueOnce(new Error('Holiday not found'));
+    const res = mockRes();
+    await deleteHolidayHandler({ user: ADMIN, params: { date: '2024-01-02' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,217 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListLeaveTypes = jest.fn();
+const mockCreateLeaveType = jest.fn();
+const mockUpdateLeaveType = jest.fn();
+const mockDeleteLeaveType = jest.fn();
+const mockListLeaveRequests = jest.fn();
+const mockApproveLeaveRequest = jest.fn();
+const mockRejectLeaveRequest = jest.fn();
+const mockGetUserLeaveBalances = jest.fn();
+const mockSetLeaveEntitlement = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/leave.services.js', () => ({
+  listLeaveTypes: mockListLeaveTypes,
+  createLeaveType: mockCreateLeaveType,
+  updateLeaveType: mockUpdateLeaveType,
+  deleteLeaveType: mockDeleteLeaveType,
+  listLeaveRequests: mockListLeaveRequests,
+  approveLeaveRequest: mockApproveLeaveRequest,
+  rejectLeaveRequest: mockRejectLeaveRequest,
+  getUserLeaveBalances: mockGetUserLeaveBalances,
+  setLeaveEntitlement: mockSetLeaveEntitlement,
+}));
+
+const {
+  createLeaveTypeHandler,
+  updateLeaveTypeHandler,
+  deleteLeaveTypeHandler,
+  listLeaveRequestsHandler,
+  approveLeaveRequestHandler,
+  rejectLeaveRequestHandler,
+  getUserLeaveBalancesHandler,
+  setLeaveEntitlementHandler,
+} = await import('../../../src/api/admin/leave.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const VL = { code: 'VL', name: 'Vacation leave', annualEntitlementDays: 15, paid: true };
+
+// ─── Leave types ──────────────────────────────────────────────────────────────
+
+describe('createLeaveTypeHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 201 and passes the actor', async () => {
+    mockCreateLeaveType.mockResolvedValueOnce({ id: 'VL', ...VL });
+    const res = mockRes();
+    await createLeaveTypeHandler({ user: ADMIN, body: VL }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockCreateLeaveType).toHaveBeenCalledWith(VL, 'admin1');
+  });
+
+  it('returns 409 when the code exists', async () => {
+    mockCreateLeaveType.mockRejectedValueOnce(new Error('Leave type VL already exists'));
+    const res = mockRes();
+    await createLeaveTypeHandler({ user: ADMIN, body: VL }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe('updateLeaveTypeHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('passes accrual and year-end rules but never the code', async () => {
+    mockUpdateLeaveType.mockResolvedValueOnce({ id: 'VL' });
+    const res = mockRes();
+    const accrual = { method: 'monthly', days: 1.25 };
+    await updateLeaveTypeHandler(
+      {
+        user: ADMIN,
+        params: { leaveTypeId: 'VL' },
+        body: { code: 'XX', accrual, annualEntitlementDays: null, carryOverCap: 5 },
+      },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    const fields = mockUpdateLeaveType.mock.calls[0][1];
+    expect(fields).toMatchObject({ accrual, annualEntitlementDays: null, carryOverCap: 5 });
+    expect(fields).not.toHaveProperty('code');
+  });
+
+  it('returns 404 for an unknown type', async () => {
+    mockUpdateLeaveType.mockRejectedValueOnce(new Error('Leave type not found'));
+    const res = mockRes();
+    await updateLeaveTypeHandler(
+      { user: ADMIN, params: { leaveTypeId: 'XX' }, body: { name: 'X' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('deleteLeaveTypeHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 409 when requests use the type', async () => {
+    mockDeleteLeaveType.mockRejectedValueOnce(
+      new Error('Leave type is in use by leave requests and cannot be deleted'),
+    );
+    const res = mockRes();
+    await deleteLeaveTypeHandler({ user: ADMIN, params: { leaveTypeId: 'VL' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+// ─── Review queue ─────────────────────────────────────────────────────────────
+
+describe('listLeaveRequestsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the filters', async () => {
+    mockListLeaveRequests.mockResolvedValueOnce([{ id: 'r1' }]);
+    const res = mockRes();
+    await listLeaveRequestsHandler({ user: ADMIN, query: { status: 'pending' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'r1' }] });
+    expect(mockListLeaveRequests).toHaveBeenCalledWith({ status: 'pending', uid: undefined });
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    mockListLeaveRequests.mockRejectedValueOnce(new Error('status must be one of …'));
+    const res = mockRes();
+    await listLeaveRequestsHandler({ user: ADMIN, query: { status: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('approveLeaveRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the reviewer and note', async () => {
+    mockApproveLeaveRequest.mockResolvedValueOnce({ id: 'r1', status: 'approved' });
+    const res = mockRes();
+    await approveLeaveRequestHandler(
+      { user: ADMIN, params: { requestId: 'r1' }, body: { note: 'Enjoy' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockApproveLeaveRequest).toHaveBeenCalledWith('r1', 'admin1', { note: 'Enjoy' });
+  });
+
+  it('returns 409 when the request was already reviewed', async () => {
+    mockApproveLeaveRequest.mockRejectedValueOnce(new Error('Leave request is already rejected'));
+    const res = mockRes();
+    await approveLeaveRequestHandler({ user: ADMIN, params: { requestId: 'r1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe('rejectLeaveRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 404 for an unknown request', async () => {
+    mockRejectLeaveRequest.mockRejectedValueOnce(new Error('Leave request not found'));
+    const res = mockRes();
+    await rejectLeaveRequestHandler({ user: ADMIN, params: { requestId: 'x' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── Balances ─────────────────────────────────────────────────────────────────
+
+describe('getUserLeaveBalancesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the balances', async () => {
+    mockGetUserLeaveBalances.mockResolvedValueOnce({ uid: 'u1', year: 2024, balances: [] });
+    const res = mockRes();
+    await getUserLeaveBalancesHandler(
+      { user: ADMIN, params: { uid: 'u1' }, query: { year: '2024' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockGetUserLeaveBalances).toHaveBeenCalledWith('u1', '2024');
+  });
+});
+
+describe('setLeaveEntitlementHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the override', async () => {
+    mockSetLeaveEntitlement.mockResolvedValueOnce({ uid: 'u1', year: 2024, balances: [] });
+    const res = mockRes();
+    await setLeaveEntitlementHandler(
+      {
+        user: ADMIN,
+        params: { uid: 'u1' },
+        body: { leaveTypeId: 'VL', year: 2024, entitledDays: 20 },
+      },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockSetLeaveEntitlement).toHaveBeenCalledWith(
+      'u1',
+      { leaveTypeId: 'VL', year: 2024, entitledDays: 20 },
+      'admin1',
+    );
+  });
+
+  it('returns 400 for a bad entitlement', async () => {
+    mockSetLeaveEntitlement.mockRejectedValueOnce(new Error('entitledDays must be …'));
+    const res = mockRes();
+    await setLeaveEntitlementHandler(
+      { user: ADMIN, params: { uid: 'u1' }, body: { leaveTypeId: 'VL', year: 2024 } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
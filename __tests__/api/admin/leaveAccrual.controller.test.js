@@ -0,0 +1,113 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockRunLeaveAccruals = jest.fn();
+const mockGetUserLeaveLedger = jest.fn();
+const mockAddLeaveAdjustment = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/leaveAccrual.services.js', () => ({
+  runLeaveAccruals: mockRunLeaveAccruals,
+  getUserLeaveLedger: mockGetUserLeaveLedger,
+  addLeaveAdjustment: mockAddLeaveAdjustment,
+}));
+
+const { runLeaveAccrualsHandler, getUserLeaveLedgerHandler, addLeaveAdjustmentHandler } =
+  await import('../../../src/api/admin/leaveAccrual.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+// ─── runLeaveAccrualsHandler ──────────────────────────────────────────────────
+
+describe('runLeaveAccrualsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the run result and passes the date, uids and actor', async () => {
+    const result = { date: '2024-03-31', usersScanned: 1, creditedCount: 3, closedCount: 0 };
+    mockRunLeaveAccruals.mockResolvedValueOnce(result);
+    const res = mockRes();
+    await runLeaveAccrualsHandler({ user: ADMIN, body: { date: '2024-03-31', uids: ['u1'] } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(result);
+    expect(mockRunLeaveAccruals).toHaveBeenCalledWith(
+      { date: '2024-03-31', uids: ['u1'] },
+      'admin1',
+    );
+  });
+
+  it('accepts an empty body', async () => {
+    mockRunLeaveAccruals.mockResolvedValueOnce({});
+    const res = mockRes();
+    await runLeaveAccrualsHandler({ user: ADMIN }, res);
+    expect(mockRunLeaveAccruals).toHaveBeenCalledWith(
+      { date: undefined, uids: undefined },
+      'admin1',
+    );
+  });
+
+  it('returns 400 for a malformed date', async () => {
+    mockRunLeaveAccruals.mockRejectedValueOnce(new Error('date must be in YYYY-MM-DD format'));
+    const res = mockRes();
+    await runLeaveAccrualsHandler({ user: ADMIN, body: { date: '3/31' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── getUserLeaveLedgerHandler ────────────────────────────────────────────────
+
+describe('getUserLeaveLedgerHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the filters', async () => {
+    mockGetUserLeaveLedger.mockResolvedValueOnce({ uid: 'u1', entries: [] });
+    const res = mockRes();
+    await getUserLeaveLedgerHandler(
+      { user: ADMIN, params: { uid: 'u1' }, query: { year: '2024', leaveTypeId: 'VL' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockGetUserLeaveLedger).toHaveBeenCalledWith('u1', { year: '2024', leaveTypeId: 'VL' });
+  });
+});
+
+// ─── addLeaveAdjustmentHandler ────────────────────────────────────────────────
+
+describe('addLeaveAdjustmentHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const BODY = { leaveTypeId: 'VL', date: '2024-05-01', days: 2, note: 'Opening balance' };
+
+  it('returns 201 with the ledger entry', async () => {
+    mockAddLeaveAdjustment.mockResolvedValueOnce({ id: 'e1', kind: 'adjustment', ...BODY });
+    const res = mockRes();
+    await addLeaveAdjustmentHandler({ user: ADMIN, params: { uid: 'u1' }, body: BODY }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockAddLeaveAdjustment).toHaveBeenCalledWith('u1', BODY, 'admin1');
+  });
+
+  it('returns 400 without a note', async () => {
+    mockAddLeaveAdjustment.mockRejectedValueOnce(
+      new Error('note is required to explain the adjustment'),
+    );
+    const res = mockRes();
+    await addLeaveAdjustmentHandler(
+      { user: ADMIN, params: { uid: 'u1' }, body: { ...BODY, note: '' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    mockAddLeaveAdjustment.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await addLeaveAdjustmentHandler({ user: ADMIN, params: { uid: 'x' }, body: BODY }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,164 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockGetOpenPunchPolicy = jest.fn();
+const mockUpdateOpenPunchPolicy = jest.fn();
+const mockListOpenPunches = jest.fn();
+const mockSweepOpenPunches = jest.fn();
+const mockForceClosePunch = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/openPunch.services.js', () => ({
+  getOpenPunchPolicy: mockGetOpenPunchPolicy,
+  updateOpenPunchPolicy: mockUpdateOpenPunchPolicy,
+  listOpenPunches: mockListOpenPunches,
+  sweepOpenPunches: mockSweepOpenPunches,
+  forceClosePunch: mockForceClosePunch,
+}));
+
+const {
+  listOpenPunchesHandler,
+  sweepOpenPunchesHandler,
+  forceClosePunchHandler,
+  getOpenPunchPolicyHandler,
+  updateOpenPunchPolicyHandler,
+} = await import('../../../src/api/admin/openPunch.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+// ─── listOpenPunchesHandler ───────────────────────────────────────────────────
+
+describe('listOpenPunchesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the flagged filter', async () => {
+    mockListOpenPunches.mockResolvedValueOnce([{ id: 'att1', flagged: true }]);
+    const res = mockRes();
+    await listOpenPunchesHandler({ user: ADMIN, query: { flagged: 'true' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'att1', flagged: true }] });
+    expect(mockListOpenPunches).toHaveBeenCalledWith({ flagged: true });
+  });
+});
+
+// ─── sweepOpenPunchesHandler ──────────────────────────────────────────────────
+
+describe('sweepOpenPunchesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the sweep result', async () => {
+    const result = { dryRun: true, scanned: 2, closedCount: 1, flaggedCount: 0 };
+    mockSweepOpenPunches.mockResolvedValueOnce(result);
+    const res = mockRes();
+    await sweepOpenPunchesHandler({ user: ADMIN, body: { dryRun: true } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(result);
+    expect(mockSweepOpenPunches).toHaveBeenCalledWith({ dryRun: true });
+  });
+
+  it('defaults to a real sweep without a body', async () => {
+    mockSweepOpenPunches.mockResolvedValueOnce({ dryRun: false });
+    const res = mockRes();
+    await sweepOpenPunchesHandler({ user: ADMIN }, res);
+    expect(mockSweepOpenPunches).toHaveBeenCalledWith({ dryRun: false });
+  });
+
+  it('returns 400 for a non-boolean dryRun', async () => {
+    const res = mockRes();
+    await sweepOpenPunchesHandler({ user: ADMIN, body: { dryRun: 'yes' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSweepOpenPunches).not.toHaveBeenCalled();
+  });
+});
+
+// ─── forceClosePunchHandler ──────────────────────────────────────────────────
+
+describe('forceClosePunchHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const REASON = 'Employee left without punching out';
+
+  it('returns 200 and passes punchOut and the audit context', async () => {
+    const punchOut = '2024-01-15T10:00:00.000Z';
+    mockForceClosePunch.mockResolvedValueOnce({ id: 'p1', punchOut, forceClosed: true });
+    const res = mockRes();
+    await forceClosePunchHandler(
+      { user: ADMIN, params: { punchId: 'p1' }, body: { punchOut, reason: REASON } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockForceClosePunch).toHaveBeenCalledWith(
+      'p1',
+      { punchOut },
+      { actorUid: 'admin1', reason: REASON },
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await forceClosePunchHandler({ user: ADMIN, params: { punchId: 'p1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockForceClosePunch).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown punch and 409 for a closed one', async () => {
+    const req = { user: ADMIN, params: { punchId: 'p1' }, body: { reason: REASON } };
+    mockForceClosePunch.mockRejectedValueOnce(new Error('Punch record not found'));
+    const notFound = mockRes();
+    await forceClosePunchHandler(req, notFound);
+    expect(notFound.status).toHaveBeenCalledWith(404);
+
+    mockForceClosePunch.mockRejectedValueOnce(new Error('Punch is already closed'));
+    const closed = mockRes();
+    await forceClosePunchHandler(req, closed);
+    expect(closed.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 400 for a punchOut before punchIn', async () => {
+    mockForceClosePunch.mockRejectedValueOnce(new Error('punchOut must be after punchIn'));
+    const res = mockRes();
+    await forceClosePunchHandler(
+      { user: ADMIN, params: { punchId: 'p1' }, body: { punchOut: 'x', reason: REASON } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── getOpenPunchPolicyHandler / updateOpenPunchPolicyHandler ────────────────
+
+describe('open-punch policy handlers', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const policy = { action: 'autoClose', maxOpenHours: 16, hoursAfterShiftEnd: 4 };
+
+  it('returns 200 with the resolved policy', async () => {
+    mockGetOpenPunchPolicy.mockResolvedValueOnce(policy);
+    const res = mockRes();
+    await getOpenPunchPolicyHandler({ user: ADMIN }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(policy);
+  });
+
+  it('returns 200 after an update', async () => {
+    mockUpdateOpenPunchPolicy.mockResolvedValueOnce(policy);
+    const res = mockRes();
+    await updateOpenPunchPolicyHandler({ user: ADMIN, body: { action: 'autoClose' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateOpenPunchPolicy).toHaveBeenCalledWith({ action: 'autoClose' }, 'admin1');
+  });
+
+  it('returns 400 for an invalid policy', async () => {
+    mockUpdateOpenPunchPolicy.mockRejectedValueOnce(new Error('action must be one of flag'));
+    const res = mockRes();
+    await updateOpenPunchPolicyHandler({ user: ADMIN, body: { action: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
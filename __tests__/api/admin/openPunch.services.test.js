@@ -0,0 +1,99 @@
+/**
+ * Service-level tests for the open-punch sweep, run against an in-memory
+ * document store that counts reads.
+ */
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+const store = {};
+const reads = {};
+let unavailable = false;
+
+function docSnap(collection, id) {
+  const data = store[collection]?.[id];
+  return { id, exists: data !== undefined, data: () => data };
+}
+
+jest.unstable_mockModule('../../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({
+      doc: (id) => ({
+        get: async () => {
+          reads[collection] = (reads[collection] ?? 0) + 1;
+          return docSnap(collection, id);
+        },
+      }),
+      where: (field, op, value) => ({
+        get: async () => {
+          if (unavailable) throw new Error('Firestore unavailable');
+          const docs = Object.keys(store[collection] ?? {})
+            .map((id) => docSnap(collection, id))
+            .filter((d) => d.data()[field] === value);
+          return { docs, size: docs.length };
+        },
+      }),
+    }),
+  },
+  auth: {},
+}));
+
+const { sweepOpenPunches, startOpenPunchSweeper } =
+  await import('../../../src/api/admin/openPunch.services.js');
+
+// 2024-01-16 12:00 Asia/Manila
+const NOW = new Date('2024-01-16T04:00:00.000Z');
+
+const open = (uid, punchIn) => ({ uid, punchIn, punchOut: null });
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  for (const key of Object.keys(reads)) delete reads[key];
+  store.users = { u1: { schedule: { start: '09:00', end: '18:00' } } };
+  store.attendance = {
+    a1: open('u1', '2024-01-13T01:00:00.000Z'),
+    a2: open('u1', '2024-01-14T01:00:00.000Z'),
+    a3: open('u1', '2024-01-15T01:00:00.000Z'),
+    // No user document: stale through maxOpenHours only
+    b1: open('ghost', '2024-01-15T01:00:00.000Z'),
+  };
+});
+
+describe('sweepOpenPunches', () => {
+  it('loads each user once however many open punches they have', async () => {
+    const result = await sweepOpenPunches({ dryRun: true, now: NOW });
+
+    expect(result.flaggedCount).toBe(4);
+    expect(result.flagged.map((e) => e.reason)).toEqual([
+      'maxOpenHours',
+      'maxOpenHours',
+      'maxOpenHours',
+      'maxOpenHours',
+    ]);
+    expect(reads.users).toBe(2);
+  });
+});
+
+describe('startOpenPunchSweeper', () => {
+  beforeEach(() => jest.useFakeTimers({ now: NOW }));
+  afterEach(() => jest.useRealTimers());
+
+  it('is disabled by a zero interval', () => {
+    expect(startOpenPunchSweeper(0)).toBeNull();
+  });
+
+  it('hands each result to onResult and failures to onError', async () => {
+    const onResult = jest.fn();
+    const onError = jest.fn();
+    const timer = startOpenPunchSweeper(1, { onResult, onError });
+
+    store.attendance = {};
+    await jest.advanceTimersByTimeAsync(60_000);
+    expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ scanned: 0 }));
+
+    unavailable = true;
+    await jest.advanceTimersByTimeAsync(60_000);
+    unavailable = false;
+    expect(onError).toHaveBeenCalledWith(new Error('Firestore unavailable'));
+
+    clearInterval(timer);
+  });
+});
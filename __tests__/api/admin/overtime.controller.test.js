@@ -0,0 +1,151 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListOvertimeRequests = jest.fn();
+const mockFileOvertimeRequest = jest.fn();
+const mockApproveOvertimeRequest = jest.fn();
+const mockRejectOvertimeRequest = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/overtime.services.js', () => ({
+  listOvertimeRequests: mockListOvertimeRequests,
+  fileOvertimeRequest: mockFileOvertimeRequest,
+  approveOvertimeRequest: mockApproveOvertimeRequest,
+  rejectOvertimeRequest: mockRejectOvertimeRequest,
+}));
+
+const {
+  listOvertimeRequestsHandler,
+  fileOvertimeRequestHandler,
+  approveOvertimeRequestHandler,
+  rejectOvertimeRequestHandler,
+} = await import('../../../src/api/admin/overtime.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+// ─── listOvertimeRequestsHandler ──────────────────────────────────────────────
+
+describe('listOvertimeRequestsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the queue and passes the filters', async () => {
+    mockListOvertimeRequests.mockResolvedValueOnce([{ id: 'ot1', status: 'pending' }]);
+    const res = mockRes();
+    const query = { status: 'pending', startDate: '2024-01-01', endDate: '2024-01-31' };
+    await listOvertimeRequestsHandler({ user: ADMIN, query }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockListOvertimeRequests).toHaveBeenCalledWith({ ...query, uid: undefined });
+  });
+
+  it('returns 400 for an unknown status', async () => {
+    mockListOvertimeRequests.mockRejectedValueOnce(new Error('status must be one of pending'));
+    const res = mockRes();
+    await listOvertimeRequestsHandler({ user: ADMIN, query: { status: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── fileOvertimeRequestHandler ───────────────────────────────────────────────
+
+describe('fileOvertimeRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const body = { uid: 'user1', workDate: '2024-01-15', hours: 3, reason: 'Inventory count' };
+
+  it('returns 201 and records the admin as requester', async () => {
+    mockFileOvertimeRequest.mockResolvedValueOnce({ id: 'ot1', requestedBy: 'admin1' });
+    const res = mockRes();
+    await fileOvertimeRequestHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockFileOvertimeRequest).toHaveBeenCalledWith(
+      'user1',
+      { workDate: '2024-01-15', hours: 3, reason: 'Inventory count' },
+      'admin1',
+    );
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    mockFileOvertimeRequest.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await fileOvertimeRequestHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── approveOvertimeRequestHandler ────────────────────────────────────────────
+
+describe('approveOvertimeRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes reduced hours', async () => {
+    mockApproveOvertimeRequest.mockResolvedValueOnce({
+      id: 'ot1',
+      status: 'approved',
+      approvedHours: 1.5,
+      approvedOvertimeHours: 1.5,
+      unapprovedOvertimeHours: 0.5,
+    });
+    const res = mockRes();
+    await approveOvertimeRequestHandler(
+      { user: ADMIN, params: { requestId: 'ot1' }, body: { hours: 1.5, note: 'Capped' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockApproveOvertimeRequest).toHaveBeenCalledWith('ot1', 'admin1', {
+      hours: 1.5,
+      note: 'Capped',
+    });
+  });
+
+  it('returns 400 when approving more hours than requested', async () => {
+    mockApproveOvertimeRequest.mockRejectedValueOnce(
+      new Error('hours must be between 0.25 and the 2 requested, in quarter-hour steps'),
+    );
+    const res = mockRes();
+    await approveOvertimeRequestHandler(
+      { user: ADMIN, params: { requestId: 'ot1' }, body: { hours: 3 } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 409 when already reviewed', async () => {
+    mockApproveOvertimeRequest.mockRejectedValueOnce(
+      new Error('Overtime request is already approved'),
+    );
+    const res = mockRes();
+    await approveOvertimeRequestHandler({ user: ADMIN, params: { requestId: 'ot1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+// ─── rejectOvertimeRequestHandler ─────────────────────────────────────────────
+
+describe('rejectOvertimeRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 when rejected', async () => {
+    mockRejectOvertimeRequest.mockResolvedValueOnce({ id: 'ot1', status: 'rejected' });
+    const res = mockRes();
+    await rejectOvertimeRequestHandler(
+      { user: ADMIN, params: { requestId: 'ot1' }, body: { note: 'Not needed' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockRejectOvertimeRequest).toHaveBeenCalledWith('ot1', 'admin1', { note: 'Not needed' });
+  });
+
+  it('returns 404 for an unknown request', async () => {
+    mockRejectOvertimeRequest.mockRejectedValueOnce(new Error('Overtime request not found'));
+    const res = mockRes();
+    await rejectOvertimeRequestHandler({ user: ADMIN, params: { requestId: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
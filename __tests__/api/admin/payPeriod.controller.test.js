@@ -0,0 +1,238 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListDefinitions = jest.fn();
+const mockGetDefinition = jest.fn();
+const mockCreateDefinition = jest.fn();
+const mockUpdateDefinition = jest.fn();
+const mockDeleteDefinition = jest.fn();
+const mockListPayPeriods = jest.fn();
+const mockGetPayPeriodReport = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/payPeriod.services.js', () => ({
+  listPayPeriodDefinitions: mockListDefinitions,
+  getPayPeriodDefinition: mockGetDefinition,
+  createPayPeriodDefinition: mockCreateDefinition,
+  updatePayPeriodDefinition: mockUpdateDefinition,
+  deletePayPeriodDefinition: mockDeleteDefinition,
+  listPayPeriods: mockListPayPeriods,
+  getPayPeriodReport: mockGetPayPeriodReport,
+}));
+
+const {
+  listPayPeriodDefinitionsHandler,
+  getPayPeriodDefinitionHandler,
+  createPayPeriodDefinitionHandler,
+  updatePayPeriodDefinitionHandler,
+  deletePayPeriodDefinitionHandler,
+  listPayPeriodsHandler,
+  payPeriodReportHandler,
+} = await import('../../../src/api/admin/payPeriod.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.attachment = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const SEMI = { id: 'def1', name: 'Semi-monthly', type: 'semiMonthly', cutoffDays: [10, 25] };
+
+// ─── Definitions ──────────────────────────────────────────────────────────────
+
+describe('listPayPeriodDefinitionsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the definitions', async () => {
+    mockListDefinitions.mockResolvedValueOnce([SEMI]);
+    const res = mockRes();
+    await listPayPeriodDefinitionsHandler({ user: ADMIN }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [SEMI] });
+  });
+});
+
+describe('getPayPeriodDefinitionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 404 when the definition does not exist', async () => {
+    mockGetDefinition.mockRejectedValueOnce(new Error('Pay-period definition not found'));
+    const res = mockRes();
+    await getPayPeriodDefinitionHandler({ user: ADMIN, params: { definitionId: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('createPayPeriodDefinitionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 201 and passes the period fields and actor', async () => {
+    mockCreateDefinition.mockResolvedValueOnce({ ...SEMI, isDefault: true });
+    const res = mockRes();
+    await createPayPeriodDefinitionHandler(
+      {
+        user: ADMIN,
+        body: { name: 'Semi-monthly', type: 'semiMonthly', cutoffDays: [10, 25], isDefault: true },
+      },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockCreateDefinition).toHaveBeenCalledWith(
+      {
+        name: 'Semi-monthly',
+        type: 'semiMonthly',
+        isDefault: true,
+        weekStartsOn: undefined,
+        anchorDate: undefined,
+        cutoffDays: [10, 25],
+        cutoffDay: undefined,
+      },
+      'admin1',
+    );
+  });
+
+  it('returns 400 for an invalid definition', async () => {
+    mockCreateDefinition.mockRejectedValueOnce(new Error('type must be one of weekly, …'));
+    const res = mockRes();
+    await createPayPeriodDefinitionHandler(
+      { user: ADMIN, body: { name: 'X', type: 'daily' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('updatePayPeriodDefinitionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the updated definition', async () => {
+    mockUpdateDefinition.mockResolvedValueOnce({ ...SEMI, isDefault: true });
+    const res = mockRes();
+    await updatePayPeriodDefinitionHandler(
+      { user: ADMIN, params: { definitionId: 'def1' }, body: { isDefault: true } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateDefinition).toHaveBeenCalledWith(
+      'def1',
+      expect.objectContaining({ isDefault: true, type: undefined }),
+    );
+  });
+
+  it('returns 404 when the definition does not exist', async () => {
+    mockUpdateDefinition.mockRejectedValueOnce(new Error('Pay-period definition not found'));
+    const res = mockRes();
+    await updatePayPeriodDefinitionHandler(
+      { user: ADMIN, params: { definitionId: 'x' }, body: { name: 'Y' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('deletePayPeriodDefinitionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 on delete', async () => {
+    mockDeleteDefinition.mockResolvedValueOnce({ id: 'def1', deleted: true });
+    const res = mockRes();
+    await deletePayPeriodDefinitionHandler({ user: ADMIN, params: { definitionId: 'def1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+// ─── Periods and report ───────────────────────────────────────────────────────
+
+describe('listPayPeriodsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the numbered periods of the year', async () => {
+    const periods = [{ number: 1, year: 2025, startDate: '2024-12-26', endDate: '2025-01-10' }];
+    mockListPayPeriods.mockResolvedValueOnce({ definition: SEMI, year: 2025, periods });
+    const res = mockRes();
+    await listPayPeriodsHandler(
+      { user: ADMIN, params: { definitionId: 'def1' }, query: { year: '2025' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ definition: SEMI, year: 2025, periods, count: 1 });
+    expect(mockListPayPeriods).toHaveBeenCalledWith('def1', '2025');
+  });
+
+  it('returns 400 for a malformed year', async () => {
+    mockListPayPeriods.mockRejectedValueOnce(new Error('year must be a 4-digit year'));
+    const res = mockRes();
+    await listPayPeriodsHandler(
+      { user: ADMIN, params: { definitionId: 'def1' }, query: { year: '25' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('payPeriodReportHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('resolves period N of a year for the named definition', async () => {
+    const report = {
+      definition: SEMI,
+      period: { number: 3, year: 2025, startDate: '2025-01-26', endDate: '2025-02-10' },
+      count: 0,
+      data: [],
+    };
+    mockGetPayPeriodReport.mockResolvedValueOnce(report);
+    const res = mockRes();
+    await payPeriodReportHandler(
+      { user: ADMIN, query: { definitionId: 'def1', year: '2025', period: '3' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(report);
+    expect(mockGetPayPeriodReport).toHaveBeenCalledWith({
+      definitionId: 'def1',
+      year: '2025',
+      number: '3',
+      timezone: 'Asia/Manila',
+    });
+  });
+
+  it('passes the timezone for the current period', async () => {
+    mockGetPayPeriodReport.mockResolvedValueOnce({ count: 0, data: [] });
+    const res = mockRes();
+    await payPeriodReportHandler({ user: ADMIN, query: { timezone: 'America/New_York' } }, res);
+    expect(mockGetPayPeriodReport).toHaveBeenCalledWith(
+      expect.objectContaining({ definitionId: undefined, timezone: 'America/New_York' }),
+    );
+  });
+
+  it('downloads the period as CSV with format=csv', async () => {
+    mockGetPayPeriodReport.mockResolvedValueOnce({
+      definition: SEMI,
+      period: { number: 3, year: 2025, startDate: '2025-01-26', endDate: '2025-02-10' },
+      count: 1,
+      data: [{ uid: 'u1', days: [], absentDates: [], absenceCount: 0, totals: {} }],
+    });
+    const res = mockRes();
+    await payPeriodReportHandler({ user: ADMIN, query: { format: 'csv' } }, res);
+    expect(res.attachment).toHaveBeenCalledWith('pay-period-report-2025-01-26-to-2025-02-10.csv');
+    expect(res.send.mock.calls[0][0].split('\r\n')[1]).toMatch(/^u1,,,,,2025-01-26,2025-02-10,/);
+  });
+
+  it('returns 400 for an invalid timezone', async () => {
+    const res = mockRes();
+    await payPeriodReportHandler({ user: ADMIN, query: { timezone: 'Mars/Base' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockGetPayPeriodReport).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when the definition does not exist', async () => {
+    mockGetPayPeriodReport.mockRejectedValueOnce(new Error('Pay-period definition not found'));
+    const res = mockRes();
+    await payPeriodReportHandler({ user: ADMIN, query: { definitionId: 'x' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,129 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockGetCompensation = jest.fn();
+const mockSetCompensation = jest.fn();
+const mockGetPaySettings = jest.fn();
+const mockUpdatePaySettings = jest.fn();
+const mockGetPayroll = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/payroll.services.js', () => ({
+  getCompensation: mockGetCompensation,
+  setCompensation: mockSetCompensation,
+  getPaySettings: mockGetPaySettings,
+  updatePaySettings: mockUpdatePaySettings,
+  getPayroll: mockGetPayroll,
+}));
+
+const {
+  payrollHandler,
+  getPaySettingsHandler,
+  updatePaySettingsHandler,
+  getCompensationHandler,
+  setCompensationHandler,
+} = await import('../../../src/api/admin/payroll.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+// ─── payrollHandler ───────────────────────────────────────────────────────────
+
+describe('payrollHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with pay lines for the range', async () => {
+    const payroll = { startDate: '2024-01-01', endDate: '2024-01-15', employees: [] };
+    mockGetPayroll.mockResolvedValueOnce(payroll);
+    const req = { user: ADMIN, query: { startDate: '2024-01-01', endDate: '2024-01-15' } };
+    const res = mockRes();
+    await payrollHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(payroll);
+    expect(mockGetPayroll).toHaveBeenCalledWith({
+      startDate: '2024-01-01',
+      endDate: '2024-01-15',
+      uid: undefined,
+    });
+  });
+
+  it('returns 400 when the range is missing', async () => {
+    mockGetPayroll.mockRejectedValueOnce(new Error('startDate and endDate are required'));
+    const res = mockRes();
+    await payrollHandler({ user: ADMIN, query: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 500 on unexpected errors', async () => {
+    mockGetPayroll.mockRejectedValueOnce(new Error('Firestore unavailable'));
+    const res = mockRes();
+    await payrollHandler({ user: ADMIN, query: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+describe('payroll settings handlers', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('GET returns 200 with the premium table', async () => {
+    mockGetPaySettings.mockResolvedValueOnce({ nightDiffRate: 0.1 });
+    const res = mockRes();
+    await getPaySettingsHandler({ user: ADMIN }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('PUT passes the body and acting admin', async () => {
+    mockUpdatePaySettings.mockResolvedValueOnce({ nightDiffRate: 0.15 });
+    const res = mockRes();
+    await updatePaySettingsHandler({ user: ADMIN, body: { nightDiffRate: 0.15 } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdatePaySettings).toHaveBeenCalledWith({ nightDiffRate: 0.15 }, 'admin1');
+  });
+
+  it('PUT returns 400 on validation errors', async () => {
+    mockUpdatePaySettings.mockRejectedValueOnce(new Error('Unknown premium category: x'));
+    const res = mockRes();
+    await updatePaySettingsHandler({ user: ADMIN, body: { premiums: { x: {} } } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── Compensation ─────────────────────────────────────────────────────────────
+
+describe('compensation handlers', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('GET returns 404 for an unknown user', async () => {
+    mockGetCompensation.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await getCompensationHandler({ user: ADMIN, params: { uid: 'ghost' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('PUT forwards the rate and effective date', async () => {
+    mockSetCompensation.mockResolvedValueOnce({ uid: 'u1', timeline: [] });
+    const body = { rateType: 'monthly', rate: 30000, effectiveFrom: '2024-02-01' };
+    const res = mockRes();
+    await setCompensationHandler({ user: ADMIN, params: { uid: 'u1' }, body }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockSetCompensation).toHaveBeenCalledWith('u1', body, 'admin1');
+  });
+
+  it('PUT returns 400 on an invalid rate', async () => {
+    mockSetCompensation.mockRejectedValueOnce(new Error('rate must be a positive number'));
+    const res = mockRes();
+    await setCompensationHandler(
+      { user: ADMIN, params: { uid: 'u1' }, body: { rateType: 'daily', rate: -1 } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
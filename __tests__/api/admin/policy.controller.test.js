@@ -0,0 +1,132 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockGetOrgAttendancePolicy = jest.fn();
+const mockUpdateOrgAttendancePolicy = jest.fn();
+const mockGetUserAttendancePolicy = jest.fn();
+const mockSetUserAttendancePolicy = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/policy.services.js', () => ({
+  getOrgAttendancePolicy: mockGetOrgAttendancePolicy,
+  updateOrgAttendancePolicy: mockUpdateOrgAttendancePolicy,
+  getUserAttendancePolicy: mockGetUserAttendancePolicy,
+  setUserAttendancePolicy: mockSetUserAttendancePolicy,
+}));
+
+const { getOrgPolicyHandler, updateOrgPolicyHandler, getUserPolicyHandler, setUserPolicyHandler } =
+  await import('../../../src/api/admin/policy.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const POLICY = { lateGraceMinutes: 10, overtimeMinimumMinutes: 30, overtimeBlockMinutes: 30 };
+const REASON = 'Union agreement 2024';
+const AUDIT = { actorUid: 'admin1', reason: REASON };
+
+// ─── Org policy ───────────────────────────────────────────────────────────────
+
+describe('getOrgPolicyHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the org policy', async () => {
+    mockGetOrgAttendancePolicy.mockResolvedValueOnce(POLICY);
+    const res = mockRes();
+    await getOrgPolicyHandler({ user: ADMIN }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(POLICY);
+  });
+});
+
+describe('updateOrgPolicyHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the policy fields, acting admin and reason', async () => {
+    mockUpdateOrgAttendancePolicy.mockResolvedValueOnce(POLICY);
+    const res = mockRes();
+    const body = { lateGraceMinutes: 10, reason: REASON };
+    await updateOrgPolicyHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateOrgAttendancePolicy).toHaveBeenCalledWith({ lateGraceMinutes: 10 }, AUDIT);
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await updateOrgPolicyHandler({ user: ADMIN, body: { lateGraceMinutes: 10 } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockUpdateOrgAttendancePolicy).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 on validation errors', async () => {
+    mockUpdateOrgAttendancePolicy.mockRejectedValueOnce(
+      new Error('Unknown policy field(s): grace'),
+    );
+    const res = mockRes();
+    await updateOrgPolicyHandler({ user: ADMIN, body: { grace: 10, reason: REASON } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── User overrides ───────────────────────────────────────────────────────────
+
+describe('getUserPolicyHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the policy layers', async () => {
+    const result = { uid: 'u1', org: POLICY, override: null, effective: POLICY };
+    mockGetUserAttendancePolicy.mockResolvedValueOnce(result);
+    const res = mockRes();
+    await getUserPolicyHandler({ user: ADMIN, params: { uid: 'u1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(result);
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    mockGetUserAttendancePolicy.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await getUserPolicyHandler({ user: ADMIN, params: { uid: 'ghost' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('setUserPolicyHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 400 when policy is missing', async () => {
+    const res = mockRes();
+    await setUserPolicyHandler({ user: ADMIN, params: { uid: 'u1' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSetUserAttendancePolicy).not.toHaveBeenCalled();
+  });
+
+  it('passes null through to clear the override', async () => {
+    mockSetUserAttendancePolicy.mockResolvedValueOnce({ uid: 'u1', override: null });
+    const res = mockRes();
+    const req = { user: ADMIN, params: { uid: 'u1' }, body: { policy: null, reason: REASON } };
+    await setUserPolicyHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockSetUserAttendancePolicy).toHaveBeenCalledWith('u1', null, AUDIT);
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await setUserPolicyHandler({ user: ADMIN, params: { uid: 'u1' }, body: { policy: null } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSetUserAttendancePolicy).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    mockSetUserAttendancePolicy.mockRejectedValueOnce(new Error('User not found'));
+    const res = mockRes();
+    await setUserPolicyHandler(
+      { user: ADMIN, params: { uid: 'ghost' }, body: { policy: POLICY, reason: REASON } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
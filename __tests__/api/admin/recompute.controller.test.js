@@ -0,0 +1,106 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockRecomputeMetrics = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/recompute.services.js', () => ({
+  recomputeMetrics: mockRecomputeMetrics,
+}));
+
+const { recomputeHandler } = await import('../../../src/api/admin/recompute.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+
+const RESULT = {
+  startDate: '2024-01-01',
+  endDate: '2024-01-31',
+  usersScanned: 2,
+  punchesChanged: 1,
+  summariesChanged: 1,
+  users: [
+    {
+      uid: 'u1',
+      punchesChanged: 1,
+      summaries: [
+        {
+          workDate: '2024-01-15',
+          before: { regularHours: 8, lateMinutes: 0 },
+          after: { regularHours: 7.5, lateMinutes: 30 },
+          delta: { regularHours: -0.5, lateMinutes: 30 },
+        },
+      ],
+    },
+  ],
+};
+
+// ─── recomputeHandler ─────────────────────────────────────────────────────────
+
+describe('recomputeHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the diff report for a dry run', async () => {
+    mockRecomputeMetrics.mockResolvedValueOnce({ dryRun: true, ...RESULT });
+    const req = {
+      user: ADMIN,
+      body: { startDate: '2024-01-01', endDate: '2024-01-31', uids: ['u1'], dryRun: true },
+    };
+    const res = mockRes();
+    await recomputeHandler(req, res);
+    expect(mockRecomputeMetrics).toHaveBeenCalledWith({
+      uids: ['u1'],
+      startDate: '2024-01-01',
+      endDate: '2024-01-31',
+      dryRun: true,
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ dryRun: true, summariesChanged: 1, users: RESULT.users }),
+    );
+  });
+
+  it('writes unless dryRun is exactly true', async () => {
+    mockRecomputeMetrics.mockResolvedValueOnce({ dryRun: false, ...RESULT });
+    const req = {
+      user: ADMIN,
+      body: { startDate: '2024-01-01', endDate: '2024-01-31', dryRun: 'yes' },
+    };
+    const res = mockRes();
+    await recomputeHandler(req, res);
+    expect(mockRecomputeMetrics).toHaveBeenCalledWith(expect.objectContaining({ dryRun: false }));
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Recompute complete' }),
+    );
+  });
+
+  it('returns 400 when the date range is missing', async () => {
+    mockRecomputeMetrics.mockRejectedValueOnce(new Error('startDate and endDate are required'));
+    const res = mockRes();
+    await recomputeHandler({ user: ADMIN, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 400 when the range is too long', async () => {
+    mockRecomputeMetrics.mockRejectedValueOnce(new Error('Date range cannot exceed 366 days'));
+    const res = mockRes();
+    await recomputeHandler({ user: ADMIN, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 500 on unexpected errors', async () => {
+    mockRecomputeMetrics.mockRejectedValueOnce(new Error('Firestore unavailable'));
+    const res = mockRes();
+    await recomputeHandler(
+      { user: ADMIN, body: { startDate: '2024-01-01', endDate: '2024-01-02' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
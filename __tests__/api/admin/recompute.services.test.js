@@ -0,0 +1,152 @@
+/**
+ * Service-level tests for recompute, run against an in-memory document store
+ * that enforces Firestore's 500-writes-per-batch limit and counts reads.
+ */
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const store = {};
+const reads = {};
+const batchSizes = [];
+
+function docRef(collection, id) {
+  const data = () => store[collection]?.[id];
+  return {
+    id,
+    get: async () => {
+      reads[collection] = (reads[collection] ?? 0) + 1;
+      return { id, exists: data() !== undefined, data };
+    },
+    set: async (value) => {
+      (store[collection] ??= {})[id] = value;
+    },
+    update: async (value) => {
+      store[collection][id] = { ...data(), ...value };
+    },
+    delete: async () => {
+      delete store[collection]?.[id];
+    },
+  };
+}
+
+function query(collection, filters = []) {
+  return {
+    where: (field, op, value) => query(collection, [...filters, [field, op, value]]),
+    get: async () => ({
+      docs: Object.entries(store[collection] ?? {})
+        .filter(([, d]) => filters.every(([f, , v]) => d[f] === v))
+        .map(([id, d]) => ({ id, ref: docRef(collection, id), data: () => d })),
+    }),
+  };
+}
+
+jest.unstable_mockModule('../../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({
+      ...query(collection),
+      doc: (id) => docRef(collection, id),
+    }),
+    batch: () => {
+      const writes = [];
+      return {
+        update: (ref, value) => writes.push(() => ref.update(value)),
+        commit: async () => {
+          if (writes.length > 500) throw new Error('Batch exceeds 500 writes');
+          batchSizes.push(writes.length);
+          for (const write of writes) await write();
+        },
+      };
+    },
+  },
+  auth: {},
+}));
+
+const { recomputeMetrics } = await import('../../../src/api/admin/recompute.services.js');
+
+// Two punches per day (Asia/Manila, UTC+8) for `days` consecutive days from
+// 2024-01-01, with stale metrics so every record changes.
+function seedPunches(days) {
+  for (let i = 0; i < days; i++) {
+    const date = new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10);
+    store.attendance[`${date}_am`] = {
+      uid: 'u1',
+      punchIn: `${date}T01:00:00.000Z`,
+      punchOut: `${date}T04:00:00.000Z`,
+      metrics: { workDate: date, regularHours: 0 },
+    };
+    store.attendance[`${date}_pm`] = {
+      uid: 'u1',
+      punchIn: `${date}T05:00:00.000Z`,
+      punchOut: `${date}T10:00:00.000Z`,
+      metrics: { workDate: date, regularHours: 0 },
+    };
+  }
+}
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  for (const key of Object.keys(reads)) delete reads[key];
+  batchSizes.length = 0;
+  store.users = { u1: { schedule: { start: '09:00', end: '18:00' } } };
+  store.attendance = {};
+});
+
+describe('recomputeMetrics', () => {
+  it('commits more than 500 changed records in batches of at most 500 writes', async () => {
+    seedPunches(260);
+
+    const result = await recomputeMetrics({
+      uids: ['u1'],
+      startDate: '2024-01-01',
+      endDate: '2024-12-31',
+    });
+
+    expect(result.punchesChanged).toBe(520);
+    expect(batchSizes).toEqual([500, 20]);
+    expect(store.attendance['2024-09-16_pm'].metrics.regularHours).toBeGreaterThan(0);
+    expect(store.attendance['2024-09-16_pm'].recomputedAt).toEqual(expect.any(String));
+  });
+
+  it('loads the user and schedule once and roster/holidays once per date', async () => {
+    seedPunches(10);
+
+    await recomputeMetrics({
+      uids: ['u1'],
+      startDate: '2024-01-01',
+      endDate: '2024-01-10',
+      dryRun: true,
+    });
+
+    // recomputeUser's own read plus the context loader's
+    expect(reads.users).toBe(2);
+    // the ten workDates plus the day before the first
+    expect(reads.roster).toBe(11);
+    expect(reads.holidays).toBe(11);
+    expect(batchSizes).toEqual([]);
+  });
+
+  it('reports a user without a usable schedule and still recomputes the others', async () => {
+    seedPunches(2);
+    store.users.u2 = {};
+    store.attendance.x = {
+      uid: 'u2',
+      punchIn: '2024-01-01T01:00:00.000Z',
+      punchOut: '2024-01-01T04:00:00.000Z',
+      metrics: { workDate: '2024-01-01', regularHours: 0 },
+    };
+
+    const result = await recomputeMetrics({
+      uids: ['u2', 'u1'],
+      startDate: '2024-01-01',
+      endDate: '2024-01-31',
+    });
+
+    expect(result.punchesChanged).toBe(4);
+    expect(result.users).toContainEqual({
+      uid: 'u2',
+      error: 'User schedule is not configured. Contact your administrator.',
+      punchesChanged: 0,
+      summaries: [],
+    });
+    expect(store.attendance.x.recomputedAt).toBeUndefined();
+  });
+});
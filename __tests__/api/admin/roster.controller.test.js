@@ -0,0 +1,232 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockCreateRosterEntry = jest.fn();
+const mockListRosterEntries = jest.fn();
+const mockUpdateRosterEntry = jest.fn();
+const mockDeleteRosterEntry = jest.fn();
+const mockSwapShifts = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/roster.services.js', () => ({
+  createRosterEntry: mockCreateRosterEntry,
+  listRosterEntries: mockListRosterEntries,
+  updateRosterEntry: mockUpdateRosterEntry,
+  deleteRosterEntry: mockDeleteRosterEntry,
+  swapShifts: mockSwapShifts,
+}));
+
+const {
+  listRosterHandler,
+  createRosterEntryHandler,
+  updateRosterEntryHandler,
+  deleteRosterEntryHandler,
+  swapShiftsHandler,
+} = await import('../../../src/api/admin/roster.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const REASON = 'Covering for a sick colleague';
+const AUDIT = { actorUid: 'admin1', reason: REASON };
+
+// ─── listRosterHandler ────────────────────────────────────────────────────────
+
+describe('listRosterHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with entries and passes filters through', async () => {
+    const entries = [{ id: 'u1_2024-01-12', uid: 'u1', workDate: '2024-01-12' }];
+    mockListRosterEntries.mockResolvedValueOnce(entries);
+    const req = { user: ADMIN, query: { uid: 'u1', startDate: '2024-01-01' } };
+    const res = mockRes();
+    await listRosterHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: entries });
+    expect(mockListRosterEntries).toHaveBeenCalledWith({
+      uid: 'u1',
+      startDate: '2024-01-01',
+      endDate: undefined,
+    });
+  });
+
+  it('returns 500 on service error', async () => {
+    mockListRosterEntries.mockRejectedValueOnce(new Error('DB error'));
+    const res = mockRes();
+    await listRosterHandler({ user: ADMIN, query: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+// ─── createRosterEntryHandler ─────────────────────────────────────────────────
+
+describe('createRosterEntryHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const shift = { uid: 'u1', workDate: '2024-01-12', start: '14:00', end: '23:00' };
+  const body = { ...shift, reason: REASON };
+
+  it('returns 201 and records the acting admin and reason', async () => {
+    mockCreateRosterEntry.mockResolvedValueOnce({ id: 'u1_2024-01-12', ...shift });
+    const res = mockRes();
+    await createRosterEntryHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockCreateRosterEntry).toHaveBeenCalledWith(
+      { ...shift, restDay: undefined, note: undefined },
+      AUDIT,
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await createRosterEntryHandler({ user: ADMIN, body: shift }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockCreateRosterEntry).not.toHaveBeenCalled();
+  });
+
+  it('forwards a break rule', async () => {
+    mockCreateRosterEntry.mockResolvedValueOnce({ id: 'u1_2024-01-12' });
+    const res = mockRes();
+    const lunch = { start: '18:00', end: '19:00' };
+    await createRosterEntryHandler({ user: ADMIN, body: { ...body, break: lunch } }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockCreateRosterEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ break: lunch }),
+      AUDIT,
+    );
+  });
+
+  it('returns 409 when an entry already exists for that date', async () => {
+    mockCreateRosterEntry.mockRejectedValueOnce(
+      new Error('A roster entry already exists for u1 on 2024-01-12'),
+    );
+    const res = mockRes();
+    await createRosterEntryHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 404 when the user does not exist', async () => {
+    mockCreateRosterEntry.mockRejectedValueOnce(new Error('User not found: u1'));
+    const res = mockRes();
+    await createRosterEntryHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 400 on validation errors', async () => {
+    mockCreateRosterEntry.mockRejectedValueOnce(new Error('uid and workDate are required'));
+    const res = mockRes();
+    await createRosterEntryHandler({ user: ADMIN, body: { reason: REASON } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── updateRosterEntryHandler ─────────────────────────────────────────────────
+
+describe('updateRosterEntryHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the updated entry', async () => {
+    mockUpdateRosterEntry.mockResolvedValueOnce({ id: 'r1', restDay: true });
+    const req = {
+      user: ADMIN,
+      params: { rosterId: 'r1' },
+      body: { restDay: true, reason: REASON },
+    };
+    const res = mockRes();
+    await updateRosterEntryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateRosterEntry).toHaveBeenCalledWith(
+      'r1',
+      { start: undefined, end: undefined, restDay: true, note: undefined },
+      AUDIT,
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const req = { user: ADMIN, params: { rosterId: 'r1' }, body: { restDay: true } };
+    const res = mockRes();
+    await updateRosterEntryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockUpdateRosterEntry).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when the entry is not found', async () => {
+    mockUpdateRosterEntry.mockRejectedValueOnce(new Error('Roster entry not found'));
+    const req = { user: ADMIN, params: { rosterId: 'ghost' }, body: { note: 'x', reason: REASON } };
+    const res = mockRes();
+    await updateRosterEntryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── deleteRosterEntryHandler ─────────────────────────────────────────────────
+
+describe('deleteRosterEntryHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with deleted:true', async () => {
+    mockDeleteRosterEntry.mockResolvedValueOnce({ id: 'r1', deleted: true });
+    const res = mockRes();
+    const req = { user: ADMIN, params: { rosterId: 'r1' }, body: { reason: REASON } };
+    await deleteRosterEntryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: 'r1', deleted: true }));
+    expect(mockDeleteRosterEntry).toHaveBeenCalledWith('r1', AUDIT);
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await deleteRosterEntryHandler({ user: ADMIN, params: { rosterId: 'r1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockDeleteRosterEntry).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when the entry is not found', async () => {
+    mockDeleteRosterEntry.mockRejectedValueOnce(new Error('Roster entry not found'));
+    const res = mockRes();
+    const req = { user: ADMIN, params: { rosterId: 'ghost' }, body: { reason: REASON } };
+    await deleteRosterEntryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── swapShiftsHandler ────────────────────────────────────────────────────────
+
+describe('swapShiftsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with both swapped entries', async () => {
+    const result = { workDate: '2024-01-12', entries: [{ uid: 'u1' }, { uid: 'u2' }] };
+    mockSwapShifts.mockResolvedValueOnce(result);
+    const body = { uidA: 'u1', uidB: 'u2', workDate: '2024-01-12', reason: REASON };
+    const res = mockRes();
+    await swapShiftsHandler({ user: ADMIN, body }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockSwapShifts).toHaveBeenCalledWith(
+      { uidA: 'u1', uidB: 'u2', workDate: '2024-01-12' },
+      AUDIT,
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const req = { user: ADMIN, body: { uidA: 'u1', uidB: 'u2', workDate: '2024-01-12' } };
+    const res = mockRes();
+    await swapShiftsHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockSwapShifts).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 when swapping with the same employee', async () => {
+    mockSwapShifts.mockRejectedValueOnce(new Error('Cannot swap a shift with the same employee'));
+    const body = { uidA: 'u1', uidB: 'u1', workDate: '2024-01-12', reason: REASON };
+    const req = { user: ADMIN, body };
+    const res = mockRes();
+    await swapShiftsHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Service-level tests for roster updates and shift swaps, run against an in-memory document
+ * store so the schedule resolution and the audit trail are exercised end to end.
+ */
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const store = {};
+let nextId = 0;
+
+function docRef(collection, id = `auto${++nextId}`) {
+  return {
+    id,
+    get: async () => {
+      const data = store[collection]?.[id];
+      return { id, exists: data !== undefined, data: () => data };
+    },
+    set: async (data) => {
+      (store[collection] ??= {})[id] = data;
+    },
+    update: async (updates) => {
+      store[collection][id] = { ...store[collection][id], ...updates };
+    },
+    delete: async () => {
+      delete store[collection]?.[id];
+    },
+  };
+}
+
+jest.unstable_mockModule('../../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({ doc: (id) => docRef(collection, id) }),
+    batch: () => {
+      const writes = [];
+      return {
+        create: (ref, data) => writes.push(() => ref.set(data)),
+        set: (ref, data) => writes.push(() => ref.set(data)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        commit: async () => {
+          for (const write of writes) await write();
+        },
+      };
+    },
+  },
+  auth: {},
+}));
+
+const { swapShifts, updateRosterEntry, deleteRosterEntry } =
+  await import('../../../src/api/admin/roster.services.js');
+
+const DAY = { start: '09:00', end: '18:00' };
+const NIGHT = { start: '22:00', end: '06:00' };
+const AUDIT = { actorUid: 'admin1', reason: 'Covering for a sick colleague' };
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  store.users = {};
+  store.shiftTemplates = {};
+  store.roster = {};
+  store.auditLog = {};
+});
+
+describe('swapShifts', () => {
+  it('swaps the standing schedules when neither side has a roster entry', async () => {
+    store.users.a = { schedule: DAY };
+    store.users.b = { schedule: NIGHT };
+
+    const result = await swapShifts({ uidA: 'a', uidB: 'b', workDate: '2024-01-15' }, AUDIT);
+
+    expect(result.entries).toHaveLength(2);
+    expect(store.roster['a_2024-01-15']).toMatchObject({
+      restDay: false,
+      ...NIGHT,
+      swappedWith: 'b',
+      createdBy: 'admin1',
+    });
+    expect(store.roster['b_2024-01-15']).toMatchObject({
+      restDay: false,
+      ...DAY,
+      swappedWith: 'a',
+    });
+    expect(Object.values(store.auditLog)).toEqual([
+      expect.objectContaining({ action: 'roster.swap', targetUid: 'a', before: null }),
+      expect.objectContaining({ action: 'roster.swap', targetUid: 'b', before: null }),
+    ]);
+  });
+
+  it('requires a reason', async () => {
+    store.users.a = { schedule: DAY };
+    store.users.b = { schedule: NIGHT };
+    await expect(
+      swapShifts({ uidA: 'a', uidB: 'b', workDate: '2024-01-15' }, { actorUid: 'admin1' }),
+    ).rejects.toThrow('reason is required for audited changes');
+    expect(store.roster).toEqual({});
+  });
+
+  it('resolves a side on a shift template to the template version in effect', async () => {
+    store.shiftTemplates.t1 = {
+      name: 'Night',
+      versions: [{ effectiveFrom: null, schedule: NIGHT }],
+    };
+    store.users.a = { schedule: DAY, scheduleTemplateId: 't1' };
+    store.users.b = { schedule: DAY };
+
+    await swapShifts({ uidA: 'a', uidB: 'b', workDate: '2024-01-15' }, AUDIT);
+
+    expect(store.roster['b_2024-01-15']).toMatchObject({ restDay: false, ...NIGHT });
+    expect(store.roster['a_2024-01-15']).toMatchObject({ restDay: false, ...DAY });
+  });
+
+  it('swaps a roster entry with a standing rest day', async () => {
+    store.users.a = { schedule: DAY };
+    // 2024-01-15 is a Monday
+    store.users.b = { schedule: { days: { mon: null, tue: DAY } } };
+    store.roster['a_2024-01-15'] = {
+      uid: 'a',
+      workDate: '2024-01-15',
+      restDay: false,
+      ...NIGHT,
+      createdBy: 'admin0',
+      createdAt: '2024-01-01T00:00:00.000Z',
+    };
+
+    await swapShifts({ uidA: 'a', uidB: 'b', workDate: '2024-01-15' }, AUDIT);
+
+    expect(store.roster['a_2024-01-15']).toMatchObject({
+      restDay: true,
+      start: null,
+      end: null,
+      createdBy: 'admin0',
+      createdAt: '2024-01-01T00:00:00.000Z',
+    });
+    expect(store.roster['b_2024-01-15']).toMatchObject({ restDay: false, ...NIGHT });
+  });
+
+  it('rejects an unknown employee', async () => {
+    store.users.a = { schedule: DAY };
+    await expect(
+      swapShifts({ uidA: 'a', uidB: 'missing', workDate: '2024-01-15' }, AUDIT),
+    ).rejects.toThrow('User not found: missing');
+  });
+});
+
+describe('updateRosterEntry', () => {
+  beforeEach(() => {
+    store.roster['a_2024-01-15'] = {
+      uid: 'a',
+      workDate: '2024-01-15',
+      restDay: true,
+      start: null,
+      end: null,
+      break: null,
+    };
+  });
+
+  it('turns a rostered day off into a working day when shift times are sent', async () => {
+    const entry = await updateRosterEntry('a_2024-01-15', DAY, AUDIT);
+    expect(entry).toMatchObject({ restDay: false, ...DAY });
+    expect(Object.values(store.auditLog)).toEqual([
+      expect.objectContaining({
+        action: 'roster.update',
+        targetId: 'a_2024-01-15',
+        targetUid: 'a',
+        before: expect.objectContaining({ restDay: true }),
+        after: expect.objectContaining({ restDay: false, ...DAY }),
+        reason: AUDIT.reason,
+      }),
+    ]);
+  });
+
+  it('rejects shift times together with restDay: true', async () => {
+    await expect(
+      updateRosterEntry('a_2024-01-15', { ...DAY, restDay: true }, AUDIT),
+    ).rejects.toThrow('restDay: true cannot be combined with start or end');
+    expect(store.roster['a_2024-01-15'].restDay).toBe(true);
+  });
+
+  it('keeps the day off when only the note changes', async () => {
+    const entry = await updateRosterEntry('a_2024-01-15', { note: 'Holiday swap' }, AUDIT);
+    expect(entry).toMatchObject({ restDay: true, note: 'Holiday swap' });
+  });
+});
+
+describe('deleteRosterEntry', () => {
+  it('deletes the entry together with its audit entry', async () => {
+    const entry = { uid: 'a', workDate: '2024-01-15', restDay: false, ...DAY };
+    store.roster['a_2024-01-15'] = entry;
+
+    await expect(deleteRosterEntry('a_2024-01-15', AUDIT)).resolves.toEqual({
+      id: 'a_2024-01-15',
+      deleted: true,
+    });
+    expect(store.roster['a_2024-01-15']).toBeUndefined();
+    expect(Object.values(store.auditLog)).toEqual([
+      expect.objectContaining({ action: 'roster.delete', before: entry, after: null }),
+    ]);
+  });
+});
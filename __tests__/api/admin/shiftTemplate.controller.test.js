@@ -0,0 +1,210 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListShiftTemplates = jest.fn();
+const mockGetShiftTemplate = jest.fn();
+const mockCreateShiftTemplate = jest.fn();
+const mockUpdateShiftTemplate = jest.fn();
+const mockDeleteShiftTemplate = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/admin/shiftTemplate.services.js', () => ({
+  listShiftTemplates: mockListShiftTemplates,
+  getShiftTemplate: mockGetShiftTemplate,
+  createShiftTemplate: mockCreateShiftTemplate,
+  updateShiftTemplate: mockUpdateShiftTemplate,
+  deleteShiftTemplate: mockDeleteShiftTemplate,
+}));
+
+const {
+  listShiftTemplatesHandler,
+  getShiftTemplateHandler,
+  createShiftTemplateHandler,
+  updateShiftTemplateHandler,
+  deleteShiftTemplateHandler,
+} = await import('../../../src/api/admin/shiftTemplate.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const ADMIN = { uid: 'admin1', role: 'admin' };
+const MORNING = { start: '06:00', end: '15:00' };
+const REASON = 'New morning rotation';
+const AUDIT = { actorUid: 'admin1', reason: REASON };
+
+// ─── listShiftTemplatesHandler ────────────────────────────────────────────────
+
+describe('listShiftTemplatesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with all templates', async () => {
+    const templates = [{ id: 't1', name: 'Morning shift', schedule: MORNING }];
+    mockListShiftTemplates.mockResolvedValueOnce(templates);
+    const res = mockRes();
+    await listShiftTemplatesHandler({ user: ADMIN }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: templates });
+  });
+
+  it('returns 500 on service error', async () => {
+    mockListShiftTemplates.mockRejectedValueOnce(new Error('DB error'));
+    const res = mockRes();
+    await listShiftTemplatesHandler({ user: ADMIN }, res);
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+// ─── getShiftTemplateHandler ──────────────────────────────────────────────────
+
+describe('getShiftTemplateHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the template', async () => {
+    mockGetShiftTemplate.mockResolvedValueOnce({ id: 't1', name: 'Morning shift' });
+    const res = mockRes();
+    await getShiftTemplateHandler({ user: ADMIN, params: { templateId: 't1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockGetShiftTemplate).toHaveBeenCalledWith('t1');
+  });
+
+  it('returns 404 when the template does not exist', async () => {
+    mockGetShiftTemplate.mockRejectedValueOnce(new Error('Shift template not found'));
+    const res = mockRes();
+    await getShiftTemplateHandler({ user: ADMIN, params: { templateId: 'ghost' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── createShiftTemplateHandler ───────────────────────────────────────────────
+
+describe('createShiftTemplateHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 201 and passes the acting admin and reason', async () => {
+    mockCreateShiftTemplate.mockResolvedValueOnce({ id: 't1', name: 'Morning shift' });
+    const req = { user: ADMIN, body: { name: 'Morning shift', schedule: MORNING, reason: REASON } };
+    const res = mockRes();
+    await createShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockCreateShiftTemplate).toHaveBeenCalledWith(
+      { name: 'Morning shift', schedule: MORNING, effectiveFrom: undefined },
+      AUDIT,
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const req = { user: ADMIN, body: { name: 'Morning shift', schedule: MORNING } };
+    const res = mockRes();
+    await createShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockCreateShiftTemplate).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 on validation errors', async () => {
+    mockCreateShiftTemplate.mockRejectedValueOnce(new Error('name and schedule are required'));
+    const res = mockRes();
+    await createShiftTemplateHandler({ user: ADMIN, body: { reason: REASON } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── updateShiftTemplateHandler ───────────────────────────────────────────────
+
+describe('updateShiftTemplateHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and forwards the effective date', async () => {
+    mockUpdateShiftTemplate.mockResolvedValueOnce({ id: 't1' });
+    const req = {
+      user: ADMIN,
+      params: { templateId: 't1' },
+      body: { schedule: MORNING, effectiveFrom: '2024-02-01', reason: REASON },
+    };
+    const res = mockRes();
+    await updateShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateShiftTemplate).toHaveBeenCalledWith(
+      't1',
+      { name: undefined, schedule: MORNING, effectiveFrom: '2024-02-01' },
+      AUDIT,
+    );
+  });
+
+  it('returns 400 without a reason', async () => {
+    const req = { user: ADMIN, params: { templateId: 't1' }, body: { name: 'Early' } };
+    const res = mockRes();
+    await updateShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockUpdateShiftTemplate).not.toHaveBeenCalled();
+  });
+
+  it('forwards a template attendance policy', async () => {
+    mockUpdateShiftTemplate.mockResolvedValueOnce({ id: 't1' });
+    const policy = { lateGraceMinutes: 10 };
+    const req = { user: ADMIN, params: { templateId: 't1' }, body: { policy, reason: REASON } };
+    const res = mockRes();
+    await updateShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockUpdateShiftTemplate).toHaveBeenCalledWith(
+      't1',
+      expect.objectContaining({ policy }),
+      AUDIT,
+    );
+  });
+
+  it('returns 400 when effectiveFrom is missing for a schedule change', async () => {
+    mockUpdateShiftTemplate.mockRejectedValueOnce(
+      new Error('effectiveFrom (YYYY-MM-DD) is required when changing the schedule'),
+    );
+    const body = { schedule: MORNING, reason: REASON };
+    const req = { user: ADMIN, params: { templateId: 't1' }, body };
+    const res = mockRes();
+    await updateShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 404 when the template does not exist', async () => {
+    mockUpdateShiftTemplate.mockRejectedValueOnce(new Error('Shift template not found'));
+    const body = { name: 'x', reason: REASON };
+    const req = { user: ADMIN, params: { templateId: 'ghost' }, body };
+    const res = mockRes();
+    await updateShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+// ─── deleteShiftTemplateHandler ───────────────────────────────────────────────
+
+describe('deleteShiftTemplateHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with deleted:true', async () => {
+    mockDeleteShiftTemplate.mockResolvedValueOnce({ id: 't1', deleted: true });
+    const res = mockRes();
+    const req = { user: ADMIN, params: { templateId: 't1' }, body: { reason: REASON } };
+    await deleteShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockDeleteShiftTemplate).toHaveBeenCalledWith('t1', AUDIT);
+  });
+
+  it('returns 400 without a reason', async () => {
+    const res = mockRes();
+    await deleteShiftTemplateHandler({ user: ADMIN, params: { templateId: 't1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockDeleteShiftTemplate).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when users still reference the template', async () => {
+    mockDeleteShiftTemplate.mockRejectedValueOnce(
+      new Error('Shift template is in use. Reassign its users before deleting it.'),
+    );
+    const res = mockRes();
+    const req = { user: ADMIN, params: { templateId: 't1' }, body: { reason: REASON } };
+    await deleteShiftTemplateHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Service-level tests for deleting shift templates, run against an in-memory
+ * document store.
+ */
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const store = {};
+let nextId = 0;
+
+jest.unstable_mockModule('../../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({
+      doc: (id = `auto${++nextId}`) => ({
+        id,
+        get: async () => {
+          const data = store[collection]?.[id];
+          return { id, exists: data !== undefined, data: () => data };
+        },
+        set: async (data) => {
+          (store[collection] ??= {})[id] = data;
+        },
+        delete: async () => {
+          delete store[collection][id];
+        },
+      }),
+      get: async () => ({
+        docs: Object.entries(store[collection] ?? {}).map(([id, data]) => ({
+          id,
+          data: () => data,
+        })),
+      }),
+    }),
+    batch: () => {
+      const writes = [];
+      return {
+        create: (ref, data) => writes.push(() => ref.set(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        commit: async () => {
+          for (const write of writes) await write();
+        },
+      };
+    },
+  },
+  auth: {},
+}));
+
+const { deleteShiftTemplate } = await import('../../../src/api/admin/shiftTemplate.services.js');
+
+const DAY = { start: '09:00', end: '18:00' };
+const AUDIT = { actorUid: 'admin1', reason: 'Day shift retired' };
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  store.shiftTemplates = {
+    t1: { name: 'Day', versions: [{ effectiveFrom: null, schedule: DAY }] },
+  };
+  store.users = {};
+  store.auditLog = {};
+});
+
+describe('deleteShiftTemplate', () => {
+  it('deletes a template nobody references', async () => {
+    store.users.u1 = { schedule: DAY, scheduleHistory: [{ effectiveFrom: null, schedule: DAY }] };
+
+    const template = store.shiftTemplates.t1;
+
+    await expect(deleteShiftTemplate('t1', AUDIT)).resolves.toEqual({ id: 't1', deleted: true });
+    expect(store.shiftTemplates.t1).toBeUndefined();
+    expect(Object.values(store.auditLog)).toEqual([
+      expect.objectContaining({
+        action: 'shiftTemplate.delete',
+        targetId: 't1',
+        before: template,
+        after: null,
+        reason: AUDIT.reason,
+      }),
+    ]);
+  });
+
+  it('requires a reason', async () => {
+    await expect(deleteShiftTemplate('t1', { actorUid: 'admin1' })).rejects.toThrow(
+      'reason is required for audited changes',
+    );
+    expect(store.shiftTemplates.t1).toBeDefined();
+  });
+
+  it('refuses while a user is on the template', async () => {
+    store.users.u1 = { scheduleTemplateId: 't1' };
+
+    await expect(deleteShiftTemplate('t1', AUDIT)).rejects.toThrow('in use');
+    expect(store.shiftTemplates.t1).toBeDefined();
+  });
+
+  it('refuses while a past scheduleHistory entry references the template', async () => {
+    store.users.u1 = {
+      scheduleTemplateId: null,
+      schedule: DAY,
+      scheduleHistory: [
+        { effectiveFrom: null, schedule: null, templateId: 't1' },
+        { effectiveFrom: '2024-02-01', schedule: DAY, templateId: null },
+      ],
+    };
+
+    await expect(deleteShiftTemplate('t1', AUDIT)).rejects.toThrow('in use by past schedules');
+    expect(store.shiftTemplates.t1).toBeDefined();
+  });
+
+  it('reports a missing template', async () => {
+    await expect(deleteShiftTemplate('nope', AUDIT)).rejects.toThrow('Shift template not found');
+  });
+});
@@ -7,6 +7,9 @@ const mockCancelOpenPunch = jest.fn();
 const mockGetAttendanceHistory = jest.fn();
 const mockGetDailySummary = jest.fn();
 const mockGetWeeklySummary = jest.fn();
+const mockGetUserTimezone = jest.fn();
+const mockGetScheduleTimeline = jest.fn();
+const mockLoadDtr = jest.fn();
 
 jest.unstable_mockModule('../../../src/api/attendance/attendance.services.js', () => ({
   punchIn: mockPunchIn,
@@ -16,16 +19,21 @@ jest.unstable_mockModule('../../../src/api/attendance/attendance.services.js', (
   getAttendanceHistory: mockGetAttendanceHistory,
   getDailySummary: mockGetDailySummary,
   getWeeklySummary: mockGetWeeklySummary,
+  getUserTimezone: mockGetUserTimezone,
+  getScheduleTimeline: mockGetScheduleTimeline,
+  loadDtr: mockLoadDtr,
 }));
 
 const {
   handlePunchIn,
   handlePunchOut,
   getPunchStatusHandler,
+  getMyScheduleHandler,
   cancelOpenPunchHandler,
   getHistory,
   getDailySummaryHandler,
   getWeeklySummaryHandler,
+  getMyDtrHandler,
 } = await import('../../../src/api/attendance/attendance.controller.js');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -34,6 +42,8 @@ function mockRes() {
   const res = {};
   res.status = jest.fn().mockReturnValue(res);
   res.json = jest.fn().mockReturnValue(res);
+  res.type = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
   return res;
 }
 
@@ -61,6 +71,28 @@ describe('getPunchStatusHandler', () => {
   });
 });
 
+// ─── getMyScheduleHandler ─────────────────────────────────────────────────────
+
+describe('getMyScheduleHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("returns 200 with the caller's own schedule timeline", async () => {
+    const timeline = { uid: 'u1', timezone: 'Asia/Manila', timeline: [] };
+    mockGetScheduleTimeline.mockResolvedValueOnce(timeline);
+    const res = mockRes();
+    await getMyScheduleHandler({ user: { uid: 'u1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockGetScheduleTimeline).toHaveBeenCalledWith('u1');
+  });
+
+  it('returns 500 on service error', async () => {
+    mockGetScheduleTimeline.mockRejectedValueOnce(new Error('DB error'));
+    const res = mockRes();
+    await getMyScheduleHandler({ user: { uid: 'u1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
 // ─── handlePunchIn ────────────────────────────────────────────────────────────
 
 describe('handlePunchIn', () => {
@@ -237,12 +269,16 @@ describe('getDailySummaryHandler', () => {
     expect(res.status).toHaveBeenCalledWith(404);
   });
 
-  it('defaults date to today (UTC) when not supplied in query', async () => {
+  it("defaults date to today in the user's timezone when not supplied in query", async () => {
+    mockGetUserTimezone.mockResolvedValueOnce('Australia/Sydney');
     mockGetDailySummary.mockResolvedValueOnce({ workDate: '2024-01-15' });
     const req = { user: { uid: 'u1' }, query: {} };
     const res = mockRes();
     await getDailySummaryHandler(req, res);
-    const today = new Date().toISOString().slice(0, 10);
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Australia/Sydney' }).format(
+      new Date(),
+    );
+    expect(mockGetUserTimezone).toHaveBeenCalledWith('u1');
     expect(mockGetDailySummary).toHaveBeenCalledWith('u1', today);
   });
 
@@ -281,6 +317,7 @@ describe('getWeeklySummaryHandler', () => {
   });
 
   it('auto-resolves Monday–Sunday when no date range supplied', async () => {
+    mockGetUserTimezone.mockResolvedValueOnce('America/New_York');
     mockGetWeeklySummary.mockResolvedValueOnce({ totals: {}, days: [] });
     const req = { user: { uid: 'u1' }, query: {} };
     const res = mockRes();
@@ -290,6 +327,9 @@ describe('getWeeklySummaryHandler', () => {
       expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/), // valid date string
       expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
     );
+    const [, startDate, endDate] = mockGetWeeklySummary.mock.calls[0];
+    expect(new Date(`${startDate}T12:00:00Z`).getUTCDay()).toBe(1); // Monday
+    expect(new Date(`${endDate}T12:00:00Z`).getUTCDay()).toBe(0); // Sunday
     expect(res.status).toHaveBeenCalledWith(200);
   });
 
@@ -304,3 +344,47 @@ describe('getWeeklySummaryHandler', () => {
     expect(res.status).toHaveBeenCalledWith(500);
   });
 });
+
+// ─── getMyDtrHandler ──────────────────────────────────────────────────────────
+
+describe('getMyDtrHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const dtr = {
+    month: '2024-01',
+    monthLabel: 'January 2024',
+    employee: { uid: 'user1', name: 'Alice Smith' },
+    days: [],
+    totalUndertime: { hours: 0, minutes: 0 },
+  };
+
+  it('renders the requested month as HTML for the signed-in user', async () => {
+    mockLoadDtr.mockResolvedValueOnce(dtr);
+    const res = mockRes();
+    await getMyDtrHandler({ user: { uid: 'user1' }, query: { month: '2024-01' } }, res);
+    expect(mockLoadDtr).toHaveBeenCalledWith('user1', '2024-01');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.type).toHaveBeenCalledWith('html');
+    expect(res.send.mock.calls[0][0]).toContain('DAILY TIME RECORD');
+  });
+
+  it("defaults to the current month in the user's timezone", async () => {
+    mockGetUserTimezone.mockResolvedValueOnce('Asia/Manila');
+    mockLoadDtr.mockResolvedValueOnce(dtr);
+    const res = mockRes();
+    await getMyDtrHandler({ user: { uid: 'user1' }, query: {} }, res);
+    expect(mockLoadDtr).toHaveBeenCalledWith('user1', expect.stringMatching(/^\d{4}-\d{2}$/));
+  });
+
+  it('returns 400 for an unknown format or malformed month', async () => {
+    const badFormat = mockRes();
+    await getMyDtrHandler({ user: { uid: 'user1' }, query: { format: 'docx' } }, badFormat);
+    expect(badFormat.status).toHaveBeenCalledWith(400);
+    expect(mockLoadDtr).not.toHaveBeenCalled();
+
+    mockLoadDtr.mockRejectedValueOnce(new Error('month must be in YYYY-MM format'));
+    const badMonth = mockRes();
+    await getMyDtrHandler({ user: { uid: 'user1' }, query: { month: '2024-13' } }, badMonth);
+    expect(badMonth.status).toHaveBeenCalledWith(400);
+  });
+});
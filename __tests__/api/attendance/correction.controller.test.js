@@ -0,0 +1,117 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockGetMyCorrections = jest.fn();
+const mockRequestCorrection = jest.fn();
+const mockCancelCorrection = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/attendance/correction.services.js', () => ({
+  getMyCorrections: mockGetMyCorrections,
+  requestCorrection: mockRequestCorrection,
+  cancelCorrection: mockCancelCorrection,
+}));
+
+const { getMyCorrectionsHandler, requestCorrectionHandler, cancelCorrectionHandler } =
+  await import('../../../src/api/attendance/correction.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const USER = { uid: 'user1', role: 'user' };
+
+// ─── getMyCorrectionsHandler ──────────────────────────────────────────────────
+
+describe('getMyCorrectionsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the status filter', async () => {
+    mockGetMyCorrections.mockResolvedValueOnce([{ id: 'c1' }]);
+    const res = mockRes();
+    await getMyCorrectionsHandler({ user: USER, query: { status: 'pending' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'c1' }] });
+    expect(mockGetMyCorrections).toHaveBeenCalledWith('user1', { status: 'pending' });
+  });
+});
+
+// ─── requestCorrectionHandler ─────────────────────────────────────────────────
+
+describe('requestCorrectionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 201 for a forgotten punch-out', async () => {
+    const body = {
+      attendanceId: 'att1',
+      punchOut: '2024-01-15T10:00:00.000Z',
+      reason: 'Forgot to punch out',
+    };
+    mockRequestCorrection.mockResolvedValueOnce({ id: 'c1', type: 'correction', ...body });
+    const res = mockRes();
+    await requestCorrectionHandler({ user: USER, body }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockRequestCorrection).toHaveBeenCalledWith('user1', { ...body, punchIn: undefined });
+  });
+
+  it('returns 400 for a missing-punch request without both times', async () => {
+    mockRequestCorrection.mockRejectedValueOnce(
+      new Error('punchIn and punchOut are required for a missing-punch request'),
+    );
+    const res = mockRes();
+    await requestCorrectionHandler(
+      { user: USER, body: { punchIn: '2024-01-15T01:00:00.000Z', reason: 'x' } },
+      res,
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 403 for another user’s record', async () => {
+    mockRequestCorrection.mockRejectedValueOnce(
+      new Error('Forbidden: This punch does not belong to you.'),
+    );
+    const res = mockRes();
+    await requestCorrectionHandler({ user: USER, body: { attendanceId: 'att9' } }, res);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('returns 404 for an unknown record', async () => {
+    mockRequestCorrection.mockRejectedValueOnce(new Error('Punch record not found.'));
+    const res = mockRes();
+    await requestCorrectionHandler({ user: USER, body: { attendanceId: 'nope' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 409 when a correction is already pending', async () => {
+    mockRequestCorrection.mockRejectedValueOnce(
+      new Error('A correction for this punch is already pending'),
+    );
+    const res = mockRes();
+    await requestCorrectionHandler({ user: USER, body: { attendanceId: 'att1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+// ─── cancelCorrectionHandler ──────────────────────────────────────────────────
+
+describe('cancelCorrectionHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 when withdrawn', async () => {
+    mockCancelCorrection.mockResolvedValueOnce({ id: 'c1', status: 'cancelled' });
+    const res = mockRes();
+    await cancelCorrectionHandler({ user: USER, params: { correctionId: 'c1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockCancelCorrection).toHaveBeenCalledWith('user1', 'c1');
+  });
+
+  it('returns 409 once reviewed', async () => {
+    mockCancelCorrection.mockRejectedValueOnce(new Error('Correction request is already approved'));
+    const res = mockRes();
+    await cancelCorrectionHandler({ user: USER, params: { correctionId: 'c1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,106 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockGetMyOvertimeRequests = jest.fn();
+const mockRequestOvertime = jest.fn();
+const mockCancelOvertimeRequest = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/attendance/overtime.services.js', () => ({
+  getMyOvertimeRequests: mockGetMyOvertimeRequests,
+  requestOvertime: mockRequestOvertime,
+  cancelOvertimeRequest: mockCancelOvertimeRequest,
+}));
+
+const { getMyOvertimeRequestsHandler, requestOvertimeHandler, cancelOvertimeRequestHandler } =
+  await import('../../../src/api/attendance/overtime.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const USER = { uid: 'user1', role: 'user' };
+
+// ─── getMyOvertimeRequestsHandler ─────────────────────────────────────────────
+
+describe('getMyOvertimeRequestsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the status filter', async () => {
+    mockGetMyOvertimeRequests.mockResolvedValueOnce([{ id: 'ot1' }]);
+    const res = mockRes();
+    await getMyOvertimeRequestsHandler({ user: USER, query: { status: 'approved' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'ot1' }] });
+    expect(mockGetMyOvertimeRequests).toHaveBeenCalledWith('user1', { status: 'approved' });
+  });
+});
+
+// ─── requestOvertimeHandler ───────────────────────────────────────────────────
+
+describe('requestOvertimeHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const body = { workDate: '2024-01-15', hours: 2, reason: 'Month-end close' };
+
+  it('returns 201 with the pending request', async () => {
+    mockRequestOvertime.mockResolvedValueOnce({ id: 'ot1', status: 'pending', ...body });
+    const res = mockRes();
+    await requestOvertimeHandler({ user: USER, body }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockRequestOvertime).toHaveBeenCalledWith('user1', body);
+  });
+
+  it('returns 400 for invalid hours', async () => {
+    mockRequestOvertime.mockRejectedValueOnce(
+      new Error('hours must be between 0.25 and 24 in quarter-hour steps'),
+    );
+    const res = mockRes();
+    await requestOvertimeHandler({ user: USER, body: { ...body, hours: 0.1 } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('returns 409 when the date already has an open request', async () => {
+    mockRequestOvertime.mockRejectedValueOnce(
+      new Error('An overtime request for 2024-01-15 is already pending'),
+    );
+    const res = mockRes();
+    await requestOvertimeHandler({ user: USER, body }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+// ─── cancelOvertimeRequestHandler ─────────────────────────────────────────────
+
+describe('cancelOvertimeRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 when cancelled', async () => {
+    mockCancelOvertimeRequest.mockResolvedValueOnce({ id: 'ot1', status: 'cancelled' });
+    const res = mockRes();
+    await cancelOvertimeRequestHandler({ user: USER, params: { requestId: 'ot1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockCancelOvertimeRequest).toHaveBeenCalledWith('user1', 'ot1');
+  });
+
+  it('returns 403 for another user’s request', async () => {
+    mockCancelOvertimeRequest.mockRejectedValueOnce(
+      new Error('Forbidden: This overtime request does not belong to you.'),
+    );
+    const res = mockRes();
+    await cancelOvertimeRequestHandler({ user: USER, params: { requestId: 'ot1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('returns 409 for a rejected request', async () => {
+    mockCancelOvertimeRequest.mockRejectedValueOnce(
+      new Error('Overtime request is already rejected'),
+    );
+    const res = mockRes();
+    await cancelOvertimeRequestHandler({ user: USER, params: { requestId: 'ot1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -0,0 +1,182 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const mockListLeaveTypes = jest.fn();
+const mockGetMyLeaveBalances = jest.fn();
+const mockGetMyLeaveLedger = jest.fn();
+const mockGetMyLeaveRequests = jest.fn();
+const mockRequestLeave = jest.fn();
+const mockCancelLeaveRequest = jest.fn();
+const mockGetUserTimezone = jest.fn();
+
+jest.unstable_mockModule('../../../src/api/leave/leave.services.js', () => ({
+  listLeaveTypes: mockListLeaveTypes,
+  getMyLeaveBalances: mockGetMyLeaveBalances,
+  getMyLeaveLedger: mockGetMyLeaveLedger,
+  getMyLeaveRequests: mockGetMyLeaveRequests,
+  requestLeave: mockRequestLeave,
+  cancelLeaveRequest: mockCancelLeaveRequest,
+}));
+
+jest.unstable_mockModule('../../../src/api/attendance/attendance.services.js', () => ({
+  getUserTimezone: mockGetUserTimezone,
+}));
+
+const {
+  listLeaveTypesHandler,
+  getMyLeaveBalancesHandler,
+  getMyLeaveLedgerHandler,
+  getMyLeaveRequestsHandler,
+  requestLeaveHandler,
+  cancelLeaveRequestHandler,
+} = await import('../../../src/api/leave/leave.controller.js');
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+}
+
+const USER = { uid: 'user1', role: 'user' };
+const BODY = { leaveTypeId: 'VL', startDate: '2024-01-15', endDate: '2024-01-16' };
+
+// ─── listLeaveTypesHandler ────────────────────────────────────────────────────
+
+describe('listLeaveTypesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the leave types', async () => {
+    mockListLeaveTypes.mockResolvedValueOnce([{ id: 'VL' }]);
+    const res = mockRes();
+    await listLeaveTypesHandler({ user: USER }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ count: 1, data: [{ id: 'VL' }] });
+  });
+});
+
+// ─── getMyLeaveBalancesHandler ────────────────────────────────────────────────
+
+describe('getMyLeaveBalancesHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('defaults to the current year in the user timezone', async () => {
+    mockGetUserTimezone.mockResolvedValueOnce('Asia/Manila');
+    mockGetMyLeaveBalances.mockResolvedValueOnce({ uid: 'user1', balances: [] });
+    const res = mockRes();
+    await getMyLeaveBalancesHandler({ user: USER, query: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockGetMyLeaveBalances).toHaveBeenCalledWith('user1', expect.stringMatching(/^\d{4}$/));
+  });
+
+  it('returns 400 for a malformed year', async () => {
+    mockGetMyLeaveBalances.mockRejectedValueOnce(new Error('year must be a 4-digit year'));
+    const res = mockRes();
+    await getMyLeaveBalancesHandler({ user: USER, query: { year: '24' } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockGetUserTimezone).not.toHaveBeenCalled();
+  });
+});
+
+// ─── getMyLeaveLedgerHandler ──────────────────────────────────────────────────
+
+describe('getMyLeaveLedgerHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 with the ledger for the requested year', async () => {
+    const ledger = { uid: 'user1', year: 2024, count: 0, entries: [] };
+    mockGetMyLeaveLedger.mockResolvedValueOnce(ledger);
+    const res = mockRes();
+    await getMyLeaveLedgerHandler({ user: USER, query: { year: '2024' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(ledger);
+    expect(mockGetMyLeaveLedger).toHaveBeenCalledWith('user1', '2024');
+  });
+});
+
+// ─── getMyLeaveRequestsHandler ────────────────────────────────────────────────
+
+describe('getMyLeaveRequestsHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 and passes the filters', async () => {
+    mockGetMyLeaveRequests.mockResolvedValueOnce([]);
+    const res = mockRes();
+    await getMyLeaveRequestsHandler({ user: USER, query: { status: 'pending' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockGetMyLeaveRequests).toHaveBeenCalledWith('user1', {
+      status: 'pending',
+      year: undefined,
+    });
+  });
+});
+
+// ─── requestLeaveHandler ──────────────────────────────────────────────────────
+
+describe('requestLeaveHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 201 with the pending request', async () => {
+    mockRequestLeave.mockResolvedValueOnce({ id: 'r1', status: 'pending', totalDays: 2 });
+    const res = mockRes();
+    await requestLeaveHandler({ user: USER, body: BODY }, res);
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockRequestLeave).toHaveBeenCalledWith('user1', {
+      ...BODY,
+      halfDay: undefined,
+      reason: undefined,
+    });
+  });
+
+  it('returns 404 for an unknown leave type', async () => {
+    mockRequestLeave.mockRejectedValueOnce(new Error('Leave type not found'));
+    const res = mockRes();
+    await requestLeaveHandler({ user: USER, body: BODY }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 409 when it overlaps another request', async () => {
+    mockRequestLeave.mockRejectedValueOnce(new Error('Leave request overlaps pending request r0'));
+    const res = mockRes();
+    await requestLeaveHandler({ user: USER, body: BODY }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('returns 400 when the balance is insufficient', async () => {
+    mockRequestLeave.mockRejectedValueOnce(new Error('Insufficient VL balance'));
+    const res = mockRes();
+    await requestLeaveHandler({ user: USER, body: BODY }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+// ─── cancelLeaveRequestHandler ────────────────────────────────────────────────
+
+describe('cancelLeaveRequestHandler', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('returns 200 when cancelled', async () => {
+    mockCancelLeaveRequest.mockResolvedValueOnce({ id: 'r1', status: 'cancelled' });
+    const res = mockRes();
+    await cancelLeaveRequestHandler({ user: USER, params: { requestId: 'r1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockCancelLeaveRequest).toHaveBeenCalledWith('user1', 'r1');
+  });
+
+  it('returns 403 for another user’s request', async () => {
+    mockCancelLeaveRequest.mockRejectedValueOnce(
+      new Error('Forbidden: This leave request does not belong to you.'),
+    );
+    const res = mockRes();
+    await cancelLeaveRequestHandler({ user: USER, params: { requestId: 'r1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('returns 409 for a request that is already rejected', async () => {
+    mockCancelLeaveRequest.mockRejectedValueOnce(new Error('Leave request is already rejected'));
+    const res = mockRes();
+    await cancelLeaveRequestHandler({ user: USER, params: { requestId: 'r1' } }, res);
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
@@ -74,6 +74,30 @@ describe('register', () => {
     expect(mockAddUser).not.toHaveBeenCalled();
   });
 
+  it('returns 400 when timezone is not a valid IANA name', async () => {
+    mockVerifyIdToken.mockResolvedValueOnce({ uid: 'uid1' });
+    const req = {
+      headers: { authorization: 'Bearer tok' },
+      body: { ...VALID_BODY, timezone: 'GMT+8ish' },
+    };
+    const res = mockRes();
+    await register(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockAddUser).not.toHaveBeenCalled();
+  });
+
+  it('returns 400 when a weekly schedule is invalid', async () => {
+    mockVerifyIdToken.mockResolvedValueOnce({ uid: 'uid1' });
+    const req = {
+      headers: { authorization: 'Bearer tok' },
+      body: { ...VALID_BODY, schedule: { days: { mon: { start: '09:00' } } } },
+    };
+    const res = mockRes();
+    await register(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockAddUser).not.toHaveBeenCalled();
+  });
+
   it('returns 201 on successful registration', async () => {
     mockVerifyIdToken.mockResolvedValueOnce({ uid: 'uid1' });
     mockAddUser.mockResolvedValueOnce({ success: true });
@@ -152,6 +176,9 @@ describe('listAllUsers', () => {
   });
 });
 
+const SUPERADMIN = { uid: 'su0', role: 'superadmin' };
+const REASON = 'Promoted to HR lead';
+
 // ─── grantAdmin ───────────────────────────────────────────────────────────────
 
 describe('grantAdmin', () => {
@@ -165,20 +192,29 @@ describe('grantAdmin', () => {
     expect(mockGrantAdminRole).not.toHaveBeenCalled();
   });
 
+  it('returns 400 without a reason', async () => {
+    const req = { user: SUPERADMIN, body: { uid: 'u1' } };
+    const res = mockRes();
+    await grantAdmin(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockGrantAdminRole).not.toHaveBeenCalled();
+  });
+
   it('returns 200 with updated role on success', async () => {
     mockGrantAdminRole.mockResolvedValueOnce({ uid: 'u1', role: 'admin' });
-    const req = { body: { uid: 'u1' } };
+    const req = { user: SUPERADMIN, body: { uid: 'u1', reason: REASON } };
     const res = mockRes();
     await grantAdmin(req, res);
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith(
       expect.objectContaining({ message: 'Admin role granted', uid: 'u1', role: 'admin' }),
     );
+    expect(mockGrantAdminRole).toHaveBeenCalledWith('u1', { actorUid: 'su0', reason: REASON });
   });
 
   it('returns 404 when target user is not found', async () => {
     mockGrantAdminRole.mockRejectedValueOnce(new Error('Target user not found'));
-    const req = { body: { uid: 'ghost' } };
+    const req = { user: SUPERADMIN, body: { uid: 'ghost', reason: REASON } };
     const res = mockRes();
     await grantAdmin(req, res);
     expect(res.status).toHaveBeenCalledWith(404);
@@ -186,7 +222,7 @@ describe('grantAdmin', () => {
 
   it('returns 400 on other errors (e.g. cannot change superadmin)', async () => {
     mockGrantAdminRole.mockRejectedValueOnce(new Error('Cannot change superadmin role'));
-    const req = { body: { uid: 'su1' } };
+    const req = { user: SUPERADMIN, body: { uid: 'su1', reason: REASON } };
     const res = mockRes();
     await grantAdmin(req, res);
     expect(res.status).toHaveBeenCalledWith(400);
@@ -207,18 +243,19 @@ describe('revokeAdmin', () => {
 
   it('returns 200 with reverted role on success', async () => {
     mockRevokeAdminRole.mockResolvedValueOnce({ uid: 'u1', role: 'user' });
-    const req = { body: { uid: 'u1' } };
+    const req = { user: SUPERADMIN, body: { uid: 'u1', reason: REASON } };
     const res = mockRes();
     await revokeAdmin(req, res);
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.json).toHaveBeenCalledWith(
       expect.objectContaining({ message: 'Admin role revoked', uid: 'u1', role: 'user' }),
     );
+    expect(mockRevokeAdminRole).toHaveBeenCalledWith('u1', { actorUid: 'su0', reason: REASON });
   });
 
   it('returns 404 when target user is not found', async () => {
     mockRevokeAdminRole.mockRejectedValueOnce(new Error('Target user not found'));
-    const req = { body: { uid: 'ghost' } };
+    const req = { user: SUPERADMIN, body: { uid: 'ghost', reason: REASON } };
     const res = mockRes();
     await revokeAdmin(req, res);
     expect(res.status).toHaveBeenCalledWith(404);
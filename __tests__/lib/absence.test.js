@@ -0,0 +1,44 @@
+/**
+ * Unit tests for the pure attendance status of a day.
+ */
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({ db: {}, auth: {} }));
+
+const { dayStatus } = await import('../../src/lib/absence.js');
+
+const WINDOW = { start: '09:00', end: '18:00' };
+const base = { summary: null, hasOpenPunch: false, window: WINDOW, holiday: null, isFuture: false };
+
+describe('dayStatus', () => {
+  it('marks a scheduled day without punches or leave as absent', () => {
+    expect(dayStatus(base)).toBe('absent');
+  });
+
+  it('marks a day with punches or an open punch as present', () => {
+    expect(dayStatus({ ...base, summary: { punches: [{ attendanceId: 'a' }] } })).toBe('present');
+    expect(dayStatus({ ...base, hasOpenPunch: true })).toBe('present');
+    // Summaries predating the punches list were worked
+    expect(dayStatus({ ...base, summary: { regularHours: 8 } })).toBe('present');
+  });
+
+  it('marks a leave-only summary as onLeave', () => {
+    const summary = { punches: [], leave: [{ leaveTypeId: 'VL', days: 1 }] };
+    expect(dayStatus({ ...base, summary })).toBe('onLeave');
+  });
+
+  it('does not mark holidays or rest days as absent', () => {
+    expect(dayStatus({ ...base, holiday: { type: 'regular', name: 'New Year' } })).toBe('holiday');
+    expect(dayStatus({ ...base, window: null })).toBe('restDay');
+  });
+
+  it('counts work on a rest day or holiday as present', () => {
+    const summary = { punches: [{ attendanceId: 'a' }] };
+    expect(dayStatus({ ...base, window: null, summary })).toBe('present');
+    expect(dayStatus({ ...base, holiday: { type: 'special' }, summary })).toBe('present');
+  });
+
+  it('marks future working days as upcoming', () => {
+    expect(dayStatus({ ...base, isFuture: true })).toBe('upcoming');
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_POLICY,
+  normalizePolicy,
+  resolvePolicy,
+  applyGrace,
+  applyOvertimeRules,
+} from '../../src/lib/attendancePolicy.js';
+
+describe('normalizePolicy', () => {
+  it('keeps only the fields that were set', () => {
+    expect(normalizePolicy({ lateGraceMinutes: 10 })).toEqual({ lateGraceMinutes: 10 });
+  });
+
+  it('rejects unknown fields', () => {
+    expect(() => normalizePolicy({ graceMinutes: 10 })).toThrow('Unknown policy field');
+  });
+
+  it('rejects negative, fractional and non-numeric values', () => {
+    expect(() => normalizePolicy({ lateGraceMinutes: -1 })).toThrow('whole number');
+    expect(() => normalizePolicy({ lateGraceMinutes: 2.5 })).toThrow('whole number');
+    expect(() => normalizePolicy({ lateGraceMinutes: '10' })).toThrow('whole number');
+  });
+
+  it('rejects non-objects', () => {
+    expect(() => normalizePolicy(null)).toThrow('must be an object');
+    expect(() => normalizePolicy([1])).toThrow('must be an object');
+  });
+});
+
+describe('resolvePolicy', () => {
+  it('falls back to the all-zero default', () => {
+    expect(resolvePolicy()).toEqual(DEFAULT_POLICY);
+  });
+
+  it('later layers override earlier ones field by field', () => {
+    const org = { lateGraceMinutes: 10, overtimeBlockMinutes: 30 };
+    const template = { lateGraceMinutes: 5 };
+    const user = { overtimeBlockMinutes: 0 };
+    expect(resolvePolicy(org, template, null, user)).toMatchObject({
+      lateGraceMinutes: 5,
+      overtimeBlockMinutes: 0,
+    });
+  });
+});
+
+describe('applyGrace / applyOvertimeRules', () => {
+  it('forgives minutes up to the grace period only', () => {
+    expect(applyGrace(10, 10)).toBe(0);
+    expect(applyGrace(11, 10)).toBe(11);
+  });
+
+  it('applies the minimum before the block size', () => {
+    const rules = { overtimeMinimumMinutes: 30, overtimeBlockMinutes: 30 };
+    expect(applyOvertimeRules(29, rules)).toBe(0);
+    expect(applyOvertimeRules(45, rules)).toBe(30);
+    expect(applyOvertimeRules(90, rules)).toBe(90);
+  });
+});
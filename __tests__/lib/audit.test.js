@@ -0,0 +1,59 @@
+/**
+ * Unit tests for audit entry construction.
+ */
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({ db: {}, auth: {} }));
+
+const { requireReason, auditEntry } = await import('../../src/lib/audit.js');
+
+describe('requireReason', () => {
+  it('returns the trimmed reason', () => {
+    expect(requireReason('  Forgot to punch out ')).toBe('Forgot to punch out');
+  });
+
+  it('rejects a missing or blank reason', () => {
+    expect(() => requireReason(undefined)).toThrow('reason is required');
+    expect(() => requireReason('   ')).toThrow('reason is required');
+  });
+
+  it('rejects an overly long reason', () => {
+    expect(() => requireReason('x'.repeat(501))).toThrow('cannot exceed');
+  });
+});
+
+describe('auditEntry', () => {
+  const fields = {
+    actorUid: 'admin1',
+    action: 'punch.edit',
+    targetType: 'attendance',
+    targetId: 'att1',
+    targetUid: 'user1',
+    before: { punchOut: null },
+    after: { punchOut: '2024-01-15T10:00:00.000Z' },
+    reason: 'Forgot to punch out',
+  };
+
+  it('records actor, action, target, snapshots, reason and time', () => {
+    expect(auditEntry(fields)).toEqual({ ...fields, createdAt: expect.any(String) });
+  });
+
+  it('defaults missing snapshots and the actor to null', () => {
+    const entry = auditEntry({ ...fields, actorUid: undefined, after: undefined });
+    expect(entry.actorUid).toBeNull();
+    expect(entry.after).toBeNull();
+  });
+
+  it('keeps the employee request an entry applies apart from the reason', () => {
+    const request = { type: 'correction', id: 'c1', reason: 'x'.repeat(500) };
+    const entry = auditEntry({ ...fields, reason: 'Approved correction request c1', request });
+    expect(entry.reason).toBe('Approved correction request c1');
+    expect(entry.request).toEqual(request);
+    expect(auditEntry(fields)).not.toHaveProperty('request');
+  });
+
+  it('rejects unknown actions and a missing reason', () => {
+    expect(() => auditEntry({ ...fields, action: 'punch.rename' })).toThrow('Unknown audit action');
+    expect(() => auditEntry({ ...fields, reason: '' })).toThrow('reason is required');
+  });
+});
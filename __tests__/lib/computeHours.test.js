@@ -1,5 +1,5 @@
 ﻿import { describe, it, expect } from '@jest/globals';
-import { computeMetrics } from '../../src/lib/computeHours.js';
+import { computeMetrics, resolveShift } from '../../src/lib/computeHours.js';
 
 const SCHED = { start: '09:00', end: '18:00' };
 
@@ -223,3 +223,559 @@ describe('computeMetrics  combined scenarios', () => {
     expect(r.lateMinutes).toBe(0);
   });
 });
+
+// ─── Timezones
+
+describe('computeMetrics — IANA timezones', () => {
+  it('defaults to Asia/Manila when timezone is omitted', () => {
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-15T01:00:00Z'),
+      punchOut: new Date('2024-01-15T10:00:00Z'),
+      schedule: SCHED,
+    });
+    expect(r.workDate).toBe('2024-01-15');
+    expect(r.regularHours).toBe(9);
+  });
+
+  it('Singapore (UTC+8) — 09:00–18:00 local', () => {
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-15T01:00:00Z'),
+      punchOut: new Date('2024-01-15T10:00:00Z'),
+      schedule: SCHED,
+      timezone: 'Asia/Singapore',
+    });
+    expect(r.regularHours).toBe(9);
+    expect(r.lateMinutes).toBe(0);
+  });
+
+  it('Sydney (AEDT, UTC+11): workDate and lateness use Sydney wall clock', () => {
+    // 09:15 Sydney Jan 16 = 22:15 UTC Jan 15; 18:00 Sydney = 07:00 UTC Jan 16
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-15T22:15:00Z'),
+      punchOut: new Date('2024-01-16T07:00:00Z'),
+      schedule: SCHED,
+      timezone: 'Australia/Sydney',
+    });
+    expect(r.workDate).toBe('2024-01-16');
+    expect(r.lateMinutes).toBe(15);
+    expect(r.regularHours).toBe(8.75);
+    expect(r.undertimeMinutes).toBe(0);
+  });
+
+  it('New York: night diff is measured against local 22:00', () => {
+    // 14:00–23:00 EST Jan 15 = 19:00 UTC Jan 15 → 04:00 UTC Jan 16
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-15T19:00:00Z'),
+      punchOut: new Date('2024-01-16T04:00:00Z'),
+      schedule: { start: '14:00', end: '23:00' },
+      timezone: 'America/New_York',
+    });
+    expect(r.workDate).toBe('2024-01-15');
+    expect(r.regularHours).toBe(9);
+    expect(r.nightDiffHours).toBe(1);
+  });
+
+  it('New York spring-forward day: 09:00–18:00 local is 9 real hours', () => {
+    // 2024-03-10 is a 23-hour day; schedule is after the 02:00 gap (EDT, UTC-4)
+    const r = computeMetrics({
+      punchIn: new Date('2024-03-10T13:00:00Z'),
+      punchOut: new Date('2024-03-10T22:00:00Z'),
+      schedule: SCHED,
+      timezone: 'America/New_York',
+    });
+    expect(r.lateMinutes).toBe(0);
+    expect(r.undertimeMinutes).toBe(0);
+    expect(r.regularHours).toBe(9);
+  });
+
+  it('New York spring-forward night: 00:00–06:00 local is only 5 real ND hours', () => {
+    // 00:00 EST Mar 10 = 05:00 UTC; 06:00 EDT Mar 10 = 10:00 UTC
+    const r = computeMetrics({
+      punchIn: new Date('2024-03-10T05:00:00Z'),
+      punchOut: new Date('2024-03-10T10:00:00Z'),
+      schedule: SCHED,
+      timezone: 'America/New_York',
+    });
+    expect(r.workDate).toBe('2024-03-10');
+    expect(r.nightDiffHours).toBe(5);
+  });
+});
+
+// ─── Overnight schedules ──────────────────────────────────────────────────────
+
+describe('computeMetrics — overnight schedule (22:00–06:00 Manila)', () => {
+  const NIGHT = { start: '22:00', end: '06:00' };
+
+  it('full shift: 8 regular, 8 ND, workDate = shift start date', () => {
+    // 22:00 Manila Jan 15 = 14:00 UTC Jan 15; 06:00 Manila Jan 16 = 22:00 UTC Jan 15
+    const r = compute('2024-01-15T14:00:00Z', '2024-01-15T22:00:00Z', NIGHT);
+    expect(r.workDate).toBe('2024-01-15');
+    expect(r.regularHours).toBe(8);
+    expect(r.overtimeHours).toBe(0);
+    expect(r.nightDiffHours).toBe(8);
+    expect(r.lateMinutes).toBe(0);
+    expect(r.undertimeMinutes).toBe(0);
+    expect(r.totalWorkedHours).toBe(8);
+  });
+
+  it('punch-in after midnight is a late arrival for the previous evening’s shift', () => {
+    // 01:00 Manila Jan 16 = 17:00 UTC Jan 15
+    const r = compute('2024-01-15T17:00:00Z', '2024-01-15T22:00:00Z', NIGHT);
+    expect(r.workDate).toBe('2024-01-15');
+    expect(r.lateMinutes).toBe(180);
+    expect(r.regularHours).toBe(5);
+  });
+
+  it('early punch-out after midnight is undertime, not a capped day', () => {
+    // 22:00 → 04:30 Manila = 14:00 → 20:30 UTC Jan 15
+    const r = compute('2024-01-15T14:00:00Z', '2024-01-15T20:30:00Z', NIGHT);
+    expect(r.undertimeMinutes).toBe(90);
+    expect(r.regularHours).toBe(6.5);
+  });
+
+  it('OT after 06:00 on the next calendar day', () => {
+    // 22:00 → 08:00 Manila = 14:00 Jan 15 → 00:00 UTC Jan 16
+    const r = compute('2024-01-15T14:00:00Z', '2024-01-16T00:00:00Z', NIGHT);
+    expect(r.regularHours).toBe(8);
+    expect(r.overtimeHours).toBe(2);
+    expect(r.totalWorkedHours).toBe(10);
+  });
+
+  it('forgotten punch-out is capped at the next shift start', () => {
+    // 22:00 Manila Jan 15 → 12:00 UTC Jan 17; cap = 22:00 Manila Jan 16 = 14:00 UTC Jan 16
+    const r = compute('2024-01-15T14:00:00Z', '2024-01-17T12:00:00Z', NIGHT);
+    expect(r.workDate).toBe('2024-01-15');
+    expect(r.regularHours).toBe(8);
+    expect(r.overtimeHours).toBe(16);
+  });
+
+  it('punch-in after the overnight end belongs to the same calendar day', () => {
+    // 07:00 Manila Jan 16 = 23:00 UTC Jan 15 → after 06:00, so workDate Jan 16
+    const r = compute('2024-01-15T23:00:00Z', '2024-01-16T01:00:00Z', NIGHT);
+    expect(r.workDate).toBe('2024-01-16');
+    expect(r.regularHours).toBe(0);
+  });
+});
+
+// ─── Weekly schedules ─────────────────────────────────────────────────────────
+
+describe('computeMetrics — weekly schedule (Mon–Fri 09–18, Sat 08–12, Sun rest)', () => {
+  const WEEKDAY = { start: '09:00', end: '18:00' };
+  const WEEKLY = {
+    days: {
+      sun: null,
+      mon: WEEKDAY,
+      tue: WEEKDAY,
+      wed: WEEKDAY,
+      thu: WEEKDAY,
+      fri: WEEKDAY,
+      sat: { start: '08:00', end: '12:00' },
+    },
+  };
+
+  it('Monday uses the weekday window', () => {
+    // Mon 2024-01-15 09:00–18:00 Manila
+    const r = compute('2024-01-15T01:00:00Z', '2024-01-15T10:00:00Z', WEEKLY);
+    expect(r.restDay).toBe(false);
+    expect(r.regularHours).toBe(9);
+    expect(r.overtimeHours).toBe(0);
+  });
+
+  it('Saturday uses the half-day window', () => {
+    // Sat 2024-01-20 08:00–13:00 Manila = 00:00–05:00 UTC
+    const r = compute('2024-01-20T00:00:00Z', '2024-01-20T05:00:00Z', WEEKLY);
+    expect(r.workDate).toBe('2024-01-20');
+    expect(r.lateMinutes).toBe(0);
+    expect(r.regularHours).toBe(4);
+    expect(r.overtimeHours).toBe(1);
+  });
+
+  it('Saturday arrival at 09:00 is late against 08:00', () => {
+    const r = compute('2024-01-20T01:00:00Z', '2024-01-20T04:00:00Z', WEEKLY);
+    expect(r.lateMinutes).toBe(60);
+  });
+
+  it('Sunday rest day: all time is rest-day time, no late or undertime', () => {
+    // Sun 2024-01-21 10:00–14:00 Manila = 02:00–06:00 UTC
+    const r = compute('2024-01-21T02:00:00Z', '2024-01-21T06:00:00Z', WEEKLY);
+    expect(r.restDay).toBe(true);
+    expect(r.regularHours).toBe(0);
+    expect(r.overtimeHours).toBe(0);
+    expect(r.restDayHours).toBe(4);
+    expect(r.restDayOvertimeHours).toBe(0);
+    expect(r.lateMinutes).toBe(0);
+    expect(r.undertimeMinutes).toBe(0);
+    expect(r.totalWorkedHours).toBe(4);
+  });
+
+  it('rest-day work past 8 hours is rest-day OT', () => {
+    // Sun 2024-01-21 08:00–19:00 Manila = 00:00–11:00 UTC
+    const r = compute('2024-01-21T00:00:00Z', '2024-01-21T11:00:00Z', WEEKLY);
+    expect(r.restDayHours).toBe(8);
+    expect(r.restDayOvertimeHours).toBe(3);
+    expect(r.overtimeHours).toBe(0);
+    expect(r.totalWorkedHours).toBe(11);
+    expect(r.category).toBe('restDay');
+  });
+
+  it('the overtime policy applies to rest-day OT', () => {
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-21T00:00:00Z'),
+      punchOut: new Date('2024-01-21T08:50:00Z'),
+      schedule: WEEKLY,
+      policy: { overtimeMinimumMinutes: 30, overtimeBlockMinutes: 30 },
+    });
+    expect(r.raw.restDayOvertimeHours).toBe(0.83);
+    expect(r.restDayOvertimeHours).toBe(0.5);
+  });
+
+  it('overnight Friday shift carries into Saturday morning', () => {
+    const NIGHTS = { days: { fri: { start: '22:00', end: '06:00' } } };
+    // Sat 2024-01-20 01:00 Manila = 17:00 UTC Fri → belongs to Friday's shift
+    const r = compute('2024-01-19T17:00:00Z', '2024-01-19T22:00:00Z', NIGHTS);
+    expect(r.workDate).toBe('2024-01-19');
+    expect(r.lateMinutes).toBe(180);
+    expect(r.regularHours).toBe(5);
+  });
+});
+
+// ─── Roster overrides ─────────────────────────────────────────────────────────
+
+describe('computeMetrics — roster overrides', () => {
+  it('a roster entry replaces the standing schedule for its date', () => {
+    // 14:00–23:00 Manila Jan 12 = 06:00–15:00 UTC
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-12T06:00:00Z'),
+      punchOut: new Date('2024-01-12T15:00:00Z'),
+      schedule: SCHED,
+      roster: { '2024-01-12': { start: '14:00', end: '23:00' } },
+    });
+    expect(r.lateMinutes).toBe(0);
+    expect(r.regularHours).toBe(9);
+    expect(r.overtimeHours).toBe(0);
+    expect(r.nightDiffHours).toBe(1);
+  });
+
+  it('other dates still use the standing schedule', () => {
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-13T06:00:00Z'),
+      punchOut: new Date('2024-01-13T15:00:00Z'),
+      schedule: SCHED,
+      roster: { '2024-01-12': { start: '14:00', end: '23:00' } },
+    });
+    expect(r.lateMinutes).toBe(300);
+  });
+
+  it('a null roster entry is a rostered day off', () => {
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-12T01:00:00Z'),
+      punchOut: new Date('2024-01-12T05:00:00Z'),
+      schedule: SCHED,
+      roster: { '2024-01-12': null },
+    });
+    expect(r.restDay).toBe(true);
+    expect(r.restDayHours).toBe(4);
+  });
+
+  it('a rostered overnight shift on the previous day owns an after-midnight punch-in', () => {
+    // 00:30 Manila Jan 13 = 16:30 UTC Jan 12
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-12T16:30:00Z'),
+      punchOut: new Date('2024-01-12T22:00:00Z'),
+      schedule: SCHED,
+      roster: { '2024-01-12': { start: '22:00', end: '06:00' } },
+    });
+    expect(r.workDate).toBe('2024-01-12');
+    expect(r.lateMinutes).toBe(150);
+  });
+});
+
+// ─── Date-dependent schedules ─────────────────────────────────────────────────
+
+describe('computeMetrics — schedule resolver function', () => {
+  it('calls the resolver with the workDate and uses its window', () => {
+    const seen = [];
+    const resolver = (workDate) => {
+      seen.push(workDate);
+      return workDate >= '2024-02-01' ? { start: '10:00', end: '19:00' } : SCHED;
+    };
+    // 10:00 Manila Feb 1 = 02:00 UTC
+    const r = computeMetrics({
+      punchIn: new Date('2024-02-01T02:00:00Z'),
+      punchOut: new Date('2024-02-01T11:00:00Z'),
+      schedule: resolver,
+    });
+    expect(seen).toContain('2024-02-01');
+    expect(r.lateMinutes).toBe(0);
+    expect(r.regularHours).toBe(9);
+  });
+});
+
+// ─── Attendance policy ────────────────────────────────────────────────────────
+
+describe('computeMetrics — attendance policy', () => {
+  const POLICY = {
+    lateGraceMinutes: 10,
+    clockInRoundingMinutes: 5,
+    overtimeMinimumMinutes: 30,
+    overtimeBlockMinutes: 30,
+  };
+
+  function withPolicy(piISO, poISO, policy = POLICY) {
+    return computeMetrics({
+      punchIn: new Date(piISO),
+      punchOut: new Date(poISO),
+      schedule: SCHED,
+      policy,
+    });
+  }
+
+  it('no policy → adjusted figures equal the raw ones', () => {
+    const r = compute('2024-01-15T01:07:00Z', '2024-01-15T10:45:00Z');
+    expect(r.lateMinutes).toBe(7);
+    expect(r.overtimeHours).toBe(0.75);
+    expect(r.raw).toEqual({
+      regularHours: r.regularHours,
+      overtimeHours: r.overtimeHours,
+      restDayHours: r.restDayHours,
+      restDayOvertimeHours: r.restDayOvertimeHours,
+      nightDiffHours: r.nightDiffHours,
+      lateMinutes: r.lateMinutes,
+      undertimeMinutes: r.undertimeMinutes,
+      totalWorkedHours: r.totalWorkedHours,
+      breakMinutes: r.breakMinutes,
+      breakDeducted: r.breakDeducted,
+    });
+  });
+
+  it('lateness within the grace period is forgiven', () => {
+    // 09:08 Manila → rounded to 09:10 → 10 min late, within grace
+    const r = withPolicy('2024-01-15T01:08:00Z', '2024-01-15T10:00:00Z');
+    expect(r.raw.lateMinutes).toBe(8);
+    expect(r.lateMinutes).toBe(0);
+  });
+
+  it('lateness beyond the grace period counts in full', () => {
+    // 09:13 Manila → rounded to 09:15 → 15 min late, past the 10-minute grace
+    const r = withPolicy('2024-01-15T01:13:00Z', '2024-01-15T10:00:00Z');
+    expect(r.raw.lateMinutes).toBe(13);
+    expect(r.lateMinutes).toBe(15);
+    expect(r.regularHours).toBe(8.75);
+  });
+
+  it('clock-in rounds to the nearest 5 minutes either way', () => {
+    // 08:58 Manila → 09:00
+    const r = withPolicy('2024-01-15T00:58:00Z', '2024-01-15T10:00:00Z', {
+      clockInRoundingMinutes: 5,
+    });
+    expect(r.lateMinutes).toBe(0);
+    // 09:02 Manila → 09:00
+    const r2 = withPolicy('2024-01-15T01:02:00Z', '2024-01-15T10:00:00Z', {
+      clockInRoundingMinutes: 5,
+    });
+    expect(r2.raw.lateMinutes).toBe(2);
+    expect(r2.lateMinutes).toBe(0);
+    expect(r2.regularHours).toBe(9);
+  });
+
+  it('overtime below the minimum is not counted', () => {
+    // 18:25 punch-out → 25 min OT
+    const r = withPolicy('2024-01-15T01:00:00Z', '2024-01-15T10:25:00Z');
+    expect(r.raw.overtimeHours).toBe(0.42);
+    expect(r.overtimeHours).toBe(0);
+    expect(r.totalWorkedHours).toBe(9);
+  });
+
+  it('overtime is counted in whole 30-minute blocks', () => {
+    // 19:20 punch-out → 80 min OT → 60 min
+    const r = withPolicy('2024-01-15T01:00:00Z', '2024-01-15T11:20:00Z');
+    expect(r.raw.overtimeHours).toBe(1.33);
+    expect(r.overtimeHours).toBe(1);
+    expect(r.totalWorkedHours).toBe(10);
+    expect(r.raw.totalWorkedHours).toBe(10.33);
+  });
+
+  it('undertime grace forgives an early departure', () => {
+    // 17:55 punch-out → 5 min undertime
+    const r = withPolicy('2024-01-15T01:00:00Z', '2024-01-15T09:55:00Z', {
+      undertimeGraceMinutes: 5,
+    });
+    expect(r.raw.undertimeMinutes).toBe(5);
+    expect(r.undertimeMinutes).toBe(0);
+  });
+
+  it('rounds on the local clock in half-hour-offset timezones', () => {
+    // 09:00 Kolkata (UTC+5:30) = 03:30 UTC; rounding to 60 min must keep 09:00
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-15T03:29:00Z'),
+      punchOut: new Date('2024-01-15T12:30:00Z'),
+      schedule: SCHED,
+      timezone: 'Asia/Kolkata',
+      policy: { clockInRoundingMinutes: 60 },
+    });
+    expect(r.lateMinutes).toBe(0);
+    expect(r.regularHours).toBe(9);
+  });
+
+  it('accepts a (workDate) => policy resolver', () => {
+    const r = computeMetrics({
+      punchIn: new Date('2024-01-15T01:08:00Z'),
+      punchOut: new Date('2024-01-15T10:00:00Z'),
+      schedule: SCHED,
+      policy: (workDate) => (workDate === '2024-01-15' ? { lateGraceMinutes: 10 } : {}),
+    });
+    expect(r.lateMinutes).toBe(0);
+  });
+});
+
+// ─── Meal breaks ──────────────────────────────────────────────────────────────
+
+describe('computeMetrics — fixed meal break (09:00–18:00, lunch 12:00–13:00 Manila)', () => {
+  const LUNCH = { ...SCHED, break: { start: '12:00', end: '13:00' } };
+
+  it('a full day in one pair is 8 regular hours', () => {
+    const r = compute('2024-01-15T01:00:00Z', '2024-01-15T10:00:00Z', LUNCH);
+    expect(r.regularHours).toBe(8);
+    expect(r.totalWorkedHours).toBe(8);
+    expect(r.breakMinutes).toBe(60);
+    expect(r.break).toMatchObject({ requiredMinutes: 60 });
+    expect(r.raw.regularHours).toBe(8);
+  });
+
+  it('arriving after lunch does not count the break as late', () => {
+    // 13:00 Manila = 05:00 UTC
+    const r = compute('2024-01-15T05:00:00Z', '2024-01-15T10:00:00Z', LUNCH);
+    expect(r.lateMinutes).toBe(180);
+    expect(r.regularHours).toBe(5);
+    expect(r.breakMinutes).toBe(0);
+  });
+
+  it('leaving mid-lunch deducts only the worked part and skips the break in undertime', () => {
+    // 09:00–12:30 Manila
+    const r = compute('2024-01-15T01:00:00Z', '2024-01-15T04:30:00Z', LUNCH);
+    expect(r.regularHours).toBe(3);
+    expect(r.breakMinutes).toBe(30);
+    expect(r.undertimeMinutes).toBe(300);
+  });
+
+  it('an overnight break after midnight is deducted from night differential too', () => {
+    const NIGHT = { start: '22:00', end: '06:00', break: { start: '02:00', end: '03:00' } };
+    // 22:00 Jan 15 → 06:00 Jan 16 Manila
+    const r = compute('2024-01-15T14:00:00Z', '2024-01-15T22:00:00Z', NIGHT);
+    expect(r.regularHours).toBe(7);
+    expect(r.nightDiffHours).toBe(7);
+    expect(r.breakDeducted).toEqual({ regularHours: 1, overtimeHours: 0, nightDiffHours: 1 });
+  });
+});
+
+describe('computeMetrics — automatic meal break (after 5h, 60 min)', () => {
+  const AUTO = { ...SCHED, break: { afterHours: 5, minutes: 60 } };
+
+  it('deducts the break from a 9-hour pair', () => {
+    const r = compute('2024-01-15T01:00:00Z', '2024-01-15T10:00:00Z', AUTO);
+    expect(r.regularHours).toBe(8);
+    expect(r.breakMinutes).toBe(60);
+  });
+
+  it('deducts only the part worked past 5 continuous hours', () => {
+    // 09:00–14:30 Manila → break would run 14:00–15:00
+    const r = compute('2024-01-15T01:00:00Z', '2024-01-15T06:30:00Z', AUTO);
+    expect(r.regularHours).toBe(5);
+    expect(r.breakMinutes).toBe(30);
+  });
+
+  it('no deduction under 5 hours, and the skipped break is not undertime', () => {
+    // 09:00–13:00 Manila
+    const r = compute('2024-01-15T01:00:00Z', '2024-01-15T05:00:00Z', AUTO);
+    expect(r.regularHours).toBe(4);
+    expect(r.breakMinutes).toBe(0);
+    expect(r.undertimeMinutes).toBe(240);
+  });
+
+  it('rest days have no break rule', () => {
+    const weekly = { days: { mon: AUTO, sun: null } };
+    // Sunday Jan 14, 09:00–18:00 Manila
+    const r = compute('2024-01-14T01:00:00Z', '2024-01-14T10:00:00Z', weekly);
+    expect(r.totalWorkedHours).toBe(9);
+    expect(r.break).toBeNull();
+  });
+});
+
+// ─── Holidays ─────────────────────────────────────────────────────────────────
+
+describe('computeMetrics — holiday categories', () => {
+  const HOLIDAYS = {
+    '2024-12-25': { type: 'regular', name: 'Christmas Day' },
+    '2024-12-24': { type: 'special', name: 'Christmas Eve' },
+  };
+
+  function onDate(piISO, poISO, schedule = SCHED) {
+    return computeMetrics({
+      punchIn: new Date(piISO),
+      punchOut: new Date(poISO),
+      schedule,
+      holidays: HOLIDAYS,
+    });
+  }
+
+  it('ordinary days are categorised as ordinary', () => {
+    const r = onDate('2024-12-23T01:00:00Z', '2024-12-23T10:00:00Z');
+    expect(r.category).toBe('ordinary');
+    expect(r.holiday).toBeNull();
+  });
+
+  it('tags regular and special holidays', () => {
+    const xmas = onDate('2024-12-25T01:00:00Z', '2024-12-25T10:00:00Z');
+    expect(xmas.category).toBe('regularHoliday');
+    expect(xmas.holiday).toEqual({ type: 'regular', name: 'Christmas Day' });
+    expect(xmas.regularHours).toBe(9);
+
+    const eve = onDate('2024-12-24T01:00:00Z', '2024-12-24T10:00:00Z');
+    expect(eve.category).toBe('specialHoliday');
+  });
+
+  it('a holiday on a rest day gets the combined category', () => {
+    // Wednesday Dec 25 as a rest day
+    const r = onDate('2024-12-25T01:00:00Z', '2024-12-25T10:00:00Z', {
+      days: { mon: SCHED, wed: null },
+    });
+    expect(r.category).toBe('regularHolidayRestDay');
+  });
+
+  it('an overnight shift belongs to the category of the day it starts', () => {
+    // 22:00 Dec 24 → 06:00 Dec 25 Manila
+    const r = onDate('2024-12-24T14:00:00Z', '2024-12-24T22:00:00Z', {
+      start: '22:00',
+      end: '06:00',
+    });
+    expect(r.workDate).toBe('2024-12-24');
+    expect(r.category).toBe('specialHoliday');
+  });
+});
+
+describe('resolveShift', () => {
+  it('returns the workDate and shift bounds of a day shift', () => {
+    const shift = resolveShift({ punchIn: new Date('2024-01-15T01:00:00Z'), schedule: SCHED });
+    expect(shift.workDate).toBe('2024-01-15');
+    expect(new Date(shift.shiftStartMs).toISOString()).toBe('2024-01-15T01:00:00.000Z');
+    expect(new Date(shift.shiftEndMs).toISOString()).toBe('2024-01-15T10:00:00.000Z');
+  });
+
+  it('attributes an early-morning punch-in to the previous overnight shift', () => {
+    const shift = resolveShift({
+      punchIn: new Date('2024-01-15T17:30:00Z'), // 01:30 Manila Jan 16
+      schedule: { start: '22:00', end: '06:00' },
+    });
+    expect(shift.workDate).toBe('2024-01-15');
+    expect(new Date(shift.shiftEndMs).toISOString()).toBe('2024-01-15T22:00:00.000Z');
+  });
+
+  it('has no shift bounds on a rostered day off', () => {
+    const shift = resolveShift({
+      punchIn: new Date('2024-01-15T01:00:00Z'),
+      schedule: SCHED,
+      roster: { '2024-01-15': null },
+    });
+    expect(shift).toMatchObject({ workDate: '2024-01-15', shiftStartMs: null, shiftEndMs: null });
+  });
+});
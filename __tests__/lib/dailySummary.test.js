@@ -0,0 +1,349 @@
+/**
+ * Unit tests for the pure daily summary aggregation.
+ */
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({ db: {}, auth: {} }));
+
+const { computeMetrics } = await import('../../src/lib/computeHours.js');
+const {
+  isCountedRecord,
+  summarizeDay,
+  sumSummaries,
+  withLeave,
+  withOvertimeApproval,
+  buildDaySummary,
+} = await import('../../src/lib/dailySummary.js');
+
+function record(id, punchIn, punchOut, metrics) {
+  return { id, punchIn, punchOut, metrics: { workDate: '2024-01-15', ...metrics } };
+}
+
+describe('isCountedRecord', () => {
+  it('counts closed records with metrics', () => {
+    expect(isCountedRecord(record('a', 'x', 'y', {}))).toBe(true);
+  });
+
+  it('skips open and voided records', () => {
+    expect(isCountedRecord({ punchIn: 'x', punchOut: null, metrics: null })).toBe(false);
+    expect(isCountedRecord(record('a', 'x', 'VOIDED', {}))).toBe(false);
+  });
+
+  it('skips soft-deleted records', () => {
+    expect(isCountedRecord({ ...record('a', 'x', 'y', {}), deleted: true })).toBe(false);
+  });
+});
+
+describe('summarizeDay', () => {
+  const morning = record('a', '2024-01-15T01:10:00.000Z', '2024-01-15T04:00:00.000Z', {
+    regularHours: 2.83,
+    overtimeHours: 0,
+    nightDiffHours: 0,
+    lateMinutes: 10,
+    undertimeMinutes: 300,
+    totalWorkedHours: 2.83,
+  });
+  const afternoon = record('b', '2024-01-15T05:00:00.000Z', '2024-01-15T10:30:00.000Z', {
+    regularHours: 5,
+    overtimeHours: 0.5,
+    nightDiffHours: 0,
+    lateMinutes: 240,
+    undertimeMinutes: 0,
+    totalWorkedHours: 5.5,
+  });
+
+  it('sums hours, takes late from the first pair and undertime from the last', () => {
+    const summary = summarizeDay([afternoon, morning]);
+    expect(summary).toMatchObject({
+      regularHours: 7.83,
+      overtimeHours: 0.5,
+      totalWorkedHours: 8.33,
+      lateMinutes: 10,
+      undertimeMinutes: 0,
+    });
+    expect(summary.punches.map((p) => p.attendanceId)).toEqual(['a', 'b']);
+  });
+});
+
+describe('summarizeDay — raw figures', () => {
+  it('aggregates metrics.raw with the same rules, falling back to adjusted', () => {
+    const adjusted = record('a', '2024-01-15T01:08:00Z', '2024-01-15T10:25:00Z', {
+      regularHours: 8.87,
+      overtimeHours: 0,
+      lateMinutes: 0,
+      totalWorkedHours: 8.87,
+      raw: { regularHours: 8.87, overtimeHours: 0.42, lateMinutes: 8, totalWorkedHours: 9.29 },
+    });
+    const legacy = record('b', '2024-01-15T11:00:00Z', '2024-01-15T12:00:00Z', {
+      overtimeHours: 1,
+      totalWorkedHours: 1,
+    });
+    const summary = summarizeDay([adjusted, legacy]);
+    expect(summary.lateMinutes).toBe(0);
+    expect(summary.overtimeHours).toBe(1);
+    expect(summary.raw).toMatchObject({
+      lateMinutes: 8,
+      overtimeHours: 1.42,
+      totalWorkedHours: 10.29,
+    });
+  });
+});
+
+describe('sumSummaries', () => {
+  it('sums adjusted and raw totals across days', () => {
+    const totals = sumSummaries([
+      { lateMinutes: 0, overtimeHours: 1, raw: { lateMinutes: 8, overtimeHours: 1.2 } },
+      { lateMinutes: 15, overtimeHours: 0 },
+    ]);
+    expect(totals).toMatchObject({ lateMinutes: 15, overtimeHours: 1 });
+    expect(totals.raw).toMatchObject({ lateMinutes: 23, overtimeHours: 1.2 });
+  });
+});
+
+describe('summarizeDay — meal breaks on multi-punch days', () => {
+  function pair(id, piISO, poISO, schedule) {
+    const metrics = computeMetrics({
+      punchIn: new Date(piISO),
+      punchOut: new Date(poISO),
+      schedule,
+    });
+    return { id, punchIn: piISO, punchOut: poISO, metrics };
+  }
+
+  const LUNCH = { start: '09:00', end: '18:00', break: { start: '12:00', end: '13:00' } };
+  const AUTO = { start: '09:00', end: '18:00', break: { afterHours: 5, minutes: 60 } };
+
+  it('a lunch punch-out satisfies the fixed break — no double deduction', () => {
+    // 09:00–12:30 and 13:30–18:00 Manila: the 1h gap is the break
+    const summary = summarizeDay([
+      pair('a', '2024-01-15T01:00:00.000Z', '2024-01-15T04:30:00.000Z', LUNCH),
+      pair('b', '2024-01-15T05:30:00.000Z', '2024-01-15T10:00:00.000Z', LUNCH),
+    ]);
+    expect(summary.regularHours).toBe(8);
+    expect(summary.totalWorkedHours).toBe(8);
+    expect(summary.breakMinutes).toBe(0);
+    expect(summary.raw.regularHours).toBe(8);
+  });
+
+  it('a short lunch gap leaves the rest of the break deducted', () => {
+    // 09:00–12:00 and 12:30–18:00 Manila: 30 min gap, 30 min still owed
+    const summary = summarizeDay([
+      pair('a', '2024-01-15T01:00:00.000Z', '2024-01-15T04:00:00.000Z', LUNCH),
+      pair('b', '2024-01-15T04:30:00.000Z', '2024-01-15T10:00:00.000Z', LUNCH),
+    ]);
+    expect(summary.regularHours).toBe(8);
+    expect(summary.breakMinutes).toBe(30);
+  });
+
+  it('a gap counts toward an automatic break', () => {
+    // 09:00–15:00 (auto break deducted) and 15:30–18:00 Manila
+    const summary = summarizeDay([
+      pair('a', '2024-01-15T01:00:00.000Z', '2024-01-15T07:00:00.000Z', AUTO),
+      pair('b', '2024-01-15T07:30:00.000Z', '2024-01-15T10:00:00.000Z', AUTO),
+    ]);
+    expect(summary.breakMinutes).toBe(30);
+    expect(summary.regularHours).toBe(8);
+  });
+
+  it('gaps after the shift do not count toward the break', () => {
+    // 09:00–18:00 straight, then 19:00–20:00 Manila
+    const summary = summarizeDay([
+      pair('a', '2024-01-15T01:00:00.000Z', '2024-01-15T10:00:00.000Z', LUNCH),
+      pair('b', '2024-01-15T11:00:00.000Z', '2024-01-15T12:00:00.000Z', LUNCH),
+    ]);
+    expect(summary.breakMinutes).toBe(60);
+    expect(summary.regularHours).toBe(8);
+    expect(summary.overtimeHours).toBe(1);
+  });
+});
+
+describe('holiday categories', () => {
+  it('summarizeDay carries the category and breaks hours down by it', () => {
+    const r = record('a', '2024-12-25T01:00:00Z', '2024-12-25T11:00:00Z', {
+      category: 'regularHoliday',
+      holiday: { type: 'regular', name: 'Christmas Day' },
+      regularHours: 9,
+      overtimeHours: 1,
+      nightDiffHours: 0,
+      totalWorkedHours: 10,
+    });
+    const summary = summarizeDay([r]);
+    expect(summary.category).toBe('regularHoliday');
+    expect(summary.holiday).toEqual({ type: 'regular', name: 'Christmas Day' });
+    expect(summary.byCategory).toEqual({
+      regularHoliday: { regularHours: 9, overtimeHours: 1, nightDiffHours: 0 },
+    });
+  });
+
+  it('sumSummaries merges categories, treating legacy days as ordinary', () => {
+    const totals = sumSummaries([
+      {
+        regularHours: 8,
+        byCategory: { regularHoliday: { regularHours: 8, overtimeHours: 0, nightDiffHours: 0 } },
+      },
+      { regularHours: 8, overtimeHours: 2 },
+      {
+        regularHours: 4,
+        byCategory: { ordinary: { regularHours: 4, overtimeHours: 0, nightDiffHours: 1 } },
+      },
+    ]);
+    expect(totals.byCategory).toEqual({
+      regularHoliday: { regularHours: 8, overtimeHours: 0, nightDiffHours: 0 },
+      ordinary: { regularHours: 12, overtimeHours: 2, nightDiffHours: 1 },
+    });
+  });
+});
+
+describe('rest days', () => {
+  const WEEKLY = { days: { mon: { start: '09:00', end: '18:00' }, sun: null } };
+
+  function pair(id, piISO, poISO, policy) {
+    const metrics = computeMetrics({
+      punchIn: new Date(piISO),
+      punchOut: new Date(poISO),
+      schedule: WEEKLY,
+      policy,
+    });
+    return { id, punchIn: piISO, punchOut: poISO, metrics };
+  }
+
+  it('applies the 8-hour rest-day threshold across the whole day', () => {
+    // Sunday 2024-01-21, 08:00–13:00 and 14:00–19:00 Manila: 10h of rest-day work
+    const summary = summarizeDay([
+      pair('a', '2024-01-21T00:00:00.000Z', '2024-01-21T05:00:00.000Z'),
+      pair('b', '2024-01-21T06:00:00.000Z', '2024-01-21T11:00:00.000Z'),
+    ]);
+    expect(summary.restDay).toBe(true);
+    expect(summary.restDayHours).toBe(8);
+    expect(summary.restDayOvertimeHours).toBe(2);
+    expect(summary.overtimeHours).toBe(0);
+    expect(summary.lateMinutes).toBe(0);
+    expect(summary.undertimeMinutes).toBe(0);
+    expect(summary.byCategory).toEqual({
+      restDay: { regularHours: 8, overtimeHours: 2, nightDiffHours: 0 },
+    });
+  });
+
+  it('applies the OT minimum to rest-day OT across the whole day', () => {
+    // Sunday 08:00–13:00 and 14:00–17:15 Manila: 8h15m, 15 minutes past the threshold
+    const policy = { overtimeMinimumMinutes: 30 };
+    const summary = summarizeDay([
+      pair('a', '2024-01-21T00:00:00.000Z', '2024-01-21T05:00:00.000Z', policy),
+      pair('b', '2024-01-21T06:00:00.000Z', '2024-01-21T09:15:00.000Z', policy),
+    ]);
+    expect(summary.restDayHours).toBe(8);
+    expect(summary.restDayOvertimeHours).toBe(0);
+    expect(summary.totalWorkedHours).toBe(8);
+    expect(summary.raw.restDayOvertimeHours).toBe(0.25);
+  });
+
+  it('sumSummaries totals the rest-day buckets', () => {
+    const totals = sumSummaries([
+      { restDay: true, category: 'restDay', restDayHours: 8, restDayOvertimeHours: 1 },
+      { regularHours: 8 },
+    ]);
+    expect(totals).toMatchObject({ regularHours: 8, restDayHours: 8, restDayOvertimeHours: 1 });
+    expect(totals.byCategory.restDay).toEqual({
+      regularHours: 8,
+      overtimeHours: 1,
+      nightDiffHours: 0,
+    });
+  });
+});
+
+describe('withLeave', () => {
+  const VL = { requestId: 'r1', leaveTypeId: 'VL', paid: true, days: 1, hours: 8 };
+
+  it('builds a leave-only day with paid leave hours', () => {
+    const day = withLeave(null, [VL]);
+    expect(day).toMatchObject({
+      category: 'ordinary',
+      regularHours: 0,
+      totalWorkedHours: 0,
+      paidLeaveHours: 8,
+      punches: [],
+      leave: [VL],
+    });
+    expect(day.raw.paidLeaveHours).toBe(8);
+  });
+
+  it('adds half-day leave to a worked day and ignores unpaid leave hours', () => {
+    const worked = summarizeDay([
+      record('a', '2024-01-15T05:00:00.000Z', '2024-01-15T09:00:00.000Z', { regularHours: 4 }),
+    ]);
+    const lwop = { requestId: 'r2', leaveTypeId: 'LWOP', paid: false, days: 0.5, hours: 4 };
+    const day = withLeave(worked, [{ ...VL, days: 0.5, hours: 4 }, lwop]);
+    expect(day.regularHours).toBe(4);
+    expect(day.paidLeaveHours).toBe(4);
+    expect(day.leave).toHaveLength(2);
+  });
+
+  it('sumSummaries totals paid leave hours', () => {
+    const totals = sumSummaries([withLeave(null, [VL]), { regularHours: 8 }]);
+    expect(totals).toMatchObject({ regularHours: 8, paidLeaveHours: 8 });
+  });
+});
+
+describe('withOvertimeApproval', () => {
+  const overtimeDay = () =>
+    summarizeDay([
+      record('a', '2024-01-15T01:00:00.000Z', '2024-01-15T13:00:00.000Z', {
+        regularHours: 8,
+        overtimeHours: 3,
+        raw: { regularHours: 8, overtimeHours: 3.5 },
+      }),
+    ]);
+
+  it('splits worked OT against the approved hours', () => {
+    const day = withOvertimeApproval(overtimeDay(), 2);
+    expect(day).toMatchObject({
+      overtimeHours: 3,
+      approvedOvertimeHours: 2,
+      unapprovedOvertimeHours: 1,
+    });
+    expect(day.raw).toMatchObject({ approvedOvertimeHours: 2, unapprovedOvertimeHours: 1.5 });
+  });
+
+  it('never approves more than was worked', () => {
+    const day = withOvertimeApproval(overtimeDay(), 5);
+    expect(day.approvedOvertimeHours).toBe(3);
+    expect(day.unapprovedOvertimeHours).toBe(0);
+  });
+
+  it('counts rest-day OT', () => {
+    const day = withOvertimeApproval(
+      summarizeDay([
+        record('a', '2024-01-13T01:00:00.000Z', '2024-01-13T11:00:00.000Z', {
+          restDay: true,
+          category: 'restDay',
+          restDayHours: 10,
+        }),
+      ]),
+      0,
+    );
+    expect(day.restDayOvertimeHours).toBe(2);
+    expect(day.unapprovedOvertimeHours).toBe(2);
+  });
+
+  it('buildDaySummary applies leave and OT approval, or returns null for an empty day', () => {
+    expect(buildDaySummary([], [], 2)).toBeNull();
+    const day = buildDaySummary(
+      [record('a', '2024-01-15T01:00:00.000Z', '2024-01-15T13:00:00.000Z', { overtimeHours: 3 })],
+      [],
+      1,
+    );
+    expect(day).toMatchObject({ approvedOvertimeHours: 1, unapprovedOvertimeHours: 2, leave: [] });
+  });
+
+  it('sumSummaries totals approved and unapproved OT', () => {
+    const totals = sumSummaries([
+      withOvertimeApproval(overtimeDay(), 2),
+      withOvertimeApproval(overtimeDay(), 0),
+    ]);
+    expect(totals).toMatchObject({
+      overtimeHours: 6,
+      approvedOvertimeHours: 2,
+      unapprovedOvertimeHours: 4,
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for report department filters and rollups.
+ */
+import { describe, it, expect } from '@jest/globals';
+import { filterByEmployee, departmentRollups } from '../../src/lib/departments.js';
+
+const row = (uid, department, position, metrics = {}) => ({
+  uid,
+  ...metrics,
+  employee: department === undefined ? null : { department, position },
+});
+
+const rows = [
+  row('u1', 'Ops', 'Clerk', {
+    regularHours: 8,
+    overtimeHours: 2,
+    lateMinutes: 10,
+    totalWorkedHours: 10,
+  }),
+  row('u2', 'ops', 'Supervisor', { regularHours: 8, nightDiffHours: 1.5, totalWorkedHours: 8 }),
+  row('u3', 'Finance', 'Clerk', { regularHours: 7.5, lateMinutes: 30, totalWorkedHours: 7.5 }),
+  row('u4', 'Ops', 'Clerk'), // absent: no figures
+  row('u5', undefined),
+];
+
+describe('filterByEmployee', () => {
+  it('matches department and position case-insensitively', () => {
+    expect(filterByEmployee(rows, { department: 'OPS' }).map((r) => r.uid)).toEqual([
+      'u1',
+      'u2',
+      'u4',
+    ]);
+    expect(
+      filterByEmployee(rows, { department: 'ops', position: 'clerk' }).map((r) => r.uid),
+    ).toEqual(['u1', 'u4']);
+    expect(filterByEmployee(rows, { position: 'Clerk' }).map((r) => r.uid)).toEqual([
+      'u1',
+      'u3',
+      'u4',
+    ]);
+  });
+
+  it('keeps every row without filters', () => {
+    expect(filterByEmployee(rows)).toHaveLength(5);
+    expect(filterByEmployee(rows, { department: '', position: undefined })).toHaveLength(5);
+  });
+});
+
+describe('departmentRollups', () => {
+  it('totals hours and averages worked hours per employee', () => {
+    // 'Ops' and 'ops' are the same department
+    expect(departmentRollups(filterByEmployee(rows, { department: 'Ops' }))).toEqual([
+      {
+        department: 'Ops',
+        headcount: 3,
+        regularHours: 16,
+        overtimeHours: 2,
+        nightDiffHours: 1.5,
+        lateMinutes: 10,
+        totalWorkedHours: 18,
+        averageWorkedHours: 6,
+      },
+    ]);
+  });
+
+  it('sorts by department with employees without one last', () => {
+    expect(departmentRollups(rows).map((r) => r.department)).toEqual(['Finance', 'Ops', null]);
+  });
+
+  it('reads period figures through metricsOf', () => {
+    const entries = [
+      {
+        uid: 'u1',
+        totals: { regularHours: 40, totalWorkedHours: 42 },
+        employee: { department: 'Ops' },
+      },
+      {
+        uid: 'u2',
+        totals: { regularHours: 32, totalWorkedHours: 32 },
+        employee: { department: 'Ops' },
+      },
+    ];
+    expect(departmentRollups(entries, (e) => e.totals)[0]).toMatchObject({
+      headcount: 2,
+      regularHours: 72,
+      averageWorkedHours: 37,
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the monthly Daily Time Record (CS Form 48) model.
+ */
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({ db: {}, auth: {} }));
+
+const { monthDates, dtrTimes, buildDtr } = await import('../../src/lib/dtr.js');
+
+// Manila is UTC+8: 00:00Z is 08:00 local
+const pair = (id, workDate, punchIn, punchOut) => ({
+  id,
+  punchIn,
+  punchOut,
+  metrics: { workDate },
+});
+
+describe('monthDates', () => {
+  it('lists every day of the month, leap years included', () => {
+    expect(monthDates('2024-02')).toHaveLength(29);
+    expect(monthDates('2023-02').at(-1)).toBe('2023-02-28');
+    expect(monthDates('2024-01')[0]).toBe('2024-01-01');
+  });
+
+  it('rejects malformed months', () => {
+    expect(() => monthDates('2024-13')).toThrow('month must be in YYYY-MM format');
+    expect(() => monthDates(undefined)).toThrow('month must be');
+  });
+});
+
+describe('dtrTimes', () => {
+  it('puts a straight day into A.M. arrival and P.M. departure', () => {
+    const day = [pair('a', '2024-01-15', '2024-01-15T00:02:00.000Z', '2024-01-15T09:00:00.000Z')];
+    expect(dtrTimes(day, 'Asia/Manila')).toEqual({
+      amArrival: '08:02',
+      amDeparture: null,
+      pmArrival: null,
+      pmDeparture: '17:00',
+    });
+  });
+
+  it('uses the first and last pairs as the A.M. and P.M. sessions', () => {
+    const day = [
+      pair('b', '2024-01-15', '2024-01-15T05:00:00.000Z', '2024-01-15T09:00:00.000Z'),
+      pair('a', '2024-01-15', '2024-01-15T00:00:00.000Z', '2024-01-15T04:00:00.000Z'),
+    ];
+    expect(dtrTimes(day, 'Asia/Manila')).toEqual({
+      amArrival: '08:00',
+      amDeparture: '12:00',
+      pmArrival: '13:00',
+      pmDeparture: '17:00',
+    });
+  });
+
+  it('places morning-only and afternoon-only days by time of day', () => {
+    const morning = [
+      pair('a', '2024-01-15', '2024-01-15T00:00:00.000Z', '2024-01-15T03:30:00.000Z'),
+    ];
+    expect(dtrTimes(morning, 'Asia/Manila')).toMatchObject({
+      amArrival: '08:00',
+      amDeparture: '11:30',
+    });
+    const afternoon = [
+      pair('a', '2024-01-15', '2024-01-15T05:00:00.000Z', '2024-01-15T09:00:00.000Z'),
+    ];
+    expect(dtrTimes(afternoon, 'Asia/Manila')).toMatchObject({
+      amArrival: null,
+      pmArrival: '13:00',
+      pmDeparture: '17:00',
+    });
+  });
+
+  it('leaves every slot empty on a day without punches', () => {
+    expect(Object.values(dtrTimes([], 'Asia/Manila')).every((v) => v === null)).toBe(true);
+  });
+});
+
+describe('buildDtr', () => {
+  const user = { uid: 'u1', firstName: 'Alice', lastName: 'Smith', department: 'Ops' };
+  const records = [
+    pair('a', '2024-01-15', '2024-01-15T00:10:00.000Z', '2024-01-15T09:00:00.000Z'),
+    { ...pair('v', '2024-01-16', '2024-01-16T00:00:00.000Z', 'VOIDED'), voided: true },
+    {
+      ...pair('d', '2024-01-17', '2024-01-17T00:00:00.000Z', '2024-01-17T09:00:00.000Z'),
+      deleted: true,
+    },
+  ];
+  const summaries = [
+    { workDate: '2024-01-15', lateMinutes: 10, undertimeMinutes: 55 },
+    { workDate: '2024-01-18', leave: [{ leaveTypeId: 'vl' }], paidLeaveHours: 8 },
+    { workDate: '2024-01-20', restDay: true, holiday: null },
+  ];
+
+  const dtr = buildDtr({ month: '2024-01', user, timezone: 'Asia/Manila', records, summaries });
+
+  it('has a row for every day of the month', () => {
+    expect(dtr.monthLabel).toBe('January 2024');
+    expect(dtr.days).toHaveLength(31);
+    expect(dtr.employee).toEqual({
+      uid: 'u1',
+      name: 'Alice Smith',
+      department: 'Ops',
+      position: null,
+    });
+  });
+
+  it('reports tardiness plus undertime in hours and minutes', () => {
+    expect(dtr.days[14]).toMatchObject({
+      day: 15,
+      amArrival: '08:10',
+      pmDeparture: '17:00',
+      undertimeHours: 1,
+      undertimeMinutes: 5,
+    });
+    expect(dtr.totalUndertime).toEqual({ hours: 1, minutes: 5 });
+  });
+
+  it('skips voided and deleted punches', () => {
+    expect(dtr.days[15].amArrival).toBeNull();
+    expect(dtr.days[16].amArrival).toBeNull();
+  });
+
+  it('annotates leave and rest days', () => {
+    expect(dtr.days[17].remark).toBe('On leave');
+    expect(dtr.days[19].remark).toBe('Rest day');
+    expect(dtr.days[0].remark).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for DTR rendering (HTML and PDF).
+ */
+import { PassThrough } from 'stream';
+import { describe, it, expect } from '@jest/globals';
+import { resolveDtrFormat, renderDtrHtml, writeDtrPdf } from '../../src/lib/dtrRender.js';
+
+const day = (n, fields = {}) => ({
+  day: n,
+  workDate: `2024-01-${String(n).padStart(2, '0')}`,
+  amArrival: null,
+  amDeparture: null,
+  pmArrival: null,
+  pmDeparture: null,
+  undertimeHours: null,
+  undertimeMinutes: null,
+  remark: null,
+  ...fields,
+});
+
+const dtr = {
+  month: '2024-01',
+  monthLabel: 'January 2024',
+  employee: { uid: 'u1', name: 'Alice <Smith>' },
+  days: [
+    day(1, { amArrival: '08:10', pmDeparture: '17:00', undertimeHours: 0, undertimeMinutes: 10 }),
+    day(2, { remark: 'On leave' }),
+    ...Array.from({ length: 29 }, (_, i) => day(i + 3)),
+  ],
+  totalUndertime: { hours: 0, minutes: 10 },
+};
+
+describe('resolveDtrFormat', () => {
+  it('defaults to html and accepts pdf', () => {
+    expect(resolveDtrFormat(undefined)).toBe('html');
+    expect(resolveDtrFormat('pdf')).toBe('pdf');
+  });
+
+  it('rejects other formats', () => {
+    expect(() => resolveDtrFormat('csv')).toThrow('format must be one of html, pdf');
+  });
+});
+
+describe('renderDtrHtml', () => {
+  const html = renderDtrHtml(dtr);
+
+  it('follows Civil Service Form No. 48', () => {
+    expect(html).toContain('Civil Service Form No. 48');
+    expect(html).toContain('For the month of <u>January 2024</u>');
+    expect(html).toContain('I certify on my honor');
+    expect(html).toContain('In Charge');
+  });
+
+  it('escapes the employee name', () => {
+    expect(html).toContain('Alice &lt;Smith&gt;');
+    expect(html).not.toContain('<Smith>');
+  });
+
+  it('renders times, undertime and remarks', () => {
+    expect(html).toContain('<tr><td>1</td><td>08:10</td><td></td><td></td><td>17:00</td>');
+    expect(html).toContain('<td colspan="4" class="remark">On leave</td>');
+    expect(html).toContain('<th colspan="5">Total</th><th>0</th><th>10</th>');
+  });
+});
+
+describe('writeDtrPdf', () => {
+  it('writes a one-page PDF', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve) => stream.on('end', resolve));
+
+    writeDtrPdf(dtr, stream);
+    await done;
+
+    const pdf = Buffer.concat(chunks).toString('latin1');
+    expect(pdf.startsWith('%PDF')).toBe(true);
+    expect(pdf).toMatch(/\/Count 1\b/);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { dayCategory, normalizeHoliday } from '../../src/lib/holidays.js';
+
+describe('dayCategory', () => {
+  it('combines holiday type and rest day', () => {
+    expect(dayCategory(null, false)).toBe('ordinary');
+    expect(dayCategory(null, true)).toBe('restDay');
+    expect(dayCategory('special', false)).toBe('specialHoliday');
+    expect(dayCategory('special', true)).toBe('specialHolidayRestDay');
+    expect(dayCategory('regular', false)).toBe('regularHoliday');
+    expect(dayCategory('regular', true)).toBe('regularHolidayRestDay');
+  });
+});
+
+describe('normalizeHoliday', () => {
+  it('returns a clean copy', () => {
+    expect(
+      normalizeHoliday({ date: '2024-12-25', name: ' Christmas Day ', type: 'regular', x: 1 }),
+    ).toEqual({ date: '2024-12-25', name: 'Christmas Day', type: 'regular' });
+  });
+
+  it('rejects missing fields, bad dates and unknown types', () => {
+    expect(() => normalizeHoliday({ date: '2024-12-25' })).toThrow('required');
+    expect(() => normalizeHoliday({ date: '12/25/2024', name: 'X', type: 'regular' })).toThrow(
+      'Invalid holiday date',
+    );
+    expect(() => normalizeHoliday({ date: '2025-02-30', name: 'X', type: 'regular' })).toThrow(
+      'Invalid holiday date',
+    );
+    expect(() => normalizeHoliday({ date: '2025-13-01', name: 'X', type: 'regular' })).toThrow(
+      'Invalid holiday date',
+    );
+    expect(() => normalizeHoliday({ date: '2024-12-25', name: 'X', type: 'local' })).toThrow(
+      'Invalid holiday type',
+    );
+  });
+});
@@ -0,0 +1,175 @@
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({ db: {}, auth: {} }));
+
+const {
+  normalizeLeaveType,
+  normalizeLeaveDates,
+  datesBetween,
+  leaveDays,
+  computeBalance,
+  entitlementFor,
+} = await import('../../src/lib/leave.js');
+
+describe('normalizeLeaveType', () => {
+  it('upper-cases the code and applies defaults', () => {
+    expect(
+      normalizeLeaveType({ code: 'vl', name: ' Vacation ', annualEntitlementDays: 15 }),
+    ).toEqual({
+      code: 'VL',
+      name: 'Vacation',
+      annualEntitlementDays: 15,
+      accrual: null,
+      paid: true,
+      carryOverCap: 0,
+      convertToCash: false,
+    });
+  });
+
+  it('accepts a null entitlement for untracked types', () => {
+    expect(
+      normalizeLeaveType({ code: 'LWOP', name: 'Leave without pay', paid: false }),
+    ).toMatchObject({ annualEntitlementDays: null, paid: false });
+  });
+
+  it('accepts an accrual rule with year-end rules', () => {
+    expect(
+      normalizeLeaveType({
+        code: 'SIL',
+        name: 'Service incentive leave',
+        accrual: { method: 'anniversary', days: 5 },
+        carryOverCap: null,
+        convertToCash: true,
+      }),
+    ).toMatchObject({
+      accrual: { method: 'anniversary', days: 5, afterYears: 1 },
+      carryOverCap: null,
+      convertToCash: true,
+    });
+  });
+
+  it('rejects bad codes, names, entitlements and mixed rules', () => {
+    expect(() => normalizeLeaveType({ code: 'v l', name: 'X' })).toThrow('code is required');
+    expect(() => normalizeLeaveType({ code: 'VL' })).toThrow('name is required');
+    expect(() =>
+      normalizeLeaveType({ code: 'VL', name: 'X', annualEntitlementDays: 1.25 }),
+    ).toThrow('annualEntitlementDays');
+    expect(() =>
+      normalizeLeaveType({
+        code: 'VL',
+        name: 'X',
+        annualEntitlementDays: 15,
+        accrual: { method: 'monthly', days: 1.25 },
+      }),
+    ).toThrow('not both');
+    expect(() => normalizeLeaveType({ code: 'VL', name: 'X', carryOverCap: -1 })).toThrow(
+      'carryOverCap',
+    );
+  });
+});
+
+describe('normalizeLeaveDates', () => {
+  it('rejects reversed, cross-year and multi-day half-day ranges', () => {
+    expect(() => normalizeLeaveDates({ startDate: '2024-01-10', endDate: '2024-01-09' })).toThrow(
+      'before startDate',
+    );
+    expect(() => normalizeLeaveDates({ startDate: '2024-12-30', endDate: '2025-01-02' })).toThrow(
+      'one calendar year',
+    );
+    expect(() =>
+      normalizeLeaveDates({ startDate: '2024-01-10', endDate: '2024-01-11', halfDay: true }),
+    ).toThrow('halfDay');
+  });
+});
+
+describe('datesBetween', () => {
+  it('lists every date inclusive, across month ends', () => {
+    expect(datesBetween('2024-02-28', '2024-03-01')).toEqual([
+      '2024-02-28',
+      '2024-02-29',
+      '2024-03-01',
+    ]);
+    expect(datesBetween('2024-01-02', '2024-01-01')).toEqual([]);
+  });
+
+  it('covers a full leap year but rejects longer ranges instead of truncating', () => {
+    expect(datesBetween('2024-01-01', '2024-12-31')).toHaveLength(366);
+    expect(() => datesBetween('2024-01-01', '2025-01-01')).toThrow(
+      'Date range must be at most 366 days',
+    );
+  });
+
+  it('rejects dates that are not real YYYY-MM-DD dates', () => {
+    expect(() => datesBetween('2024-01-01', 'abc')).toThrow(
+      'startDate and endDate must be valid YYYY-MM-DD dates',
+    );
+    expect(() => datesBetween('2024-02-30', '2024-03-01')).toThrow('must be valid');
+  });
+});
+
+describe('leaveDays', () => {
+  const WINDOW = { start: '08:00', end: '17:00', break: { start: '12:00', end: '13:00' } };
+  // 2024-01-12 is a Friday; weekends are rest days
+  const windowOn = (date) => (['2024-01-13', '2024-01-14'].includes(date) ? null : WINDOW);
+
+  it('skips rest days and holidays and counts scheduled hours net of break', () => {
+    const days = leaveDays(datesBetween('2024-01-12', '2024-01-16'), windowOn, {
+      '2024-01-16': { type: 'special', name: 'X' },
+    });
+    expect(days).toEqual([
+      { date: '2024-01-12', days: 1, hours: 8 },
+      { date: '2024-01-15', days: 1, hours: 8 },
+    ]);
+  });
+
+  it('halves a half-day request', () => {
+    expect(leaveDays(['2024-01-12'], windowOn, {}, true)).toEqual([
+      { date: '2024-01-12', days: 0.5, hours: 4 },
+    ]);
+  });
+});
+
+describe('computeBalance', () => {
+  const VL = { id: 'VL', name: 'Vacation', paid: true };
+
+  it('subtracts approved and pending days of the type from the entitlement', () => {
+    const balance = computeBalance(VL, 15, [
+      { leaveTypeId: 'VL', status: 'approved', totalDays: 3 },
+      { leaveTypeId: 'VL', status: 'pending', totalDays: 0.5 },
+      { leaveTypeId: 'VL', status: 'rejected', totalDays: 5 },
+      { leaveTypeId: 'SL', status: 'approved', totalDays: 2 },
+    ]);
+    expect(balance).toMatchObject({ usedDays: 3, pendingDays: 0.5, availableDays: 11.5 });
+  });
+
+  it('reports no available figure for untracked types', () => {
+    expect(computeBalance(VL, null, []).availableDays).toBeNull();
+  });
+});
+
+describe('entitlementFor', () => {
+  const entries = [
+    { leaveTypeId: 'VL', year: 2024, days: 1.25 },
+    { leaveTypeId: 'VL', year: 2024, days: 1.25 },
+    { leaveTypeId: 'VL', year: 2024, days: -0.5 },
+    { leaveTypeId: 'VL', year: 2023, days: 9 },
+    { leaveTypeId: 'SL', year: 2024, days: 4 },
+  ];
+
+  it('sums the year’s ledger entries for accrual types', () => {
+    const type = { id: 'VL', accrual: { method: 'monthly', days: 1.25 } };
+    expect(entitlementFor(type, undefined, entries, 2024)).toBe(2);
+  });
+
+  it('adds ledger entries to the fixed entitlement or its override', () => {
+    const type = { id: 'SL', annualEntitlementDays: 15 };
+    expect(entitlementFor(type, undefined, entries, 2024)).toBe(19);
+    expect(entitlementFor(type, 10, entries, 2024)).toBe(14);
+  });
+
+  it('is null for untracked types', () => {
+    expect(entitlementFor({ id: 'LWOP', annualEntitlementDays: null }, undefined, [], 2024)).toBe(
+      null,
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import { normalizeAccrual, accrualCredits, yearEndSplit } from '../../src/lib/leaveAccrual.js';
+
+describe('normalizeAccrual', () => {
+  it('returns null when there is no rule and defaults afterYears to 1', () => {
+    expect(normalizeAccrual(null)).toBeNull();
+    expect(normalizeAccrual({ method: 'anniversary', days: 5 })).toEqual({
+      method: 'anniversary',
+      days: 5,
+      afterYears: 1,
+    });
+  });
+
+  it('rejects unknown methods and bad day counts', () => {
+    expect(() => normalizeAccrual({ method: 'weekly', days: 1 })).toThrow('accrual.method');
+    expect(() => normalizeAccrual({ method: 'monthly', days: 0 })).toThrow('accrual.days');
+    expect(() => normalizeAccrual({ method: 'anniversary', days: 5, afterYears: 0 })).toThrow(
+      'afterYears',
+    );
+  });
+});
+
+describe('accrualCredits — monthly', () => {
+  const rule = { method: 'monthly', days: 1.25 };
+
+  it('credits each completed month of the year up to the date', () => {
+    const credits = accrualCredits(rule, '2020-06-01', '2024-03-30');
+    expect(credits).toEqual([
+      { period: '2024-01', date: '2024-01-31', days: 1.25 },
+      { period: '2024-02', date: '2024-02-29', days: 1.25 },
+    ]);
+    expect(accrualCredits(rule, '2020-06-01', '2024-03-31')).toHaveLength(3);
+  });
+
+  it('pro-rates the hire month and skips the months before it', () => {
+    // Hired 2024-04-16: 15 of 30 days employed in April
+    expect(accrualCredits(rule, '2024-04-16', '2024-05-31')).toEqual([
+      { period: '2024-04', date: '2024-04-30', days: 0.63 },
+      { period: '2024-05', date: '2024-05-31', days: 1.25 },
+    ]);
+  });
+});
+
+describe('accrualCredits — anniversary (SIL)', () => {
+  const sil = { method: 'anniversary', days: 5, afterYears: 1 };
+
+  it('credits nothing before a year of service', () => {
+    expect(accrualCredits(sil, '2024-03-10', '2024-12-31')).toEqual([]);
+  });
+
+  it('credits on the service anniversary once it has passed', () => {
+    expect(accrualCredits(sil, '2024-03-10', '2025-03-09')).toEqual([]);
+    expect(accrualCredits(sil, '2024-03-10', '2025-03-10')).toEqual([
+      { period: '2025-03-10', date: '2025-03-10', days: 5 },
+    ]);
+  });
+
+  it('moves a Feb 29 anniversary to Feb 28 in common years', () => {
+    expect(accrualCredits(sil, '2024-02-29', '2025-02-28')).toEqual([
+      { period: '2025-02-28', date: '2025-02-28', days: 5 },
+    ]);
+  });
+});
+
+describe('yearEndSplit', () => {
+  it('forfeits days beyond the carry-over cap by default', () => {
+    expect(yearEndSplit(7.5, { carryOverCap: 5 })).toEqual({
+      carryOver: 5,
+      converted: 0,
+      forfeited: 2.5,
+    });
+    expect(yearEndSplit(3, {})).toEqual({ carryOver: 0, converted: 0, forfeited: 3 });
+  });
+
+  it('converts the excess to cash when enabled, and has no cap when null', () => {
+    expect(yearEndSplit(7.5, { carryOverCap: 5, convertToCash: true })).toEqual({
+      carryOver: 5,
+      converted: 2.5,
+      forfeited: 0,
+    });
+    expect(yearEndSplit(7.5, { carryOverCap: null })).toMatchObject({ carryOver: 7.5 });
+  });
+
+  it('treats an overdrawn balance as nothing left', () => {
+    expect(yearEndSplit(-1, { carryOverCap: 5 })).toEqual({
+      carryOver: 0,
+      converted: 0,
+      forfeited: 0,
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the forgotten open-punch policy.
+ */
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_OPEN_PUNCH_POLICY,
+  normalizeOpenPunchPolicy,
+  resolveOpenPunchPolicy,
+  staleReason,
+  sweepDecision,
+} from '../../src/lib/openPunches.js';
+
+const HOUR = 3_600_000;
+const IN = Date.parse('2024-01-15T01:00:00Z'); // 09:00 Manila
+const END = IN + 9 * HOUR; // 18:00 Manila
+
+describe('normalizeOpenPunchPolicy', () => {
+  it('keeps only the fields given', () => {
+    expect(normalizeOpenPunchPolicy({ action: 'autoClose' })).toEqual({ action: 'autoClose' });
+    expect(normalizeOpenPunchPolicy({ hoursAfterShiftEnd: null })).toEqual({
+      hoursAfterShiftEnd: null,
+    });
+  });
+
+  it('rejects unknown actions and bad hours', () => {
+    expect(() => normalizeOpenPunchPolicy({ action: 'delete' })).toThrow('action must be');
+    expect(() => normalizeOpenPunchPolicy({ maxOpenHours: 0 })).toThrow('maxOpenHours');
+    expect(() => normalizeOpenPunchPolicy({ hoursAfterShiftEnd: -1 })).toThrow(
+      'hoursAfterShiftEnd',
+    );
+  });
+});
+
+describe('resolveOpenPunchPolicy', () => {
+  it('falls back to the defaults', () => {
+    expect(resolveOpenPunchPolicy(null)).toEqual(DEFAULT_OPEN_PUNCH_POLICY);
+  });
+
+  it('keeps a stored null hoursAfterShiftEnd', () => {
+    expect(resolveOpenPunchPolicy({ hoursAfterShiftEnd: null }).hoursAfterShiftEnd).toBeNull();
+  });
+});
+
+describe('staleReason', () => {
+  const policy = DEFAULT_OPEN_PUNCH_POLICY; // 16h open, or shift end + 4h
+
+  it('is null during and shortly after the shift', () => {
+    expect(staleReason(IN, END, IN + 2 * HOUR, policy)).toBeNull();
+    expect(staleReason(IN, END, END + 3 * HOUR, policy)).toBeNull();
+  });
+
+  it('is pastShiftEnd once the grace after shift end has passed', () => {
+    expect(staleReason(IN, END, END + 4 * HOUR, policy)).toBe('pastShiftEnd');
+  });
+
+  it('is maxOpenHours without a scheduled shift', () => {
+    expect(staleReason(IN, null, IN + 15 * HOUR, policy)).toBeNull();
+    expect(staleReason(IN, null, IN + 16 * HOUR, policy)).toBe('maxOpenHours');
+  });
+
+  it('ignores the shift end when the rule is disabled or the punch-in came after it', () => {
+    const noShiftRule = { ...policy, hoursAfterShiftEnd: null };
+    expect(staleReason(IN, END, END + 5 * HOUR, noShiftRule)).toBeNull();
+    expect(staleReason(END + HOUR, END, END + 6 * HOUR, policy)).toBeNull();
+  });
+});
+
+describe('sweepDecision', () => {
+  const autoClose = { ...DEFAULT_OPEN_PUNCH_POLICY, action: 'autoClose' };
+
+  it('closes at the shift end under autoClose', () => {
+    expect(sweepDecision(IN, END, autoClose)).toEqual({ action: 'autoClose', punchOutMs: END });
+  });
+
+  it('flags when there is no usable shift end', () => {
+    expect(sweepDecision(IN, null, autoClose)).toEqual({ action: 'flag' });
+    expect(sweepDecision(END + HOUR, END, autoClose)).toEqual({ action: 'flag' });
+  });
+
+  it('flags under the flag policy', () => {
+    expect(sweepDecision(IN, END, DEFAULT_OPEN_PUNCH_POLICY)).toEqual({ action: 'flag' });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for the pure overtime request helpers.
+ */
+import { jest, describe, it, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({ db: {}, auth: {} }));
+
+const { isOvertimeHours, normalizeOvertimeRequest, splitOvertime } =
+  await import('../../src/lib/overtime.js');
+
+describe('isOvertimeHours', () => {
+  it('accepts quarter-hour steps up to 24', () => {
+    expect(isOvertimeHours(0.25)).toBe(true);
+    expect(isOvertimeHours(2.5)).toBe(true);
+    expect(isOvertimeHours(24)).toBe(true);
+  });
+
+  it('rejects zero, odd fractions and non-numbers', () => {
+    expect(isOvertimeHours(0)).toBe(false);
+    expect(isOvertimeHours(1.1)).toBe(false);
+    expect(isOvertimeHours(25)).toBe(false);
+    expect(isOvertimeHours('2')).toBe(false);
+  });
+});
+
+describe('normalizeOvertimeRequest', () => {
+  it('returns a clean copy with a trimmed reason', () => {
+    expect(
+      normalizeOvertimeRequest({ workDate: '2024-01-15', hours: 2, reason: ' Month-end close ' }),
+    ).toEqual({ workDate: '2024-01-15', hours: 2, reason: 'Month-end close' });
+  });
+
+  it('requires a workDate, valid hours and a reason', () => {
+    expect(() => normalizeOvertimeRequest({ hours: 2, reason: 'x' })).toThrow('workDate');
+    expect(() =>
+      normalizeOvertimeRequest({ workDate: '2024-01-15', hours: 0.1, reason: 'x' }),
+    ).toThrow('hours must be');
+    expect(() => normalizeOvertimeRequest({ workDate: '2024-01-15', hours: 2 })).toThrow(
+      'reason is required',
+    );
+  });
+});
+
+describe('splitOvertime', () => {
+  it('approves up to the approved hours', () => {
+    expect(splitOvertime(3, 2)).toEqual({ approvedOvertimeHours: 2, unapprovedOvertimeHours: 1 });
+  });
+
+  it('caps approval at the hours worked', () => {
+    expect(splitOvertime(1.5, 4)).toEqual({
+      approvedOvertimeHours: 1.5,
+      unapprovedOvertimeHours: 0,
+    });
+  });
+
+  it('leaves all OT unapproved without an approved request', () => {
+    expect(splitOvertime(2.33, 0)).toEqual({
+      approvedOvertimeHours: 0,
+      unapprovedOvertimeHours: 2.33,
+    });
+  });
+});
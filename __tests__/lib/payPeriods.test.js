@@ -0,0 +1,130 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  normalizePeriodDefinition,
+  periodContaining,
+  periodsInYear,
+  resolvePeriod,
+} from '../../src/lib/payPeriods.js';
+
+describe('normalizePeriodDefinition', () => {
+  it('applies defaults and keeps only the fields of the type', () => {
+    expect(normalizePeriodDefinition({ type: 'weekly', cutoffDay: 5 })).toEqual({
+      type: 'weekly',
+      weekStartsOn: 1,
+    });
+    expect(normalizePeriodDefinition({ type: 'semiMonthly' })).toEqual({
+      type: 'semiMonthly',
+      cutoffDays: [15, 31],
+    });
+    expect(normalizePeriodDefinition({ type: 'monthly' })).toEqual({
+      type: 'monthly',
+      cutoffDay: 31,
+    });
+  });
+
+  it('rejects unknown types and bad period fields', () => {
+    expect(() => normalizePeriodDefinition({ type: 'daily' })).toThrow('type must be one of');
+    expect(() => normalizePeriodDefinition({ type: 'weekly', weekStartsOn: 7 })).toThrow(
+      'weekStartsOn must be',
+    );
+    expect(() => normalizePeriodDefinition({ type: 'biweekly' })).toThrow('anchorDate');
+    expect(() => normalizePeriodDefinition({ type: 'semiMonthly', cutoffDays: [25, 10] })).toThrow(
+      'cutoffDays must be',
+    );
+    expect(() => normalizePeriodDefinition({ type: 'monthly', cutoffDay: 32 })).toThrow(
+      'cutoffDay must be',
+    );
+  });
+});
+
+describe('periodContaining', () => {
+  it('finds the weekly period from weekStartsOn', () => {
+    const def = normalizePeriodDefinition({ type: 'weekly', weekStartsOn: 0 });
+    expect(periodContaining(def, '2025-01-08')).toEqual({
+      startDate: '2025-01-05',
+      endDate: '2025-01-11',
+    });
+  });
+
+  it('counts bi-weekly periods from the anchor in both directions', () => {
+    const def = normalizePeriodDefinition({ type: 'biweekly', anchorDate: '2024-01-01' });
+    expect(periodContaining(def, '2024-01-20')).toEqual({
+      startDate: '2024-01-15',
+      endDate: '2024-01-28',
+    });
+    expect(periodContaining(def, '2023-12-25')).toEqual({
+      startDate: '2023-12-18',
+      endDate: '2023-12-31',
+    });
+  });
+
+  it('uses custom semi-monthly cutoffs across the year boundary', () => {
+    const def = normalizePeriodDefinition({ type: 'semiMonthly', cutoffDays: [10, 25] });
+    expect(periodContaining(def, '2025-01-05')).toEqual({
+      startDate: '2024-12-26',
+      endDate: '2025-01-10',
+    });
+    expect(periodContaining(def, '2025-01-11')).toEqual({
+      startDate: '2025-01-11',
+      endDate: '2025-01-25',
+    });
+  });
+
+  it('clamps cutoffs past the end of a short month', () => {
+    const def = normalizePeriodDefinition({ type: 'semiMonthly' });
+    expect(periodContaining(def, '2024-02-20')).toEqual({
+      startDate: '2024-02-16',
+      endDate: '2024-02-29',
+    });
+    expect(periodContaining(def, '2024-03-01')).toEqual({
+      startDate: '2024-03-01',
+      endDate: '2024-03-15',
+    });
+  });
+});
+
+describe('periodsInYear', () => {
+  it('numbers the periods ending in the year', () => {
+    const semi = normalizePeriodDefinition({ type: 'semiMonthly', cutoffDays: [10, 25] });
+    const periods = periodsInYear(semi, 2025);
+    expect(periods).toHaveLength(24);
+    expect(periods[0]).toEqual({
+      number: 1,
+      year: 2025,
+      startDate: '2024-12-26',
+      endDate: '2025-01-10',
+    });
+    expect(periods[23].endDate).toBe('2025-12-25');
+
+    expect(periodsInYear(normalizePeriodDefinition({ type: 'monthly' }), 2024)).toHaveLength(12);
+    expect(periodsInYear(normalizePeriodDefinition({ type: 'weekly' }), 2025)).toHaveLength(52);
+  });
+});
+
+describe('resolvePeriod', () => {
+  const weekly = normalizePeriodDefinition({ type: 'weekly' });
+
+  it('resolves period N of a year', () => {
+    expect(resolvePeriod(weekly, { year: 2025, number: 2 })).toEqual({
+      number: 2,
+      year: 2025,
+      startDate: '2025-01-06',
+      endDate: '2025-01-12',
+    });
+  });
+
+  it('numbers a date by the year its period ends in', () => {
+    expect(resolvePeriod(weekly, { date: '2024-12-31' })).toEqual({
+      number: 1,
+      year: 2025,
+      startDate: '2024-12-30',
+      endDate: '2025-01-05',
+    });
+  });
+
+  it('rejects a period number outside the year', () => {
+    expect(() => resolvePeriod(weekly, { year: 2025, number: 53 })).toThrow(
+      'period must be between 1 and 52',
+    );
+  });
+});
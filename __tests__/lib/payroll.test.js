@@ -0,0 +1,182 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  DEFAULT_PAY_SETTINGS,
+  normalizeCompensation,
+  normalizePaySettings,
+  resolvePaySettings,
+  hourlyRate,
+  computePayLines,
+} from '../../src/lib/payroll.js';
+
+const SETTINGS = resolvePaySettings(null);
+
+describe('normalizeCompensation', () => {
+  it('accepts the three rate types', () => {
+    expect(normalizeCompensation({ rateType: 'daily', rate: 800 })).toEqual({
+      rateType: 'daily',
+      rate: 800,
+    });
+  });
+
+  it('rejects unknown rate types and non-positive rates', () => {
+    expect(() => normalizeCompensation({ rateType: 'weekly', rate: 1 })).toThrow('rateType');
+    expect(() => normalizeCompensation({ rateType: 'hourly', rate: 0 })).toThrow('positive');
+    expect(() => normalizeCompensation({ rateType: 'hourly', rate: '100' })).toThrow('positive');
+  });
+});
+
+describe('pay settings', () => {
+  it('resolves to the default premium table', () => {
+    expect(SETTINGS.premiums.regularHoliday).toEqual({ regular: 2, overtime: 2.6 });
+    expect(SETTINGS.nightDiffRate).toBe(DEFAULT_PAY_SETTINGS.nightDiffRate);
+  });
+
+  it('merges partial premium overrides per category', () => {
+    const settings = resolvePaySettings({ premiums: { ordinary: { overtime: 1.3 } } });
+    expect(settings.premiums.ordinary).toEqual({ regular: 1, overtime: 1.3 });
+  });
+
+  it('rejects unknown categories and bad multipliers', () => {
+    expect(() => normalizePaySettings({ premiums: { birthday: { regular: 2 } } })).toThrow(
+      'Unknown premium category',
+    );
+    expect(() => normalizePaySettings({ premiums: { ordinary: { overtime: -1 } } })).toThrow(
+      'positive multiplier',
+    );
+    expect(() => normalizePaySettings({ nightDiffRate: 10 })).toThrow('fraction');
+  });
+});
+
+describe('hourlyRate', () => {
+  it('converts daily and monthly rates', () => {
+    expect(hourlyRate({ rateType: 'hourly', rate: 90 }, SETTINGS)).toBe(90);
+    expect(hourlyRate({ rateType: 'daily', rate: 800 }, SETTINGS)).toBe(100);
+    expect(hourlyRate({ rateType: 'monthly', rate: 26100 }, SETTINGS)).toBe(150);
+  });
+});
+
+describe('computePayLines', () => {
+  const DAILY = { rateType: 'daily', rate: 800 };
+  const lineOf = (result, type, category) =>
+    result.lines.find((l) => l.type === type && l.category === category);
+
+  it('pays scheduled hours and deducts late, with OT and ND premiums', () => {
+    const result = computePayLines(
+      [
+        {
+          workDate: '2024-01-15',
+          category: 'ordinary',
+          regularHours: 7.5,
+          overtimeHours: 2,
+          nightDiffHours: 1,
+          lateMinutes: 30,
+          undertimeMinutes: 0,
+        },
+      ],
+      () => DAILY,
+      SETTINGS,
+    );
+    expect(lineOf(result, 'regular', 'ordinary')).toMatchObject({ hours: 8, amount: 800 });
+    expect(lineOf(result, 'late', 'ordinary')).toMatchObject({ hours: 0.5, amount: -50 });
+    expect(lineOf(result, 'overtime', 'ordinary')).toMatchObject({ amount: 250 });
+    expect(lineOf(result, 'nightDiff', 'ordinary')).toMatchObject({ amount: 10 });
+    expect(result.grossPay).toBe(1010);
+  });
+
+  it('applies holiday and rest-day premiums', () => {
+    const result = computePayLines(
+      [
+        { workDate: '2024-12-25', category: 'regularHoliday', regularHours: 8 },
+        {
+          workDate: '2024-12-29',
+          category: 'restDay',
+          restDay: true,
+          restDayHours: 8,
+          restDayOvertimeHours: 1,
+        },
+      ],
+      () => DAILY,
+      SETTINGS,
+    );
+    expect(lineOf(result, 'regular', 'regularHoliday').amount).toBe(1600);
+    expect(lineOf(result, 'regular', 'restDay').amount).toBe(1040);
+    expect(lineOf(result, 'overtime', 'restDay').amount).toBe(169);
+    expect(result.grossPay).toBe(2809);
+  });
+
+  it('uses the compensation in effect on each workDate', () => {
+    const result = computePayLines(
+      [
+        { workDate: '2024-01-31', category: 'ordinary', regularHours: 8 },
+        { workDate: '2024-02-01', category: 'ordinary', regularHours: 8 },
+      ],
+      (date) => (date < '2024-02-01' ? DAILY : { rateType: 'daily', rate: 960 }),
+      SETTINGS,
+    );
+    expect(result.lines.map((l) => l.hourlyRate)).toEqual([100, 120]);
+    expect(result.grossPay).toBe(1760);
+  });
+
+  it('pays paid leave hours at the plain hourly rate', () => {
+    const result = computePayLines(
+      [{ workDate: '2024-01-16', category: 'ordinary', paidLeaveHours: 8 }],
+      () => DAILY,
+      SETTINGS,
+    );
+    expect(lineOf(result, 'paidLeave', 'ordinary')).toMatchObject({
+      hours: 8,
+      multiplier: 1,
+      amount: 800,
+    });
+    expect(result.grossPay).toBe(800);
+  });
+
+  it('pays only approved overtime and reports the rest', () => {
+    const result = computePayLines(
+      [
+        {
+          workDate: '2024-01-15',
+          category: 'ordinary',
+          regularHours: 8,
+          overtimeHours: 3,
+          approvedOvertimeHours: 2,
+          unapprovedOvertimeHours: 1,
+        },
+        {
+          workDate: '2024-01-13',
+          restDay: true,
+          category: 'restDay',
+          restDayHours: 8,
+          restDayOvertimeHours: 1,
+          approvedOvertimeHours: 0,
+          unapprovedOvertimeHours: 1,
+        },
+      ],
+      () => DAILY,
+      SETTINGS,
+    );
+    expect(lineOf(result, 'overtime', 'ordinary')).toMatchObject({ hours: 2, amount: 250 });
+    expect(lineOf(result, 'overtime', 'restDay')).toBeUndefined();
+    expect(result.unapprovedOvertimeHours).toBe(2);
+  });
+
+  it('pays all overtime on summaries built before OT approval existed', () => {
+    const result = computePayLines(
+      [{ workDate: '2024-01-15', category: 'ordinary', regularHours: 8, overtimeHours: 3 }],
+      () => DAILY,
+      SETTINGS,
+    );
+    expect(lineOf(result, 'overtime', 'ordinary').hours).toBe(3);
+    expect(result.unapprovedOvertimeHours).toBe(0);
+  });
+
+  it('reports dates without a compensation entry instead of guessing', () => {
+    const result = computePayLines(
+      [{ workDate: '2024-01-15', category: 'ordinary', regularHours: 8 }],
+      () => null,
+      SETTINGS,
+    );
+    expect(result.grossPay).toBe(0);
+    expect(result.unpricedDates).toEqual(['2024-01-15']);
+  });
+});
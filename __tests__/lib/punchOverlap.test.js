@@ -0,0 +1,49 @@
+/**
+ * Unit tests for punch overlap detection.
+ */
+import { describe, it, expect } from '@jest/globals';
+import { punchInterval, findOverlap } from '../../src/lib/punchOverlap.js';
+
+const shift = {
+  id: 'a',
+  punchIn: '2024-01-15T01:00:00.000Z',
+  punchOut: '2024-01-15T10:00:00.000Z',
+};
+
+describe('punchInterval', () => {
+  it('spans punch-in to punch-out', () => {
+    expect(punchInterval(shift)).toEqual([Date.parse(shift.punchIn), Date.parse(shift.punchOut)]);
+  });
+
+  it('runs open punches indefinitely', () => {
+    expect(punchInterval({ punchIn: shift.punchIn, punchOut: null })[1]).toBe(Infinity);
+  });
+});
+
+describe('findOverlap', () => {
+  it('finds a record overlapping the proposed punch', () => {
+    const proposed = { punchIn: '2024-01-15T09:00:00.000Z', punchOut: '2024-01-15T12:00:00.000Z' };
+    expect(findOverlap([shift], proposed)).toBe(shift);
+  });
+
+  it('allows back-to-back punches', () => {
+    const proposed = { punchIn: '2024-01-15T10:00:00.000Z', punchOut: '2024-01-15T12:00:00.000Z' };
+    expect(findOverlap([shift], proposed)).toBeNull();
+  });
+
+  it('treats open punches as running indefinitely', () => {
+    const open = { id: 'b', punchIn: '2024-01-15T01:00:00.000Z', punchOut: null };
+    const later = { punchIn: '2024-01-16T01:00:00.000Z', punchOut: '2024-01-16T10:00:00.000Z' };
+    expect(findOverlap([open], later)).toBe(open);
+    expect(findOverlap([shift], { punchIn: '2024-01-15T08:00:00.000Z', punchOut: null })).toBe(
+      shift,
+    );
+  });
+
+  it('ignores voided, soft-deleted and excluded records', () => {
+    const proposed = { punchIn: shift.punchIn, punchOut: shift.punchOut };
+    expect(findOverlap([{ ...shift, deleted: true }], proposed)).toBeNull();
+    expect(findOverlap([{ ...shift, voided: true, punchOut: 'VOIDED' }], proposed)).toBeNull();
+    expect(findOverlap([shift], proposed, { excludeId: 'a' })).toBeNull();
+  });
+});
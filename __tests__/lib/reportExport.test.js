@@ -0,0 +1,186 @@
+/**
+ * Unit tests for CSV / XLSX report export.
+ */
+import { PassThrough } from 'stream';
+import { describe, it, expect } from '@jest/globals';
+import ExcelJS from 'exceljs';
+import {
+  DAILY_EXPORT_COLUMNS,
+  PERIOD_EXPORT_COLUMNS,
+  resolveExportFormat,
+  toTable,
+  toCsv,
+  sendExport,
+} from '../../src/lib/reportExport.js';
+
+const METRIC_HEADERS = [
+  'Regular Hours',
+  'Overtime Hours',
+  'Rest Day Hours',
+  'Rest Day Overtime Hours',
+  'Night Differential Hours',
+  'Late Minutes',
+  'Undertime Minutes',
+  'Total Worked Hours',
+  'Break Minutes',
+  'Paid Leave Hours',
+  'Approved Overtime Hours',
+  'Unapproved Overtime Hours',
+];
+const EMPLOYEE_HEADERS = ['Employee ID', 'Last Name', 'First Name', 'Department', 'Position'];
+
+const dayRow = {
+  uid: 'u1',
+  workDate: '2024-01-15',
+  status: 'present',
+  category: 'ordinary',
+  regularHours: 8,
+  overtimeHours: 1.5,
+  punches: [
+    { punchIn: '2024-01-15T01:00:00.000Z', punchOut: '2024-01-15T04:00:00.000Z' },
+    { punchIn: '2024-01-15T05:00:00.000Z', punchOut: '2024-01-15T11:30:00.000Z' },
+  ],
+  employee: { firstName: 'Alice', lastName: 'Smith', department: 'Ops', position: 'Clerk' },
+};
+
+describe('export columns', () => {
+  // Downstream spreadsheets rely on these; append new columns, never reorder
+  it('keeps the daily column order stable', () => {
+    expect(DAILY_EXPORT_COLUMNS.map((c) => c.header)).toEqual([
+      ...EMPLOYEE_HEADERS,
+      'Work Date',
+      'Status',
+      'Day Category',
+      'First In',
+      'Last Out',
+      ...METRIC_HEADERS,
+    ]);
+  });
+
+  it('keeps the period column order stable', () => {
+    expect(PERIOD_EXPORT_COLUMNS.map((c) => c.header)).toEqual([
+      ...EMPLOYEE_HEADERS,
+      'Start Date',
+      'End Date',
+      'Days Worked',
+      'Absences',
+      'Absent Dates',
+      ...METRIC_HEADERS,
+    ]);
+  });
+});
+
+describe('resolveExportFormat', () => {
+  it('defaults to json and accepts csv and xlsx', () => {
+    expect(resolveExportFormat(undefined)).toBe('json');
+    expect(resolveExportFormat('csv')).toBe('csv');
+    expect(resolveExportFormat('xlsx')).toBe('xlsx');
+  });
+
+  it('rejects other formats', () => {
+    expect(() => resolveExportFormat('pdf')).toThrow('format must be one of');
+  });
+});
+
+describe('toTable', () => {
+  it('flattens a daily row, with first in / last out and zeroed missing metrics', () => {
+    const [row] = toTable(DAILY_EXPORT_COLUMNS, [dayRow]);
+    expect(row.slice(0, 12)).toEqual([
+      'u1',
+      'Smith',
+      'Alice',
+      'Ops',
+      'Clerk',
+      '2024-01-15',
+      'present',
+      'ordinary',
+      '2024-01-15T01:00:00.000Z',
+      '2024-01-15T11:30:00.000Z',
+      8,
+      1.5,
+    ]);
+    expect(row.at(-1)).toBe(0);
+  });
+
+  it('reads period metrics from the totals', () => {
+    const entry = {
+      uid: 'u1',
+      startDate: '2024-01-15',
+      endDate: '2024-01-21',
+      days: [dayRow, { workDate: '2024-01-16', paidLeaveHours: 8 }],
+      absentDates: ['2024-01-17', '2024-01-18'],
+      absenceCount: 2,
+      totals: { regularHours: 8, paidLeaveHours: 8 },
+      employee: null,
+    };
+    const [row] = toTable(PERIOD_EXPORT_COLUMNS, [entry]);
+    expect(row.slice(0, 11)).toEqual([
+      'u1',
+      '',
+      '',
+      '',
+      '',
+      '2024-01-15',
+      '2024-01-21',
+      1,
+      2,
+      '2024-01-17 2024-01-18',
+      8,
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes commas and quotes, and neutralizes formulas', () => {
+    const columns = [
+      { header: 'Name', value: (r) => r.name },
+      { header: 'Hours', value: (r) => r.hours },
+    ];
+    const csv = toCsv(columns, [
+      { name: 'Smith, "Al"', hours: 8 },
+      { name: '=HYPERLINK("x")', hours: -1 },
+    ]);
+    expect(csv).toBe('Name,Hours\r\n"Smith, ""Al""",8\r\n"\'=HYPERLINK(""x"")",-1\r\n');
+  });
+
+  it('neutralizes formulas behind a leading tab or carriage return', () => {
+    const columns = [{ header: 'Name', value: (r) => r.name }];
+    const csv = toCsv(columns, [{ name: '\t=1+1' }, { name: '\r=1+1' }]);
+    expect(csv).toBe('Name\r\n\'\t=1+1\r\n"\'\r=1+1"\r\n');
+  });
+});
+
+describe('sendExport', () => {
+  function streamRes() {
+    const res = new PassThrough();
+    res.status = () => res;
+    res.attachment = (name) => {
+      res.filename = name;
+      return res;
+    };
+    return res;
+  }
+
+  it('streams an xlsx workbook with a header row', async () => {
+    const res = streamRes();
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    const done = new Promise((resolve) => res.on('end', resolve));
+
+    await sendExport(res, 'xlsx', {
+      filename: 'daily-report-2024-01-15',
+      sheetName: '2024-01-15',
+      columns: DAILY_EXPORT_COLUMNS,
+      records: [dayRow],
+    });
+    await done;
+
+    expect(res.filename).toBe('daily-report-2024-01-15.xlsx');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.concat(chunks));
+    const sheet = workbook.getWorksheet('2024-01-15');
+    expect(sheet.getRow(1).getCell(1).value).toBe('Employee ID');
+    expect(sheet.getRow(2).getCell(2).value).toBe('Smith');
+    expect(sheet.getRow(2).getCell(11).value).toBe(8);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  isValidTime,
+  isOvernight,
+  windowLengthMinutes,
+  normalizeWindow,
+  breakLengthMinutes,
+  isWeeklySchedule,
+  isScheduleConfigured,
+  getDayWindow,
+  normalizeSchedule,
+  scheduleOnDate,
+  upsertVersion,
+  versionOnDate,
+  toTimeline,
+} from '../../src/lib/schedule.js';
+
+describe('isValidTime', () => {
+  it('accepts 24-hour HH:MM', () => {
+    expect(isValidTime('00:00')).toBe(true);
+    expect(isValidTime('23:59')).toBe(true);
+  });
+
+  it('rejects malformed values', () => {
+    expect(isValidTime('24:00')).toBe(false);
+    expect(isValidTime('9:00')).toBe(false);
+    expect(isValidTime(900)).toBe(false);
+  });
+});
+
+describe('isOvernight / windowLengthMinutes', () => {
+  it('day shift is not overnight', () => {
+    expect(isOvernight({ start: '09:00', end: '18:00' })).toBe(false);
+    expect(windowLengthMinutes({ start: '09:00', end: '18:00' })).toBe(540);
+  });
+
+  it('end earlier than start is overnight', () => {
+    expect(isOvernight({ start: '22:00', end: '06:00' })).toBe(true);
+    expect(windowLengthMinutes({ start: '22:00', end: '06:00' })).toBe(480);
+  });
+});
+
+describe('normalizeWindow', () => {
+  it('accepts overnight windows', () => {
+    expect(normalizeWindow({ start: '22:00', end: '06:00', extra: 1 })).toEqual({
+      start: '22:00',
+      end: '06:00',
+    });
+  });
+
+  it('rejects missing, malformed and zero-length windows', () => {
+    expect(() => normalizeWindow({ start: '09:00' })).toThrow('required');
+    expect(() => normalizeWindow({ start: '9am', end: '18:00' })).toThrow('HH:MM');
+    expect(() => normalizeWindow({ start: '09:00', end: '09:00' })).toThrow('same time');
+  });
+});
+
+describe('meal breaks', () => {
+  const DAY = { start: '09:00', end: '18:00' };
+
+  it('keeps a fixed break inside the shift', () => {
+    const w = normalizeWindow({ ...DAY, break: { start: '12:00', end: '13:00' } });
+    expect(w.break).toEqual({ start: '12:00', end: '13:00' });
+    expect(breakLengthMinutes(w)).toBe(60);
+  });
+
+  it('accepts a fixed break after midnight on an overnight shift', () => {
+    const w = normalizeWindow({
+      start: '22:00',
+      end: '06:00',
+      break: { start: '02:00', end: '03:00' },
+    });
+    expect(breakLengthMinutes(w)).toBe(60);
+  });
+
+  it('rejects a fixed break outside the shift', () => {
+    expect(() => normalizeWindow({ ...DAY, break: { start: '17:30', end: '18:30' } })).toThrow(
+      'must fall within',
+    );
+    expect(() => normalizeWindow({ ...DAY, break: { start: '08:00', end: '09:00' } })).toThrow(
+      'must fall within',
+    );
+  });
+
+  it('keeps an automatic break', () => {
+    const w = normalizeWindow({ ...DAY, break: { afterHours: 5, minutes: 60 } });
+    expect(w.break).toEqual({ afterHours: 5, minutes: 60 });
+    expect(breakLengthMinutes(w)).toBe(60);
+  });
+
+  it('rejects malformed automatic breaks and mixed rules', () => {
+    expect(() => normalizeWindow({ ...DAY, break: { afterHours: 0, minutes: 60 } })).toThrow(
+      'afterHours',
+    );
+    expect(() => normalizeWindow({ ...DAY, break: { afterHours: 5, minutes: 0 } })).toThrow(
+      'minutes',
+    );
+    expect(() =>
+      normalizeWindow({ ...DAY, break: { start: '12:00', end: '13:00', minutes: 60 } }),
+    ).toThrow('not both');
+  });
+
+  it('getDayWindow carries the break through', () => {
+    const schedule = { ...DAY, break: { afterHours: 5, minutes: 60 } };
+    expect(getDayWindow(schedule, '2024-01-15')).toEqual(schedule);
+  });
+});
+
+describe('weekly schedules', () => {
+  const WEEKLY = {
+    days: {
+      mon: { start: '09:00', end: '18:00' },
+      sat: { start: '08:00', end: '12:00' },
+      sun: null,
+    },
+  };
+
+  it('isWeeklySchedule distinguishes the two shapes', () => {
+    expect(isWeeklySchedule(WEEKLY)).toBe(true);
+    expect(isWeeklySchedule({ start: '09:00', end: '18:00' })).toBe(false);
+  });
+
+  it('getDayWindow resolves by weekday, null on rest days', () => {
+    expect(getDayWindow(WEEKLY, '2024-01-15')).toEqual({ start: '09:00', end: '18:00' }); // Mon
+    expect(getDayWindow(WEEKLY, '2024-01-20')).toEqual({ start: '08:00', end: '12:00' }); // Sat
+    expect(getDayWindow(WEEKLY, '2024-01-21')).toBeNull(); // Sun
+    expect(getDayWindow(WEEKLY, '2024-01-16')).toBeNull(); // Tue (omitted)
+  });
+
+  it('getDayWindow returns the flat window for every date', () => {
+    expect(getDayWindow({ start: '09:00', end: '18:00' }, '2024-01-21')).toEqual({
+      start: '09:00',
+      end: '18:00',
+    });
+  });
+
+  it('isScheduleConfigured handles both shapes', () => {
+    expect(isScheduleConfigured(WEEKLY)).toBe(true);
+    expect(isScheduleConfigured({ days: { sun: null } })).toBe(false);
+    expect(isScheduleConfigured({ start: '09:00' })).toBe(false);
+    expect(isScheduleConfigured(undefined)).toBe(false);
+  });
+
+  it('normalizeSchedule expands all seven days', () => {
+    expect(normalizeSchedule(WEEKLY)).toEqual({
+      days: {
+        sun: null,
+        mon: { start: '09:00', end: '18:00' },
+        tue: null,
+        wed: null,
+        thu: null,
+        fri: null,
+        sat: { start: '08:00', end: '12:00' },
+      },
+    });
+  });
+
+  it('normalizeSchedule rejects unknown days, bad windows and all-rest weeks', () => {
+    expect(() => normalizeSchedule({ days: { monday: { start: '09:00', end: '18:00' } } })).toThrow(
+      'Unknown schedule day',
+    );
+    expect(() => normalizeSchedule({ days: { mon: { start: '09:00' } } })).toThrow(
+      'schedule.days.mon',
+    );
+    expect(() => normalizeSchedule({ days: { sun: null } })).toThrow('at least one working day');
+  });
+});
+
+describe('effective-dated versions', () => {
+  const EARLY = { start: '08:00', end: '17:00' };
+  const LATE = { start: '10:00', end: '19:00' };
+  const versions = [
+    { effectiveFrom: null, schedule: EARLY },
+    { effectiveFrom: '2024-02-01', schedule: LATE },
+  ];
+
+  it('scheduleOnDate picks the latest version on or before the date', () => {
+    expect(scheduleOnDate(versions, '2024-01-31')).toBe(EARLY);
+    expect(scheduleOnDate(versions, '2024-02-01')).toBe(LATE);
+    expect(scheduleOnDate(versions, '2025-01-01')).toBe(LATE);
+  });
+
+  it('scheduleOnDate returns null before the first dated version', () => {
+    expect(scheduleOnDate([{ effectiveFrom: '2024-02-01', schedule: LATE }], '2024-01-01')).toBe(
+      null,
+    );
+  });
+
+  it('upsertVersion replaces a same-date version and keeps order', () => {
+    const next = upsertVersion(versions, { effectiveFrom: '2024-02-01', schedule: EARLY });
+    expect(next).toHaveLength(2);
+    expect(next[1].schedule).toBe(EARLY);
+
+    const added = upsertVersion(versions, { effectiveFrom: '2024-01-15', schedule: LATE });
+    expect(added.map((v) => v.effectiveFrom)).toEqual([null, '2024-01-15', '2024-02-01']);
+  });
+
+  it('versionOnDate returns the whole version', () => {
+    expect(versionOnDate(versions, '2024-02-10')).toBe(versions[1]);
+  });
+
+  it('toTimeline closes each version the day before the next one', () => {
+    expect(toTimeline(versions).map((v) => [v.effectiveFrom, v.effectiveTo])).toEqual([
+      [null, '2024-01-31'],
+      ['2024-02-01', null],
+    ]);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Unit tests for schedule resolution over users.scheduleHistory, shift
+ * templates and roster overrides.
+ *
+ * firebase.admin.js is mocked with an in-memory document store.
+ */
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const store = {};
+
+function docSnap(collection, id) {
+  const data = store[collection]?.[id];
+  return { id, exists: data !== undefined, data: () => data };
+}
+
+const OPS = { '==': (a, b) => a === b, '>=': (a, b) => a >= b, '<=': (a, b) => a <= b };
+
+function query(collection, filters = []) {
+  return {
+    where: (field, op, value) => query(collection, [...filters, [field, op, value]]),
+    get: async () => ({
+      docs: Object.keys(store[collection] ?? {})
+        .map((id) => docSnap(collection, id))
+        .filter((d) => filters.every(([f, op, v]) => OPS[op](d.data()[f], v))),
+    }),
+  };
+}
+
+jest.unstable_mockModule('../../src/lib/firebase.admin.js', () => ({
+  db: {
+    collection: (collection) => ({
+      ...query(collection),
+      doc: (id) => ({ get: async () => docSnap(collection, id) }),
+    }),
+  },
+  auth: {},
+}));
+
+const {
+  loadStandingSchedule,
+  loadScheduleContext,
+  getScheduleTimeline,
+  getStandingWindow,
+  getRosterWindowsInRange,
+} = await import('../../src/lib/scheduleContext.js');
+
+const DAY = { start: '09:00', end: '18:00' };
+const LATE = { start: '10:00', end: '19:00' };
+const NIGHT = { start: '22:00', end: '06:00' };
+
+beforeEach(() => {
+  for (const key of Object.keys(store)) delete store[key];
+  store.users = {};
+  store.shiftTemplates = {};
+  store.roster = {};
+  store.holidays = {};
+});
+
+// ─── Standing schedule ────────────────────────────────────────────────────────
+
+describe('loadStandingSchedule', () => {
+  it('falls back to the inline schedule for users without history', async () => {
+    const schedule = await loadStandingSchedule({ schedule: DAY });
+    expect(schedule('2024-01-15')).toEqual(DAY);
+  });
+
+  it('resolves the history entry in effect on each workDate', async () => {
+    const schedule = await loadStandingSchedule({
+      schedule: LATE,
+      scheduleHistory: [
+        { effectiveFrom: null, schedule: DAY, templateId: null },
+        { effectiveFrom: '2024-02-01', schedule: LATE, templateId: null },
+      ],
+    });
+    expect(schedule('2024-01-31')).toEqual(DAY);
+    expect(schedule('2024-02-01')).toEqual(LATE);
+  });
+
+  it('resolves template entries to the template version in effect', async () => {
+    store.shiftTemplates.t1 = {
+      name: 'Morning',
+      versions: [
+        { effectiveFrom: null, schedule: DAY },
+        { effectiveFrom: '2024-03-01', schedule: LATE },
+      ],
+    };
+    const schedule = await loadStandingSchedule({
+      schedule: NIGHT,
+      scheduleHistory: [
+        { effectiveFrom: null, schedule: NIGHT, templateId: null },
+        { effectiveFrom: '2024-02-01', schedule: null, templateId: 't1' },
+      ],
+    });
+    expect(schedule('2024-01-15')).toEqual(NIGHT);
+    expect(schedule('2024-02-15')).toEqual(DAY);
+    expect(schedule('2024-03-15')).toEqual(LATE);
+  });
+
+  it('returns null when nothing is configured', async () => {
+    expect(await loadStandingSchedule({})).toBeNull();
+  });
+});
+
+// ─── Schedule context ─────────────────────────────────────────────────────────
+
+describe('loadScheduleContext', () => {
+  it('loads roster entries for the punch-in date and the day before', async () => {
+    store.users.u1 = { timezone: 'Asia/Manila', schedule: DAY };
+    store.roster['u1_2024-01-11'] = { uid: 'u1', workDate: '2024-01-11', ...NIGHT };
+    store.roster['u1_2024-01-12'] = { uid: 'u1', workDate: '2024-01-12', restDay: true };
+
+    // 01:00 Manila Jan 12
+    const ctx = await loadScheduleContext('u1', new Date('2024-01-11T17:00:00Z'));
+    expect(ctx.timezone).toBe('Asia/Manila');
+    expect(ctx.roster).toEqual({ '2024-01-11': NIGHT, '2024-01-12': null });
+    expect(ctx.schedule('2024-01-12')).toEqual(DAY);
+  });
+
+  it('loads holidays for the punch-in date and the day before', async () => {
+    store.users.u1 = { timezone: 'Asia/Manila', schedule: DAY };
+    store.holidays['2024-12-25'] = { date: '2024-12-25', name: 'Christmas Day', type: 'regular' };
+    store.holidays['2024-12-30'] = { date: '2024-12-30', name: 'Rizal Day', type: 'regular' };
+
+    // 09:00 Manila Dec 25
+    const ctx = await loadScheduleContext('u1', new Date('2024-12-25T01:00:00Z'));
+    expect(ctx.holidays).toEqual({ '2024-12-25': { type: 'regular', name: 'Christmas Day' } });
+  });
+
+  it('throws when the user does not exist', async () => {
+    await expect(loadScheduleContext('ghost', new Date())).rejects.toThrow('not found');
+  });
+
+  it('throws when no schedule or roster applies', async () => {
+    store.users.u1 = {};
+    await expect(loadScheduleContext('u1', new Date())).rejects.toThrow('not configured');
+  });
+});
+
+describe('loadScheduleContext — attendance policy', () => {
+  it('layers org default, template policy and user override per workDate', async () => {
+    store.settings = { attendancePolicy: { lateGraceMinutes: 10, overtimeBlockMinutes: 30 } };
+    store.shiftTemplates.t1 = {
+      name: 'Morning',
+      versions: [{ effectiveFrom: null, schedule: DAY }],
+      policy: { lateGraceMinutes: 5 },
+    };
+    store.users.u1 = {
+      schedule: DAY,
+      attendancePolicy: { overtimeBlockMinutes: 60 },
+      scheduleHistory: [
+        { effectiveFrom: null, schedule: DAY, templateId: null },
+        { effectiveFrom: '2024-02-01', schedule: null, templateId: 't1' },
+      ],
+    };
+
+    const ctx = await loadScheduleContext('u1', new Date('2024-01-15T01:00:00Z'));
+    expect(ctx.policy('2024-01-15')).toMatchObject({
+      lateGraceMinutes: 10,
+      overtimeBlockMinutes: 60,
+    });
+    expect(ctx.policy('2024-02-15')).toMatchObject({
+      lateGraceMinutes: 5,
+      overtimeBlockMinutes: 60,
+    });
+  });
+});
+
+describe('getStandingWindow', () => {
+  it('returns the weekly window for the date, null on rest days', async () => {
+    const user = { schedule: { days: { mon: DAY, sun: null } } };
+    expect(await getStandingWindow(user, '2024-01-15')).toEqual(DAY);
+    expect(await getStandingWindow(user, '2024-01-14')).toBeNull();
+  });
+});
+
+// ─── Roster ranges ────────────────────────────────────────────────────────────
+
+describe('getRosterWindowsInRange', () => {
+  beforeEach(() => {
+    store.roster = {
+      'u1_2024-01-14': { uid: 'u1', workDate: '2024-01-14', restDay: false, ...LATE },
+      'u1_2024-01-15': { uid: 'u1', workDate: '2024-01-15', restDay: false, ...LATE },
+      'u1_2024-01-16': { uid: 'u1', workDate: '2024-01-16', restDay: true },
+      'u2_2024-01-15': { uid: 'u2', workDate: '2024-01-15', restDay: false, ...NIGHT },
+    };
+  });
+
+  it('groups the entries of every user in the range by uid and workDate', async () => {
+    expect(await getRosterWindowsInRange('2024-01-15', '2024-01-16')).toEqual({
+      u1: { '2024-01-15': LATE, '2024-01-16': null },
+      u2: { '2024-01-15': NIGHT },
+    });
+  });
+
+  it('limits the result to one user with uid', async () => {
+    expect(await getRosterWindowsInRange('2024-01-14', '2024-01-15', { uid: 'u1' })).toEqual({
+      u1: { '2024-01-14': LATE, '2024-01-15': LATE },
+    });
+  });
+});
+
+// ─── Timeline ─────────────────────────────────────────────────────────────────
+
+describe('getScheduleTimeline', () => {
+  it('adds effectiveTo and template details to each entry', async () => {
+    store.shiftTemplates.t1 = {
+      name: 'Morning',
+      versions: [{ effectiveFrom: null, schedule: DAY }],
+    };
+    store.users.u1 = {
+      timezone: 'Asia/Singapore',
+      scheduleHistory: [
+        { effectiveFrom: null, schedule: NIGHT, templateId: null },
+        { effectiveFrom: '2024-02-01', schedule: null, templateId: 't1' },
+      ],
+    };
+
+    const result = await getScheduleTimeline('u1');
+    expect(result.timezone).toBe('Asia/Singapore');
+    expect(result.timeline[0]).toEqual(
+      expect.objectContaining({ effectiveFrom: null, effectiveTo: '2024-01-31', schedule: NIGHT }),
+    );
+    expect(result.timeline[1]).toEqual(
+      expect.objectContaining({
+        effectiveFrom: '2024-02-01',
+        effectiveTo: null,
+        templateName: 'Morning',
+      }),
+    );
+  });
+});
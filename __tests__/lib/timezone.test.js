@@ -0,0 +1,156 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  isValidTimezone,
+  isValidDate,
+  getLocalDate,
+  getLocalTime,
+  localToUtcMs,
+  getTimezoneOffsetMs,
+  dayAfter,
+  dayBefore,
+  getWeekday,
+  todayIn,
+  currentWeekIn,
+} from '../../src/lib/timezone.js';
+
+const iso = (ms) => new Date(ms).toISOString();
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+describe('isValidTimezone', () => {
+  it('accepts IANA names', () => {
+    expect(isValidTimezone('Asia/Manila')).toBe(true);
+    expect(isValidTimezone('America/New_York')).toBe(true);
+  });
+
+  it('rejects unknown names and non-strings', () => {
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(undefined)).toBe(false);
+  });
+});
+
+// ─── Offsets & local dates ────────────────────────────────────────────────────
+
+describe('isValidDate', () => {
+  it('accepts real calendar dates', () => {
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2025-12-31')).toBe(true);
+  });
+
+  it('rejects impossible dates and other formats', () => {
+    expect(isValidDate('2025-02-29')).toBe(false);
+    expect(isValidDate('2025-02-30')).toBe(false);
+    expect(isValidDate('2025-04-31')).toBe(false);
+    expect(isValidDate('2025-13-01')).toBe(false);
+    expect(isValidDate('2025-1-01')).toBe(false);
+    expect(isValidDate('abc')).toBe(false);
+    expect(isValidDate(undefined)).toBe(false);
+  });
+});
+
+describe('getTimezoneOffsetMs / getLocalDate', () => {
+  it('Manila is a fixed +8h', () => {
+    expect(getTimezoneOffsetMs(Date.parse('2024-01-15T00:00:00Z'), 'Asia/Manila')).toBe(
+      8 * 3600000,
+    );
+    expect(getTimezoneOffsetMs(Date.parse('2024-07-15T00:00:00Z'), 'Asia/Manila')).toBe(
+      8 * 3600000,
+    );
+  });
+
+  it('Sydney is +11h in January (AEDT) and +10h in July (AEST)', () => {
+    expect(getTimezoneOffsetMs(Date.parse('2024-01-15T00:00:00Z'), 'Australia/Sydney')).toBe(
+      11 * 3600000,
+    );
+    expect(getTimezoneOffsetMs(Date.parse('2024-07-15T00:00:00Z'), 'Australia/Sydney')).toBe(
+      10 * 3600000,
+    );
+  });
+
+  it('local date differs across the date line for the same instant', () => {
+    const d = new Date('2024-01-15T20:00:00Z');
+    expect(getLocalDate(d, 'Asia/Singapore')).toBe('2024-01-16');
+    expect(getLocalDate(d, 'America/Los_Angeles')).toBe('2024-01-15');
+  });
+
+  it('reads the 24-hour wall-clock time', () => {
+    const d = new Date('2024-01-15T16:05:00Z');
+    expect(getLocalTime(d, 'Asia/Manila')).toBe('00:05');
+    expect(getLocalTime(d, 'America/New_York')).toBe('11:05');
+  });
+});
+
+// ─── Local → UTC ──────────────────────────────────────────────────────────────
+
+describe('localToUtcMs', () => {
+  it('converts a Manila wall-clock time', () => {
+    expect(iso(localToUtcMs('2024-01-15', '09:00', 'Asia/Manila'))).toBe(
+      '2024-01-15T01:00:00.000Z',
+    );
+  });
+
+  it('uses EDT after the US spring-forward transition', () => {
+    expect(iso(localToUtcMs('2024-03-10', '09:00', 'America/New_York'))).toBe(
+      '2024-03-10T13:00:00.000Z',
+    );
+    expect(iso(localToUtcMs('2024-03-09', '09:00', 'America/New_York'))).toBe(
+      '2024-03-09T14:00:00.000Z',
+    );
+  });
+
+  it('resolves a time inside a spring-forward gap to just past the gap', () => {
+    // 02:30 does not exist on 2024-03-10 in New York → 03:30 EDT
+    expect(iso(localToUtcMs('2024-03-10', '02:30', 'America/New_York'))).toBe(
+      '2024-03-10T07:30:00.000Z',
+    );
+    // 02:30 does not exist on 2024-10-06 in Sydney → 03:30 AEDT
+    expect(iso(localToUtcMs('2024-10-06', '02:30', 'Australia/Sydney'))).toBe(
+      '2024-10-05T16:30:00.000Z',
+    );
+  });
+
+  it('resolves an ambiguous fall-back time to the earlier instant', () => {
+    // 01:30 happens twice on 2024-11-03 in New York → first (EDT) occurrence
+    expect(iso(localToUtcMs('2024-11-03', '01:30', 'America/New_York'))).toBe(
+      '2024-11-03T05:30:00.000Z',
+    );
+    // 02:30 happens twice on 2024-04-07 in Sydney → first (AEDT) occurrence
+    expect(iso(localToUtcMs('2024-04-07', '02:30', 'Australia/Sydney'))).toBe(
+      '2024-04-06T15:30:00.000Z',
+    );
+  });
+});
+
+// ─── Calendar helpers ─────────────────────────────────────────────────────────
+
+describe('calendar helpers', () => {
+  it('dayAfter / dayBefore cross month and year boundaries', () => {
+    expect(dayAfter('2024-02-29')).toBe('2024-03-01');
+    expect(dayBefore('2024-01-01')).toBe('2023-12-31');
+  });
+
+  it('getWeekday returns 0 for Sunday and 1 for Monday', () => {
+    expect(getWeekday('2024-01-14')).toBe(0);
+    expect(getWeekday('2024-01-15')).toBe(1);
+  });
+
+  it('todayIn reads the local date of the given instant', () => {
+    const now = new Date('2024-01-15T17:00:00Z');
+    expect(todayIn('Asia/Manila', now)).toBe('2024-01-16');
+    expect(todayIn('America/New_York', now)).toBe('2024-01-15');
+  });
+
+  it('currentWeekIn returns the local Mon–Sun week', () => {
+    // Sunday 2024-01-21 20:00 UTC is already Monday 2024-01-22 in Manila
+    const now = new Date('2024-01-21T20:00:00Z');
+    expect(currentWeekIn('Asia/Manila', now)).toEqual({
+      startDate: '2024-01-22',
+      endDate: '2024-01-28',
+    });
+    expect(currentWeekIn('America/New_York', now)).toEqual({
+      startDate: '2024-01-15',
+      endDate: '2024-01-21',
+    });
+  });
+});
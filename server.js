@@ -4,6 +4,8 @@ import dotenv from 'dotenv';
 import userRoutes from './src/api/user/user.routes.js';
 import attendanceRoutes from './src/api/attendance/attendance.routes.js';
 import adminRoutes from './src/api/admin/admin.routes.js';
+import leaveRoutes from './src/api/leave/leave.routes.js';
+import { startOpenPunchSweeper } from './src/api/admin/openPunch.services.js';
 dotenv.config();
 
 const app = express();
@@ -20,7 +22,20 @@ app.use(express.json());
 app.use('/api/user', userRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/leave', leaveRoutes);
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  // Sweep forgotten open punches every N minutes (0 disables)
+  startOpenPunchSweeper(Number(process.env.OPEN_PUNCH_SWEEP_MINUTES ?? 60), {
+    onResult: (result) => {
+      if (result.closedCount || result.flaggedCount || result.errors.length) {
+        console.log(
+          `Open-punch sweep: ${result.closedCount} closed, ${result.flaggedCount} flagged, ` +
+            `${result.errors.length} failed`,
+        );
+      }
+    },
+    onError: (error) => console.error(`Open-punch sweep failed: ${error.message}`),
+  });
 });
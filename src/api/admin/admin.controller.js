@@ -1,11 +1,44 @@
 import {
   getEmployeePunches,
+  createPunch,
   editPunch,
   deletePunch,
+  listDeletedPunches,
+  restorePunch,
+  purgePunch,
   assignSchedule,
+  getScheduleTimeline,
+  loadDtr,
   getAllDailyReports,
   getAllWeeklyReports,
 } from './admin.services.js';
+import {
+  isValidDate,
+  isValidTimezone,
+  orgTimezone,
+  todayIn,
+  currentWeekIn,
+} from '../../lib/timezone.js';
+import {
+  DAILY_EXPORT_COLUMNS,
+  PERIOD_EXPORT_COLUMNS,
+  resolveExportFormat,
+  sendExport,
+} from '../../lib/reportExport.js';
+import { resolveDtrFormat, sendDtr } from '../../lib/dtrRender.js';
+import { departmentRollups } from '../../lib/departments.js';
+
+const REASON_REQUIRED = 'reason is required for audited changes';
+
+function punchErrorStatus(error) {
+  return error.message.includes('not found')
+    ? 404
+    : error.message.includes('already') ||
+        error.message.includes('not deleted') ||
+        error.message.includes('delete it first')
+      ? 409
+      : 500;
+}
 
 // ─── GET /api/admin/punches/:uid ─────────────────────────────────────────────
 // Query params: startDate, endDate ('YYYY-MM-DD')
@@ -21,35 +54,133 @@ export async function getEmployeePunchesHandler(req, res) {
   }
 }
 
+// ─── POST /api/admin/punches ─────────────────────────────────────────────────
+// Body: { uid, punchIn: ISO string, punchOut?: ISO string, reason }
+// Records a punch for an employee (omit punchOut for an open punch). Rejected
+// with 409 when it overlaps another of the employee's records.
+
+export async function createPunchHandler(req, res) {
+  try {
+    const { uid, punchIn, punchOut, reason } = req.body ?? {};
+    if (!uid || !punchIn) return res.status(400).json({ error: 'uid and punchIn are required' });
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const punch = await createPunch(uid, { punchIn, punchOut }, { actorUid: req.user.uid, reason });
+    res.status(201).json({ message: 'Punch created successfully', ...punch });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('overlaps')
+        ? 409
+        : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
 // ─── PUT /api/admin/punches/:punchId ─────────────────────────────────────────
-// Body: { punchIn?: ISO string, punchOut?: ISO string }
+// Body: { punchIn?: ISO string, punchOut?: ISO string, reason }
+// The change is recorded in the audit trail with the reason. 409 when the new
+// times overlap another of the employee's punches.
 
 export async function editPunchHandler(req, res) {
   try {
     const { punchId } = req.params;
-    const { punchIn, punchOut } = req.body;
+    const { punchIn, punchOut, reason } = req.body;
 
     if (!punchIn && !punchOut) {
       return res
         .status(400)
         .json({ error: 'Provide at least one of punchIn or punchOut to update' });
     }
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
 
-    const updated = await editPunch(punchId, { punchIn, punchOut });
+    const updated = await editPunch(
+      punchId,
+      { punchIn, punchOut },
+      { actorUid: req.user.uid, reason },
+    );
     res.status(200).json({ message: 'Punch updated successfully', ...updated });
   } catch (error) {
-    const status = error.message.includes('not found') ? 404 : 500;
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('overlaps')
+        ? 409
+        : error.message.includes('must be')
+          ? 400
+          : 500;
     res.status(status).json({ error: error.message });
   }
 }
 
 // ─── DELETE /api/admin/punches/:punchId ──────────────────────────────────────
+// Body: { reason }
+// Soft delete: the record is kept and can be restored (see below).
 
 export async function deletePunchHandler(req, res) {
   try {
     const { punchId } = req.params;
-    const result = await deletePunch(punchId);
+    const reason = req.body?.reason;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await deletePunch(punchId, { actorUid: req.user.uid, reason });
     res.status(200).json({ message: 'Punch deleted successfully', ...result });
+  } catch (error) {
+    res.status(punchErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/deleted-punches ──────────────────────────────────────────
+// Query params: uid?, startDate?, endDate? ('YYYY-MM-DD', range of deletedAt)
+
+export async function listDeletedPunchesHandler(req, res) {
+  try {
+    const { uid, startDate, endDate } = req.query;
+    const punches = await listDeletedPunches({ uid, startDate, endDate });
+    res.status(200).json({ count: punches.length, data: punches });
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/deleted-punches/:punchId/restore ────────────────────────
+// Body: { reason }
+
+export async function restorePunchHandler(req, res) {
+  try {
+    const reason = req.body?.reason;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await restorePunch(req.params.punchId, { actorUid: req.user.uid, reason });
+    res.status(200).json({ message: 'Punch restored successfully', ...result });
+  } catch (error) {
+    res.status(punchErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/admin/deleted-punches/:punchId ──────────────────────────────
+// Body: { reason }
+// Superadmin only: permanently removes a soft-deleted punch.
+
+export async function purgePunchHandler(req, res) {
+  try {
+    const reason = req.body?.reason;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await purgePunch(req.params.punchId, { actorUid: req.user.uid, reason });
+    res.status(200).json({ message: 'Punch purged permanently', ...result });
+  } catch (error) {
+    res.status(punchErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/schedule/:uid ────────────────────────────────────────────
+// Returns the user's effective-dated schedule timeline.
+
+export async function getScheduleTimelineHandler(req, res) {
+  try {
+    const timeline = await getScheduleTimeline(req.params.uid);
+    res.status(200).json(timeline);
   } catch (error) {
     const status = error.message.includes('not found') ? 404 : 500;
     res.status(status).json({ error: error.message });
@@ -58,12 +189,27 @@ export async function deletePunchHandler(req, res) {
 
 // ─── PUT /api/admin/schedule/:uid ────────────────────────────────────────────
 // Body: { schedule?: { start: 'HH:MM', end: 'HH:MM' }, timezone?: string }
+//   or  { schedule?: { days: { mon: { start, end }, …, sun: null } }, timezone?: string }
+// An end earlier than start is an overnight shift (e.g. 22:00 → 06:00);
+// a null weekday is a rest day. Any window may add an unpaid meal break:
+// break: { start: '12:00', end: '13:00' } or { afterHours: 5, minutes: 60 }.
+//   or  { templateId: string | null, timezone?: string } to reference a shift template
+//       (null detaches the template)
+// Optional effectiveFrom ('YYYY-MM-DD', default today in the user's timezone):
+// earlier workDates keep the schedule that was in effect on them.
+// Every body also needs a reason, recorded in the audit trail.
 
 export async function assignScheduleHandler(req, res) {
   try {
     const { uid } = req.params;
-    const { schedule, timezone } = req.body;
-    const result = await assignSchedule(uid, { schedule, timezone });
+    const { schedule, timezone, templateId, effectiveFrom, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await assignSchedule(
+      uid,
+      { schedule, timezone, templateId, effectiveFrom },
+      { actorUid: req.user.uid, reason },
+    );
     res.status(200).json({ message: 'Schedule updated successfully', ...result });
   } catch (error) {
     const status = error.message.includes('not found') ? 404 : 400;
@@ -71,43 +217,108 @@ export async function assignScheduleHandler(req, res) {
   }
 }
 
+// ─── GET /api/admin/dtr/:uid ─────────────────────────────────────────────────
+// Query params: month ('YYYY-MM', defaults to the current month in ORG_TIMEZONE),
+// format ('html' | 'pdf', default 'html')
+// The employee's Daily Time Record (Civil Service Form No. 48).
+
+export async function getDtrHandler(req, res) {
+  try {
+    const format = resolveDtrFormat(req.query.format);
+    const month = req.query.month ?? todayIn(orgTimezone()).slice(0, 7);
+    const dtr = await loadDtr(req.params.uid, month);
+    sendDtr(res, dtr, format);
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('must be')
+        ? 400
+        : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
 // ─── GET /api/admin/reports/daily ────────────────────────────────────────────
-// Query param: date ('YYYY-MM-DD', defaults to today UTC)
+// Query params: date ('YYYY-MM-DD', defaults to today), timezone (IANA name used
+// to resolve "today", defaults to ORG_TIMEZONE / Asia/Manila), department?,
+// position? (limit the rows to matching employees)
+// Every active employee gets a row with a status; absentCount counts 'absent' rows
+// and departments holds per-department rollups.
+// format=csv|xlsx downloads one row per employee-day instead of JSON.
 
 export async function dailyReportHandler(req, res) {
   try {
-    const { date } = req.query;
-    const workDate = date ?? new Date().toISOString().slice(0, 10);
-    const report = await getAllDailyReports(workDate);
-    res.status(200).json({ date: workDate, count: report.length, data: report });
+    const { date, timezone = orgTimezone(), department, position } = req.query;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    }
+    if (date !== undefined && !isValidDate(date)) {
+      return res.status(400).json({ error: 'date must be a valid YYYY-MM-DD date' });
+    }
+    const format = resolveExportFormat(req.query.format);
+    const workDate = date ?? todayIn(timezone);
+    const report = await getAllDailyReports(workDate, { department, position });
+    if (format !== 'json') {
+      return await sendExport(res, format, {
+        filename: `daily-report-${workDate}`,
+        sheetName: workDate,
+        columns: DAILY_EXPORT_COLUMNS,
+        records: report,
+      });
+    }
+    res.status(200).json({
+      date: workDate,
+      count: report.length,
+      absentCount: report.filter((r) => r.status === 'absent').length,
+      departments: departmentRollups(report),
+      data: report,
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
   }
 }
 
 // ─── GET /api/admin/reports/weekly ───────────────────────────────────────────
-// Query params: startDate, endDate ('YYYY-MM-DD', defaults to current Mon–Sun)
+// Query params: startDate, endDate ('YYYY-MM-DD', at most 366 days; defaults to current Mon–Sun),
+// timezone (IANA name used to resolve the current week, defaults to ORG_TIMEZONE),
+// department?, position? (limit the report; departments holds per-department rollups),
+// format=csv|xlsx (one row per employee-period instead of JSON)
 
 export async function weeklyReportHandler(req, res) {
   try {
     let { startDate, endDate } = req.query;
+    const { timezone = orgTimezone(), department, position } = req.query;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    }
+    const format = resolveExportFormat(req.query.format);
 
     if (!startDate || !endDate) {
-      const today = new Date();
-      const day = today.getUTCDay();
-      const diffToMon = day === 0 ? -6 : 1 - day;
-      const monday = new Date(today);
-      monday.setUTCDate(today.getUTCDate() + diffToMon);
-      const sunday = new Date(monday);
-      sunday.setUTCDate(monday.getUTCDate() + 6);
-
-      startDate ??= monday.toISOString().slice(0, 10);
-      endDate ??= sunday.toISOString().slice(0, 10);
+      const week = currentWeekIn(timezone);
+      startDate ??= week.startDate;
+      endDate ??= week.endDate;
     }
 
-    const report = await getAllWeeklyReports(startDate, endDate);
-    res.status(200).json({ startDate, endDate, count: report.length, data: report });
+    const report = await getAllWeeklyReports(startDate, endDate, { department, position });
+    if (format !== 'json') {
+      return await sendExport(res, format, {
+        filename: `weekly-report-${startDate}-to-${endDate}`,
+        sheetName: `${startDate} to ${endDate}`,
+        columns: PERIOD_EXPORT_COLUMNS,
+        records: report.map((entry) => ({ ...entry, startDate, endDate })),
+      });
+    }
+    res.status(200).json({
+      startDate,
+      endDate,
+      count: report.length,
+      absenceCount: report.reduce((sum, e) => sum + e.absenceCount, 0),
+      departments: departmentRollups(report, (entry) => entry.totals),
+      data: report,
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
   }
 }
@@ -2,12 +2,97 @@ import { Router } from 'express';
 import { authenticate, requireRole } from '../../middleware/auth.middleware.js';
 import {
   getEmployeePunchesHandler,
+  createPunchHandler,
   editPunchHandler,
   deletePunchHandler,
+  listDeletedPunchesHandler,
+  restorePunchHandler,
+  purgePunchHandler,
   assignScheduleHandler,
+  getScheduleTimelineHandler,
+  getDtrHandler,
   dailyReportHandler,
   weeklyReportHandler,
 } from './admin.controller.js';
+import {
+  listCorrectionsHandler,
+  approveCorrectionHandler,
+  rejectCorrectionHandler,
+} from './correction.controller.js';
+import {
+  listOvertimeRequestsHandler,
+  fileOvertimeRequestHandler,
+  approveOvertimeRequestHandler,
+  rejectOvertimeRequestHandler,
+} from './overtime.controller.js';
+import {
+  listRosterHandler,
+  createRosterEntryHandler,
+  updateRosterEntryHandler,
+  deleteRosterEntryHandler,
+  swapShiftsHandler,
+} from './roster.controller.js';
+import {
+  listShiftTemplatesHandler,
+  getShiftTemplateHandler,
+  createShiftTemplateHandler,
+  updateShiftTemplateHandler,
+  deleteShiftTemplateHandler,
+} from './shiftTemplate.controller.js';
+import { recomputeHandler } from './recompute.controller.js';
+import { queryAuditLogHandler, getAuditEntryHandler } from './audit.controller.js';
+import {
+  listOpenPunchesHandler,
+  sweepOpenPunchesHandler,
+  forceClosePunchHandler,
+  getOpenPunchPolicyHandler,
+  updateOpenPunchPolicyHandler,
+} from './openPunch.controller.js';
+import {
+  payrollHandler,
+  getPaySettingsHandler,
+  updatePaySettingsHandler,
+  getCompensationHandler,
+  setCompensationHandler,
+} from './payroll.controller.js';
+import {
+  listHolidaysHandler,
+  createHolidayHandler,
+  importHolidaysHandler,
+  updateHolidayHandler,
+  deleteHolidayHandler,
+} from './holiday.controller.js';
+import {
+  getOrgPolicyHandler,
+  updateOrgPolicyHandler,
+  getUserPolicyHandler,
+  setUserPolicyHandler,
+} from './policy.controller.js';
+import {
+  listPayPeriodDefinitionsHandler,
+  getPayPeriodDefinitionHandler,
+  createPayPeriodDefinitionHandler,
+  updatePayPeriodDefinitionHandler,
+  deletePayPeriodDefinitionHandler,
+  listPayPeriodsHandler,
+  payPeriodReportHandler,
+} from './payPeriod.controller.js';
+import {
+  listLeaveTypesHandler,
+  createLeaveTypeHandler,
+  updateLeaveTypeHandler,
+  deleteLeaveTypeHandler,
+  listLeaveRequestsHandler,
+  approveLeaveRequestHandler,
+  rejectLeaveRequestHandler,
+  getUserLeaveBalancesHandler,
+  setLeaveEntitlementHandler,
+} from './leave.controller.js';
+import {
+  runLeaveAccrualsHandler,
+  getUserLeaveLedgerHandler,
+  addLeaveAdjustmentHandler,
+} from './leaveAccrual.controller.js';
 
 const router = Router();
 
@@ -16,14 +101,106 @@ router.use(authenticate, requireRole('admin', 'superadmin'));
 
 // Punch management
 router.get('/punches/:uid', getEmployeePunchesHandler);
+router.post('/punches', createPunchHandler);
 router.put('/punches/:punchId', editPunchHandler);
 router.delete('/punches/:punchId', deletePunchHandler);
 
+// Soft-deleted punches (restore; purging for good is superadmin-only)
+router.get('/deleted-punches', listDeletedPunchesHandler);
+router.post('/deleted-punches/:punchId/restore', restorePunchHandler);
+router.delete('/deleted-punches/:punchId', requireRole('superadmin'), purgePunchHandler);
+
+// Forgotten open punches (auto-close or flag for review)
+router.get('/open-punches', listOpenPunchesHandler);
+router.post('/open-punches/sweep', sweepOpenPunchesHandler);
+router.get('/open-punches/policy', getOpenPunchPolicyHandler);
+router.put('/open-punches/policy', updateOpenPunchPolicyHandler);
+router.post('/open-punches/:punchId/close', forceClosePunchHandler);
+
+// Employee correction and missing-punch requests
+router.get('/corrections', listCorrectionsHandler);
+router.post('/corrections/:correctionId/approve', approveCorrectionHandler);
+router.post('/corrections/:correctionId/reject', rejectCorrectionHandler);
+
+// Overtime pre-approval (only approved OT is paid)
+router.get('/overtime', listOvertimeRequestsHandler);
+router.post('/overtime', fileOvertimeRequestHandler);
+router.post('/overtime/:requestId/approve', approveOvertimeRequestHandler);
+router.post('/overtime/:requestId/reject', rejectOvertimeRequestHandler);
+
 // Schedule management
+router.get('/schedule/:uid', getScheduleTimelineHandler);
 router.put('/schedule/:uid', assignScheduleHandler);
 
+// Shift templates (named schedules users reference by ID)
+router.get('/shift-templates', listShiftTemplatesHandler);
+router.get('/shift-templates/:templateId', getShiftTemplateHandler);
+router.post('/shift-templates', createShiftTemplateHandler);
+router.put('/shift-templates/:templateId', updateShiftTemplateHandler);
+router.delete('/shift-templates/:templateId', deleteShiftTemplateHandler);
+
+// Shift roster (date-specific overrides of users.schedule)
+router.get('/roster', listRosterHandler);
+router.post('/roster', createRosterEntryHandler);
+router.post('/roster/swap', swapShiftsHandler);
+router.put('/roster/:rosterId', updateRosterEntryHandler);
+router.delete('/roster/:rosterId', deleteRosterEntryHandler);
+
+// Holiday calendar (regular holidays and special non-working days)
+router.get('/holidays', listHolidaysHandler);
+router.post('/holidays', createHolidayHandler);
+router.post('/holidays/import', importHolidaysHandler);
+router.put('/holidays/:date', updateHolidayHandler);
+router.delete('/holidays/:date', deleteHolidayHandler);
+
+// Attendance policy (grace periods and rounding)
+router.get('/attendance-policy', getOrgPolicyHandler);
+router.put('/attendance-policy', updateOrgPolicyHandler);
+router.get('/attendance-policy/users/:uid', getUserPolicyHandler);
+router.put('/attendance-policy/users/:uid', setUserPolicyHandler);
+
+// Leave (types, review queue, entitlements, accruals and ledger)
+router.get('/leave/types', listLeaveTypesHandler);
+router.post('/leave/types', createLeaveTypeHandler);
+router.put('/leave/types/:leaveTypeId', updateLeaveTypeHandler);
+router.delete('/leave/types/:leaveTypeId', deleteLeaveTypeHandler);
+router.get('/leave/requests', listLeaveRequestsHandler);
+router.post('/leave/requests/:requestId/approve', approveLeaveRequestHandler);
+router.post('/leave/requests/:requestId/reject', rejectLeaveRequestHandler);
+router.get('/leave/balances/:uid', getUserLeaveBalancesHandler);
+router.put('/leave/balances/:uid', setLeaveEntitlementHandler);
+router.post('/leave/accruals/run', runLeaveAccrualsHandler);
+router.get('/leave/ledger/:uid', getUserLeaveLedgerHandler);
+router.post('/leave/ledger/:uid', addLeaveAdjustmentHandler);
+
+// Audit trail (punch edits and deletions, schedule and role changes; read-only)
+router.get('/audit', queryAuditLogHandler);
+router.get('/audit/:auditId', getAuditEntryHandler);
+
+// Recompute / backfill of metrics and daily summaries
+router.post('/recompute', recomputeHandler);
+
+// Payroll (compensation profiles, premium table and gross pay)
+router.get('/compensation/:uid', getCompensationHandler);
+router.put('/compensation/:uid', setCompensationHandler);
+router.get('/payroll', payrollHandler);
+router.get('/payroll/settings', getPaySettingsHandler);
+router.put('/payroll/settings', updatePaySettingsHandler);
+
+// Pay-period definitions (weekly, bi-weekly, semi-monthly, monthly)
+router.get('/pay-periods', listPayPeriodDefinitionsHandler);
+router.get('/pay-periods/:definitionId', getPayPeriodDefinitionHandler);
+router.get('/pay-periods/:definitionId/periods', listPayPeriodsHandler);
+router.post('/pay-periods', createPayPeriodDefinitionHandler);
+router.put('/pay-periods/:definitionId', updatePayPeriodDefinitionHandler);
+router.delete('/pay-periods/:definitionId', deletePayPeriodDefinitionHandler);
+
 // Reports
 router.get('/reports/daily', dailyReportHandler);
 router.get('/reports/weekly', weeklyReportHandler);
+router.get('/reports/pay-period', payPeriodReportHandler);
+
+// Daily Time Record (Civil Service Form No. 48, HTML or PDF)
+router.get('/dtr/:uid', getDtrHandler);
 
 export default router;
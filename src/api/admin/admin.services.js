@@ -1,36 +1,134 @@
 import { db } from '../../lib/firebase.admin.js';
+import {
+  DEFAULT_TIMEZONE,
+  getLocalDate,
+  isValidDate,
+  isValidTimezone,
+  todayIn,
+} from '../../lib/timezone.js';
+import { normalizeSchedule, upsertVersion, versionOnDate } from '../../lib/schedule.js';
+import {
+  loadScheduleContext,
+  getScheduleHistory,
+  getScheduleTimeline,
+} from '../../lib/scheduleContext.js';
+import { computeMetrics } from '../../lib/computeHours.js';
+import { rebuildDailySummary, sumSummaries } from '../../lib/dailySummary.js';
+import { findOverlap } from '../../lib/punchOverlap.js';
+import { loadWorkforceCalendar } from '../../lib/absence.js';
+import { loadDtr } from '../../lib/dtr.js';
+import { filterByEmployee } from '../../lib/departments.js';
+import { addAuditEntry, requireReason } from '../../lib/audit.js';
+import { datesBetween } from '../../lib/leave.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 
-const round2 = (n) => Math.round(n * 100) / 100;
-
-export async function assignSchedule(targetUid, { schedule, timezone }) {
+/**
+ * Assigns a schedule (inline or shift template) and/or timezone to a user.
+ *
+ * Schedule changes are appended to users.scheduleHistory with an
+ * effectiveFrom date (default: today in the user's timezone), so punches on
+ * earlier workDates keep resolving to the schedule they were worked under.
+ * users.schedule / users.scheduleTemplateId mirror the entry in effect today.
+ *
+ * audit: { actorUid, reason } for the audit trail (reason required).
+ */
+export async function assignSchedule(
+  targetUid,
+  { schedule, timezone, templateId, effectiveFrom },
+  { actorUid, reason } = {},
+) {
+  requireReason(reason);
   const ref = db.collection('users').doc(targetUid);
   const snap = await ref.get();
   if (!snap.exists) throw new Error('User not found');
 
+  const user = snap.data();
   const updates = {};
 
+  if (schedule && templateId) {
+    throw new Error('Provide either schedule or templateId, not both');
+  }
+  if (effectiveFrom && !DATE_RE.test(effectiveFrom)) {
+    throw new Error('effectiveFrom must be in YYYY-MM-DD format');
+  }
+
+  let entry = null;
+
   if (schedule) {
-    if (!schedule.start || !schedule.end) {
-      throw new Error('schedule.start and schedule.end are required (HH:MM format)');
-    }
-    updates.schedule = { start: schedule.start, end: schedule.end };
+    // Flat { start, end } or weekly { days: { mon: { start, end }, …, sun: null } };
+    // end earlier than start is an overnight shift (e.g. 22:00–06:00).
+    // An inline schedule detaches the user from any shift template.
+    entry = { schedule: normalizeSchedule(schedule), templateId: null };
+  }
+
+  if (templateId) {
+    const templateSnap = await db.collection('shiftTemplates').doc(templateId).get();
+    if (!templateSnap.exists) throw new Error('Shift template not found');
+    entry = { schedule: null, templateId };
+  } else if (templateId === null && !schedule) {
+    // Explicit null detaches the template and falls back to the inline schedule
+    entry = { schedule: user.schedule ?? null, templateId: null };
   }
 
   if (timezone) {
+    if (!isValidTimezone(timezone)) throw new Error(`Invalid timezone: ${timezone}`);
     updates.timezone = timezone;
   }
 
+  if (entry) {
+    const today = todayIn(updates.timezone ?? user.timezone ?? DEFAULT_TIMEZONE);
+    const history = upsertVersion(getScheduleHistory(user), {
+      effectiveFrom: effectiveFrom ?? today,
+      ...entry,
+      assignedAt: new Date().toISOString(),
+    });
+    updates.scheduleHistory = history;
+
+    const current = versionOnDate(history, today) ?? history[0];
+    updates.scheduleTemplateId = current.templateId ?? null;
+    if (current.schedule) updates.schedule = current.schedule;
+  }
+
   if (Object.keys(updates).length === 0) {
-    throw new Error('Provide at least one of schedule or timezone to update');
+    throw new Error('Provide at least one of schedule, templateId or timezone to update');
   }
 
   updates.updatedAt = new Date().toISOString();
-  await ref.update(updates);
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'schedule.assign',
+    targetType: 'user',
+    targetId: targetUid,
+    targetUid,
+    before: scheduleSnapshot(user),
+    after: scheduleSnapshot({ ...user, ...updates }),
+    reason,
+  });
+  await batch.commit();
 
   const updated = await ref.get();
   return { uid: targetUid, ...updated.data() };
 }
 
+// The schedule fields of a user document, for audit snapshots.
+function scheduleSnapshot(user) {
+  return {
+    schedule: user.schedule ?? null,
+    scheduleTemplateId: user.scheduleTemplateId ?? null,
+    scheduleHistory: user.scheduleHistory ?? [],
+    timezone: user.timezone ?? null,
+  };
+}
+
+// Effective-dated schedule timeline for GET /api/admin/schedule/:uid
+export { getScheduleTimeline };
+
+// Monthly Daily Time Record for GET /api/admin/dtr/:uid
+export { loadDtr };
+
 export async function getEmployeePunches(targetUid, { startDate, endDate } = {}) {
   let query = db.collection('attendance').where('uid', '==', targetUid);
 
@@ -38,22 +136,130 @@ export async function getEmployeePunches(targetUid, { startDate, endDate } = {})
   if (endDate) query = query.where('punchIn', '<=', `${endDate}T23:59:59.999Z`);
 
   const snap = await query.get();
-  const records = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const records = snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((r) => !r.deleted);
   return records.sort((a, b) => b.punchIn.localeCompare(a.punchIn)); // newest first
 }
 
-export async function editPunch(punchId, { punchIn, punchOut }) {
+function parseTime(value, field) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be an ISO 8601 timestamp`);
+  }
+  return date;
+}
+
+/**
+ * Throws when a proposed { punchIn, punchOut } overlaps another live record
+ * of uid (see lib/punchOverlap.js); excludeId skips the record being edited.
+ */
+export async function assertNoOverlap(uid, proposed, { excludeId } = {}) {
+  const existing = await db.collection('attendance').where('uid', '==', uid).get();
+  const clash = findOverlap(
+    existing.docs.map((d) => ({ id: d.id, ...d.data() })),
+    proposed,
+    { excludeId },
+  );
+  if (clash) {
+    throw new Error(
+      clash.punchOut
+        ? `Punch overlaps record ${clash.id} (${clash.punchIn} – ${clash.punchOut})`
+        : `Punch overlaps open punch ${clash.id} (since ${clash.punchIn})`,
+    );
+  }
+}
+
+/**
+ * Records a punch on an employee's behalf (reader down, offsite work): a
+ * complete pair, or an open punch when punchOut is omitted. Rejects times in
+ * the future and overlaps with the employee's other records. Complete punches
+ * get metrics and rebuild the daily summary. audit: { actorUid, reason, request? }
+ * (request: the employee request being applied, see lib/audit.js).
+ */
+export async function createPunch(
+  targetUid,
+  { punchIn, punchOut },
+  { actorUid, reason, request } = {},
+) {
+  requireReason(reason);
+  const userDoc = await db.collection('users').doc(targetUid).get();
+  if (!userDoc.exists) throw new Error('User not found');
+
+  const start = parseTime(punchIn, 'punchIn');
+  const end = punchOut == null ? null : parseTime(punchOut, 'punchOut');
+  const now = Date.now();
+  if (start.getTime() > now || (end && end.getTime() > now)) {
+    throw new Error('Punch times cannot be in the future');
+  }
+  if (end && end <= start) throw new Error('punchOut must be after punchIn');
+
+  const proposed = { punchIn: start.toISOString(), punchOut: end ? end.toISOString() : null };
+  await assertNoOverlap(targetUid, proposed);
+
+  let metrics = null;
+  if (end) {
+    const scheduleContext = await loadScheduleContext(targetUid, start);
+    metrics = computeMetrics({ punchIn: start, punchOut: end, ...scheduleContext });
+  }
+
+  const at = new Date().toISOString();
+  const record = {
+    uid: targetUid,
+    ...proposed,
+    metrics,
+    adminCreated: true,
+    ...(request && { correctionId: request.id }),
+    createdBy: actorUid ?? null,
+    createdAt: at,
+  };
+
+  const ref = db.collection('attendance').doc();
+  const batch = db.batch();
+  batch.set(ref, record);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'punch.create',
+    targetType: 'attendance',
+    targetId: ref.id,
+    targetUid,
+    before: null,
+    after: record,
+    reason,
+    request,
+  });
+  await batch.commit();
+
+  if (metrics) await rebuildDailySummary(targetUid, metrics.workDate);
+
+  return { id: ref.id, ...record };
+}
+
+/**
+ * Changes a punch's times, recomputes its metrics and rebuilds the affected
+ * daily summaries. Rejects a punchOut at or before punchIn and times that
+ * would overlap another of the employee's records. audit: { actorUid, reason, request? } for the audit trail
+ * (request: the employee request being applied, see lib/audit.js).
+ */
+export async function editPunch(
+  punchId,
+  { punchIn, punchOut },
+  { actorUid, reason, request } = {},
+) {
+  requireReason(reason);
   const ref = db.collection('attendance').doc(punchId);
   const snap = await ref.get();
   if (!snap.exists) throw new Error('Punch record not found');
 
   const data = snap.data();
-  const updatedPunchIn = punchIn ? new Date(punchIn) : new Date(data.punchIn);
+  if (data.deleted) throw new Error('Punch record not found (it is deleted; restore it first)');
+  const updatedPunchIn = punchIn ? parseTime(punchIn, 'punchIn') : new Date(data.punchIn);
   const updatedPunchOut = punchOut
-    ? new Date(punchOut)
+    ? parseTime(punchOut, 'punchOut')
     : data.punchOut
       ? new Date(data.punchOut)
       : null;
+  if (updatedPunchOut && updatedPunchOut <= updatedPunchIn) {
+    throw new Error('punchOut must be after punchIn');
+  }
 
   const updates = {
     punchIn: updatedPunchIn.toISOString(),
@@ -61,24 +267,35 @@ export async function editPunch(punchId, { punchIn, punchOut }) {
     updatedAt: new Date().toISOString(),
     adminEdited: true,
   };
+  // Same rule as createPunch: the edited punch may not overlap another record
+  await assertNoOverlap(data.uid, updates, { excludeId: punchId });
 
   // If punch is complete, recompute metrics
   if (updatedPunchOut) {
-    const userDoc = await db.collection('users').doc(data.uid).get();
-    if (!userDoc.exists) throw new Error('User not found');
-    const { schedule, timezone } = userDoc.data();
+    const scheduleContext = await loadScheduleContext(data.uid, updatedPunchIn);
 
-    const { computeMetrics } = await import('../../lib/computeHours.js');
     const metrics = computeMetrics({
       punchIn: updatedPunchIn,
       punchOut: updatedPunchOut,
-      schedule,
-      timezone: timezone || 'Asia/Manila',
+      ...scheduleContext,
     });
     updates.metrics = metrics;
   }
 
-  await ref.update(updates);
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'punch.edit',
+    targetType: 'attendance',
+    targetId: punchId,
+    targetUid: data.uid,
+    before: data,
+    after: { ...data, ...updates },
+    reason,
+    request,
+  });
+  await batch.commit();
 
   if (updatedPunchOut && updates.metrics) {
     const { workDate } = updates.metrics;
@@ -96,179 +313,282 @@ export async function editPunch(punchId, { punchIn, punchOut }) {
   return { id: punchId, ...updated.data() };
 }
 
+// The workDate a punch counts toward. Open punches have no metrics yet, so the
+// date is derived from punchIn in the owner's timezone.
+async function punchWorkDate(data) {
+  if (data.metrics?.workDate) return data.metrics.workDate;
+  const userDoc = await db.collection('users').doc(data.uid).get();
+  const timezone = (userDoc.exists && userDoc.data().timezone) || DEFAULT_TIMEZONE;
+  return getLocalDate(new Date(data.punchIn), timezone);
+}
+
 /**
- * Permanently deletes a punch record.
+ * Soft-deletes a punch: the record is kept with deleted: true, deletedBy,
+ * deletedAt and deleteReason, and drops out of summaries and history.
  * Rebuilds (or removes) the daily summary for the affected date.
+ * Undo with restorePunch; purgePunch removes it for good.
  */
-export async function deletePunch(punchId) {
+export async function deletePunch(punchId, { actorUid, reason } = {}) {
+  requireReason(reason);
   const ref = db.collection('attendance').doc(punchId);
   const snap = await ref.get();
   if (!snap.exists) throw new Error('Punch record not found');
 
   const data = snap.data();
+  if (data.deleted) throw new Error('Punch record is already deleted');
+  const workDate = await punchWorkDate(data);
 
-  const workDate =
-    data.metrics?.workDate ??
-    new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Manila' }).format(new Date(data.punchIn));
+  const at = new Date().toISOString();
+  const updates = {
+    deleted: true,
+    deletedBy: actorUid ?? null,
+    deletedAt: at,
+    deleteReason: reason.trim(),
+    updatedAt: at,
+  };
 
-  await ref.delete();
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'punch.delete',
+    targetType: 'attendance',
+    targetId: punchId,
+    targetUid: data.uid,
+    before: data,
+    after: { ...data, ...updates },
+    reason,
+  });
+  await batch.commit();
 
   // Rebuild (or auto-delete if no punches remain for that day)
   await rebuildDailySummary(data.uid, workDate);
 
-  return { id: punchId, deleted: true };
+  return { id: punchId, workDate, ...updates };
 }
 
-async function rebuildDailySummary(uid, workDate) {
-  const summaryId = `${uid}_${workDate}`;
-
-  const snap = await db.collection('attendance').where('uid', '==', uid).get();
+/**
+ * Soft-deleted punches, most recently deleted first. Optional uid and
+ * deletedAt date range ('YYYY-MM-DD').
+ */
+export async function listDeletedPunches({ uid, startDate, endDate } = {}) {
+  if ((startDate && !DATE_RE.test(startDate)) || (endDate && !DATE_RE.test(endDate))) {
+    throw new Error('startDate and endDate must be in YYYY-MM-DD format');
+  }
+  let query = db.collection('attendance').where('deleted', '==', true);
+  if (uid) query = query.where('uid', '==', uid);
 
-  // Filter completed (non-voided) records for this workDate in JS to avoid composite index
-  const dayRecords = snap.docs
+  const snap = await query.get();
+  return snap.docs
     .map((d) => ({ id: d.id, ...d.data() }))
-    .filter((r) => r.metrics?.workDate === workDate && r.punchOut && r.punchOut !== 'VOIDED');
+    .filter(
+      (r) =>
+        (!startDate || r.deletedAt >= `${startDate}T00:00:00.000Z`) &&
+        (!endDate || r.deletedAt <= `${endDate}T23:59:59.999Z`),
+    )
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Undoes a soft delete and rebuilds the daily summary the punch counts toward.
+ * An open punch is only restored while its owner has no other open punch.
+ */
+export async function restorePunch(punchId, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('attendance').doc(punchId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Punch record not found');
 
-  if (dayRecords.length === 0) {
-    await db.collection('dailySummary').doc(summaryId).delete();
-    return;
+  const data = snap.data();
+  if (!data.deleted) throw new Error('Punch record is not deleted');
+
+  if (data.punchOut === null) {
+    const open = await db
+      .collection('attendance')
+      .where('uid', '==', data.uid)
+      .where('punchOut', '==', null)
+      .get();
+    if (open.docs.some((d) => d.id !== punchId && !d.data().deleted)) {
+      throw new Error('The employee already has an open punch; close it before restoring this one');
+    }
   }
+  const workDate = await punchWorkDate(data);
 
-  const totals = (() => {
-    // Sort punch pairs by punchIn ascending so first/last are deterministic
-    const sorted = [...dayRecords].sort((a, b) => (a.punchIn ?? '').localeCompare(b.punchIn ?? ''));
-    const first = sorted[0];
-    const last = sorted[sorted.length - 1];
-
-    return sorted.reduce(
-      (acc, r) => ({
-        // Accumulate time-based metrics identically across all pairs
-        regularHours: round2(acc.regularHours + (r.metrics?.regularHours || 0)),
-        overtimeHours: round2(acc.overtimeHours + (r.metrics?.overtimeHours || 0)),
-        nightDiffHours: round2(acc.nightDiffHours + (r.metrics?.nightDiffHours || 0)),
-        totalWorkedHours: round2(acc.totalWorkedHours + (r.metrics?.totalWorkedHours || 0)),
-        // lateMinutes  → first punch-in of the day only
-        lateMinutes: first.metrics?.lateMinutes ?? 0,
-        // undertimeMinutes → last punch-out of the day only
-        undertimeMinutes: last.metrics?.undertimeMinutes ?? 0,
-      }),
-      {
-        regularHours: 0,
-        overtimeHours: 0,
-        nightDiffHours: 0,
-        lateMinutes: 0,
-        undertimeMinutes: 0,
-        totalWorkedHours: 0,
-      },
-    );
-  })();
-
-  await db
-    .collection('dailySummary')
-    .doc(summaryId)
-    .set({
-      uid,
-      workDate,
-      ...totals,
-      punches: dayRecords.map((r) => ({
-        attendanceId: r.id,
-        punchIn: r.punchIn,
-        punchOut: r.punchOut,
-      })),
-      updatedAt: new Date().toISOString(),
-    });
+  const at = new Date().toISOString();
+  // The deletion itself stays on record in the audit trail
+  const updates = {
+    deleted: false,
+    deletedBy: null,
+    deletedAt: null,
+    deleteReason: null,
+    restoredBy: actorUid ?? null,
+    restoredAt: at,
+    updatedAt: at,
+  };
+
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'punch.restore',
+    targetType: 'attendance',
+    targetId: punchId,
+    targetUid: data.uid,
+    before: data,
+    after: { ...data, ...updates },
+    reason,
+  });
+  await batch.commit();
+
+  await rebuildDailySummary(data.uid, workDate);
+
+  const updated = await ref.get();
+  return { id: punchId, workDate, ...updated.data() };
+}
+
+/**
+ * Permanently removes a soft-deleted punch (superadmin only, enforced by the
+ * route). The audit entry keeps its last state.
+ */
+export async function purgePunch(punchId, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('attendance').doc(punchId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Punch record not found');
+
+  const data = snap.data();
+  if (!data.deleted) throw new Error('Only a deleted punch can be purged; delete it first');
+
+  const batch = db.batch();
+  batch.delete(ref);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'punch.purge',
+    targetType: 'attendance',
+    targetId: punchId,
+    targetUid: data.uid,
+    before: data,
+    after: null,
+    reason,
+  });
+  await batch.commit();
+
+  return { id: punchId, purged: true };
 }
 
 // ─── Reporting ────────────────────────────────────────────────────────────────
 
+// Employee fields the reports carry from the user profile.
+function employeeInfo(user) {
+  return user
+    ? {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        department: user.department,
+        position: user.position,
+      }
+    : null;
+}
+
 /**
- * Returns all employees' daily summaries for a specific date.
+ * Returns every active employee's row for workDate: their dailySummary when
+ * they have one, plus a status (present, onLeave, absent, restDay, holiday or
+ * upcoming — see lib/absence.js). Users with neither a summary nor a working
+ * day still get a row, so absences are explicit. filters: { department?,
+ * position? } limit the rows to matching employees.
  */
-export async function getAllDailyReports(workDate) {
-  const snap = await db.collection('dailySummary').where('workDate', '==', workDate).get();
-
-  if (snap.empty) return [];
-
-  // Enrich with user info
-  const summaries = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-  const uids = [...new Set(summaries.map((s) => s.uid))];
-
-  const userDocs = await Promise.all(uids.map((uid) => db.collection('users').doc(uid).get()));
-  const userMap = Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
-
-  return summaries.map((s) => ({
-    ...s,
-    employee: userMap[s.uid]
-      ? {
-          firstName: userMap[s.uid].firstName,
-          lastName: userMap[s.uid].lastName,
-          department: userMap[s.uid].department,
-          position: userMap[s.uid].position,
-        }
-      : null,
-  }));
+export async function getAllDailyReports(workDate, filters = {}) {
+  const [snap, calendar] = await Promise.all([
+    db.collection('dailySummary').where('workDate', '==', workDate).get(),
+    loadWorkforceCalendar([workDate]),
+  ]);
+  const summaryByUid = Object.fromEntries(
+    snap.docs.map((d) => [d.data().uid, { id: d.id, ...d.data() }]),
+  );
+  const calendarByUid = Object.fromEntries(calendar.map((c) => [c.uid, c]));
+
+  const rows = calendar.flatMap((c) => {
+    const summary = summaryByUid[c.uid];
+    const status = c.statusOn(workDate, summary ?? null);
+    if (!status && !summary) return [];
+    return [{ ...(summary ?? { uid: c.uid, workDate }), status: status ?? 'present' }];
+  });
+  // Summaries of users without an active profile (e.g. deleted) are still reported
+  for (const summary of Object.values(summaryByUid)) {
+    if (!calendarByUid[summary.uid]) rows.push({ ...summary, status: 'present' });
+  }
+
+  const userDocs = await Promise.all(
+    rows.filter((r) => !calendarByUid[r.uid]).map((r) => db.collection('users').doc(r.uid).get()),
+  );
+  const userMap = {
+    ...Object.fromEntries(calendar.map((c) => [c.uid, c.user])),
+    ...Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()])),
+  };
+
+  return filterByEmployee(
+    rows.map((r) => ({ ...r, employee: employeeInfo(userMap[r.uid]) })),
+    filters,
+  ).sort((a, b) => a.uid.localeCompare(b.uid));
 }
 
 /**
- * Returns all employees' aggregated weekly summaries for [startDate, endDate].
+ * Returns every active employee's aggregated summaries for [startDate,
+ * endDate], with the working days they missed as absentDates / absenceCount.
+ * filters: { department?, position? } as for getAllDailyReports.
  */
-export async function getAllWeeklyReports(startDate, endDate) {
-  const snap = await db
-    .collection('dailySummary')
-    .where('workDate', '>=', startDate)
-    .where('workDate', '<=', endDate)
-    .get();
+export async function getAllWeeklyReports(startDate, endDate, filters = {}) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new Error('startDate and endDate must be valid YYYY-MM-DD dates');
+  }
+  if (startDate > endDate) throw new Error('startDate must be on or before endDate');
+  const dates = datesBetween(startDate, endDate);
+  const [snap, calendar] = await Promise.all([
+    db
+      .collection('dailySummary')
+      .where('workDate', '>=', startDate)
+      .where('workDate', '<=', endDate)
+      .get(),
+    loadWorkforceCalendar(dates),
+  ]);
 
   const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
 
   // Group by uid
   const byUid = {};
-  for (const row of rows) {
-    if (!byUid[row.uid]) {
-      byUid[row.uid] = {
-        uid: row.uid,
-        days: [],
-        totals: {
-          regularHours: 0,
-          overtimeHours: 0,
-          nightDiffHours: 0,
-          lateMinutes: 0,
-          undertimeMinutes: 0,
-          totalWorkedHours: 0,
-        },
-      };
-    }
-    byUid[row.uid].days.push(row);
-    byUid[row.uid].totals.regularHours = round2(
-      byUid[row.uid].totals.regularHours + (row.regularHours || 0),
-    );
-    byUid[row.uid].totals.overtimeHours = round2(
-      byUid[row.uid].totals.overtimeHours + (row.overtimeHours || 0),
-    );
-    byUid[row.uid].totals.nightDiffHours = round2(
-      byUid[row.uid].totals.nightDiffHours + (row.nightDiffHours || 0),
-    );
-    byUid[row.uid].totals.lateMinutes += row.lateMinutes || 0;
-    byUid[row.uid].totals.undertimeMinutes += row.undertimeMinutes || 0;
-    byUid[row.uid].totals.totalWorkedHours = round2(
-      byUid[row.uid].totals.totalWorkedHours + (row.totalWorkedHours || 0),
-    );
+  const entryFor = (uid) => (byUid[uid] ??= { uid, days: [], absentDates: [] });
+  for (const row of rows) entryFor(row.uid).days.push(row);
+
+  for (const c of calendar) {
+    const summaries = Object.fromEntries((byUid[c.uid]?.days ?? []).map((d) => [d.workDate, d]));
+    const statuses = dates.map((date) => [date, c.statusOn(date, summaries[date] ?? null)]);
+    // Users hired after the range have no status on any date
+    if (!byUid[c.uid] && statuses.every(([, status]) => !status)) continue;
+    entryFor(c.uid).absentDates = statuses
+      .filter(([, status]) => status === 'absent')
+      .map(([date]) => date);
+  }
+
+  for (const entry of Object.values(byUid)) {
+    // Policy-adjusted totals, with the raw figures under totals.raw
+    entry.totals = sumSummaries(entry.days);
+    entry.absenceCount = entry.absentDates.length;
   }
 
-  const uids = Object.keys(byUid);
-  const userDocs = await Promise.all(uids.map((uid) => db.collection('users').doc(uid).get()));
-  const userMap = Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
-
-  return Object.values(byUid).map((entry) => ({
-    ...entry,
-    employee: userMap[entry.uid]
-      ? {
-          firstName: userMap[entry.uid].firstName,
-          lastName: userMap[entry.uid].lastName,
-          department: userMap[entry.uid].department,
-          position: userMap[entry.uid].position,
-        }
-      : null,
-    days: entry.days.sort((a, b) => a.workDate.localeCompare(b.workDate)),
-  }));
+  const calendarUsers = Object.fromEntries(calendar.map((c) => [c.uid, c.user]));
+  const missing = Object.keys(byUid).filter((uid) => !calendarUsers[uid]);
+  const userDocs = await Promise.all(missing.map((uid) => db.collection('users').doc(uid).get()));
+  const userMap = {
+    ...calendarUsers,
+    ...Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()])),
+  };
+
+  return filterByEmployee(
+    Object.values(byUid).map((entry) => ({
+      ...entry,
+      employee: employeeInfo(userMap[entry.uid]),
+      days: entry.days.sort((a, b) => a.workDate.localeCompare(b.workDate)),
+    })),
+    filters,
+  ).sort((a, b) => a.uid.localeCompare(b.uid));
 }
@@ -0,0 +1,28 @@
+import { queryAuditLog, getAuditEntry } from './audit.services.js';
+
+// ─── GET /api/admin/audit ────────────────────────────────────────────────────
+// Query params: uid? (affected employee), actorUid? (acting admin), action?,
+// startDate?, endDate? ('YYYY-MM-DD', UTC dates of createdAt)
+
+export async function queryAuditLogHandler(req, res) {
+  try {
+    const { uid, actorUid, action, startDate, endDate } = req.query;
+    const entries = await queryAuditLog({ uid, actorUid, action, startDate, endDate });
+    res.status(200).json({ count: entries.length, data: entries });
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/audit/:auditId ───────────────────────────────────────────
+
+export async function getAuditEntryHandler(req, res) {
+  try {
+    const entry = await getAuditEntry(req.params.auditId);
+    res.status(200).json(entry);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
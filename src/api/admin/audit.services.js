@@ -0,0 +1,50 @@
+import { db } from '../../lib/firebase.admin.js';
+import { AUDIT_ACTIONS } from '../../lib/audit.js';
+
+/**
+ * Read-only queries over the audit trail (see lib/audit.js).
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Audit entries, newest first, filtered by the affected employee (uid), the
+ * acting admin (actorUid), action and/or a createdAt date range. Queries on
+ * one field and filters the rest in JS to avoid composite indexes.
+ */
+export async function queryAuditLog({ uid, actorUid, action, startDate, endDate } = {}) {
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if ((startDate && !DATE_RE.test(startDate)) || (endDate && !DATE_RE.test(endDate))) {
+    throw new Error('startDate and endDate must be in YYYY-MM-DD format');
+  }
+  const from = startDate ? `${startDate}T00:00:00.000Z` : null;
+  const to = endDate ? `${endDate}T23:59:59.999Z` : null;
+
+  let query = db.collection('auditLog');
+  if (uid) query = query.where('targetUid', '==', uid);
+  else if (actorUid) query = query.where('actorUid', '==', actorUid);
+  else {
+    if (from) query = query.where('createdAt', '>=', from);
+    if (to) query = query.where('createdAt', '<=', to);
+  }
+
+  const snap = await query.get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter(
+      (e) =>
+        (!actorUid || e.actorUid === actorUid) &&
+        (!action || e.action === action) &&
+        (!from || e.createdAt >= from) &&
+        (!to || e.createdAt <= to),
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function getAuditEntry(auditId) {
+  const snap = await db.collection('auditLog').doc(auditId).get();
+  if (!snap.exists) throw new Error('Audit entry not found');
+  return { id: snap.id, ...snap.data() };
+}
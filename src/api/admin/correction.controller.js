@@ -0,0 +1,53 @@
+import { listCorrections, approveCorrection, rejectCorrection } from './correction.services.js';
+
+function correctionErrorStatus(error) {
+  return error.message.includes('not found')
+    ? 404
+    : ['already', 'cancelled after', 'overlaps'].some((m) => error.message.includes(m))
+      ? 409
+      : 500;
+}
+
+// ─── GET /api/admin/corrections ──────────────────────────────────────────────
+// Query params: status? ('pending' for the review queue), uid?
+
+export async function listCorrectionsHandler(req, res) {
+  try {
+    const { status, uid } = req.query;
+    const corrections = await listCorrections({ status, uid });
+    res.status(200).json({ count: corrections.length, data: corrections });
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/corrections/:correctionId/approve ───────────────────────
+// Body: { note? }
+// Applies the proposed times via the same path as PUT /punches/:punchId
+// (POST /punches for a missing punch).
+
+export async function approveCorrectionHandler(req, res) {
+  try {
+    const result = await approveCorrection(req.params.correctionId, req.user.uid, {
+      note: req.body?.note,
+    });
+    res.status(200).json({ message: 'Correction request approved', ...result });
+  } catch (error) {
+    res.status(correctionErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/corrections/:correctionId/reject ────────────────────────
+// Body: { note? }
+
+export async function rejectCorrectionHandler(req, res) {
+  try {
+    const result = await rejectCorrection(req.params.correctionId, req.user.uid, {
+      note: req.body?.note,
+    });
+    res.status(200).json({ message: 'Correction request rejected', ...result });
+  } catch (error) {
+    res.status(correctionErrorStatus(error)).json({ error: error.message });
+  }
+}
@@ -0,0 +1,101 @@
+import { db } from '../../lib/firebase.admin.js';
+import { createPunch, editPunch } from './admin.services.js';
+import { CORRECTION_STATUSES } from '../attendance/correction.services.js';
+
+/**
+ * Review queue for employee attendance correction and missing-punch requests
+ * (see attendance/correction.services.js for the request shape).
+ *
+ * Approval applies the proposed times through editPunch, or createPunch for a
+ * missing-punch request, so metrics, daily summaries and the audit trail are
+ * handled exactly as for an admin edit or entry. A missing punch that would
+ * overlap one of the employee's existing records is refused (the hours would
+ * count twice).
+ */
+
+export async function listCorrections({ status, uid } = {}) {
+  if (status && !CORRECTION_STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${CORRECTION_STATUSES.join(', ')}`);
+  }
+
+  let query = db.collection('attendanceCorrections');
+  if (status) query = query.where('status', '==', status);
+  if (uid) query = query.where('uid', '==', uid);
+
+  const snap = await query.get();
+  const corrections = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const uids = [...new Set(corrections.map((c) => c.uid))];
+  const userDocs = await Promise.all(uids.map((u) => db.collection('users').doc(u).get()));
+  const userMap = Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+
+  return corrections
+    .map((c) => ({
+      ...c,
+      employee: userMap[c.uid]
+        ? { firstName: userMap[c.uid].firstName, lastName: userMap[c.uid].lastName }
+        : null,
+    }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt)); // oldest first
+}
+
+async function getPendingCorrection(correctionId) {
+  const ref = db.collection('attendanceCorrections').doc(correctionId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Correction request not found');
+
+  const correction = snap.data();
+  if (correction.status !== 'pending') {
+    throw new Error(`Correction request is already ${correction.status}`);
+  }
+  return { ref, correction };
+}
+
+function review(status, actorUid, note) {
+  const now = new Date().toISOString();
+  return {
+    status,
+    reviewedBy: actorUid ?? null,
+    reviewedAt: now,
+    reviewNote: note ?? null,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Applies a pending request's times and marks it approved. Returns the
+ * request together with the resulting attendance record.
+ */
+export async function approveCorrection(correctionId, actorUid, { note } = {}) {
+  const { ref, correction } = await getPendingCorrection(correctionId);
+  const { punchIn, punchOut } = correction;
+  // The employee's reason can use the whole length cap on its own, so it goes
+  // in the entry's request field rather than into the admin reason
+  const audit = {
+    actorUid,
+    reason: `Approved ${correction.type} request ${correctionId}`,
+    request: { type: correction.type, id: correctionId, reason: correction.reason },
+  };
+
+  let attendance;
+  if (correction.type === 'correction') {
+    const recordSnap = await db.collection('attendance').doc(correction.attendanceId).get();
+    if (recordSnap.exists && recordSnap.data().voided) {
+      throw new Error('The punch was cancelled after the request was filed; reject the request');
+    }
+    attendance = await editPunch(correction.attendanceId, { punchIn, punchOut }, audit);
+  } else {
+    attendance = await createPunch(correction.uid, { punchIn, punchOut }, audit);
+  }
+
+  const updates = { ...review('approved', actorUid, note), attendanceId: attendance.id };
+  await ref.update(updates);
+  return { id: correctionId, ...correction, ...updates, attendance };
+}
+
+export async function rejectCorrection(correctionId, actorUid, { note } = {}) {
+  const { ref, correction } = await getPendingCorrection(correctionId);
+  const updates = review('rejected', actorUid, note);
+  await ref.update(updates);
+  return { id: correctionId, ...correction, ...updates };
+}
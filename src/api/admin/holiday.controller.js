@@ -0,0 +1,84 @@
+import {
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays,
+} from './holiday.services.js';
+
+function holidayErrorStatus(error) {
+  return error.message.includes('not found')
+    ? 404
+    : error.message.includes('already exists')
+      ? 409
+      : 400;
+}
+
+// ─── GET /api/admin/holidays ─────────────────────────────────────────────────
+// Query params: year? | startDate?, endDate? ('YYYY-MM-DD')
+
+export async function listHolidaysHandler(req, res) {
+  try {
+    const { year, startDate, endDate } = req.query;
+    const holidays = await listHolidays({ year, startDate, endDate });
+    res.status(200).json({ count: holidays.length, data: holidays });
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/holidays ────────────────────────────────────────────────
+// Body: { date: 'YYYY-MM-DD', name, type: 'regular' | 'special' }
+
+export async function createHolidayHandler(req, res) {
+  try {
+    const { date, name, type } = req.body;
+    const holiday = await createHoliday({ date, name, type }, req.user.uid);
+    res.status(201).json({ message: 'Holiday created successfully', ...holiday });
+  } catch (error) {
+    res.status(holidayErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/holidays/import ─────────────────────────────────────────
+// Body: { year: 2025, holidays: [{ date, name, type }], replace?: boolean }
+// replace: true removes that year's holidays missing from the list.
+
+export async function importHolidaysHandler(req, res) {
+  try {
+    const { year, holidays, replace } = req.body;
+    const result = await importHolidays(
+      { year, holidays, replace: replace === true },
+      req.user.uid,
+    );
+    res.status(200).json({ message: 'Holidays imported successfully', ...result });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/holidays/:date ───────────────────────────────────────────
+// Body: { name?, type? }
+
+export async function updateHolidayHandler(req, res) {
+  try {
+    const { name, type } = req.body;
+    const holiday = await updateHoliday(req.params.date, { name, type });
+    res.status(200).json({ message: 'Holiday updated successfully', ...holiday });
+  } catch (error) {
+    res.status(holidayErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/admin/holidays/:date ────────────────────────────────────────
+
+export async function deleteHolidayHandler(req, res) {
+  try {
+    const result = await deleteHoliday(req.params.date);
+    res.status(200).json({ message: 'Holiday deleted successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
@@ -0,0 +1,113 @@
+import { db } from '../../lib/firebase.admin.js';
+import { normalizeHoliday } from '../../lib/holidays.js';
+
+/**
+ * Holiday calendar (collection 'holidays', doc id = 'YYYY-MM-DD').
+ *
+ * Entry shape: { date, name, type: 'regular' | 'special', createdBy, createdAt, updatedAt }
+ *
+ * Metrics pick up holidays when punches are computed; after changing the
+ * calendar for past dates run POST /api/admin/recompute over them.
+ */
+
+const YEAR_RE = /^\d{4}$/;
+
+export async function listHolidays({ year, startDate, endDate } = {}) {
+  if (year !== undefined && !YEAR_RE.test(String(year))) {
+    throw new Error('year must be a 4-digit year');
+  }
+  const from = year ? `${year}-01-01` : startDate;
+  const to = year ? `${year}-12-31` : endDate;
+
+  let query = db.collection('holidays');
+  if (from) query = query.where('date', '>=', from);
+  if (to) query = query.where('date', '<=', to);
+
+  const snap = await query.get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export async function createHoliday(holiday, actorUid) {
+  const clean = normalizeHoliday(holiday);
+  const ref = db.collection('holidays').doc(clean.date);
+  const now = new Date().toISOString();
+  const entry = { ...clean, createdBy: actorUid ?? null, createdAt: now, updatedAt: now };
+
+  try {
+    await ref.create(entry);
+  } catch (error) {
+    if (error.code === 6) throw new Error(`A holiday already exists on ${clean.date}`);
+    throw error;
+  }
+  return { id: ref.id, ...entry };
+}
+
+export async function updateHoliday(date, { name, type }) {
+  const ref = db.collection('holidays').doc(date);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Holiday not found');
+
+  const prev = snap.data();
+  const clean = normalizeHoliday({ date, name: name ?? prev.name, type: type ?? prev.type });
+  await ref.update({ name: clean.name, type: clean.type, updatedAt: new Date().toISOString() });
+
+  const updated = await ref.get();
+  return { id: date, ...updated.data() };
+}
+
+export async function deleteHoliday(date) {
+  const ref = db.collection('holidays').doc(date);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Holiday not found');
+
+  await ref.delete();
+  return { id: date, deleted: true };
+}
+
+/**
+ * Imports a year's holiday list in one batch, overwriting same-date entries.
+ * With replace, holidays in that year missing from the list are removed.
+ * The whole list is validated before anything is written.
+ */
+export async function importHolidays({ year, holidays, replace = false }, actorUid) {
+  if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+  if (!Array.isArray(holidays) || holidays.length === 0) {
+    throw new Error('holidays must be a non-empty array');
+  }
+
+  const clean = holidays.map((h, i) => {
+    try {
+      return normalizeHoliday(h);
+    } catch (error) {
+      throw new Error(`holidays[${i}]: ${error.message}`);
+    }
+  });
+
+  const seen = new Set();
+  for (const h of clean) {
+    if (!h.date.startsWith(`${year}-`)) throw new Error(`${h.date} is not in ${year}`);
+    if (seen.has(h.date)) throw new Error(`Duplicate holiday date: ${h.date}`);
+    seen.add(h.date);
+  }
+
+  const existing = await listHolidays({ year });
+  const existingById = Object.fromEntries(existing.map((h) => [h.id, h]));
+  const stale = replace ? existing.filter((h) => !seen.has(h.date)) : [];
+
+  const now = new Date().toISOString();
+  const batch = db.batch();
+  for (const h of clean) {
+    batch.set(db.collection('holidays').doc(h.date), {
+      ...h,
+      createdBy: existingById[h.date]?.createdBy ?? actorUid ?? null,
+      createdAt: existingById[h.date]?.createdAt ?? now,
+      updatedAt: now,
+    });
+  }
+  for (const h of stale) batch.delete(db.collection('holidays').doc(h.id));
+  await batch.commit();
+
+  return { year: Number(year), imported: clean.length, removed: stale.length };
+}
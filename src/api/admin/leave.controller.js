@@ -0,0 +1,154 @@
+import {
+  listLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  deleteLeaveType,
+  listLeaveRequests,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  getUserLeaveBalances,
+  setLeaveEntitlement,
+} from './leave.services.js';
+
+function leaveErrorStatus(error) {
+  return error.message.includes('not found')
+    ? 404
+    : error.message.includes('already') || error.message.includes('in use')
+      ? 409
+      : 400;
+}
+
+// ─── GET /api/admin/leave/types ──────────────────────────────────────────────
+
+export async function listLeaveTypesHandler(req, res) {
+  try {
+    const types = await listLeaveTypes();
+    res.status(200).json({ count: types.length, data: types });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/leave/types ─────────────────────────────────────────────
+// Body: { code: 'VL', name, paid?: boolean,
+//         annualEntitlementDays?: number | null,            (fixed yearly grant) or
+//         accrual?: { method: 'monthly', days }              (credited each month) or
+//                   { method: 'anniversary', days, afterYears? }  (e.g. SIL: 5 days after 1 year),
+//         carryOverCap?: number | null (default 0, null = no cap), convertToCash?: boolean }
+
+export async function createLeaveTypeHandler(req, res) {
+  try {
+    const { code, name, annualEntitlementDays, accrual, paid, carryOverCap, convertToCash } =
+      req.body;
+    const type = await createLeaveType(
+      { code, name, annualEntitlementDays, accrual, paid, carryOverCap, convertToCash },
+      req.user.uid,
+    );
+    res.status(201).json({ message: 'Leave type created successfully', ...type });
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/leave/types/:leaveTypeId ─────────────────────────────────
+// Body: any of the POST fields except code
+
+export async function updateLeaveTypeHandler(req, res) {
+  try {
+    const { name, annualEntitlementDays, accrual, paid, carryOverCap, convertToCash } = req.body;
+    const type = await updateLeaveType(req.params.leaveTypeId, {
+      name,
+      annualEntitlementDays,
+      accrual,
+      paid,
+      carryOverCap,
+      convertToCash,
+    });
+    res.status(200).json({ message: 'Leave type updated successfully', ...type });
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/admin/leave/types/:leaveTypeId ──────────────────────────────
+
+export async function deleteLeaveTypeHandler(req, res) {
+  try {
+    const result = await deleteLeaveType(req.params.leaveTypeId);
+    res.status(200).json({ message: 'Leave type deleted successfully', ...result });
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/leave/requests ───────────────────────────────────────────
+// Query params: status? ('pending' for the review queue), uid?
+
+export async function listLeaveRequestsHandler(req, res) {
+  try {
+    const { status, uid } = req.query;
+    const requests = await listLeaveRequests({ status, uid });
+    res.status(200).json({ count: requests.length, data: requests });
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/leave/requests/:requestId/approve ───────────────────────
+// Body: { note? }
+
+export async function approveLeaveRequestHandler(req, res) {
+  try {
+    const result = await approveLeaveRequest(req.params.requestId, req.user.uid, {
+      note: req.body?.note,
+    });
+    res.status(200).json({ message: 'Leave request approved', ...result });
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/leave/requests/:requestId/reject ────────────────────────
+// Body: { note? }
+
+export async function rejectLeaveRequestHandler(req, res) {
+  try {
+    const result = await rejectLeaveRequest(req.params.requestId, req.user.uid, {
+      note: req.body?.note,
+    });
+    res.status(200).json({ message: 'Leave request rejected', ...result });
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/leave/balances/:uid ──────────────────────────────────────
+// Query param: year (4 digits)
+
+export async function getUserLeaveBalancesHandler(req, res) {
+  try {
+    const result = await getUserLeaveBalances(req.params.uid, req.query.year);
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/leave/balances/:uid ──────────────────────────────────────
+// Body: { leaveTypeId, year, entitledDays: number | null }
+// null removes the override so the leave type's annualEntitlementDays applies.
+
+export async function setLeaveEntitlementHandler(req, res) {
+  try {
+    const { leaveTypeId, year, entitledDays } = req.body;
+    const result = await setLeaveEntitlement(
+      req.params.uid,
+      { leaveTypeId, year, entitledDays },
+      req.user.uid,
+    );
+    res.status(200).json({ message: 'Leave entitlement updated successfully', ...result });
+  } catch (error) {
+    res.status(leaveErrorStatus(error)).json({ error: error.message });
+  }
+}
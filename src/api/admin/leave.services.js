@@ -0,0 +1,189 @@
+import { db } from '../../lib/firebase.admin.js';
+import {
+  normalizeLeaveType,
+  getLeaveType,
+  listLeaveTypes,
+  getLeaveBalances,
+  LEAVE_STATUSES,
+} from '../../lib/leave.js';
+import { rebuildDailySummary } from '../../lib/dailySummary.js';
+
+/**
+ * Admin side of leave management: leave types, the review queue and per-user
+ * entitlement overrides (see lib/leave.js for the data model). Accruals and
+ * the ledger live in leaveAccrual.services.js.
+ */
+
+const YEAR_RE = /^\d{4}$/;
+
+// ─── Leave types ──────────────────────────────────────────────────────────────
+
+export { listLeaveTypes, getLeaveType };
+
+export async function createLeaveType(leaveType, actorUid) {
+  const clean = normalizeLeaveType(leaveType);
+  const ref = db.collection('leaveTypes').doc(clean.code);
+  const now = new Date().toISOString();
+  const entry = { ...clean, createdBy: actorUid ?? null, createdAt: now, updatedAt: now };
+
+  try {
+    await ref.create(entry);
+  } catch (error) {
+    if (error.code === 6) throw new Error(`Leave type ${clean.code} already exists`);
+    throw error;
+  }
+  return { id: ref.id, ...entry };
+}
+
+/**
+ * Updates a type's name, entitlement or accrual rule, paid flag or year-end
+ * rules. Entitlement and accrual changes apply to every balance without a
+ * per-user override; paid applies to requests filed afterwards.
+ */
+export async function updateLeaveType(leaveTypeId, fields) {
+  const prev = await getLeaveType(leaveTypeId);
+  const pick = (key) => (fields[key] === undefined ? prev[key] : fields[key]);
+  const clean = normalizeLeaveType({
+    code: prev.code,
+    name: fields.name ?? prev.name,
+    annualEntitlementDays: pick('annualEntitlementDays'),
+    accrual: pick('accrual'),
+    paid: fields.paid ?? prev.paid,
+    carryOverCap: pick('carryOverCap'),
+    convertToCash: fields.convertToCash ?? prev.convertToCash,
+  });
+
+  const ref = db.collection('leaveTypes').doc(leaveTypeId);
+  await ref.update({ ...clean, updatedAt: new Date().toISOString() });
+
+  const updated = await ref.get();
+  return { id: leaveTypeId, ...updated.data() };
+}
+
+export async function deleteLeaveType(leaveTypeId) {
+  await getLeaveType(leaveTypeId);
+
+  const requests = await db
+    .collection('leaveRequests')
+    .where('leaveTypeId', '==', leaveTypeId)
+    .limit(1)
+    .get();
+  if (!requests.empty) {
+    throw new Error('Leave type is in use by leave requests and cannot be deleted');
+  }
+
+  await db.collection('leaveTypes').doc(leaveTypeId).delete();
+  return { id: leaveTypeId, deleted: true };
+}
+
+// ─── Requests ─────────────────────────────────────────────────────────────────
+
+/**
+ * Leave requests across all users, oldest first, with employee names.
+ */
+export async function listLeaveRequests({ status, uid } = {}) {
+  if (status && !LEAVE_STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${LEAVE_STATUSES.join(', ')}`);
+  }
+
+  let query = db.collection('leaveRequests');
+  if (status) query = query.where('status', '==', status);
+  if (uid) query = query.where('uid', '==', uid);
+
+  const snap = await query.get();
+  const requests = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const uids = [...new Set(requests.map((r) => r.uid))];
+  const userDocs = await Promise.all(uids.map((u) => db.collection('users').doc(u).get()));
+  const userMap = Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+
+  return requests
+    .map((r) => ({
+      ...r,
+      employee: userMap[r.uid]
+        ? { firstName: userMap[r.uid].firstName, lastName: userMap[r.uid].lastName }
+        : null,
+    }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+async function reviewLeaveRequest(requestId, status, actorUid, note) {
+  const ref = db.collection('leaveRequests').doc(requestId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Leave request not found');
+
+  const request = snap.data();
+  if (request.status !== 'pending') {
+    throw new Error(`Leave request is already ${request.status}`);
+  }
+
+  const now = new Date().toISOString();
+  const review = {
+    status,
+    reviewedBy: actorUid ?? null,
+    reviewedAt: now,
+    reviewNote: note ?? null,
+    updatedAt: now,
+  };
+  await ref.update(review);
+
+  return { id: requestId, ...request, ...review };
+}
+
+/**
+ * Approves a pending request and adds its days to the daily summaries.
+ */
+export async function approveLeaveRequest(requestId, actorUid, { note } = {}) {
+  const result = await reviewLeaveRequest(requestId, 'approved', actorUid, note);
+  for (const day of result.days) await rebuildDailySummary(result.uid, day.date);
+  return result;
+}
+
+export async function rejectLeaveRequest(requestId, actorUid, { note } = {}) {
+  return reviewLeaveRequest(requestId, 'rejected', actorUid, note);
+}
+
+// ─── Balances ─────────────────────────────────────────────────────────────────
+
+export async function getUserLeaveBalances(uid, year) {
+  if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+  return { uid, year: Number(year), balances: await getLeaveBalances(uid, year) };
+}
+
+/**
+ * Overrides a user's entitlement for one type and year; entitledDays null
+ * removes the override so the type's annualEntitlementDays applies again.
+ */
+export async function setLeaveEntitlement(uid, { leaveTypeId, year, entitledDays }, actorUid) {
+  if (!leaveTypeId) throw new Error('leaveTypeId is required');
+  if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+  if (
+    entitledDays !== null &&
+    !(typeof entitledDays === 'number' && entitledDays >= 0 && Number.isInteger(entitledDays * 2))
+  ) {
+    throw new Error('entitledDays must be a non-negative number of whole or half days, or null');
+  }
+
+  const type = await getLeaveType(leaveTypeId);
+  if (type.accrual) {
+    throw new Error(`Leave type ${type.code} accrues; post a ledger adjustment instead`);
+  }
+  const userSnap = await db.collection('users').doc(uid).get();
+  if (!userSnap.exists) throw new Error('User not found');
+
+  const ref = db.collection('leaveBalances').doc(`${uid}_${leaveTypeId}_${year}`);
+  if (entitledDays === null) {
+    await ref.delete();
+  } else {
+    await ref.set({
+      uid,
+      leaveTypeId,
+      year: Number(year),
+      entitledDays,
+      updatedBy: actorUid ?? null,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  return getUserLeaveBalances(uid, year);
+}
@@ -0,0 +1,53 @@
+import {
+  runLeaveAccruals,
+  getUserLeaveLedger,
+  addLeaveAdjustment,
+} from './leaveAccrual.services.js';
+
+// ─── POST /api/admin/leave/accruals/run ──────────────────────────────────────
+// Body: { date?: 'YYYY-MM-DD' (default today, org timezone), uids?: string[] }
+// Idempotent: credits only accruals missing from the ledger and closes the
+// previous year once per user and leave type.
+
+export async function runLeaveAccrualsHandler(req, res) {
+  try {
+    const { date, uids } = req.body ?? {};
+    const result = await runLeaveAccruals({ date, uids }, req.user.uid);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/leave/ledger/:uid ────────────────────────────────────────
+// Query params: year?, leaveTypeId?
+
+export async function getUserLeaveLedgerHandler(req, res) {
+  try {
+    const { year, leaveTypeId } = req.query;
+    const result = await getUserLeaveLedger(req.params.uid, { year, leaveTypeId });
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/leave/ledger/:uid ───────────────────────────────────────
+// Body: { leaveTypeId, date: 'YYYY-MM-DD', days (+ credit / − debit), note }
+
+export async function addLeaveAdjustmentHandler(req, res) {
+  try {
+    const { leaveTypeId, date, days, note } = req.body;
+    const entry = await addLeaveAdjustment(
+      req.params.uid,
+      { leaveTypeId, date, days, note },
+      req.user.uid,
+    );
+    res.status(201).json({ message: 'Leave adjustment recorded', ...entry });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
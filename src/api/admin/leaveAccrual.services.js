@@ -0,0 +1,275 @@
+import { db } from '../../lib/firebase.admin.js';
+import {
+  listLeaveTypes,
+  getLeaveType,
+  isTrackedType,
+  getLedgerEntries,
+  getUserLeaveRequests,
+  entitlementFor,
+  getLeaveLedger,
+} from '../../lib/leave.js';
+import { accrualCredits, yearEndSplit } from '../../lib/leaveAccrual.js';
+import { hourlyRate } from '../../lib/payroll.js';
+import { versionOnDate } from '../../lib/schedule.js';
+import { DEFAULT_TIMEZONE, getLocalDate, orgTimezone, todayIn } from '../../lib/timezone.js';
+import { getPaySettings } from './payroll.services.js';
+
+/**
+ * Leave accrual engine.
+ *
+ * A run for a date credits every accrual a user has earned in that date's
+ * calendar year up to the date, and closes the previous year. The hire date
+ * is users.createdAt in the user's timezone. Ledger entries have
+ * deterministic IDs and are only created when missing, so a run can be
+ * repeated (or re-run for a past date) without double-crediting.
+ *
+ * Closing a year carries unused days into the next one up to the type's
+ * carryOverCap and converts or forfeits the rest. Each user, type and year is
+ * closed once (collection 'leaveYearClosures'); requests approved for a year
+ * after it was closed are not re-settled.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const YEAR_RE = /^\d{4}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+async function listTargetUsers(uids) {
+  if (uids?.length) {
+    const snaps = await Promise.all(
+      [...new Set(uids)].map((uid) => db.collection('users').doc(uid).get()),
+    );
+    return snaps.filter((s) => s.exists).map((s) => ({ uid: s.id, ...s.data() }));
+  }
+  const snap = await db.collection('users').get();
+  return snap.docs.map((d) => ({ uid: d.id, ...d.data() }));
+}
+
+function ledgerEntry(uid, type, { year, kind, date, days, amount, note }, actorUid) {
+  return {
+    uid,
+    leaveTypeId: type.id,
+    year,
+    kind,
+    date,
+    days,
+    ...(amount !== undefined && { amount }),
+    note: note ?? null,
+    createdBy: actorUid ?? null,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Cash value of converted days at the daily rate in effect on date (null when unpriced).
+async function conversionAmount(uid, days, date, settings) {
+  if (!days) return 0;
+  const snap = await db.collection('compensation').doc(uid).get();
+  const compensation = snap.exists ? versionOnDate(snap.data().versions, date) : null;
+  if (!compensation) return null;
+  return round2(days * hourlyRate(compensation, settings) * settings.hoursPerDay);
+}
+
+/**
+ * Credits the accruals a user earned in asOf's year that the ledger lacks.
+ */
+async function creditAccruals(user, hireDate, types, asOf, existingIds, actorUid) {
+  const year = Number(asOf.slice(0, 4));
+  const batch = db.batch();
+  const created = [];
+
+  for (const type of types.filter((t) => t.accrual)) {
+    for (const credit of accrualCredits(type.accrual, hireDate, asOf)) {
+      const id = `${user.uid}_${type.id}_accrual_${credit.period}`;
+      if (existingIds.has(id)) continue;
+      const entry = ledgerEntry(
+        user.uid,
+        type,
+        { year, kind: 'accrual', date: credit.date, days: credit.days },
+        actorUid,
+      );
+      batch.create(db.collection('leaveLedger').doc(id), entry);
+      existingIds.add(id);
+      created.push({ id, ...entry });
+    }
+  }
+
+  if (created.length) await batch.commit();
+  return created;
+}
+
+/**
+ * Closes a user's leave year for every tracked type not closed yet.
+ */
+async function closeYear(user, types, year, settings, actorUid) {
+  const closures = await db.collection('leaveYearClosures').where('uid', '==', user.uid).get();
+  const closed = new Set(closures.docs.map((d) => d.id));
+
+  const [entries, requests, overrides] = await Promise.all([
+    getLedgerEntries(user.uid, { year }),
+    getUserLeaveRequests(user.uid, { status: 'approved', year }),
+    db.collection('leaveBalances').where('uid', '==', user.uid).where('year', '==', year).get(),
+  ]);
+  const override = Object.fromEntries(
+    overrides.docs.map((d) => [d.data().leaveTypeId, d.data().entitledDays]),
+  );
+
+  const results = [];
+  for (const type of types) {
+    const closureId = `${user.uid}_${type.id}_${year}`;
+    if (closed.has(closureId)) continue;
+
+    const usedDays = requests
+      .filter((r) => r.leaveTypeId === type.id)
+      .reduce((acc, r) => acc + r.totalDays, 0);
+    const remainingDays = round2(entitlementFor(type, override[type.id], entries, year) - usedDays);
+    const split = yearEndSplit(remainingDays, type);
+    const yearEnd = `${year}-12-31`;
+    const amount = await conversionAmount(user.uid, split.converted, yearEnd, settings);
+
+    const batch = db.batch();
+    const add = (id, fields) =>
+      batch.create(
+        db.collection('leaveLedger').doc(id),
+        ledgerEntry(user.uid, type, fields, actorUid),
+      );
+    const prefix = `${user.uid}_${type.id}`;
+
+    if (split.carryOver) {
+      const note = `Carried over to ${year + 1}`;
+      add(`${prefix}_carryOut_${year}`, {
+        year,
+        kind: 'carryOut',
+        date: yearEnd,
+        days: -split.carryOver,
+        note,
+      });
+      add(`${prefix}_carryIn_${year + 1}`, {
+        year: year + 1,
+        kind: 'carryIn',
+        date: `${year + 1}-01-01`,
+        days: split.carryOver,
+        note: `Carried over from ${year}`,
+      });
+    }
+    if (split.converted) {
+      add(`${prefix}_conversion_${year}`, {
+        year,
+        kind: 'conversion',
+        date: yearEnd,
+        days: -split.converted,
+        amount,
+      });
+    }
+    if (split.forfeited) {
+      add(`${prefix}_forfeiture_${year}`, {
+        year,
+        kind: 'forfeiture',
+        date: yearEnd,
+        days: -split.forfeited,
+      });
+    }
+
+    const closure = {
+      uid: user.uid,
+      leaveTypeId: type.id,
+      year,
+      remainingDays,
+      ...split,
+      amount,
+      closedBy: actorUid ?? null,
+      closedAt: new Date().toISOString(),
+    };
+    batch.create(db.collection('leaveYearClosures').doc(closureId), closure);
+    await batch.commit();
+    results.push(closure);
+  }
+  return results;
+}
+
+/**
+ * Runs accruals for asOf (default: today in the org timezone) for the given
+ * users (default: everyone). The previous year is fully accrued and closed
+ * first, so the first run of a new year settles the old one.
+ */
+export async function runLeaveAccruals({ date, uids } = {}, actorUid) {
+  const asOf = date ?? todayIn(orgTimezone());
+  if (!DATE_RE.test(asOf)) throw new Error('date must be in YYYY-MM-DD format');
+  if (uids !== undefined && !Array.isArray(uids)) throw new Error('uids must be an array');
+
+  const year = Number(asOf.slice(0, 4));
+  const previousYearEnd = `${year - 1}-12-31`;
+  const types = (await listLeaveTypes()).filter(isTrackedType);
+  const [users, settings] = await Promise.all([listTargetUsers(uids), getPaySettings()]);
+
+  const credited = [];
+  const closed = [];
+  const skipped = [];
+
+  for (const user of users) {
+    if (!user.createdAt) {
+      skipped.push({ uid: user.uid, reason: 'No createdAt (hire date) on the user profile' });
+      continue;
+    }
+    const hireDate = getLocalDate(new Date(user.createdAt), user.timezone || DEFAULT_TIMEZONE);
+    if (hireDate > asOf) continue;
+
+    const ledger = await getLedgerEntries(user.uid);
+    const existingIds = new Set(ledger.map((e) => e.id));
+
+    if (hireDate <= previousYearEnd) {
+      credited.push(
+        ...(await creditAccruals(user, hireDate, types, previousYearEnd, existingIds, actorUid)),
+      );
+      closed.push(...(await closeYear(user, types, year - 1, settings, actorUid)));
+    }
+    credited.push(...(await creditAccruals(user, hireDate, types, asOf, existingIds, actorUid)));
+  }
+
+  return {
+    date: asOf,
+    usersScanned: users.length,
+    creditedCount: credited.length,
+    closedCount: closed.length,
+    credited,
+    closed,
+    skipped,
+  };
+}
+
+// ─── Ledger ───────────────────────────────────────────────────────────────────
+
+export async function getUserLeaveLedger(uid, { year, leaveTypeId } = {}) {
+  if (year !== undefined && !YEAR_RE.test(String(year))) {
+    throw new Error('year must be a 4-digit year');
+  }
+  const entries = await getLeaveLedger(uid, { year, leaveTypeId });
+  return { uid, year: year ? Number(year) : null, count: entries.length, entries };
+}
+
+/**
+ * Posts a manual adjustment (+ credit / − debit) to a tracked leave type.
+ */
+export async function addLeaveAdjustment(uid, { leaveTypeId, date, days, note }, actorUid) {
+  if (!leaveTypeId) throw new Error('leaveTypeId is required');
+  if (!DATE_RE.test(date ?? '')) throw new Error('date is required (YYYY-MM-DD)');
+  if (typeof days !== 'number' || days === 0 || !Number.isInteger(days * 2)) {
+    throw new Error('days must be a non-zero number of whole or half days');
+  }
+  if (typeof note !== 'string' || !note.trim()) {
+    throw new Error('note is required to explain the adjustment');
+  }
+
+  const type = await getLeaveType(leaveTypeId);
+  if (!isTrackedType(type)) throw new Error(`Leave type ${type.code} has no balance to adjust`);
+  const userSnap = await db.collection('users').doc(uid).get();
+  if (!userSnap.exists) throw new Error('User not found');
+
+  const entry = ledgerEntry(
+    uid,
+    type,
+    { year: Number(date.slice(0, 4)), kind: 'adjustment', date, days, note: note.trim() },
+    actorUid,
+  );
+  const ref = await db.collection('leaveLedger').add(entry);
+  return { id: ref.id, ...entry };
+}
@@ -0,0 +1,84 @@
+import {
+  getOpenPunchPolicy,
+  updateOpenPunchPolicy,
+  listOpenPunches,
+  sweepOpenPunches,
+  forceClosePunch,
+} from './openPunch.services.js';
+
+// ─── GET /api/admin/open-punches ─────────────────────────────────────────────
+// Query param: flagged? ('true' → only punches flagged for review)
+
+export async function listOpenPunchesHandler(req, res) {
+  try {
+    const punches = await listOpenPunches({ flagged: req.query.flagged === 'true' });
+    res.status(200).json({ count: punches.length, data: punches });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/open-punches/sweep ──────────────────────────────────────
+// Body: { dryRun?: boolean }
+// Auto-closes or flags stale open punches according to the open-punch policy.
+
+export async function sweepOpenPunchesHandler(req, res) {
+  try {
+    const dryRun = req.body?.dryRun ?? false;
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'dryRun must be a boolean' });
+    }
+    const result = await sweepOpenPunches({ dryRun });
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/open-punches/:punchId/close ─────────────────────────────
+// Body: { punchOut?: ISO string (default now), reason }
+// Force-closes an employee's open punch; recorded in the audit trail.
+
+export async function forceClosePunchHandler(req, res) {
+  try {
+    const { punchOut, reason } = req.body ?? {};
+    if (!reason?.trim()) {
+      return res.status(400).json({ error: 'reason is required for audited changes' });
+    }
+    const result = await forceClosePunch(
+      req.params.punchId,
+      { punchOut },
+      { actorUid: req.user.uid, reason },
+    );
+    res.status(200).json({ message: 'Punch closed successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('already')
+        ? 409
+        : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/open-punches/policy ──────────────────────────────────────
+
+export async function getOpenPunchPolicyHandler(req, res) {
+  try {
+    res.status(200).json(await getOpenPunchPolicy());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/open-punches/policy ──────────────────────────────────────
+// Body: { action?: 'flag' | 'autoClose', maxOpenHours?, hoursAfterShiftEnd?: number | null }
+
+export async function updateOpenPunchPolicyHandler(req, res) {
+  try {
+    const policy = await updateOpenPunchPolicy(req.body, req.user.uid);
+    res.status(200).json({ message: 'Open-punch policy updated successfully', ...policy });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
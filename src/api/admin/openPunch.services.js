@@ -0,0 +1,228 @@
+import { db } from '../../lib/firebase.admin.js';
+import { computeMetrics, resolveShift } from '../../lib/computeHours.js';
+import { loadScheduleContext, createScheduleContextLoader } from '../../lib/scheduleContext.js';
+import { rebuildDailySummary } from '../../lib/dailySummary.js';
+import { addAuditEntry, requireReason } from '../../lib/audit.js';
+import {
+  normalizeOpenPunchPolicy,
+  resolveOpenPunchPolicy,
+  staleReason,
+  sweepDecision,
+} from '../../lib/openPunches.js';
+
+/**
+ * Sweeper for forgotten open punches (see lib/openPunches.js for the policy).
+ *
+ * Stale punches are either auto-closed at their scheduled shift end — metrics
+ * and the daily summary are computed as for a normal punch-out, and the record
+ * gets autoClosed: true and an audit entry — or flagged for review (flagged:
+ * true, flagReason) and left open for an admin to close
+ * (POST /api/admin/open-punches/:punchId/close) or fix through
+ * PUT /api/admin/punches/:punchId.
+ * A punch is flagged once; later sweeps skip it.
+ *
+ * The sweep runs on demand (POST /api/admin/open-punches/sweep) and every
+ * OPEN_PUNCH_SWEEP_MINUTES minutes in-process (see startOpenPunchSweeper).
+ */
+
+export async function getOpenPunchPolicy() {
+  const snap = await db.collection('settings').doc('openPunchPolicy').get();
+  return resolveOpenPunchPolicy(snap.exists ? snap.data() : null);
+}
+
+/**
+ * Updates the fields given in policy; omitted fields keep their value.
+ */
+export async function updateOpenPunchPolicy(policy, actorUid) {
+  const clean = normalizeOpenPunchPolicy(policy);
+  if (Object.keys(clean).length === 0) throw new Error('Provide at least one policy field');
+
+  await db
+    .collection('settings')
+    .doc('openPunchPolicy')
+    .set(
+      { ...clean, updatedBy: actorUid ?? null, updatedAt: new Date().toISOString() },
+      { merge: true },
+    );
+  return getOpenPunchPolicy();
+}
+
+/**
+ * Every open punch, oldest first; flagged: true limits the list to the ones
+ * awaiting review.
+ */
+export async function listOpenPunches({ flagged } = {}) {
+  const snap = await db.collection('attendance').where('punchOut', '==', null).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => !r.deleted && (!flagged || r.flagged === true))
+    .sort((a, b) => a.punchIn.localeCompare(b.punchIn));
+}
+
+/**
+ * Closes an employee's open punch at punchOut (default now) on an admin's
+ * authority, computes its metrics and rebuilds the daily summary. The record
+ * gets forceClosed: true; audit: { actorUid, reason }.
+ */
+export async function forceClosePunch(punchId, { punchOut } = {}, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('attendance').doc(punchId);
+  const snap = await ref.get();
+  const record = snap.exists ? snap.data() : null;
+  if (!record || record.deleted) throw new Error('Punch record not found');
+  if (record.punchOut !== null) throw new Error('Punch is already closed');
+
+  const punchIn = new Date(record.punchIn);
+  const closeAt = punchOut == null ? new Date() : new Date(punchOut);
+  if (punchOut != null && (typeof punchOut !== 'string' || Number.isNaN(closeAt.getTime()))) {
+    throw new Error('punchOut must be an ISO 8601 timestamp');
+  }
+  if (closeAt.getTime() > Date.now()) throw new Error('punchOut cannot be in the future');
+  if (closeAt <= punchIn) throw new Error('punchOut must be after punchIn');
+
+  const context = await loadScheduleContext(record.uid, punchIn);
+  const metrics = computeMetrics({ punchIn, punchOut: closeAt, ...context });
+  const at = new Date().toISOString();
+  const updates = {
+    punchOut: closeAt.toISOString(),
+    metrics,
+    forceClosed: true,
+    forceClosedBy: actorUid ?? null,
+    forceClosedAt: at,
+    updatedAt: at,
+  };
+
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'punch.forceClose',
+    targetType: 'attendance',
+    targetId: punchId,
+    targetUid: record.uid,
+    before: record,
+    after: { ...record, ...updates },
+    reason,
+  });
+  await batch.commit();
+  await rebuildDailySummary(record.uid, metrics.workDate);
+
+  return { id: punchId, ...record, ...updates };
+}
+
+/**
+ * Finds stale open punches and closes or flags them. With dryRun nothing is
+ * written; the result lists what would happen.
+ */
+export async function sweepOpenPunches({ dryRun = false, now = new Date() } = {}) {
+  const policy = await getOpenPunchPolicy();
+  const snap = await db.collection('attendance').where('punchOut', '==', null).get();
+  const nowMs = now.getTime();
+
+  const closed = [];
+  const flagged = [];
+  const errors = [];
+  // One schedule context loader per user for the whole sweep
+  const loaders = new Map();
+
+  for (const doc of snap.docs) {
+    const record = doc.data();
+    if (record.flagged || record.deleted) continue;
+    const punchIn = new Date(record.punchIn);
+
+    if (!loaders.has(record.uid)) {
+      loaders.set(
+        record.uid,
+        createScheduleContextLoader(record.uid).catch(() => null),
+      );
+    }
+    // Users without a schedule can still go stale through maxOpenHours
+    let context = null;
+    try {
+      const load = await loaders.get(record.uid);
+      context = load ? await load(punchIn) : null;
+    } catch {
+      context = null;
+    }
+    const shiftEndMs = context ? resolveShift({ punchIn, ...context }).shiftEndMs : null;
+
+    const reason = staleReason(punchIn.getTime(), shiftEndMs, nowMs, policy);
+    if (!reason) continue;
+    const decision = sweepDecision(punchIn.getTime(), shiftEndMs, policy);
+    const entry = { id: doc.id, uid: record.uid, punchIn: record.punchIn, reason };
+
+    try {
+      if (decision.action === 'autoClose') {
+        const punchOut = new Date(decision.punchOutMs);
+        entry.punchOut = punchOut.toISOString();
+        if (!dryRun) {
+          const metrics = computeMetrics({ punchIn, punchOut, ...context });
+          const at = new Date().toISOString();
+          const updates = {
+            punchOut: entry.punchOut,
+            metrics,
+            autoClosed: true,
+            autoClosedAt: at,
+            autoCloseReason: reason,
+            updatedAt: at,
+          };
+          const batch = db.batch();
+          batch.update(doc.ref, updates);
+          addAuditEntry(batch, {
+            actorUid: null,
+            action: 'punch.autoClose',
+            targetType: 'attendance',
+            targetId: doc.id,
+            targetUid: record.uid,
+            before: record,
+            after: { ...record, ...updates },
+            reason: `Auto-closed by the open-punch sweep (${reason})`,
+          });
+          await batch.commit();
+          await rebuildDailySummary(record.uid, metrics.workDate);
+          entry.workDate = metrics.workDate;
+        }
+        closed.push(entry);
+      } else {
+        if (!dryRun) {
+          const at = new Date().toISOString();
+          await doc.ref.update({ flagged: true, flaggedAt: at, flagReason: reason, updatedAt: at });
+        }
+        flagged.push(entry);
+      }
+    } catch (error) {
+      errors.push({ ...entry, error: error.message });
+    }
+  }
+
+  return {
+    dryRun,
+    policy,
+    scanned: snap.size,
+    closedCount: closed.length,
+    flaggedCount: flagged.length,
+    closed,
+    flagged,
+    errors,
+  };
+}
+
+/**
+ * Runs the sweep every intervalMinutes in this process (0 disables it),
+ * passing each sweep's result to onResult and a failed sweep's error to
+ * onError. Returns the timer so callers can clear it.
+ */
+export function startOpenPunchSweeper(intervalMinutes, { onResult, onError } = {}) {
+  if (!(intervalMinutes > 0)) return null;
+  const timer = setInterval(async () => {
+    try {
+      const result = await sweepOpenPunches();
+      onResult?.(result);
+    } catch (error) {
+      onError?.(error);
+    }
+  }, intervalMinutes * 60_000);
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+}
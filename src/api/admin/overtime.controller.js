@@ -0,0 +1,78 @@
+import {
+  listOvertimeRequests,
+  fileOvertimeRequest,
+  approveOvertimeRequest,
+  rejectOvertimeRequest,
+} from './overtime.services.js';
+
+function overtimeErrorStatus(error) {
+  return error.message.includes('not found')
+    ? 404
+    : error.message.includes('already')
+      ? 409
+      : error.message.includes('must be')
+        ? 400
+        : 500;
+}
+
+// ─── GET /api/admin/overtime ─────────────────────────────────────────────────
+// Query params: status? ('pending' for the review queue), uid?, startDate?, endDate?
+
+export async function listOvertimeRequestsHandler(req, res) {
+  try {
+    const { status, uid, startDate, endDate } = req.query;
+    const requests = await listOvertimeRequests({ status, uid, startDate, endDate });
+    res.status(200).json({ count: requests.length, data: requests });
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/overtime ────────────────────────────────────────────────
+// Body: { uid, workDate: 'YYYY-MM-DD', hours: number (quarter hours), reason }
+// Files a pending request on the employee's behalf.
+
+export async function fileOvertimeRequestHandler(req, res) {
+  try {
+    const { uid, workDate, hours, reason } = req.body;
+    const request = await fileOvertimeRequest(uid, { workDate, hours, reason }, req.user.uid);
+    res.status(201).json({ message: 'Overtime request filed successfully', ...request });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('already')
+        ? 409
+        : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/overtime/:requestId/approve ─────────────────────────────
+// Body: { hours?: number (defaults to the hours requested), note? }
+
+export async function approveOvertimeRequestHandler(req, res) {
+  try {
+    const result = await approveOvertimeRequest(req.params.requestId, req.user.uid, {
+      hours: req.body?.hours,
+      note: req.body?.note,
+    });
+    res.status(200).json({ message: 'Overtime request approved', ...result });
+  } catch (error) {
+    res.status(overtimeErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/overtime/:requestId/reject ──────────────────────────────
+// Body: { note? }
+
+export async function rejectOvertimeRequestHandler(req, res) {
+  try {
+    const result = await rejectOvertimeRequest(req.params.requestId, req.user.uid, {
+      note: req.body?.note,
+    });
+    res.status(200).json({ message: 'Overtime request rejected', ...result });
+  } catch (error) {
+    res.status(overtimeErrorStatus(error)).json({ error: error.message });
+  }
+}
@@ -0,0 +1,108 @@
+import { db } from '../../lib/firebase.admin.js';
+import { OVERTIME_STATUSES, createOvertimeRequest, isOvertimeHours } from '../../lib/overtime.js';
+import { rebuildDailySummary } from '../../lib/dailySummary.js';
+
+/**
+ * Overtime pre-approval queue (see lib/overtime.js for the request shape).
+ *
+ * Admins can file a request on an employee's behalf and approve requests,
+ * optionally for fewer hours than asked. Approving rebuilds the day's summary
+ * so approvedOvertimeHours reflects the decision straight away.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function listOvertimeRequests({ status, uid, startDate, endDate } = {}) {
+  if (status && !OVERTIME_STATUSES.includes(status)) {
+    throw new Error(`status must be one of ${OVERTIME_STATUSES.join(', ')}`);
+  }
+  if ((startDate && !DATE_RE.test(startDate)) || (endDate && !DATE_RE.test(endDate))) {
+    throw new Error('startDate and endDate must be in YYYY-MM-DD format');
+  }
+
+  let query = db.collection('overtimeRequests');
+  if (status) query = query.where('status', '==', status);
+  if (uid) query = query.where('uid', '==', uid);
+
+  const snap = await query.get();
+  const requests = snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => (!startDate || r.workDate >= startDate) && (!endDate || r.workDate <= endDate));
+
+  const uids = [...new Set(requests.map((r) => r.uid))];
+  const userDocs = await Promise.all(uids.map((u) => db.collection('users').doc(u).get()));
+  const userMap = Object.fromEntries(userDocs.filter((d) => d.exists).map((d) => [d.id, d.data()]));
+
+  return requests
+    .map((r) => ({
+      ...r,
+      employee: userMap[r.uid]
+        ? { firstName: userMap[r.uid].firstName, lastName: userMap[r.uid].lastName }
+        : null,
+    }))
+    .sort((a, b) => a.workDate.localeCompare(b.workDate) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Files a pending request for an employee, e.g. OT a supervisor asked for.
+ */
+export async function fileOvertimeRequest(uid, fields, actorUid) {
+  if (!uid) throw new Error('uid is required');
+  const userSnap = await db.collection('users').doc(uid).get();
+  if (!userSnap.exists) throw new Error('User not found');
+  return createOvertimeRequest(uid, fields, actorUid);
+}
+
+async function getPendingRequest(requestId) {
+  const ref = db.collection('overtimeRequests').doc(requestId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Overtime request not found');
+
+  const request = snap.data();
+  if (request.status !== 'pending') {
+    throw new Error(`Overtime request is already ${request.status}`);
+  }
+  return { ref, request };
+}
+
+function review(status, actorUid, note) {
+  const now = new Date().toISOString();
+  return {
+    status,
+    reviewedBy: actorUid ?? null,
+    reviewedAt: now,
+    reviewNote: note ?? null,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Approves a pending request for its hours, or for fewer when hours is given.
+ */
+export async function approveOvertimeRequest(requestId, actorUid, { hours, note } = {}) {
+  const { ref, request } = await getPendingRequest(requestId);
+  const approvedHours = hours ?? request.hours;
+  if (!isOvertimeHours(approvedHours) || approvedHours > request.hours) {
+    throw new Error(
+      `hours must be between 0.25 and the ${request.hours} requested, in quarter-hour steps`,
+    );
+  }
+
+  const updates = { ...review('approved', actorUid, note), approvedHours };
+  await ref.update(updates);
+  const summary = await rebuildDailySummary(request.uid, request.workDate);
+  return {
+    id: requestId,
+    ...request,
+    ...updates,
+    approvedOvertimeHours: summary?.approvedOvertimeHours ?? 0,
+    unapprovedOvertimeHours: summary?.unapprovedOvertimeHours ?? 0,
+  };
+}
+
+export async function rejectOvertimeRequest(requestId, actorUid, { note } = {}) {
+  const { ref, request } = await getPendingRequest(requestId);
+  const updates = review('rejected', actorUid, note);
+  await ref.update(updates);
+  return { id: requestId, ...request, ...updates };
+}
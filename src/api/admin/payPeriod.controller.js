@@ -0,0 +1,148 @@
+import {
+  listPayPeriodDefinitions,
+  getPayPeriodDefinition,
+  createPayPeriodDefinition,
+  updatePayPeriodDefinition,
+  deletePayPeriodDefinition,
+  listPayPeriods,
+  getPayPeriodReport,
+} from './payPeriod.services.js';
+import { isValidTimezone, orgTimezone } from '../../lib/timezone.js';
+import { PERIOD_EXPORT_COLUMNS, resolveExportFormat, sendExport } from '../../lib/reportExport.js';
+
+function payPeriodErrorStatus(error) {
+  return error.message.includes('not found') ? 404 : 400;
+}
+
+// ─── GET /api/admin/pay-periods ──────────────────────────────────────────────
+
+export async function listPayPeriodDefinitionsHandler(req, res) {
+  try {
+    const definitions = await listPayPeriodDefinitions();
+    res.status(200).json({ count: definitions.length, data: definitions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/pay-periods/:definitionId ────────────────────────────────
+
+export async function getPayPeriodDefinitionHandler(req, res) {
+  try {
+    const definition = await getPayPeriodDefinition(req.params.definitionId);
+    res.status(200).json(definition);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/pay-periods ─────────────────────────────────────────────
+// Body: { name, type, isDefault?, …period fields }
+//   weekly:      { weekStartsOn?: 0–6 }           (default 1 = Monday)
+//   biweekly:    { anchorDate: 'YYYY-MM-DD' }      (first day of any period)
+//   semiMonthly: { cutoffDays?: [15, 31] }         (last day of each half)
+//   monthly:     { cutoffDay?: 31 }                (last day of the period)
+
+export async function createPayPeriodDefinitionHandler(req, res) {
+  try {
+    const { name, type, isDefault, weekStartsOn, anchorDate, cutoffDays, cutoffDay } = req.body;
+    const definition = await createPayPeriodDefinition(
+      { name, type, isDefault, weekStartsOn, anchorDate, cutoffDays, cutoffDay },
+      req.user.uid,
+    );
+    res.status(201).json({ message: 'Pay-period definition created successfully', ...definition });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/pay-periods/:definitionId ────────────────────────────────
+// Body: { name?, isDefault?, type?, …period fields }
+
+export async function updatePayPeriodDefinitionHandler(req, res) {
+  try {
+    const { name, type, isDefault, weekStartsOn, anchorDate, cutoffDays, cutoffDay } = req.body;
+    const definition = await updatePayPeriodDefinition(req.params.definitionId, {
+      name,
+      type,
+      isDefault,
+      weekStartsOn,
+      anchorDate,
+      cutoffDays,
+      cutoffDay,
+    });
+    res.status(200).json({ message: 'Pay-period definition updated successfully', ...definition });
+  } catch (error) {
+    res.status(payPeriodErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/admin/pay-periods/:definitionId ─────────────────────────────
+
+export async function deletePayPeriodDefinitionHandler(req, res) {
+  try {
+    const result = await deletePayPeriodDefinition(req.params.definitionId);
+    res.status(200).json({ message: 'Pay-period definition deleted successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/pay-periods/:definitionId/periods ────────────────────────
+// Query params: year (4 digits)
+
+export async function listPayPeriodsHandler(req, res) {
+  try {
+    const result = await listPayPeriods(req.params.definitionId, req.query.year);
+    res.status(200).json({ ...result, count: result.periods.length });
+  } catch (error) {
+    res.status(payPeriodErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/reports/pay-period ───────────────────────────────────────
+// Query params: definitionId?, year? + period?, timezone? (IANA, default ORG_TIMEZONE),
+// department?, position? (limit the report; departments holds per-department rollups)
+// Without year/period → the period containing today in timezone.
+// Without definitionId → the default definition.
+// format=csv|xlsx downloads one row per employee-period instead of JSON.
+
+export async function payPeriodReportHandler(req, res) {
+  try {
+    const {
+      definitionId,
+      year,
+      period,
+      timezone = orgTimezone(),
+      department,
+      position,
+    } = req.query;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    }
+    const format = resolveExportFormat(req.query.format);
+
+    const report = await getPayPeriodReport({
+      definitionId,
+      year,
+      number: period,
+      timezone,
+      department,
+      position,
+    });
+    if (format !== 'json') {
+      const { startDate, endDate } = report.period;
+      return await sendExport(res, format, {
+        filename: `pay-period-report-${startDate}-to-${endDate}`,
+        sheetName: `${startDate} to ${endDate}`,
+        columns: PERIOD_EXPORT_COLUMNS,
+        records: report.data.map((entry) => ({ ...entry, startDate, endDate })),
+      });
+    }
+    res.status(200).json(report);
+  } catch (error) {
+    res.status(payPeriodErrorStatus(error)).json({ error: error.message });
+  }
+}
@@ -0,0 +1,176 @@
+import { db } from '../../lib/firebase.admin.js';
+import { normalizePeriodDefinition, periodsInYear, resolvePeriod } from '../../lib/payPeriods.js';
+import { todayIn } from '../../lib/timezone.js';
+import { getAllWeeklyReports } from './admin.services.js';
+import { departmentRollups } from '../../lib/departments.js';
+
+/**
+ * Pay-period definitions (collection 'payPeriodDefinitions').
+ *
+ * Definition shape: { name, type, …period fields, isDefault, createdBy, createdAt, updatedAt }
+ * where the period fields depend on type (see lib/payPeriods.js). At most one
+ * definition is the default; pay-period reports use it when none is named.
+ */
+
+const YEAR_RE = /^\d{4}$/;
+
+function toDefinition(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+// Stages isDefault: false on every other default definition.
+async function clearOtherDefaults(batch, exceptId) {
+  const snap = await db.collection('payPeriodDefinitions').where('isDefault', '==', true).get();
+  for (const doc of snap.docs) {
+    if (doc.id !== exceptId) batch.update(doc.ref, { isDefault: false });
+  }
+}
+
+export async function listPayPeriodDefinitions() {
+  const snap = await db.collection('payPeriodDefinitions').get();
+  return snap.docs.map(toDefinition).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getPayPeriodDefinition(definitionId) {
+  const snap = await db.collection('payPeriodDefinitions').doc(definitionId).get();
+  if (!snap.exists) throw new Error('Pay-period definition not found');
+  return toDefinition(snap);
+}
+
+export async function createPayPeriodDefinition({ name, isDefault, ...fields }, actorUid) {
+  if (!name) throw new Error('name is required');
+  const clean = normalizePeriodDefinition(fields);
+
+  const now = new Date().toISOString();
+  const data = {
+    name,
+    ...clean,
+    isDefault: isDefault === true,
+    createdBy: actorUid ?? null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const ref = db.collection('payPeriodDefinitions').doc();
+  const batch = db.batch();
+  if (data.isDefault) await clearOtherDefaults(batch, ref.id);
+  batch.set(ref, data);
+  await batch.commit();
+
+  return { id: ref.id, ...data };
+}
+
+/**
+ * Renames a definition, changes its period fields and/or makes it the
+ * default. Period fields are merged over the stored ones, so changing type
+ * only needs the fields the new type requires.
+ */
+export async function updatePayPeriodDefinition(definitionId, { name, isDefault, ...fields }) {
+  const ref = db.collection('payPeriodDefinitions').doc(definitionId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Pay-period definition not found');
+
+  const prev = snap.data();
+  const given = stripUndefined(fields);
+  if (!name && isDefault === undefined && !Object.keys(given).length) {
+    throw new Error('Provide at least one of name, isDefault or period fields to update');
+  }
+
+  // A type change drops the old type's fields rather than carrying them over
+  const switching = given.type !== undefined && given.type !== prev.type;
+  const clean = normalizePeriodDefinition(switching ? given : { ...prev, ...given });
+
+  const data = {
+    name: name || prev.name,
+    ...clean,
+    isDefault: isDefault === undefined ? prev.isDefault === true : isDefault === true,
+    createdBy: prev.createdBy ?? null,
+    createdAt: prev.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const batch = db.batch();
+  if (data.isDefault) await clearOtherDefaults(batch, definitionId);
+  batch.set(ref, data);
+  await batch.commit();
+
+  return { id: definitionId, ...data };
+}
+
+export async function deletePayPeriodDefinition(definitionId) {
+  const ref = db.collection('payPeriodDefinitions').doc(definitionId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Pay-period definition not found');
+
+  await ref.delete();
+  return { id: definitionId, deleted: true };
+}
+
+/**
+ * Lists a definition's numbered periods for a year.
+ */
+export async function listPayPeriods(definitionId, year) {
+  if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+  const definition = await getPayPeriodDefinition(definitionId);
+  return { definition, year: Number(year), periods: periodsInYear(definition, Number(year)) };
+}
+
+async function getDefaultDefinition() {
+  const snap = await db
+    .collection('payPeriodDefinitions')
+    .where('isDefault', '==', true)
+    .limit(1)
+    .get();
+  if (snap.empty) {
+    throw new Error('No default pay-period definition found; pass definitionId or set a default');
+  }
+  return toDefinition(snap.docs[0]);
+}
+
+/**
+ * Per-employee totals for one pay period, aggregated from dailySummary the
+ * same way as the weekly report, with department rollups.
+ *
+ * The period is number N of year when both are given, otherwise the period
+ * containing today in timezone. definitionId falls back to the default.
+ * department / position limit the report to matching employees.
+ */
+export async function getPayPeriodReport({
+  definitionId,
+  year,
+  number,
+  timezone,
+  department,
+  position,
+}) {
+  const definition = definitionId
+    ? await getPayPeriodDefinition(definitionId)
+    : await getDefaultDefinition();
+
+  let period;
+  if (number !== undefined || year !== undefined) {
+    if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+    if (!/^\d+$/.test(String(number ?? ''))) {
+      throw new Error('period must be a positive whole number');
+    }
+    period = resolvePeriod(definition, { year: Number(year), number: Number(number) });
+  } else {
+    period = resolvePeriod(definition, { date: todayIn(timezone) });
+  }
+
+  const data = await getAllWeeklyReports(period.startDate, period.endDate, {
+    department,
+    position,
+  });
+  return {
+    definition,
+    period,
+    count: data.length,
+    departments: departmentRollups(data, (entry) => entry.totals),
+    data,
+  };
+}
@@ -0,0 +1,75 @@
+import {
+  getCompensation,
+  setCompensation,
+  getPaySettings,
+  updatePaySettings,
+  getPayroll,
+} from './payroll.services.js';
+
+// ─── GET /api/admin/payroll ──────────────────────────────────────────────────
+// Query params: startDate, endDate ('YYYY-MM-DD'), uid?
+
+export async function payrollHandler(req, res) {
+  try {
+    const { startDate, endDate, uid } = req.query;
+    const payroll = await getPayroll({ startDate, endDate, uid });
+    res.status(200).json(payroll);
+  } catch (error) {
+    const isValidation = error.message.includes('required') || error.message.includes('must be');
+    res.status(isValidation ? 400 : 500).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/payroll/settings ─────────────────────────────────────────
+
+export async function getPaySettingsHandler(req, res) {
+  try {
+    const settings = await getPaySettings();
+    res.status(200).json(settings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/payroll/settings ─────────────────────────────────────────
+// Body: any of { hoursPerDay, workDaysPerYear, nightDiffRate,
+//   premiums: { [category]: { regular?, overtime? } } }
+
+export async function updatePaySettingsHandler(req, res) {
+  try {
+    const settings = await updatePaySettings(req.body, req.user.uid);
+    res.status(200).json({ message: 'Payroll settings updated successfully', ...settings });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/compensation/:uid ────────────────────────────────────────
+
+export async function getCompensationHandler(req, res) {
+  try {
+    const result = await getCompensation(req.params.uid);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/compensation/:uid ────────────────────────────────────────
+// Body: { rateType: 'hourly' | 'daily' | 'monthly', rate: number, effectiveFrom?: 'YYYY-MM-DD' }
+
+export async function setCompensationHandler(req, res) {
+  try {
+    const { rateType, rate, effectiveFrom } = req.body;
+    const result = await setCompensation(
+      req.params.uid,
+      { rateType, rate, effectiveFrom },
+      req.user.uid,
+    );
+    res.status(200).json({ message: 'Compensation updated successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
@@ -0,0 +1,162 @@
+import { db } from '../../lib/firebase.admin.js';
+import { upsertVersion, versionOnDate, toTimeline } from '../../lib/schedule.js';
+import { DEFAULT_TIMEZONE, todayIn } from '../../lib/timezone.js';
+import {
+  normalizeCompensation,
+  normalizePaySettings,
+  resolvePaySettings,
+  computePayLines,
+} from '../../lib/payroll.js';
+
+/**
+ * Payroll: compensation profiles (collection 'compensation', doc id = uid,
+ * kept out of users so employees never read their own rate history), the
+ * premium table (settings/payroll) and gross pay from dailySummary totals.
+ *
+ * Compensation doc shape: { uid, versions: [{ effectiveFrom, rateType, rate, setBy, setAt }] }
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ─── Compensation ─────────────────────────────────────────────────────────────
+
+export async function getCompensation(uid) {
+  const userSnap = await db.collection('users').doc(uid).get();
+  if (!userSnap.exists) throw new Error('User not found');
+
+  const snap = await db.collection('compensation').doc(uid).get();
+  const versions = snap.exists ? snap.data().versions : [];
+  const today = todayIn(userSnap.data().timezone || DEFAULT_TIMEZONE);
+
+  return {
+    uid,
+    current: versionOnDate(versions, today),
+    timeline: toTimeline(versions),
+  };
+}
+
+/**
+ * Adds (or replaces) the compensation version effective from a date
+ * (default: today in the user's timezone).
+ */
+export async function setCompensation(uid, { rateType, rate, effectiveFrom }, actorUid) {
+  const userSnap = await db.collection('users').doc(uid).get();
+  if (!userSnap.exists) throw new Error('User not found');
+  if (effectiveFrom && !DATE_RE.test(effectiveFrom)) {
+    throw new Error('effectiveFrom must be in YYYY-MM-DD format');
+  }
+
+  const clean = normalizeCompensation({ rateType, rate });
+  const ref = db.collection('compensation').doc(uid);
+  const snap = await ref.get();
+
+  const versions = upsertVersion(snap.exists ? snap.data().versions : [], {
+    effectiveFrom: effectiveFrom ?? todayIn(userSnap.data().timezone || DEFAULT_TIMEZONE),
+    ...clean,
+    setBy: actorUid ?? null,
+    setAt: new Date().toISOString(),
+  });
+  await ref.set({ uid, versions, updatedAt: new Date().toISOString() });
+
+  return getCompensation(uid);
+}
+
+// ─── Premium table ────────────────────────────────────────────────────────────
+
+export async function getPaySettings() {
+  const snap = await db.collection('settings').doc('payroll').get();
+  return resolvePaySettings(snap.exists ? snap.data() : null);
+}
+
+/**
+ * Updates the given settings; omitted fields and premium categories keep their value.
+ */
+export async function updatePaySettings(settings, actorUid) {
+  const clean = normalizePaySettings(settings);
+  if (Object.keys(clean).length === 0) throw new Error('Provide at least one setting to update');
+
+  const current = await getPaySettings();
+  const premiums = { ...current.premiums };
+  for (const [category, multipliers] of Object.entries(clean.premiums ?? {})) {
+    premiums[category] = { ...premiums[category], ...multipliers };
+  }
+
+  await db
+    .collection('settings')
+    .doc('payroll')
+    .set({
+      ...current,
+      ...clean,
+      premiums,
+      updatedBy: actorUid ?? null,
+      updatedAt: new Date().toISOString(),
+    });
+  return getPaySettings();
+}
+
+// ─── Gross pay ────────────────────────────────────────────────────────────────
+
+/**
+ * Gross pay lines per employee for the dailySummary documents in
+ * [startDate, endDate], optionally for a single uid.
+ */
+export async function getPayroll({ startDate, endDate, uid }) {
+  if (!startDate || !endDate) throw new Error('startDate and endDate are required');
+  if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate)) {
+    throw new Error('startDate and endDate must be in YYYY-MM-DD format');
+  }
+  if (startDate > endDate) throw new Error('startDate must be on or before endDate');
+
+  const snap = await db
+    .collection('dailySummary')
+    .where('workDate', '>=', startDate)
+    .where('workDate', '<=', endDate)
+    .get();
+
+  const byUid = {};
+  for (const doc of snap.docs) {
+    const row = doc.data();
+    if (uid && row.uid !== uid) continue;
+    (byUid[row.uid] ??= []).push(row);
+  }
+
+  const uids = Object.keys(byUid);
+  const [settings, compSnaps, userSnaps] = await Promise.all([
+    getPaySettings(),
+    Promise.all(uids.map((id) => db.collection('compensation').doc(id).get())),
+    Promise.all(uids.map((id) => db.collection('users').doc(id).get())),
+  ]);
+  const versionsByUid = Object.fromEntries(
+    compSnaps.map((s, i) => [uids[i], s.exists ? s.data().versions : []]),
+  );
+  const userMap = Object.fromEntries(
+    userSnaps.filter((d) => d.exists).map((d) => [d.id, d.data()]),
+  );
+
+  const employees = uids.map((id) => {
+    const pay = computePayLines(
+      byUid[id],
+      (workDate) => versionOnDate(versionsByUid[id], workDate),
+      settings,
+    );
+    return {
+      uid: id,
+      employee: userMap[id]
+        ? {
+            firstName: userMap[id].firstName,
+            lastName: userMap[id].lastName,
+            department: userMap[id].department,
+            position: userMap[id].position,
+          }
+        : null,
+      ...pay,
+    };
+  });
+
+  return {
+    startDate,
+    endDate,
+    totalGrossPay: Math.round(employees.reduce((sum, e) => sum + e.grossPay, 0) * 100) / 100,
+    employees: employees.sort((a, b) => a.uid.localeCompare(b.uid)),
+  };
+}
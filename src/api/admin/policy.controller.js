@@ -0,0 +1,70 @@
+import {
+  getOrgAttendancePolicy,
+  updateOrgAttendancePolicy,
+  getUserAttendancePolicy,
+  setUserAttendancePolicy,
+} from './policy.services.js';
+
+const REASON_REQUIRED = 'reason is required for audited changes';
+
+// ─── GET /api/admin/attendance-policy ────────────────────────────────────────
+
+export async function getOrgPolicyHandler(req, res) {
+  try {
+    const policy = await getOrgAttendancePolicy();
+    res.status(200).json(policy);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/attendance-policy ────────────────────────────────────────
+// Body: any of { lateGraceMinutes, undertimeGraceMinutes, clockInRoundingMinutes,
+//   clockOutRoundingMinutes, overtimeMinimumMinutes, overtimeBlockMinutes }, plus reason
+//   (recorded in the audit trail)
+
+export async function updateOrgPolicyHandler(req, res) {
+  try {
+    const { reason, ...fields } = req.body ?? {};
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const policy = await updateOrgAttendancePolicy(fields, { actorUid: req.user.uid, reason });
+    res.status(200).json({ message: 'Attendance policy updated successfully', ...policy });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/attendance-policy/users/:uid ─────────────────────────────
+
+export async function getUserPolicyHandler(req, res) {
+  try {
+    const result = await getUserAttendancePolicy(req.params.uid);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/attendance-policy/users/:uid ─────────────────────────────
+// Body: { policy: { …fields } | null, reason } — null removes the user's override
+
+export async function setUserPolicyHandler(req, res) {
+  try {
+    const { policy, reason } = req.body;
+    if (policy === undefined) {
+      return res.status(400).json({ error: 'policy is required (an object, or null to clear)' });
+    }
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await setUserAttendancePolicy(req.params.uid, policy, {
+      actorUid: req.user.uid,
+      reason,
+    });
+    res.status(200).json({ message: 'User attendance policy updated successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
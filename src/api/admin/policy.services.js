@@ -0,0 +1,96 @@
+import { db } from '../../lib/firebase.admin.js';
+import { normalizePolicy, resolvePolicy } from '../../lib/attendancePolicy.js';
+import { getOrgPolicy, loadPolicy, getScheduleHistory } from '../../lib/scheduleContext.js';
+import { DEFAULT_TIMEZONE, todayIn } from '../../lib/timezone.js';
+import { versionOnDate } from '../../lib/schedule.js';
+import { addAuditEntry, requireReason } from '../../lib/audit.js';
+
+/**
+ * Attendance policy administration: the org default (settings/attendancePolicy)
+ * and per-user overrides (users.attendancePolicy). Template policies are set
+ * through the shift template endpoints.
+ *
+ * Policy changes apply to punches computed from now on; use
+ * POST /api/admin/recompute to re-apply them to past workDates. They are
+ * written together with their audit entry (see lib/audit.js);
+ * audit: { actorUid, reason }.
+ */
+
+export async function getOrgAttendancePolicy() {
+  return resolvePolicy(await getOrgPolicy());
+}
+
+/**
+ * Updates the fields given in policy; omitted fields keep their value.
+ */
+export async function updateOrgAttendancePolicy(policy, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const clean = normalizePolicy(policy);
+  if (Object.keys(clean).length === 0) throw new Error('Provide at least one policy field');
+
+  const before = await getOrgAttendancePolicy();
+  const batch = db.batch();
+  batch.set(
+    db.collection('settings').doc('attendancePolicy'),
+    { ...clean, updatedBy: actorUid ?? null, updatedAt: new Date().toISOString() },
+    { merge: true },
+  );
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'policy.update',
+    targetType: 'settings',
+    targetId: 'attendancePolicy',
+    before,
+    after: { ...before, ...clean },
+    reason,
+  });
+  await batch.commit();
+  return getOrgAttendancePolicy();
+}
+
+/**
+ * A user's policy layers and the policy in effect today.
+ */
+export async function getUserAttendancePolicy(uid) {
+  const snap = await db.collection('users').doc(uid).get();
+  if (!snap.exists) throw new Error('User not found');
+
+  const user = snap.data();
+  const today = todayIn(user.timezone || DEFAULT_TIMEZONE);
+  const entry = versionOnDate(getScheduleHistory(user), today);
+  const resolve = await loadPolicy(user);
+
+  return {
+    uid,
+    org: await getOrgAttendancePolicy(),
+    templateId: entry?.templateId ?? null,
+    override: user.attendancePolicy ?? null,
+    effective: resolve(today),
+  };
+}
+
+/**
+ * Replaces a user's override (null clears it, falling back to template/org).
+ */
+export async function setUserAttendancePolicy(uid, policy, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('users').doc(uid);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('User not found');
+
+  const attendancePolicy = policy === null ? null : normalizePolicy(policy);
+  const batch = db.batch();
+  batch.update(ref, { attendancePolicy, updatedAt: new Date().toISOString() });
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'policy.override',
+    targetType: 'user',
+    targetId: uid,
+    targetUid: uid,
+    before: { attendancePolicy: snap.data().attendancePolicy ?? null },
+    after: { attendancePolicy },
+    reason,
+  });
+  await batch.commit();
+  return getUserAttendancePolicy(uid);
+}
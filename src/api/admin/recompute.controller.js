@@ -0,0 +1,24 @@
+import { recomputeMetrics } from './recompute.services.js';
+
+// ─── POST /api/admin/recompute ───────────────────────────────────────────────
+// Body: { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', uids?: string[], dryRun?: boolean }
+// Re-runs metric computation over the range and rebuilds affected daily
+// summaries. With dryRun: true nothing is written; the response shows the
+// before/after/delta of each summary that would change.
+
+export async function recomputeHandler(req, res) {
+  try {
+    const { uids, startDate, endDate, dryRun } = req.body;
+    const result = await recomputeMetrics({ uids, startDate, endDate, dryRun: dryRun === true });
+    res.status(200).json({
+      message: result.dryRun ? 'Dry run complete — nothing was written' : 'Recompute complete',
+      ...result,
+    });
+  } catch (error) {
+    const isValidation =
+      error.message.includes('required') ||
+      error.message.includes('must be') ||
+      error.message.includes('cannot exceed');
+    res.status(isValidation ? 400 : 500).json({ error: error.message });
+  }
+}
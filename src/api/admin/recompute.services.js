@@ -0,0 +1,178 @@
+import { db } from '../../lib/firebase.admin.js';
+import { computeMetrics } from '../../lib/computeHours.js';
+import { createScheduleContextLoader } from '../../lib/scheduleContext.js';
+import {
+  SUMMARY_FIELDS,
+  isCountedRecord,
+  buildDaySummary,
+  rebuildDailySummary,
+} from '../../lib/dailySummary.js';
+import { getApprovedLeaveOn } from '../../lib/leave.js';
+import { getApprovedOvertimeHours } from '../../lib/overtime.js';
+import { getLocalDate, dayBefore, DEFAULT_TIMEZONE } from '../../lib/timezone.js';
+
+/**
+ * Recompute / backfill: re-runs computeMetrics over stored attendance
+ * records and rebuilds the affected dailySummary documents, e.g. after a
+ * schedule change or a fix to the metric computation.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+// Firestore's limit on writes per batch
+const MAX_BATCH_WRITES = 500;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Field-by-field comparison of two summaries (null = no summary).
+ * Returns null when nothing changed.
+ */
+export function diffSummaries(before, after) {
+  const delta = {};
+  for (const field of SUMMARY_FIELDS) {
+    const change = round2((after?.[field] ?? 0) - (before?.[field] ?? 0));
+    if (change !== 0) delta[field] = change;
+  }
+  const existenceChanged = Boolean(before) !== Boolean(after);
+  return Object.keys(delta).length || existenceChanged ? delta : null;
+}
+
+function pickSummaryFields(summary) {
+  return summary ? Object.fromEntries(SUMMARY_FIELDS.map((f) => [f, summary[f] ?? 0])) : null;
+}
+
+async function listTargetUids(uids) {
+  if (uids?.length) return [...new Set(uids)];
+  const snap = await db.collection('users').get();
+  return snap.docs.map((d) => d.id);
+}
+
+/**
+ * Recomputes one user's records in [startDate, endDate]. A record is in scope
+ * when its stored or recomputed workDate falls in the range. Changed records
+ * are written in batches of MAX_BATCH_WRITES; if one fails, the earlier
+ * batches stay written and re-running the recompute completes the rest.
+ */
+async function recomputeUser(uid, { startDate, endDate, dryRun }) {
+  const userDoc = await db.collection('users').doc(uid).get();
+  if (!userDoc.exists) return { uid, error: 'User not found', punchesChanged: 0, summaries: [] };
+  const timezone = userDoc.data().timezone || DEFAULT_TIMEZONE;
+
+  const snap = await db.collection('attendance').where('uid', '==', uid).get();
+  const all = snap.docs.map((d) => ({ id: d.id, ref: d.ref, ...d.data() }));
+  const inRange = (date) => date >= startDate && date <= endDate;
+
+  // Candidate records: counted records whose stored workDate is in range, or
+  // whose punch-in local date is in range (or the day after, for overnight
+  // shifts attributed to the previous day).
+  const candidates = all.filter((r) => {
+    if (!isCountedRecord(r)) return false;
+    const localDate = getLocalDate(new Date(r.punchIn), timezone);
+    return inRange(r.metrics.workDate) || inRange(localDate) || inRange(dayBefore(localDate));
+  });
+
+  const changed = [];
+  const affectedDates = new Set();
+  const recomputed = new Map();
+
+  // Nothing is written until every record computes, so a user whose schedule
+  // cannot be resolved is reported and skipped without touching the others.
+  try {
+    const loadContext = candidates.length ? await createScheduleContextLoader(uid) : null;
+    for (const record of candidates) {
+      const punchIn = new Date(record.punchIn);
+      const context = await loadContext(punchIn);
+      const metrics = computeMetrics({ punchIn, punchOut: new Date(record.punchOut), ...context });
+
+      if (!inRange(metrics.workDate) && !inRange(record.metrics.workDate)) continue;
+
+      recomputed.set(record.id, metrics);
+      if (JSON.stringify(metrics) !== JSON.stringify(record.metrics)) {
+        changed.push({ record, metrics });
+        affectedDates.add(record.metrics.workDate);
+        affectedDates.add(metrics.workDate);
+      }
+    }
+  } catch (error) {
+    return { uid, error: error.message, punchesChanged: 0, summaries: [] };
+  }
+
+  const dates = [...affectedDates].filter(inRange).sort();
+  const summaries = [];
+
+  for (const workDate of dates) {
+    const snap = await db.collection('dailySummary').doc(`${uid}_${workDate}`).get();
+    summaries.push({ workDate, before: pickSummaryFields(snap.exists ? snap.data() : null) });
+  }
+
+  if (dryRun) {
+    // Same aggregation as rebuildDailySummary, over the in-memory results
+    const projected = all
+      .filter(isCountedRecord)
+      .map((r) => ({ ...r, metrics: recomputed.get(r.id) ?? r.metrics }));
+    for (const entry of summaries) {
+      const dayRecords = projected.filter((r) => r.metrics.workDate === entry.workDate);
+      const [leave, approvedOvertimeHours] = await Promise.all([
+        getApprovedLeaveOn(uid, entry.workDate),
+        getApprovedOvertimeHours(uid, entry.workDate),
+      ]);
+      entry.after = pickSummaryFields(buildDaySummary(dayRecords, leave, approvedOvertimeHours));
+    }
+  } else {
+    const now = new Date().toISOString();
+    for (let i = 0; i < changed.length; i += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      for (const { record, metrics } of changed.slice(i, i + MAX_BATCH_WRITES)) {
+        batch.update(record.ref, { metrics, updatedAt: now, recomputedAt: now });
+      }
+      await batch.commit();
+    }
+
+    for (const entry of summaries) {
+      entry.after = pickSummaryFields(await rebuildDailySummary(uid, entry.workDate));
+    }
+  }
+
+  return {
+    uid,
+    punchesChanged: changed.length,
+    summaries: summaries
+      .map((s) => ({ ...s, delta: diffSummaries(s.before, s.after) }))
+      .filter((s) => s.delta),
+  };
+}
+
+/**
+ * Recomputes metrics for the given users (default: everyone) over a workDate
+ * range. With dryRun nothing is written; the result reports which summaries
+ * would change and by how much.
+ */
+export async function recomputeMetrics({ uids, startDate, endDate, dryRun = false }) {
+  if (!startDate || !endDate) throw new Error('startDate and endDate are required');
+  if (!DATE_RE.test(startDate) || !DATE_RE.test(endDate)) {
+    throw new Error('startDate and endDate must be in YYYY-MM-DD format');
+  }
+  if (startDate > endDate) throw new Error('startDate must be on or before endDate');
+  if ((Date.parse(endDate) - Date.parse(startDate)) / 86_400_000 > MAX_RANGE_DAYS) {
+    throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  if (uids !== undefined && !Array.isArray(uids)) throw new Error('uids must be an array');
+
+  const targets = await listTargetUids(uids);
+  const users = [];
+  for (const uid of targets) {
+    users.push(await recomputeUser(uid, { startDate, endDate, dryRun }));
+  }
+
+  const affected = users.filter((u) => u.punchesChanged || u.summaries.length || u.error);
+  return {
+    dryRun,
+    startDate,
+    endDate,
+    usersScanned: targets.length,
+    punchesChanged: users.reduce((n, u) => n + u.punchesChanged, 0),
+    summariesChanged: users.reduce((n, u) => n + u.summaries.length, 0),
+    users: affected,
+  };
+}
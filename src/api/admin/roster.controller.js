@@ -0,0 +1,104 @@
+import {
+  createRosterEntry,
+  listRosterEntries,
+  updateRosterEntry,
+  deleteRosterEntry,
+  swapShifts,
+} from './roster.services.js';
+
+const REASON_REQUIRED = 'reason is required for audited changes';
+
+function rosterErrorStatus(error) {
+  return error.message.includes('not found')
+    ? 404
+    : error.message.includes('already exists')
+      ? 409
+      : 400;
+}
+
+// ─── GET /api/admin/roster ───────────────────────────────────────────────────
+// Query params: uid?, startDate?, endDate? ('YYYY-MM-DD')
+
+export async function listRosterHandler(req, res) {
+  try {
+    const { uid, startDate, endDate } = req.query;
+    const entries = await listRosterEntries({ uid, startDate, endDate });
+    res.status(200).json({ count: entries.length, data: entries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/roster ──────────────────────────────────────────────────
+// Body: { uid, workDate: 'YYYY-MM-DD', start?: 'HH:MM', end?: 'HH:MM', break?, restDay?: boolean,
+//         note?, reason }
+// break: { start, end } fixed unpaid break, or { afterHours, minutes } automatic.
+// Roster changes are recorded in the audit trail with the given reason.
+
+export async function createRosterEntryHandler(req, res) {
+  try {
+    const { uid, workDate, start, end, break: breakRule, restDay, note, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const entry = await createRosterEntry(
+      { uid, workDate, start, end, break: breakRule, restDay, note },
+      { actorUid: req.user.uid, reason },
+    );
+    res.status(201).json({ message: 'Roster entry created successfully', ...entry });
+  } catch (error) {
+    res.status(rosterErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/roster/:rosterId ─────────────────────────────────────────
+// Body: { start?, end?, break?, restDay?, note?, reason } — break: null removes the break;
+// start/end on a rostered day off makes it a working day (not with restDay: true)
+
+export async function updateRosterEntryHandler(req, res) {
+  try {
+    const { rosterId } = req.params;
+    const { start, end, break: breakRule, restDay, note, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const entry = await updateRosterEntry(
+      rosterId,
+      { start, end, break: breakRule, restDay, note },
+      { actorUid: req.user.uid, reason },
+    );
+    res.status(200).json({ message: 'Roster entry updated successfully', ...entry });
+  } catch (error) {
+    res.status(rosterErrorStatus(error)).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/admin/roster/:rosterId ──────────────────────────────────────
+// Body: { reason }
+
+export async function deleteRosterEntryHandler(req, res) {
+  try {
+    const { rosterId } = req.params;
+    const reason = req.body?.reason;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await deleteRosterEntry(rosterId, { actorUid: req.user.uid, reason });
+    res.status(200).json({ message: 'Roster entry deleted successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/roster/swap ─────────────────────────────────────────────
+// Body: { uidA, uidB, workDate: 'YYYY-MM-DD', reason }
+
+export async function swapShiftsHandler(req, res) {
+  try {
+    const { uidA, uidB, workDate, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await swapShifts({ uidA, uidB, workDate }, { actorUid: req.user.uid, reason });
+    res.status(200).json({ message: 'Shifts swapped successfully', ...result });
+  } catch (error) {
+    res.status(rosterErrorStatus(error)).json({ error: error.message });
+  }
+}
@@ -0,0 +1,235 @@
+import { db } from '../../lib/firebase.admin.js';
+import { normalizeWindow } from '../../lib/schedule.js';
+import { rosterWindow, getStandingWindow } from '../../lib/scheduleContext.js';
+import { addAuditEntry, requireReason } from '../../lib/audit.js';
+
+/**
+ * Date-specific shift assignments. One document per user per workDate
+ * (id `${uid}_${workDate}`, same convention as dailySummary), overriding
+ * users.schedule for that date when metrics are computed.
+ *
+ * Entry shape: { uid, workDate, start, end, break, restDay, note, swappedWith?,
+ *                createdBy, createdAt, updatedAt }
+ *
+ * Every change is written together with its audit entry (see lib/audit.js);
+ * audit: { actorUid, reason }.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function buildShift({ start, end, break: breakRule, restDay }) {
+  if (restDay) return { restDay: true, start: null, end: null, break: null };
+  const window = normalizeWindow({ start, end, break: breakRule }, 'shift');
+  return { restDay: false, break: null, ...window };
+}
+
+async function assertUserExists(uid) {
+  const snap = await db.collection('users').doc(uid).get();
+  if (!snap.exists) throw new Error(`User not found: ${uid}`);
+  return snap.data();
+}
+
+export async function createRosterEntry(
+  { uid, workDate, start, end, break: breakRule, restDay, note },
+  { actorUid, reason } = {},
+) {
+  requireReason(reason);
+  if (!uid || !workDate) throw new Error('uid and workDate are required');
+  if (!DATE_RE.test(workDate)) throw new Error('workDate must be in YYYY-MM-DD format');
+
+  await assertUserExists(uid);
+  const shift = buildShift({ start, end, break: breakRule, restDay });
+
+  const ref = db.collection('roster').doc(`${uid}_${workDate}`);
+  const now = new Date().toISOString();
+  const entry = {
+    uid,
+    workDate,
+    ...shift,
+    note: note ?? null,
+    createdBy: actorUid ?? null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const batch = db.batch();
+  batch.create(ref, entry);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'roster.create',
+    targetType: 'roster',
+    targetId: ref.id,
+    targetUid: uid,
+    before: null,
+    after: entry,
+    reason,
+  });
+  try {
+    await batch.commit();
+  } catch (error) {
+    if (error.code === 6) {
+      throw new Error(`A roster entry already exists for ${uid} on ${workDate}`);
+    }
+    throw error;
+  }
+
+  return { id: ref.id, ...entry };
+}
+
+/**
+ * Lists roster entries, optionally filtered by uid and/or a workDate range.
+ * Only one field is queried in Firestore; the rest is filtered in JS to avoid
+ * a composite index.
+ */
+export async function listRosterEntries({ uid, startDate, endDate } = {}) {
+  let query = db.collection('roster');
+  if (uid) {
+    query = query.where('uid', '==', uid);
+  } else {
+    if (startDate) query = query.where('workDate', '>=', startDate);
+    if (endDate) query = query.where('workDate', '<=', endDate);
+  }
+
+  const snap = await query.get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => (!startDate || r.workDate >= startDate) && (!endDate || r.workDate <= endDate))
+    .sort((a, b) => a.workDate.localeCompare(b.workDate) || a.uid.localeCompare(b.uid));
+}
+
+export async function updateRosterEntry(
+  rosterId,
+  { start, end, break: breakRule, restDay, note },
+  { actorUid, reason } = {},
+) {
+  requireReason(reason);
+  const ref = db.collection('roster').doc(rosterId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Roster entry not found');
+
+  const prev = snap.data();
+  const updates = {};
+
+  // Sending shift times turns a rostered day off into a working day; times
+  // together with restDay: true are contradictory.
+  const timesGiven = start !== undefined || end !== undefined;
+  if (timesGiven && restDay === true) {
+    throw new Error('restDay: true cannot be combined with start or end');
+  }
+
+  const shiftChanged = [start, end, breakRule, restDay].some((v) => v !== undefined);
+  if (shiftChanged) {
+    Object.assign(
+      updates,
+      buildShift({
+        start: start ?? prev.start,
+        end: end ?? prev.end,
+        break: breakRule === undefined ? prev.break : breakRule,
+        restDay: timesGiven ? false : (restDay ?? prev.restDay),
+      }),
+    );
+  }
+  if (note !== undefined) updates.note = note;
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('Provide at least one of start, end, break, restDay or note to update');
+  }
+
+  updates.updatedAt = new Date().toISOString();
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'roster.update',
+    targetType: 'roster',
+    targetId: rosterId,
+    targetUid: prev.uid,
+    before: prev,
+    after: { ...prev, ...updates },
+    reason,
+  });
+  await batch.commit();
+
+  const updated = await ref.get();
+  return { id: rosterId, ...updated.data() };
+}
+
+export async function deleteRosterEntry(rosterId, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('roster').doc(rosterId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Roster entry not found');
+
+  const batch = db.batch();
+  batch.delete(ref);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'roster.delete',
+    targetType: 'roster',
+    targetId: rosterId,
+    targetUid: snap.data().uid,
+    before: snap.data(),
+    after: null,
+    reason,
+  });
+  await batch.commit();
+  return { id: rosterId, deleted: true };
+}
+
+/**
+ * Swaps the shifts two employees work on a workDate. Each side's shift is the
+ * roster entry if one exists, otherwise the window from their standing
+ * schedule (or a day off). Both sides end up with a roster entry, and each
+ * side gets its own audit entry.
+ */
+export async function swapShifts({ uidA, uidB, workDate }, { actorUid, reason } = {}) {
+  requireReason(reason);
+  if (!uidA || !uidB || !workDate) throw new Error('uidA, uidB and workDate are required');
+  if (uidA === uidB) throw new Error('Cannot swap a shift with the same employee');
+  if (!DATE_RE.test(workDate)) throw new Error('workDate must be in YYYY-MM-DD format');
+
+  const sides = await Promise.all(
+    [uidA, uidB].map(async (uid) => {
+      const user = await assertUserExists(uid);
+      const ref = db.collection('roster').doc(`${uid}_${workDate}`);
+      const snap = await ref.get();
+      const window = snap.exists
+        ? rosterWindow(snap.data())
+        : await getStandingWindow(user, workDate);
+      return { uid, ref, existing: snap.exists ? snap.data() : null, window };
+    }),
+  );
+
+  const now = new Date().toISOString();
+  const batch = db.batch();
+  const results = sides.map((side, i) => {
+    const other = sides[1 - i];
+    const entry = {
+      uid: side.uid,
+      workDate,
+      ...(other.window
+        ? { restDay: false, break: null, ...other.window }
+        : buildShift({ restDay: true })),
+      note: `Swapped with ${other.uid}`,
+      swappedWith: other.uid,
+      createdBy: side.existing?.createdBy ?? actorUid ?? null,
+      createdAt: side.existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+    batch.set(side.ref, entry);
+    addAuditEntry(batch, {
+      actorUid,
+      action: 'roster.swap',
+      targetType: 'roster',
+      targetId: side.ref.id,
+      targetUid: side.uid,
+      before: side.existing,
+      after: entry,
+      reason,
+    });
+    return { id: side.ref.id, ...entry };
+  });
+  await batch.commit();
+
+  return { workDate, entries: results };
+}
@@ -0,0 +1,98 @@
+import {
+  listShiftTemplates,
+  getShiftTemplate,
+  createShiftTemplate,
+  updateShiftTemplate,
+  deleteShiftTemplate,
+} from './shiftTemplate.services.js';
+
+const REASON_REQUIRED = 'reason is required for audited changes';
+
+// ─── GET /api/admin/shift-templates ──────────────────────────────────────────
+
+export async function listShiftTemplatesHandler(req, res) {
+  try {
+    const templates = await listShiftTemplates();
+    res.status(200).json({ count: templates.length, data: templates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/admin/shift-templates/:templateId ──────────────────────────────
+
+export async function getShiftTemplateHandler(req, res) {
+  try {
+    const template = await getShiftTemplate(req.params.templateId);
+    res.status(200).json(template);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/admin/shift-templates ─────────────────────────────────────────
+// Body: { name, schedule: { start, end } | { days: { … } }, effectiveFrom?: 'YYYY-MM-DD', policy?,
+//         reason }
+// Template changes are recorded in the audit trail with the given reason.
+
+export async function createShiftTemplateHandler(req, res) {
+  try {
+    const { name, schedule, effectiveFrom, policy, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const template = await createShiftTemplate(
+      { name, schedule, effectiveFrom, policy },
+      { actorUid: req.user.uid, reason },
+    );
+    res.status(201).json({ message: 'Shift template created successfully', ...template });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+// ─── PUT /api/admin/shift-templates/:templateId ──────────────────────────────
+// Body: { name?, schedule?, effectiveFrom?, policy?, reason } — effectiveFrom is
+// required with schedule; everyone on the template uses the new window from that
+// date onward. policy: null removes the template's attendance policy.
+
+export async function updateShiftTemplateHandler(req, res) {
+  try {
+    const { templateId } = req.params;
+    const { name, schedule, effectiveFrom, policy, reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const template = await updateShiftTemplate(
+      templateId,
+      { name, schedule, effectiveFrom, policy },
+      { actorUid: req.user.uid, reason },
+    );
+    res.status(200).json({ message: 'Shift template updated successfully', ...template });
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/admin/shift-templates/:templateId ───────────────────────────
+// Body: { reason }
+
+export async function deleteShiftTemplateHandler(req, res) {
+  try {
+    const reason = req.body?.reason;
+    if (!reason?.trim()) return res.status(400).json({ error: REASON_REQUIRED });
+
+    const result = await deleteShiftTemplate(req.params.templateId, {
+      actorUid: req.user.uid,
+      reason,
+    });
+    res.status(200).json({ message: 'Shift template deleted successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('in use')
+        ? 409
+        : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
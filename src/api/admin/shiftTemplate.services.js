@@ -0,0 +1,172 @@
+import { db } from '../../lib/firebase.admin.js';
+import { normalizeSchedule, upsertVersion, scheduleOnDate } from '../../lib/schedule.js';
+import { todayIn, orgTimezone } from '../../lib/timezone.js';
+import { normalizePolicy } from '../../lib/attendancePolicy.js';
+import { addAuditEntry, requireReason } from '../../lib/audit.js';
+
+/**
+ * Named, shared schedules (collection 'shiftTemplates'). Users reference one
+ * via users.scheduleTemplateId instead of carrying their own copy.
+ *
+ * A template keeps effective-dated versions so an edit applies to everyone on
+ * it from a given date onward while earlier workDates keep the old window:
+ *   { name, versions: [{ effectiveFrom: 'YYYY-MM-DD' | null, schedule }], policy?, … }
+ *
+ * policy is an optional attendance policy override (see lib/attendancePolicy.js)
+ * for everyone on the template; users.attendancePolicy still takes precedence.
+ *
+ * Creates, edits and deletes are written together with their audit entry
+ * (see lib/audit.js); audit: { actorUid, reason }.
+ */
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function withCurrentSchedule(id, data) {
+  return {
+    id,
+    ...data,
+    // Convenience field: the version in effect today (org timezone)
+    schedule: scheduleOnDate(data.versions, todayIn(orgTimezone())),
+  };
+}
+
+export async function listShiftTemplates() {
+  const snap = await db.collection('shiftTemplates').get();
+  return snap.docs
+    .map((d) => withCurrentSchedule(d.id, d.data()))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getShiftTemplate(templateId) {
+  const snap = await db.collection('shiftTemplates').doc(templateId).get();
+  if (!snap.exists) throw new Error('Shift template not found');
+  return withCurrentSchedule(snap.id, snap.data());
+}
+
+export async function createShiftTemplate(
+  { name, schedule, effectiveFrom, policy },
+  { actorUid, reason } = {},
+) {
+  requireReason(reason);
+  if (!name || !schedule) throw new Error('name and schedule are required');
+  if (effectiveFrom && !DATE_RE.test(effectiveFrom)) {
+    throw new Error('effectiveFrom must be in YYYY-MM-DD format');
+  }
+
+  const now = new Date().toISOString();
+  const data = {
+    name,
+    versions: [{ effectiveFrom: effectiveFrom ?? null, schedule: normalizeSchedule(schedule) }],
+    policy: policy ? normalizePolicy(policy) : null,
+    createdBy: actorUid ?? null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const ref = db.collection('shiftTemplates').doc();
+  const batch = db.batch();
+  batch.set(ref, data);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'shiftTemplate.create',
+    targetType: 'shiftTemplate',
+    targetId: ref.id,
+    before: null,
+    after: data,
+    reason,
+  });
+  await batch.commit();
+  return withCurrentSchedule(ref.id, data);
+}
+
+/**
+ * Renames a template, adds a schedule version effective from a date and/or
+ * replaces its policy (null clears it). Workdates before effectiveFrom keep
+ * the previous version.
+ */
+export async function updateShiftTemplate(
+  templateId,
+  { name, schedule, effectiveFrom, policy },
+  { actorUid, reason } = {},
+) {
+  requireReason(reason);
+  const ref = db.collection('shiftTemplates').doc(templateId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Shift template not found');
+
+  const updates = {};
+  if (name) updates.name = name;
+
+  if (schedule) {
+    if (!effectiveFrom || !DATE_RE.test(effectiveFrom)) {
+      throw new Error('effectiveFrom (YYYY-MM-DD) is required when changing the schedule');
+    }
+    updates.versions = upsertVersion(snap.data().versions, {
+      effectiveFrom,
+      schedule: normalizeSchedule(schedule),
+    });
+  }
+
+  if (policy !== undefined) {
+    updates.policy = policy === null ? null : normalizePolicy(policy);
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('Provide at least one of name, schedule or policy to update');
+  }
+
+  updates.updatedAt = new Date().toISOString();
+  const batch = db.batch();
+  batch.update(ref, updates);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'shiftTemplate.update',
+    targetType: 'shiftTemplate',
+    targetId: templateId,
+    before: snap.data(),
+    after: { ...snap.data(), ...updates },
+    reason,
+  });
+  await batch.commit();
+
+  const updated = await ref.get();
+  return withCurrentSchedule(templateId, updated.data());
+}
+
+/**
+ * Deletes a template that no user references, neither as their current
+ * template nor in their scheduleHistory: past workDates resolve through the
+ * history, so deleting a template still referenced there would change what a
+ * recompute produces for them. Scans users in JS because history entries
+ * cannot be queried by templateId.
+ */
+export async function deleteShiftTemplate(templateId, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('shiftTemplates').doc(templateId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Shift template not found');
+
+  const users = (await db.collection('users').get()).docs.map((d) => d.data());
+  if (users.some((u) => u.scheduleTemplateId === templateId)) {
+    throw new Error('Shift template is in use. Reassign its users before deleting it.');
+  }
+  if (users.some((u) => u.scheduleHistory?.some((entry) => entry.templateId === templateId))) {
+    throw new Error(
+      'Shift template is in use by past schedules in scheduleHistory and cannot be deleted.',
+    );
+  }
+
+  const batch = db.batch();
+  batch.delete(ref);
+  addAuditEntry(batch, {
+    actorUid,
+    action: 'shiftTemplate.delete',
+    targetType: 'shiftTemplate',
+    targetId: templateId,
+    before: snap.data(),
+    after: null,
+    reason,
+  });
+  await batch.commit();
+  return { id: templateId, deleted: true };
+}
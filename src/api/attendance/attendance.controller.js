@@ -6,7 +6,12 @@ import {
   getAttendanceHistory,
   getDailySummary,
   getWeeklySummary,
+  getUserTimezone,
+  getScheduleTimeline,
+  loadDtr,
 } from './attendance.services.js';
+import { todayIn, currentWeekIn } from '../../lib/timezone.js';
+import { resolveDtrFormat, sendDtr } from '../../lib/dtrRender.js';
 
 // ─── GET /api/attendance/status ─────────────────────────────────────────────
 // Returns whether the user is currently punched in + today's summary.
@@ -20,6 +25,19 @@ export async function getPunchStatusHandler(req, res) {
   }
 }
 
+// ─── GET /api/attendance/schedule ────────────────────────────────────────────
+// Returns the user's effective-dated schedule timeline.
+
+export async function getMyScheduleHandler(req, res) {
+  try {
+    const timeline = await getScheduleTimeline(req.user.uid);
+    res.status(200).json(timeline);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
 // ─── DELETE /api/attendance/cancel-punch/:attendanceId ───────────────────────
 // Voids an accidental open punch. Only works on records with punchOut === null.
 
@@ -78,12 +96,12 @@ export async function getHistory(req, res) {
 }
 
 // ─── GET /api/attendance/summary/daily ───────────────────────────────────────
-// Query param: date (YYYY-MM-DD, default = today in UTC)
+// Query param: date (YYYY-MM-DD, default = today in the user's timezone)
 
 export async function getDailySummaryHandler(req, res) {
   try {
     const { date } = req.query;
-    const workDate = date ?? new Date().toISOString().slice(0, 10);
+    const workDate = date ?? todayIn(await getUserTimezone(req.user.uid));
     const summary = await getDailySummary(req.user.uid, workDate);
     if (!summary) return res.status(404).json({ error: `No summary found for ${workDate}` });
     res.status(200).json(summary);
@@ -93,23 +111,17 @@ export async function getDailySummaryHandler(req, res) {
 }
 
 // ─── GET /api/attendance/summary/weekly ──────────────────────────────────────
-// Query params: startDate, endDate (YYYY-MM-DD, default = current Mon–Sun)
+// Query params: startDate, endDate (YYYY-MM-DD, default = current Mon–Sun in
+// the user's timezone)
 
 export async function getWeeklySummaryHandler(req, res) {
   try {
     let { startDate, endDate } = req.query;
 
     if (!startDate || !endDate) {
-      const today = new Date();
-      const day = today.getUTCDay(); // 0=Sun … 6=Sat
-      const diffToMon = day === 0 ? -6 : 1 - day;
-      const monday = new Date(today);
-      monday.setUTCDate(today.getUTCDate() + diffToMon);
-      const sunday = new Date(monday);
-      sunday.setUTCDate(monday.getUTCDate() + 6);
-
-      startDate ??= monday.toISOString().slice(0, 10);
-      endDate ??= sunday.toISOString().slice(0, 10);
+      const week = currentWeekIn(await getUserTimezone(req.user.uid));
+      startDate ??= week.startDate;
+      endDate ??= week.endDate;
     }
 
     const summary = await getWeeklySummary(req.user.uid, startDate, endDate);
@@ -118,3 +130,24 @@ export async function getWeeklySummaryHandler(req, res) {
     res.status(500).json({ error: error.message });
   }
 }
+
+// ─── GET /api/attendance/dtr ─────────────────────────────────────────────────
+// Query params: month ('YYYY-MM', defaults to the current month in the user's
+// timezone), format ('html' | 'pdf', default 'html')
+// The user's Daily Time Record (Civil Service Form No. 48).
+
+export async function getMyDtrHandler(req, res) {
+  try {
+    const format = resolveDtrFormat(req.query.format);
+    const month = req.query.month ?? todayIn(await getUserTimezone(req.user.uid)).slice(0, 7);
+    const dtr = await loadDtr(req.user.uid, month);
+    sendDtr(res, dtr, format);
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('must be')
+        ? 400
+        : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
@@ -4,11 +4,23 @@ import {
   handlePunchIn,
   handlePunchOut,
   getPunchStatusHandler,
+  getMyScheduleHandler,
   cancelOpenPunchHandler,
   getHistory,
   getDailySummaryHandler,
   getWeeklySummaryHandler,
+  getMyDtrHandler,
 } from './attendance.controller.js';
+import {
+  getMyCorrectionsHandler,
+  requestCorrectionHandler,
+  cancelCorrectionHandler,
+} from './correction.controller.js';
+import {
+  getMyOvertimeRequestsHandler,
+  requestOvertimeHandler,
+  cancelOvertimeRequestHandler,
+} from './overtime.controller.js';
 
 const router = Router();
 
@@ -16,11 +28,19 @@ const router = Router();
 router.use(authenticate);
 
 router.get('/status', getPunchStatusHandler); // current punch state
+router.get('/schedule', getMyScheduleHandler); // effective-dated schedule timeline
 router.post('/punch-in', handlePunchIn);
 router.post('/punch-out', handlePunchOut);
 router.delete('/cancel-punch/:attendanceId', cancelOpenPunchHandler); // void accidental punch-in
 router.get('/history', getHistory);
 router.get('/summary/daily', getDailySummaryHandler);
 router.get('/summary/weekly', getWeeklySummaryHandler);
+router.get('/dtr', getMyDtrHandler); // monthly Daily Time Record (HTML or PDF)
+router.get('/corrections', getMyCorrectionsHandler);
+router.post('/corrections', requestCorrectionHandler); // correction or missing-punch request
+router.delete('/corrections/:correctionId', cancelCorrectionHandler); // withdraw a pending request
+router.get('/overtime', getMyOvertimeRequestsHandler);
+router.post('/overtime', requestOvertimeHandler); // OT pre-approval request
+router.delete('/overtime/:requestId', cancelOvertimeRequestHandler); // withdraw a request
 
 export default router;
@@ -1,5 +1,42 @@
 import { db } from '../../lib/firebase.admin.js';
 import { computeMetrics } from '../../lib/computeHours.js';
+import { DEFAULT_TIMEZONE, todayIn } from '../../lib/timezone.js';
+import { loadScheduleContext, getScheduleTimeline } from '../../lib/scheduleContext.js';
+import { rebuildDailySummary, sumSummaries } from '../../lib/dailySummary.js';
+import { loadDtr } from '../../lib/dtr.js';
+
+// ─── User Timezone ───────────────────────────────────────────────────────────
+
+/**
+ * Returns the user's IANA timezone, falling back to Asia/Manila when the
+ * profile is missing or has none set.
+ */
+export async function getUserTimezone(uid) {
+  const userDoc = await db.collection('users').doc(uid).get();
+  return userDoc.exists ? userDoc.data().timezone || DEFAULT_TIMEZONE : DEFAULT_TIMEZONE;
+}
+
+// ─── Schedule ─────────────────────────────────────────────────────────────────
+
+/**
+ * The user's own schedule timeline (see scheduleContext.getScheduleTimeline).
+ */
+export { getScheduleTimeline };
+
+// ─── Open Punch ──────────────────────────────────────────────────────────────
+
+/**
+ * The user's open punch document (punchOut === null), or null. Soft-deleted
+ * punches keep punchOut null but no longer count as open.
+ */
+async function findOpenPunch(uid) {
+  const snap = await db
+    .collection('attendance')
+    .where('uid', '==', uid)
+    .where('punchOut', '==', null)
+    .get();
+  return snap.docs.find((d) => !d.data().deleted) ?? null;
+}
 
 // ─── Punch Status ────────────────────────────────────────────────────────────
 
@@ -11,29 +48,19 @@ import { computeMetrics } from '../../lib/computeHours.js';
  */
 export async function getPunchStatus(uid) {
   // Fetch user timezone so today's summary uses the correct local date
-  const userDoc = await db.collection('users').doc(uid).get();
-  const userTimezone = userDoc.exists ? userDoc.data().timezone || 'Asia/Manila' : 'Asia/Manila';
+  const userTimezone = await getUserTimezone(uid);
 
-  // Check for an open punch (punchOut === null)
-  const openSnap = await db
-    .collection('attendance')
-    .where('uid', '==', uid)
-    .where('punchOut', '==', null)
-    .limit(1)
-    .get();
-
-  const openPunch = openSnap.empty ? null : { id: openSnap.docs[0].id, ...openSnap.docs[0].data() };
+  const openDoc = await findOpenPunch(uid);
+  const openPunch = openDoc ? { id: openDoc.id, ...openDoc.data() } : null;
 
   // Use the user's local date (not UTC) so the summary always matches workDate
-  const todayLocal = new Intl.DateTimeFormat('en-CA', { timeZone: userTimezone }).format(
-    new Date(),
-  );
+  const todayLocal = todayIn(userTimezone);
   const summaryId = `${uid}_${todayLocal}`;
   const summarySnap = await db.collection('dailySummary').doc(summaryId).get();
   const todaySummary = summarySnap.exists ? { id: summarySnap.id, ...summarySnap.data() } : null;
 
   return {
-    punchedIn: !openSnap.empty,
+    punchedIn: openPunch !== null,
     openPunch,
     todaySummary,
   };
@@ -43,9 +70,8 @@ export async function cancelOpenPunch(uid, attendanceId) {
   const ref = db.collection('attendance').doc(attendanceId);
   const snap = await ref.get();
 
-  if (!snap.exists) throw new Error('Punch record not found.');
-
-  const data = snap.data();
+  const data = snap.exists ? snap.data() : null;
+  if (!data || data.deleted) throw new Error('Punch record not found.');
 
   if (data.uid !== uid) throw new Error('Forbidden: This punch does not belong to you.');
 
@@ -72,15 +98,8 @@ export async function cancelOpenPunch(uid, attendanceId) {
  * Throws if the user already has an open punch today.
  */
 export async function punchIn(uid) {
-  // Check for an existing open punch
-  const open = await db
-    .collection('attendance')
-    .where('uid', '==', uid)
-    .where('punchOut', '==', null)
-    .limit(1)
-    .get();
-
-  if (!open.empty) throw new Error('You already have an open punch. Please punch out first.');
+  if (await findOpenPunch(uid))
+    throw new Error('You already have an open punch. Please punch out first.');
 
   const now = new Date();
   const ref = await db.collection('attendance').add({
@@ -97,38 +116,25 @@ export async function punchIn(uid) {
 // ─── Punch Out ────────────────────────────────────────────────────────────────
 
 /**
- * Closes the most-recent open punch, computes metrics, and upserts the daily summary.
+ * Closes the most-recent open punch, computes metrics, and rebuilds the daily summary.
  */
 export async function punchOut(uid) {
-  // Find open punch
-  const openSnap = await db
-    .collection('attendance')
-    .where('uid', '==', uid)
-    .where('punchOut', '==', null)
-    .limit(1)
-    .get();
-
-  if (openSnap.empty) throw new Error('No open punch found. Please punch in first.');
+  const punchDoc = await findOpenPunch(uid);
+  if (!punchDoc) throw new Error('No open punch found. Please punch in first.');
 
-  const punchDoc = openSnap.docs[0];
   const punchData = punchDoc.data();
   const now = new Date();
   const punchInDate = new Date(punchData.punchIn);
 
-  // Fetch user schedule + timezone from Firestore
-  const userDoc = await db.collection('users').doc(uid).get();
-  if (!userDoc.exists) throw new Error('User profile not found');
-  const { schedule, timezone } = userDoc.data();
-
-  if (!schedule?.start || !schedule?.end) {
-    throw new Error('User schedule is not configured. Contact your administrator.');
-  }
+  // Fetch user schedule + timezone + roster overrides from Firestore
+  const scheduleContext = await loadScheduleContext(uid, punchInDate);
 
+  // computeMetrics picks the window for the punch's workDate (roster entry
+  // first, then the weekly/flat schedule)
   const metrics = computeMetrics({
     punchIn: punchInDate,
     punchOut: now,
-    schedule,
-    timezone: timezone || 'Asia/Manila',
+    ...scheduleContext,
   });
 
   // Update punch record
@@ -138,75 +144,12 @@ export async function punchOut(uid) {
     updatedAt: now.toISOString(),
   });
 
-  // Upsert daily summary
-  await upsertDailySummary(uid, metrics, punchInDate, now, punchDoc.id);
+  // Rebuild the daily summary from every punch pair on this workDate
+  await rebuildDailySummary(uid, metrics.workDate);
 
   return { id: punchDoc.id, punchOut: now.toISOString(), metrics };
 }
 
-// ─── Daily Summary ────────────────────────────────────────────────────────────
-
-/**
- * Creates or updates the dailySummary document for a given workDate + uid.
- *
- * Multi-punch (break-time) rules:
- *  - regularHours / overtimeHours / nightDiffHours / totalWorkedHours
- *      → accumulated from every punch pair (correct to sum)
- *  - lateMinutes
- *      → taken from the FIRST punch-in of the day only;
- *        break punch-ins are NOT counted as late arrivals
- *  - undertimeMinutes
- *      → taken from the LAST punch-out only (REPLACED, not added);
- *        intermediate punch-outs (e.g. lunch break) are NOT undertime
- */
-async function upsertDailySummary(uid, metrics, punchInDate, punchOutDate, attendanceId) {
-  const summaryId = `${uid}_${metrics.workDate}`;
-  const ref = db.collection('dailySummary').doc(summaryId);
-  const snap = await ref.get();
-
-  const entry = {
-    attendanceId,
-    punchIn: punchInDate.toISOString(),
-    punchOut: punchOutDate.toISOString(),
-  };
-
-  if (!snap.exists) {
-    // ── First punch of the day ──────────────────────────────────────────────
-    await ref.set({
-      uid,
-      workDate: metrics.workDate,
-      regularHours: metrics.regularHours,
-      overtimeHours: metrics.overtimeHours,
-      nightDiffHours: metrics.nightDiffHours,
-      lateMinutes: metrics.lateMinutes, // first punch determines lateness
-      undertimeMinutes: metrics.undertimeMinutes, // will be overwritten by later punches
-      totalWorkedHours: metrics.totalWorkedHours,
-      punches: [entry],
-      updatedAt: new Date().toISOString(),
-    });
-  } else {
-    // ── Subsequent punch (e.g. back from lunch break) ───────────────────────
-    const prev = snap.data();
-    await ref.update({
-      // Accumulate time-based metrics
-      regularHours: round2(prev.regularHours + metrics.regularHours),
-      overtimeHours: round2(prev.overtimeHours + metrics.overtimeHours),
-      nightDiffHours: round2(prev.nightDiffHours + metrics.nightDiffHours),
-      totalWorkedHours: round2(prev.totalWorkedHours + metrics.totalWorkedHours),
-      // lateMinutes: KEEP the original — break punch-ins are never counted as late
-      lateMinutes: prev.lateMinutes,
-      // undertimeMinutes: REPLACE with this punch's value — only the last
-      // punch-out of the day determines undertime.  When an employee returns
-      // from break and finishes their shift, this naturally resets to 0.
-      undertimeMinutes: metrics.undertimeMinutes,
-      punches: [...(prev.punches || []), entry],
-      updatedAt: new Date().toISOString(),
-    });
-  }
-}
-
-const round2 = (n) => Math.round(n * 100) / 100;
-
 // ─── History & Summary Queries ─────────────────────────────────────────────────
 
 /**
@@ -220,12 +163,13 @@ export async function getAttendanceHistory(uid, { startDate, endDate } = {}) {
   if (endDate) query = query.where('punchIn', '<=', `${endDate}T23:59:59.999Z`);
 
   const snap = await query.get();
-  const records = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const records = snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((r) => !r.deleted);
   return records.sort((a, b) => b.punchIn.localeCompare(a.punchIn)); // newest first
 }
 
 /**
- * Daily summary for a user on a specific date (defaults to today in UTC).
+ * Daily summary for a user on a specific date. Rest-day work is reported in
+ * restDayHours / restDayOvertimeHours rather than regular/overtime hours.
  */
 export async function getDailySummary(uid, workDate) {
   const summaryId = `${uid}_${workDate}`;
@@ -248,24 +192,15 @@ export async function getWeeklySummary(uid, startDate, endDate) {
   const days = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
   days.sort((a, b) => a.workDate.localeCompare(b.workDate)); // oldest first
 
-  const totals = days.reduce(
-    (acc, d) => ({
-      regularHours: round2(acc.regularHours + (d.regularHours || 0)),
-      overtimeHours: round2(acc.overtimeHours + (d.overtimeHours || 0)),
-      nightDiffHours: round2(acc.nightDiffHours + (d.nightDiffHours || 0)),
-      lateMinutes: acc.lateMinutes + (d.lateMinutes || 0),
-      undertimeMinutes: acc.undertimeMinutes + (d.undertimeMinutes || 0),
-      totalWorkedHours: round2(acc.totalWorkedHours + (d.totalWorkedHours || 0)),
-    }),
-    {
-      regularHours: 0,
-      overtimeHours: 0,
-      nightDiffHours: 0,
-      lateMinutes: 0,
-      undertimeMinutes: 0,
-      totalWorkedHours: 0,
-    },
-  );
+  // Policy-adjusted totals, with the raw figures under totals.raw
+  const totals = sumSummaries(days);
 
   return { uid, startDate, endDate, totals, days };
 }
+
+// ─── Daily Time Record ────────────────────────────────────────────────────────
+
+/**
+ * The user's own monthly DTR (see lib/dtr.js).
+ */
+export { loadDtr };
@@ -0,0 +1,59 @@
+import { getMyCorrections, requestCorrection, cancelCorrection } from './correction.services.js';
+
+// ─── GET /api/attendance/corrections ─────────────────────────────────────────
+// Query param: status? ('pending' | 'approved' | 'rejected' | 'cancelled')
+
+export async function getMyCorrectionsHandler(req, res) {
+  try {
+    const corrections = await getMyCorrections(req.user.uid, { status: req.query.status });
+    res.status(200).json({ count: corrections.length, data: corrections });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/attendance/corrections ────────────────────────────────────────
+// Body: { attendanceId?, punchIn?: ISO string, punchOut?: ISO string, reason }
+// With attendanceId: corrects that record (e.g. a forgotten punch-out).
+// Without: a missing-punch request; punchIn and punchOut are both required.
+
+export async function requestCorrectionHandler(req, res) {
+  try {
+    const { attendanceId, punchIn, punchOut, reason } = req.body;
+    const correction = await requestCorrection(req.user.uid, {
+      attendanceId,
+      punchIn,
+      punchOut,
+      reason,
+    });
+    res.status(201).json({ message: 'Correction request submitted successfully', ...correction });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('Forbidden')
+        ? 403
+        : error.message.includes('already pending')
+          ? 409
+          : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/attendance/corrections/:correctionId ────────────────────────
+// Withdraws a pending request.
+
+export async function cancelCorrectionHandler(req, res) {
+  try {
+    const result = await cancelCorrection(req.user.uid, req.params.correctionId);
+    res.status(200).json({ message: 'Correction request cancelled successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('Forbidden')
+        ? 403
+        : error.message.includes('already')
+          ? 409
+          : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
@@ -0,0 +1,134 @@
+import { db } from '../../lib/firebase.admin.js';
+
+/**
+ * Attendance correction requests (collection 'attendanceCorrections').
+ *
+ *   { uid, type: 'correction' | 'missingPunch', attendanceId, punchIn, punchOut,
+ *     original: { punchIn, punchOut } | null, reason, status, createdAt, … }
+ *
+ * A correction proposes new times for one of the employee's own records (e.g.
+ * the punch-out they forgot); a missing-punch request proposes a whole
+ * punch pair for a day with no record. punchIn / punchOut are the proposed
+ * times, with unchanged ones filled in from the record. Admins approve or
+ * reject them under /api/admin/corrections.
+ */
+
+export const CORRECTION_STATUSES = Object.freeze(['pending', 'approved', 'rejected', 'cancelled']);
+
+const MAX_REASON_LENGTH = 500;
+
+function parseTime(value, field) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be an ISO 8601 timestamp`);
+  }
+  return date;
+}
+
+/**
+ * Validates a proposed punch pair: punchOut after punchIn, neither in the future.
+ */
+function checkTimes(punchIn, punchOut) {
+  const now = Date.now();
+  if (punchIn.getTime() > now || punchOut.getTime() > now) {
+    throw new Error('Proposed times cannot be in the future');
+  }
+  if (punchOut <= punchIn) throw new Error('punchOut must be after punchIn');
+}
+
+export async function getMyCorrections(uid, { status } = {}) {
+  const snap = await db.collection('attendanceCorrections').where('uid', '==', uid).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((c) => !status || c.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Files a pending correction (with attendanceId) or missing-punch request
+ * (without). Only one pending request per record is allowed.
+ */
+export async function requestCorrection(uid, { attendanceId, punchIn, punchOut, reason }) {
+  if (typeof reason !== 'string' || !reason.trim()) throw new Error('reason is required');
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new Error(`reason cannot exceed ${MAX_REASON_LENGTH} characters`);
+  }
+
+  let request;
+  if (attendanceId) {
+    if (!punchIn && !punchOut) {
+      throw new Error('Provide at least one of punchIn or punchOut to correct');
+    }
+    const snap = await db.collection('attendance').doc(attendanceId).get();
+    const record = snap.exists ? snap.data() : null;
+    if (!record || record.deleted) throw new Error('Punch record not found.');
+    if (record.uid !== uid) throw new Error('Forbidden: This punch does not belong to you.');
+    if (record.voided) throw new Error('A cancelled punch cannot be corrected');
+
+    const proposedIn = punchIn ? parseTime(punchIn, 'punchIn') : new Date(record.punchIn);
+    if (!punchOut && !record.punchOut) throw new Error('punchOut is required for an open punch');
+    const proposedOut = punchOut ? parseTime(punchOut, 'punchOut') : new Date(record.punchOut);
+    checkTimes(proposedIn, proposedOut);
+
+    const pending = await getMyCorrections(uid, { status: 'pending' });
+    if (pending.some((c) => c.attendanceId === attendanceId)) {
+      throw new Error('A correction for this punch is already pending');
+    }
+
+    request = {
+      type: 'correction',
+      attendanceId,
+      punchIn: proposedIn.toISOString(),
+      punchOut: proposedOut.toISOString(),
+      original: { punchIn: record.punchIn, punchOut: record.punchOut },
+    };
+  } else {
+    if (!punchIn || !punchOut) {
+      throw new Error('punchIn and punchOut are required for a missing-punch request');
+    }
+    const proposedIn = parseTime(punchIn, 'punchIn');
+    const proposedOut = parseTime(punchOut, 'punchOut');
+    checkTimes(proposedIn, proposedOut);
+
+    request = {
+      type: 'missingPunch',
+      attendanceId: null,
+      punchIn: proposedIn.toISOString(),
+      punchOut: proposedOut.toISOString(),
+      original: null,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const correction = {
+    uid,
+    ...request,
+    reason: reason.trim(),
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+  };
+  const ref = await db.collection('attendanceCorrections').add(correction);
+  return { id: ref.id, ...correction };
+}
+
+/**
+ * Withdraws one of the user's own pending requests.
+ */
+export async function cancelCorrection(uid, correctionId) {
+  const ref = db.collection('attendanceCorrections').doc(correctionId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Correction request not found');
+
+  const correction = snap.data();
+  if (correction.uid !== uid) {
+    throw new Error('Forbidden: This correction request does not belong to you.');
+  }
+  if (correction.status !== 'pending') {
+    throw new Error(`Correction request is already ${correction.status}`);
+  }
+
+  const now = new Date().toISOString();
+  await ref.update({ status: 'cancelled', cancelledAt: now, updatedAt: now });
+  return { id: correctionId, status: 'cancelled' };
+}
@@ -0,0 +1,50 @@
+import {
+  getMyOvertimeRequests,
+  requestOvertime,
+  cancelOvertimeRequest,
+} from './overtime.services.js';
+
+// ─── GET /api/attendance/overtime ────────────────────────────────────────────
+// Query param: status? ('pending' | 'approved' | 'rejected' | 'cancelled')
+
+export async function getMyOvertimeRequestsHandler(req, res) {
+  try {
+    const requests = await getMyOvertimeRequests(req.user.uid, { status: req.query.status });
+    res.status(200).json({ count: requests.length, data: requests });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/attendance/overtime ───────────────────────────────────────────
+// Body: { workDate: 'YYYY-MM-DD', hours: number (quarter hours), reason }
+
+export async function requestOvertimeHandler(req, res) {
+  try {
+    const { workDate, hours, reason } = req.body;
+    const request = await requestOvertime(req.user.uid, { workDate, hours, reason });
+    res.status(201).json({ message: 'Overtime request submitted successfully', ...request });
+  } catch (error) {
+    const status = error.message.includes('already') ? 409 : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/attendance/overtime/:requestId ──────────────────────────────
+// Withdraws a pending or approved request.
+
+export async function cancelOvertimeRequestHandler(req, res) {
+  try {
+    const result = await cancelOvertimeRequest(req.user.uid, req.params.requestId);
+    res.status(200).json({ message: 'Overtime request cancelled successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('Forbidden')
+        ? 403
+        : error.message.includes('already')
+          ? 409
+          : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
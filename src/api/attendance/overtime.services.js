@@ -0,0 +1,43 @@
+import { db } from '../../lib/firebase.admin.js';
+import { createOvertimeRequest } from '../../lib/overtime.js';
+import { rebuildDailySummary } from '../../lib/dailySummary.js';
+
+/**
+ * An employee's own overtime requests (see lib/overtime.js for the shape).
+ * Admins review them under /api/admin/overtime.
+ */
+
+export async function getMyOvertimeRequests(uid, { status } = {}) {
+  const snap = await db.collection('overtimeRequests').where('uid', '==', uid).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => !status || r.status === status)
+    .sort((a, b) => b.workDate.localeCompare(a.workDate));
+}
+
+export async function requestOvertime(uid, fields) {
+  return createOvertimeRequest(uid, fields, uid);
+}
+
+/**
+ * Withdraws one of the user's own pending or approved requests. Withdrawing
+ * an approved request rebuilds that day's summary, so its OT becomes unapproved.
+ */
+export async function cancelOvertimeRequest(uid, requestId) {
+  const ref = db.collection('overtimeRequests').doc(requestId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Overtime request not found');
+
+  const request = snap.data();
+  if (request.uid !== uid) {
+    throw new Error('Forbidden: This overtime request does not belong to you.');
+  }
+  if (!['pending', 'approved'].includes(request.status)) {
+    throw new Error(`Overtime request is already ${request.status}`);
+  }
+
+  const now = new Date().toISOString();
+  await ref.update({ status: 'cancelled', cancelledAt: now, updatedAt: now });
+  if (request.status === 'approved') await rebuildDailySummary(uid, request.workDate);
+  return { id: requestId, status: 'cancelled' };
+}
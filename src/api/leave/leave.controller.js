@@ -0,0 +1,105 @@
+import {
+  listLeaveTypes,
+  getMyLeaveBalances,
+  getMyLeaveLedger,
+  getMyLeaveRequests,
+  requestLeave,
+  cancelLeaveRequest,
+} from './leave.services.js';
+import { todayIn } from '../../lib/timezone.js';
+import { getUserTimezone } from '../attendance/attendance.services.js';
+
+// ─── GET /api/leave/types ────────────────────────────────────────────────────
+
+export async function listLeaveTypesHandler(req, res) {
+  try {
+    const types = await listLeaveTypes();
+    res.status(200).json({ count: types.length, data: types });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/leave/balances ─────────────────────────────────────────────────
+// Query param: year (default = this year in the user's timezone)
+
+export async function getMyLeaveBalancesHandler(req, res) {
+  try {
+    const year = req.query.year ?? todayIn(await getUserTimezone(req.user.uid)).slice(0, 4);
+    const result = await getMyLeaveBalances(req.user.uid, year);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/leave/ledger ───────────────────────────────────────────────────
+// Query param: year (default = this year in the user's timezone)
+
+export async function getMyLeaveLedgerHandler(req, res) {
+  try {
+    const year = req.query.year ?? todayIn(await getUserTimezone(req.user.uid)).slice(0, 4);
+    const result = await getMyLeaveLedger(req.user.uid, year);
+    res.status(200).json(result);
+  } catch (error) {
+    const status = error.message.includes('must be') ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── GET /api/leave/requests ─────────────────────────────────────────────────
+// Query params: status? ('pending' | 'approved' | 'rejected' | 'cancelled'), year?
+
+export async function getMyLeaveRequestsHandler(req, res) {
+  try {
+    const { status, year } = req.query;
+    const requests = await getMyLeaveRequests(req.user.uid, { status, year });
+    res.status(200).json({ count: requests.length, data: requests });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ─── POST /api/leave/requests ────────────────────────────────────────────────
+// Body: { leaveTypeId, startDate, endDate, halfDay?: boolean, reason? }
+
+export async function requestLeaveHandler(req, res) {
+  try {
+    const { leaveTypeId, startDate, endDate, halfDay, reason } = req.body;
+    const request = await requestLeave(req.user.uid, {
+      leaveTypeId,
+      startDate,
+      endDate,
+      halfDay,
+      reason,
+    });
+    res.status(201).json({ message: 'Leave request submitted successfully', ...request });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('overlaps')
+        ? 409
+        : 400;
+    res.status(status).json({ error: error.message });
+  }
+}
+
+// ─── DELETE /api/leave/requests/:requestId ───────────────────────────────────
+// Cancels a pending or approved request.
+
+export async function cancelLeaveRequestHandler(req, res) {
+  try {
+    const result = await cancelLeaveRequest(req.user.uid, req.params.requestId);
+    res.status(200).json({ message: 'Leave request cancelled successfully', ...result });
+  } catch (error) {
+    const status = error.message.includes('not found')
+      ? 404
+      : error.message.includes('Forbidden')
+        ? 403
+        : error.message.includes('already')
+          ? 409
+          : 500;
+    res.status(status).json({ error: error.message });
+  }
+}
@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { authenticate } from '../../middleware/auth.middleware.js';
+import {
+  listLeaveTypesHandler,
+  getMyLeaveBalancesHandler,
+  getMyLeaveLedgerHandler,
+  getMyLeaveRequestsHandler,
+  requestLeaveHandler,
+  cancelLeaveRequestHandler,
+} from './leave.controller.js';
+
+const router = Router();
+
+// All leave routes require authentication; admins review requests under /api/admin/leave
+router.use(authenticate);
+
+router.get('/types', listLeaveTypesHandler);
+router.get('/balances', getMyLeaveBalancesHandler); // own balances for a year
+router.get('/ledger', getMyLeaveLedgerHandler); // accruals, adjustments and usage
+router.get('/requests', getMyLeaveRequestsHandler);
+router.post('/requests', requestLeaveHandler);
+router.delete('/requests/:requestId', cancelLeaveRequestHandler); // cancel pending or approved
+
+export default router;
@@ -0,0 +1,125 @@
+import { db } from '../../lib/firebase.admin.js';
+import {
+  normalizeLeaveDates,
+  loadLeaveDays,
+  getLeaveType,
+  listLeaveTypes,
+  getUserLeaveRequests,
+  getLeaveBalances,
+  getLeaveLedger,
+} from '../../lib/leave.js';
+import { rebuildDailySummary } from '../../lib/dailySummary.js';
+
+/**
+ * Employee side of leave management (see lib/leave.js for the data model).
+ * Requests start out pending; an admin approves or rejects them under
+ * /api/admin/leave. Approved leave shows up in dailySummary as paidLeaveHours.
+ */
+
+const YEAR_RE = /^\d{4}$/;
+const MAX_REASON_LENGTH = 500;
+
+export { listLeaveTypes };
+
+export async function getMyLeaveBalances(uid, year) {
+  if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+  return { uid, year: Number(year), balances: await getLeaveBalances(uid, year) };
+}
+
+/**
+ * The user's ledger for a year: accruals, carry-over, year-end entries,
+ * adjustments and usage.
+ */
+export async function getMyLeaveLedger(uid, year) {
+  if (!YEAR_RE.test(String(year ?? ''))) throw new Error('year must be a 4-digit year');
+  const entries = await getLeaveLedger(uid, { year });
+  return { uid, year: Number(year), count: entries.length, entries };
+}
+
+export async function getMyLeaveRequests(uid, { status, year } = {}) {
+  return getUserLeaveRequests(uid, { status, year });
+}
+
+/**
+ * Files a pending leave request. The covered working days are resolved from
+ * the user's schedule now, and must fit in the remaining balance (approved
+ * plus pending days) of balance-tracked types.
+ */
+export async function requestLeave(uid, { leaveTypeId, startDate, endDate, halfDay, reason }) {
+  if (!leaveTypeId) throw new Error('leaveTypeId is required');
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+    throw new Error(`reason must be text of at most ${MAX_REASON_LENGTH} characters`);
+  }
+
+  const dates = normalizeLeaveDates({ startDate, endDate, halfDay });
+  const type = await getLeaveType(leaveTypeId);
+  const days = await loadLeaveDays(uid, dates);
+  if (days.length === 0) {
+    throw new Error('The requested dates are all rest days or holidays; no leave is needed');
+  }
+  const totalDays = days.reduce((acc, d) => acc + d.days, 0);
+  const year = Number(dates.startDate.slice(0, 4));
+
+  const existing = await getUserLeaveRequests(uid);
+  const overlap = existing.find(
+    (r) =>
+      ['pending', 'approved'].includes(r.status) &&
+      r.startDate <= dates.endDate &&
+      r.endDate >= dates.startDate,
+  );
+  if (overlap) {
+    throw new Error(
+      `Leave request overlaps ${overlap.status} request ${overlap.id} (${overlap.startDate} – ${overlap.endDate})`,
+    );
+  }
+
+  const balance = (await getLeaveBalances(uid, year)).find((b) => b.leaveTypeId === type.id);
+  if (balance?.availableDays != null && totalDays > balance.availableDays) {
+    throw new Error(
+      `Insufficient ${type.code} balance: ${balance.availableDays} day(s) available, ${totalDays} requested`,
+    );
+  }
+
+  const now = new Date().toISOString();
+  const request = {
+    uid,
+    leaveTypeId: type.id,
+    paid: type.paid,
+    ...dates,
+    reason: reason?.trim() || null,
+    status: 'pending',
+    year,
+    days,
+    totalDays,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const ref = await db.collection('leaveRequests').add(request);
+  return { id: ref.id, ...request };
+}
+
+/**
+ * Cancels one of the user's own pending or approved requests. Cancelling
+ * approved leave removes it from the affected daily summaries.
+ */
+export async function cancelLeaveRequest(uid, requestId) {
+  const ref = db.collection('leaveRequests').doc(requestId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error('Leave request not found');
+
+  const request = snap.data();
+  if (request.uid !== uid) throw new Error('Forbidden: This leave request does not belong to you.');
+  if (!['pending', 'approved'].includes(request.status)) {
+    throw new Error(`Leave request is already ${request.status}`);
+  }
+
+  const now = new Date().toISOString();
+  await ref.update({ status: 'cancelled', cancelledAt: now, updatedAt: now });
+
+  if (request.status === 'approved') {
+    for (const day of request.days) await rebuildDailySummary(uid, day.date);
+  }
+
+  return { id: requestId, status: 'cancelled' };
+}
@@ -1,5 +1,7 @@
 import { authenticate, requireRole } from '../../middleware/auth.middleware.js';
 import { addUser, getUser, grantAdminRole, revokeAdminRole, getAllUsers } from './user.services.js';
+import { isValidTimezone } from '../../lib/timezone.js';
+import { isWeeklySchedule, normalizeSchedule } from '../../lib/schedule.js';
 
 export async function register(req, res) {
   try {
@@ -22,6 +24,18 @@ export async function register(req, res) {
         .json({ error: 'firstName, lastName, email, department, position, timezone are required' });
     }
 
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}` });
+    }
+
+    if (isWeeklySchedule(schedule)) {
+      try {
+        normalizeSchedule(schedule);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
     await addUser(uid, { firstName, lastName, email, department, position, timezone, schedule });
 
     res.status(201).json({ message: 'Registration successful' });
@@ -51,12 +65,15 @@ export async function listAllUsers(req, res) {
   }
 }
 
-/** POST /api/user/grant-admin  body: { uid } */
+/** POST /api/user/grant-admin  body: { uid, reason } */
 export async function grantAdmin(req, res) {
   try {
-    const { uid } = req.body;
+    const { uid, reason } = req.body;
     if (!uid) return res.status(400).json({ error: 'uid is required' });
-    const result = await grantAdminRole(uid);
+    if (!reason?.trim()) {
+      return res.status(400).json({ error: 'reason is required for audited changes' });
+    }
+    const result = await grantAdminRole(uid, { actorUid: req.user.uid, reason });
     res.status(200).json({ message: `Admin role granted`, ...result });
   } catch (error) {
     const status = error.message.includes('not found') ? 404 : 400;
@@ -64,12 +81,15 @@ export async function grantAdmin(req, res) {
   }
 }
 
-/** POST /api/user/revoke-admin  body: { uid } */
+/** POST /api/user/revoke-admin  body: { uid, reason } */
 export async function revokeAdmin(req, res) {
   try {
-    const { uid } = req.body;
+    const { uid, reason } = req.body;
     if (!uid) return res.status(400).json({ error: 'uid is required' });
-    const result = await revokeAdminRole(uid);
+    if (!reason?.trim()) {
+      return res.status(400).json({ error: 'reason is required for audited changes' });
+    }
+    const result = await revokeAdminRole(uid, { actorUid: req.user.uid, reason });
     res.status(200).json({ message: `Admin role revoked`, ...result });
   } catch (error) {
     const status = error.message.includes('not found') ? 404 : 400;
@@ -1,4 +1,6 @@
 import { db, auth } from '../../lib/firebase.admin.js';
+import { isWeeklySchedule, normalizeSchedule } from '../../lib/schedule.js';
+import { addAuditEntry, requireReason } from '../../lib/audit.js';
 
 // Valid roles
 export const ROLES = Object.freeze({ USER: 'user', ADMIN: 'admin', SUPERADMIN: 'superadmin' });
@@ -13,6 +15,13 @@ export async function addUser(
 ) {
   try {
     const role = ROLES.USER;
+    const initialSchedule = isWeeklySchedule(schedule)
+      ? normalizeSchedule(schedule)
+      : {
+          start: schedule?.start ?? '09:00',
+          end: schedule?.end ?? '18:00',
+        };
+    const now = new Date().toISOString();
 
     await db
       .collection('users')
@@ -25,11 +34,12 @@ export async function addUser(
         position,
         timezone: timezone || 'Asia/Manila',
         role,
-        schedule: {
-          start: schedule?.start ?? '09:00',
-          end: schedule?.end ?? '18:00',
-        },
-        createdAt: new Date().toISOString(),
+        schedule: initialSchedule,
+        // Effective-dated history; the first entry applies since the beginning
+        scheduleHistory: [
+          { effectiveFrom: null, schedule: initialSchedule, templateId: null, assignedAt: now },
+        ],
+        createdAt: now,
       });
 
     // Sync role to Firebase custom claims so middleware can read it from the token
@@ -52,36 +62,49 @@ export async function getUser(uid) {
   }
 }
 
-/**
- * Grants admin role to a target user (callable by superadmin only).
- * Updates both Firestore and Firebase custom claims.
- */
-export async function grantAdminRole(targetUid) {
-  const doc = await db.collection('users').doc(targetUid).get();
+// Sets a non-superadmin user's role in Firestore (with its audit entry) and
+// in the Firebase custom claims.
+async function setRole(targetUid, role, action, { actorUid, reason } = {}) {
+  requireReason(reason);
+  const ref = db.collection('users').doc(targetUid);
+  const doc = await ref.get();
   if (!doc.exists) throw new Error('Target user not found');
 
   const currentRole = doc.data().role;
   if (currentRole === ROLES.SUPERADMIN) throw new Error('Cannot change superadmin role');
 
-  await db.collection('users').doc(targetUid).update({ role: ROLES.ADMIN });
-  await auth.setCustomUserClaims(targetUid, { role: ROLES.ADMIN });
-  return { uid: targetUid, role: ROLES.ADMIN };
+  const batch = db.batch();
+  batch.update(ref, { role });
+  addAuditEntry(batch, {
+    actorUid,
+    action,
+    targetType: 'user',
+    targetId: targetUid,
+    targetUid,
+    before: { role: currentRole ?? null },
+    after: { role },
+    reason,
+  });
+  await batch.commit();
+  await auth.setCustomUserClaims(targetUid, { role });
+  return { uid: targetUid, role };
+}
+
+/**
+ * Grants admin role to a target user (callable by superadmin only).
+ * Updates both Firestore and Firebase custom claims.
+ * audit: { actorUid, reason } for the audit trail (reason required).
+ */
+export async function grantAdminRole(targetUid, audit) {
+  return setRole(targetUid, ROLES.ADMIN, 'role.grant', audit);
 }
 
 /**
  * Revokes admin role from a target user (back to 'user').
  * Callable by superadmin only.
  */
-export async function revokeAdminRole(targetUid) {
-  const doc = await db.collection('users').doc(targetUid).get();
-  if (!doc.exists) throw new Error('Target user not found');
-
-  const currentRole = doc.data().role;
-  if (currentRole === ROLES.SUPERADMIN) throw new Error('Cannot change superadmin role');
-
-  await db.collection('users').doc(targetUid).update({ role: ROLES.USER });
-  await auth.setCustomUserClaims(targetUid, { role: ROLES.USER });
-  return { uid: targetUid, role: ROLES.USER };
+export async function revokeAdminRole(targetUid, audit) {
+  return setRole(targetUid, ROLES.USER, 'role.revoke', audit);
 }
 
 /**
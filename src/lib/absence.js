@@ -0,0 +1,98 @@
+import { db } from './firebase.admin.js';
+import { DEFAULT_TIMEZONE, getLocalDate, todayIn } from './timezone.js';
+import { getDayWindow } from './schedule.js';
+import { loadStandingSchedule, getRosterWindowsInRange, getHolidayMap } from './scheduleContext.js';
+
+/**
+ * Attendance status of every active employee on a set of dates, so the admin
+ * reports cover the whole workforce rather than only those who punched.
+ *
+ * A user is active from their hire date (users.createdAt in their timezone)
+ * unless users.active is false. On each date they are:
+ *   present  → worked (a summary with punches, or a punch still open)
+ *   onLeave  → approved leave and no punches
+ *   holiday  → a holiday in the calendar, not worked
+ *   restDay  → no shift window (roster or standing schedule), not worked
+ *   upcoming → a working day after today in the user's timezone
+ *   absent   → a past or current working day with none of the above
+ */
+
+export const ATTENDANCE_STATUSES = Object.freeze([
+  'present',
+  'onLeave',
+  'holiday',
+  'restDay',
+  'upcoming',
+  'absent',
+]);
+
+/**
+ * Pure status of one user on one workDate.
+ *
+ * @param {object} day
+ * @param {object | null} day.summary - the dailySummary document, if any
+ * @param {boolean} day.hasOpenPunch - an open punch-in on workDate
+ * @param {object | null} day.window - shift window, null on rest days
+ * @param {object | null} day.holiday - { type, name } when workDate is a holiday
+ * @param {boolean} day.isFuture - workDate is after today for the user
+ */
+export function dayStatus({ summary, hasOpenPunch, window, holiday, isFuture }) {
+  // Summaries built before leave existed have no punches list but were worked
+  if (hasOpenPunch || (summary && (summary.punches?.length ?? 1) > 0)) return 'present';
+  if (summary?.leave?.length) return 'onLeave';
+  if (holiday) return 'holiday';
+  if (!window) return 'restDay';
+  return isFuture ? 'upcoming' : 'absent';
+}
+
+/**
+ * Loads what dayStatus needs for every active user on the given dates.
+ * Returns [{ uid, user, statusOn(workDate, summary) }] — statusOn is
+ * undefined for dates before the user's hire date.
+ */
+export async function loadWorkforceCalendar(dates) {
+  const [usersSnap, holidays, rosterByUid, openSnap] = await Promise.all([
+    db.collection('users').get(),
+    getHolidayMap(dates),
+    dates.length ? getRosterWindowsInRange(dates[0], dates.at(-1)) : {},
+    db.collection('attendance').where('punchOut', '==', null).get(),
+  ]);
+  const users = usersSnap.docs
+    .map((d) => ({ uid: d.id, ...d.data() }))
+    .filter((u) => u.active !== false);
+  const timezoneOf = Object.fromEntries(users.map((u) => [u.uid, u.timezone || DEFAULT_TIMEZONE]));
+
+  const openPunches = new Set(
+    openSnap.docs
+      .map((d) => d.data())
+      .filter((r) => r.punchIn && !r.voided && !r.deleted && timezoneOf[r.uid])
+      .map((r) => `${r.uid}_${getLocalDate(new Date(r.punchIn), timezoneOf[r.uid])}`),
+  );
+
+  return Promise.all(
+    users.map(async (user) => {
+      const timezone = timezoneOf[user.uid];
+      const hireDate = user.createdAt ? getLocalDate(new Date(user.createdAt), timezone) : '';
+      const today = todayIn(timezone);
+      const schedule = await loadStandingSchedule(user);
+      const roster = rosterByUid[user.uid] ?? {};
+      const windowOn = (date) =>
+        date in roster ? roster[date] : schedule ? getDayWindow(schedule(date), date) : null;
+
+      return {
+        uid: user.uid,
+        user,
+        statusOn: (workDate, summary) =>
+          workDate < hireDate
+            ? undefined
+            : dayStatus({
+                summary,
+                hasOpenPunch: openPunches.has(`${user.uid}_${workDate}`),
+                window: windowOn(workDate),
+                holiday: holidays[workDate] ?? null,
+                isFuture: workDate > today,
+              }),
+      };
+    }),
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * Attendance policy: grace periods and rounding rules applied on top of the
+ * raw punch times by computeMetrics.
+ *
+ * All fields are whole minutes; 0 disables the rule, so DEFAULT_POLICY gives
+ * adjusted figures identical to the raw ones.
+ *
+ *   lateGraceMinutes        lateness up to this many minutes is forgiven
+ *                           (beyond it the full lateness counts)
+ *   undertimeGraceMinutes   same, for leaving before schedule end
+ *   clockInRoundingMinutes  punch-in rounded to the nearest N minutes
+ *   clockOutRoundingMinutes punch-out rounded to the nearest N minutes
+ *   overtimeMinimumMinutes  overtime shorter than this is not counted
+ *   overtimeBlockMinutes    overtime counted in whole blocks of N minutes
+ *
+ * Policies layer: org default (settings/attendancePolicy) ← shift template
+ * policy ← users.attendancePolicy. Each layer may set only some fields.
+ */
+
+export const POLICY_FIELDS = Object.freeze([
+  'lateGraceMinutes',
+  'undertimeGraceMinutes',
+  'clockInRoundingMinutes',
+  'clockOutRoundingMinutes',
+  'overtimeMinimumMinutes',
+  'overtimeBlockMinutes',
+]);
+
+export const DEFAULT_POLICY = Object.freeze(Object.fromEntries(POLICY_FIELDS.map((f) => [f, 0])));
+
+const MAX_MINUTES = 240;
+
+/**
+ * Validates a (possibly partial) policy and returns a clean copy containing
+ * only the fields that were set. Throws with a client-facing message.
+ */
+export function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('policy must be an object');
+  }
+
+  const unknown = Object.keys(policy).filter((k) => !POLICY_FIELDS.includes(k));
+  if (unknown.length) {
+    throw new Error(`Unknown policy field(s): ${unknown.join(', ')}`);
+  }
+
+  const clean = {};
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0 || value > MAX_MINUTES) {
+      throw new Error(`${field} must be a whole number of minutes between 0 and ${MAX_MINUTES}`);
+    }
+    clean[field] = value;
+  }
+  return clean;
+}
+
+/**
+ * Merges policy layers, lowest precedence first, over DEFAULT_POLICY.
+ * Missing (null/undefined) layers are skipped.
+ */
+export function resolvePolicy(...layers) {
+  const resolved = { ...DEFAULT_POLICY };
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const field of POLICY_FIELDS) {
+      if (Number.isInteger(layer[field])) resolved[field] = layer[field];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Applies the grace period: minutes within grace become 0.
+ */
+export function applyGrace(minutes, graceMinutes) {
+  return minutes <= graceMinutes ? 0 : minutes;
+}
+
+/**
+ * Applies the overtime minimum and block size to a number of OT minutes.
+ */
+export function applyOvertimeRules(minutes, { overtimeMinimumMinutes, overtimeBlockMinutes }) {
+  if (minutes < overtimeMinimumMinutes) return 0;
+  if (!overtimeBlockMinutes) return minutes;
+  return Math.floor(minutes / overtimeBlockMinutes) * overtimeBlockMinutes;
+}
@@ -0,0 +1,97 @@
+import { db } from './firebase.admin.js';
+
+/**
+ * Append-only audit trail (collection 'auditLog') for changes that matter in
+ * labor disputes: punches created, edited, closed, deleted, restored or purged
+ * by hand, schedule assignments, roster entries, shift templates, attendance
+ * policies and role changes.
+ *
+ *   { actorUid, action, targetType, targetId, targetUid, before, after,
+ *     reason, request?, createdAt }
+ *
+ * request is set when the change applies an employee's request (e.g. an
+ * approved attendance correction): { type, id, reason } with the employee's
+ * own reason, which is kept apart from the admin's length-capped reason.
+ *
+ * actorUid is null for changes made by the system (e.g. the open-punch
+ * sweeper). Entries are written in the same batch as the change they
+ * describe, so a change is never committed without its entry. Nothing in the
+ * API updates or deletes them.
+ */
+
+export const AUDIT_ACTIONS = Object.freeze([
+  'punch.create',
+  'punch.edit',
+  'punch.delete',
+  'punch.restore',
+  'punch.purge',
+  'punch.autoClose',
+  'punch.forceClose',
+  'schedule.assign',
+  'roster.create',
+  'roster.update',
+  'roster.delete',
+  'roster.swap',
+  'shiftTemplate.create',
+  'shiftTemplate.update',
+  'shiftTemplate.delete',
+  'policy.update',
+  'policy.override',
+  'role.grant',
+  'role.revoke',
+]);
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Validates the reason an admin gives for an audited change and returns it trimmed.
+ */
+export function requireReason(reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new Error('reason is required for audited changes');
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new Error(`reason cannot exceed ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason.trim();
+}
+
+/**
+ * Builds an audit entry. before / after are snapshots of the target (null
+ * when it did not exist before or no longer exists after).
+ */
+export function auditEntry({
+  actorUid,
+  action,
+  targetType,
+  targetId,
+  targetUid,
+  before,
+  after,
+  reason,
+  request,
+}) {
+  if (!AUDIT_ACTIONS.includes(action)) throw new Error(`Unknown audit action: ${action}`);
+  return {
+    actorUid: actorUid ?? null,
+    action,
+    targetType,
+    targetId,
+    targetUid: targetUid ?? null,
+    before: before ?? null,
+    after: after ?? null,
+    reason: requireReason(reason),
+    ...(request ? { request } : {}),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Adds an audit entry to a write batch; it is committed with the change.
+ */
+export function addAuditEntry(batch, fields) {
+  const ref = db.collection('auditLog').doc();
+  const entry = auditEntry(fields);
+  batch.create(ref, entry);
+  return { id: ref.id, ...entry };
+}
@@ -1,61 +1,53 @@
+import {
+  DEFAULT_TIMEZONE,
+  getLocalDate,
+  getTimezoneOffsetMs,
+  localToUtcMs,
+  dayAfter,
+  dayBefore,
+} from './timezone.js';
+import { isOvernight, getDayWindow, toMinuteOfDay, breakLengthMinutes } from './schedule.js';
+import {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  applyGrace,
+  applyOvertimeRules,
+} from './attendancePolicy.js';
+import { dayCategory } from './holidays.js';
+
 /**
- * All time computation is done in Asia/Manila local time (UTC+8, no DST).
+ * All time computation is done in the employee's local time (IANA timezone,
+ * default Asia/Manila). DST transitions are honoured via ./timezone.js.
  * punchIn / punchOut are standard JS Date objects (their .getTime() is UTC ms).
- * Schedule times ('HH:MM') and workDate ('YYYY-MM-DD') refer to Manila local time.
+ * Schedule times ('HH:MM') and workDate ('YYYY-MM-DD') refer to local time.
  *
- * Key identity: manilaLocalMs = utcMs + MANILA_OFFSET_MS
- *   → To read the Manila clock for a Date, add the offset then read UTC getters.
- *   → To build a UTC ms from a Manila local date + time, subtract the offset.
- */
-
-const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000; // UTC+8, fixed (no DST in Philippines)
-
-/**
- * Returns 'YYYY-MM-DD' in Manila local time for the given Date.
- */
-function getManilaDate(date) {
-  const m = new Date(date.getTime() + MANILA_OFFSET_MS);
-  const y = m.getUTCFullYear();
-  const mo = String(m.getUTCMonth() + 1).padStart(2, '0');
-  const d = String(m.getUTCDate()).padStart(2, '0');
-  return `${y}-${mo}-${d}`;
-}
-
-/**
- * Converts a Manila-local date string + time string to a UTC timestamp (ms).
- * Manila is always UTC+8, so: utcMs = manilaLocalMs − 8h
- */
-function manilaToUtcMs(dateStr, timeStr) {
-  const [y, mo, d] = dateStr.split('-').map(Number);
-  const [h, mi] = timeStr.split(':').map(Number);
-  return Date.UTC(y, mo - 1, d, h, mi, 0) - MANILA_OFFSET_MS;
-}
-
-/**
- * Returns the YYYY-MM-DD string for the calendar day after dateStr.
- */
-function dayAfter(dateStr) {
-  const [y, mo, d] = dateStr.split('-').map(Number);
-  const dt = new Date(Date.UTC(y, mo - 1, d + 1, 12, 0, 0));
-  return [
-    dt.getUTCFullYear(),
-    String(dt.getUTCMonth() + 1).padStart(2, '0'),
-    String(dt.getUTCDate()).padStart(2, '0'),
-  ].join('-');
-}
-
-/**
- * Returns the YYYY-MM-DD string for the calendar day before dateStr.
+ * Every local date + time is converted to a UTC ms instant before comparing,
+ * so a 23- or 25-hour DST day is measured in real elapsed time.
+ *
+ * Overnight schedules (end < start, e.g. 22:00–06:00) are treated as one shift
+ * that starts on workDate and ends on the next calendar day.
+ *
+ * Weekly schedules resolve to the window of the punch's workDate; a rest day
+ * has no window, so there is no late/undertime and all time worked lands in
+ * the rest-day buckets: restDayHours for the first 8 hours, then
+ * restDayOvertimeHours. regularHours / overtimeHours stay 0 on rest days.
+ * A roster entry for a date overrides the standing schedule for that date.
+ *
+ * An unpaid meal break on the window is deducted from the time worked inside
+ * it: a fixed break (12:00–13:00) at its local times, an automatic break
+ * ({ afterHours: 5, minutes: 60 }) starting that long after punch-in. Break
+ * time is not late or undertime. `break` and `breakDeducted` let the daily
+ * summary give back deductions already covered by an unworked lunch gap.
+ *
+ * The workDate's holiday type and rest-day flag give the pair's day category
+ * (ordinary, restDay, regularHoliday, specialHolidayRestDay, …); all of its
+ * hours belong to that category, including any after midnight.
+ *
+ * The attendance policy (./attendancePolicy.js) is applied on top: the
+ * top-level figures are policy-adjusted (rounded clock times, grace periods,
+ * overtime minimum/blocks) and `raw` holds the same figures from the actual
+ * punch times.
  */
-function dayBefore(dateStr) {
-  const [y, mo, d] = dateStr.split('-').map(Number);
-  const dt = new Date(Date.UTC(y, mo - 1, d - 1, 12, 0, 0));
-  return [
-    dt.getUTCFullYear(),
-    String(dt.getUTCMonth() + 1).padStart(2, '0'),
-    String(dt.getUTCDate()).padStart(2, '0'),
-  ].join('-');
-}
 
 function overlap(aStart, aEnd, bStart, bEnd) {
   return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
@@ -64,79 +56,271 @@ function overlap(aStart, aEnd, bStart, bEnd) {
 const MS_PER_HOUR = 3_600_000;
 const MS_PER_MIN = 60_000;
 
+const REST_DAY_REGULAR_MS = 8 * MS_PER_HOUR;
+
 const toHours = (ms) => Math.round((ms / MS_PER_HOUR) * 100) / 100;
 const toMinutes = (ms) => Math.round(ms / MS_PER_MIN);
 
+/**
+ * Resolves the workDate and shift window a punch-in belongs to.
+ *
+ * workDate = local calendar date of punch-in, except that a punch-in before
+ * the end of the previous day's overnight shift belongs to that shift
+ * (e.g. 01:00 on a 22:00–06:00 schedule is a late arrival, not a new day).
+ * shiftStartMs / shiftEndMs are null on rest days.
+ *
+ * Takes the same schedule, timezone and roster inputs as computeMetrics.
+ */
+export function resolveShift({ punchIn, schedule, timezone, roster = {} }) {
+  const tz = timezone || DEFAULT_TIMEZONE;
+  const toUtcMs = (dateStr, timeStr) => localToUtcMs(dateStr, timeStr, tz);
+  const scheduleOn = typeof schedule === 'function' ? schedule : () => schedule;
+  const windowFor = (date) =>
+    Object.hasOwn(roster, date) ? roster[date] : getDayWindow(scheduleOn(date), date);
+
+  let workDate = getLocalDate(punchIn, tz);
+  let window = windowFor(workDate);
+  const prevWindow = windowFor(dayBefore(workDate));
+  if (
+    prevWindow &&
+    isOvernight(prevWindow) &&
+    punchIn.getTime() < toUtcMs(workDate, prevWindow.end)
+  ) {
+    workDate = dayBefore(workDate);
+    window = prevWindow;
+  }
+  if (window === null) return { workDate, window, shiftStartMs: null, shiftEndMs: null };
+
+  return {
+    workDate,
+    window,
+    shiftStartMs: toUtcMs(workDate, window.start),
+    shiftEndMs: toUtcMs(isOvernight(window) ? dayAfter(workDate) : workDate, window.end),
+  };
+}
+
 /**
  * Computes attendance metrics for a single punch pair.
  *
  * @param {Date}   punchIn   - JS Date (UTC-based, from .toISOString() stored in DB)
  * @param {Date}   punchOut  - JS Date (UTC-based)
- * @param {{ start: string, end: string }} schedule - Manila local 'HH:MM' strings
- * @param {string} [timezone] - accepted for API compatibility but ignored;
- *                              computation is always in Asia/Manila (UTC+8)
+ * @param {object|Function} schedule - flat { start, end, break? } or weekly { days: { mon: … } }
+ *        with local 'HH:MM' strings (end < start means overnight), or a function
+ *        (workDate) => schedule for schedules that change over time
+ * @param {string} [timezone] - IANA timezone of the employee (default Asia/Manila)
+ * @param {Object<string, { start: string, end: string } | null>} [roster]
+ *        - date-specific overrides keyed by 'YYYY-MM-DD'; null = rostered day off
+ * @param {object|Function} [policy] - attendance policy, or (workDate) => policy
+ * @param {Object<string, { type: 'regular' | 'special', name: string }>} [holidays]
+ *        - holidays keyed by 'YYYY-MM-DD'
  */
-export function computeMetrics({ punchIn, punchOut, schedule }) {
-  // workDate = Manila calendar date of punch-in
-  const workDate = getManilaDate(punchIn);
+export function computeMetrics({
+  punchIn,
+  punchOut,
+  schedule,
+  timezone,
+  roster = {},
+  policy = DEFAULT_POLICY,
+  holidays = {},
+}) {
+  const tz = timezone || DEFAULT_TIMEZONE;
+  const toUtcMs = (dateStr, timeStr) => localToUtcMs(dateStr, timeStr, tz);
 
   const piMs = punchIn.getTime();
 
-  const endOfWorkDayMs = manilaToUtcMs(dayAfter(workDate), '00:00') - 1;
+  const { workDate, window } = resolveShift({ punchIn, schedule, timezone: tz, roster });
+  const restDay = window === null;
+  const overnight = !restDay && isOvernight(window);
+  const rules = resolvePolicy(typeof policy === 'function' ? policy(workDate) : policy);
+  const breakRule = restDay ? null : (window.break ?? null);
+  const holiday = holidays[workDate] ?? null;
+
+  // Punch-out is capped so a forgotten punch-out cannot run into the next
+  // workDate: local midnight for day schedules, the next shift's start for
+  // overnight schedules.
+  const endOfWorkDayMs = overnight
+    ? toUtcMs(dayAfter(workDate), window.start) - 1
+    : toUtcMs(dayAfter(workDate), '00:00') - 1;
   const poMs = Math.min(punchOut.getTime(), endOfWorkDayMs);
 
-  // Schedule window anchored to workDate in Manila time, converted to UTC ms
-  const schedStartMs = manilaToUtcMs(workDate, schedule.start);
-  const schedEndMs = manilaToUtcMs(workDate, schedule.end);
-
-  // ── Late ─────────────────────────────────────────────────────────────────
-  // Minutes past schedule start the employee arrived.
-  const lateMs = Math.max(0, piMs - schedStartMs);
-  const lateMinutes = toMinutes(lateMs);
-
-  // ── Undertime ─────────────────────────────────────────────────────────────
-  // Schedule time lost by punching out before schedule end.
-  const undertimeMs =
-    poMs < schedEndMs ? Math.max(0, schedEndMs - Math.max(poMs, schedStartMs)) : 0;
-  const undertimeMinutes = toMinutes(undertimeMs);
-
-  // ── Regular hours ─────────────────────────────────────────────────────────
-  // Actual time worked within the schedule window (early arrivals do NOT pad this).
-  const regularMs = overlap(piMs, poMs, schedStartMs, schedEndMs);
-  const regularHours = toHours(regularMs);
-
-  // ── Overtime ──────────────────────────────────────────────────────────────
-  // Time worked strictly after schedule end.
-  // max(piMs, schedEndMs): if the employee only started after schedEnd
-  // (e.g. an extra shift at 20:00 on a 09-18 schedule) OT starts at punchIn,
-  // NOT at 18:00 — preventing phantom OT hours before they even showed up.
-  const otMs = Math.max(0, poMs - Math.max(piMs, schedEndMs));
-  const overtimeHours = toHours(otMs);
-
-  // ── Night Differential ────────────────────────────────────────────────────
-  // Counts ALL minutes worked between 22:00 and 06:00 Manila across every
-  // night within the punch span. Starting from the night before workDate
-  // correctly captures graveyard shifts that punch in before 06:00.
-  let ndMs = 0;
-  let ndDay = dayBefore(workDate);
-  while (true) {
-    const windowStart = manilaToUtcMs(ndDay, '22:00');
-    const windowEnd = manilaToUtcMs(dayAfter(ndDay), '06:00');
-    if (windowStart >= poMs) break; // window starts after punchOut — stop
-    ndMs += overlap(piMs, poMs, windowStart, windowEnd);
-    ndDay = dayAfter(ndDay);
-  }
-  const nightDiffHours = toHours(ndMs);
+  // Rounds an instant to the nearest N minutes of the local wall clock.
+  const roundLocal = (ms, minutes) => {
+    if (!minutes) return ms;
+    const step = minutes * MS_PER_MIN;
+    const offset = getTimezoneOffsetMs(ms, tz);
+    return Math.round((ms + offset) / step) * step - offset;
+  };
 
-  const totalWorkedHours = toHours(regularMs + otMs);
+  const raw = measure(piMs, poMs);
+
+  const adjPiMs = roundLocal(piMs, rules.clockInRoundingMinutes);
+  const adjPoMs = Math.max(
+    adjPiMs,
+    Math.min(roundLocal(poMs, rules.clockOutRoundingMinutes), endOfWorkDayMs),
+  );
+  const adjusted = measure(adjPiMs, adjPoMs);
+
+  const lateMinutes = applyGrace(adjusted.lateMinutes, rules.lateGraceMinutes);
+  const undertimeMinutes = applyGrace(adjusted.undertimeMinutes, rules.undertimeGraceMinutes);
+  const applyOtRules = (ms) => applyOvertimeRules(toMinutes(ms), rules) * MS_PER_MIN;
+
+  // Splits measured time into regular / OT / rest-day buckets. On a rest day
+  // measure() reports the whole span as OT; the first 8 hours of it are
+  // rest-day time and only the remainder is rest-day OT.
+  const buckets = (m, otRule = (ms) => ms) => {
+    if (!restDay) {
+      const otMs = otRule(m.otMs);
+      return {
+        regularMs: m.regularMs,
+        otMs,
+        restDayMs: 0,
+        restDayOtMs: 0,
+        workedMs: m.regularMs + otMs,
+      };
+    }
+    const restDayMs = Math.min(m.otMs, REST_DAY_REGULAR_MS);
+    const restDayOtMs = otRule(m.otMs - restDayMs);
+    return { regularMs: 0, otMs: 0, restDayMs, restDayOtMs, workedMs: restDayMs + restDayOtMs };
+  };
+  const adj = buckets(adjusted, applyOtRules);
+  const rawBuckets = buckets(raw);
 
   return {
     workDate,
-    regularHours,
-    overtimeHours,
-    nightDiffHours,
+    restDay,
+    holiday: holiday && { type: holiday.type, name: holiday.name },
+    category: dayCategory(holiday?.type ?? null, restDay),
+    regularHours: toHours(adj.regularMs),
+    overtimeHours: toHours(adj.otMs),
+    restDayHours: toHours(adj.restDayMs),
+    restDayOvertimeHours: toHours(adj.restDayOtMs),
+    nightDiffHours: toHours(adjusted.ndMs),
     lateMinutes,
     undertimeMinutes,
-    totalWorkedHours,
+    totalWorkedHours: toHours(adj.workedMs),
+    breakMinutes: adjusted.breakMinutes,
+    breakDeducted: adjusted.breakDeducted,
+    raw: {
+      regularHours: toHours(rawBuckets.regularMs),
+      overtimeHours: toHours(rawBuckets.otMs),
+      restDayHours: toHours(rawBuckets.restDayMs),
+      restDayOvertimeHours: toHours(rawBuckets.restDayOtMs),
+      nightDiffHours: toHours(raw.ndMs),
+      lateMinutes: raw.lateMinutes,
+      undertimeMinutes: raw.undertimeMinutes,
+      totalWorkedHours: toHours(rawBuckets.workedMs),
+      breakMinutes: raw.breakMinutes,
+      breakDeducted: raw.breakDeducted,
+    },
+    // The day's break rule, for reconciling multi-punch days (null = no break)
+    break: breakRule && {
+      requiredMinutes: breakLengthMinutes(window),
+      shiftStart: new Date(toUtcMs(workDate, window.start)).toISOString(),
+      shiftEnd: new Date(
+        toUtcMs(overnight ? dayAfter(workDate) : workDate, window.end),
+      ).toISOString(),
+    },
+    // Rest-day time before the OT rules, and the rules, for splitting a
+    // multi-punch rest day at 8 hours (only on rest days)
+    ...(restDay && {
+      restDaySplit: {
+        workedHours: toHours(adjusted.otMs),
+        overtimeMinimumMinutes: rules.overtimeMinimumMinutes,
+        overtimeBlockMinutes: rules.overtimeBlockMinutes,
+      },
+    }),
   };
+
+  // Unpaid break span [start, end] in UTC ms for a punch-in, or null.
+  function breakSpan(inMs) {
+    if (!breakRule) return null;
+    if (breakRule.minutes) {
+      const start = inMs + breakRule.afterHours * MS_PER_HOUR;
+      return [start, start + breakRule.minutes * MS_PER_MIN];
+    }
+    // Fixed break times before the shift start fall on the next day (overnight)
+    const before = (time) => toMinuteOfDay(time) < toMinuteOfDay(window.start);
+    const dateOf = (time) => (overnight && before(time) ? dayAfter(workDate) : workDate);
+    return [
+      toUtcMs(dateOf(breakRule.start), breakRule.start),
+      toUtcMs(dateOf(breakRule.end), breakRule.end),
+    ];
+  }
+
+  // Measures one punch span [inMs, outMs] against the workDate's window.
+  function measure(inMs, outMs) {
+    // Schedule window anchored to workDate in local time, converted to UTC ms.
+    // A rest day gets an empty window at punch-in, which makes late, undertime
+    // and regular time zero and turns the whole span into overtime below.
+    const schedStartMs = restDay ? inMs : toUtcMs(workDate, window.start);
+    const schedEndMs = restDay
+      ? inMs
+      : toUtcMs(overnight ? dayAfter(workDate) : workDate, window.end);
+
+    // Unpaid break: [brkStart, brkEnd]; an empty span when there is none
+    const [brkStartMs, brkEndMs] = breakSpan(inMs) ?? [inMs, inMs];
+    const inBreak = (aStart, aEnd) => overlap(aStart, aEnd, brkStartMs, brkEndMs);
+
+    // ── Late ─────────────────────────────────────────────────────────────────
+    // Scheduled working time missed before punch-in (break time excluded).
+    const lateMs = inMs > schedStartMs ? inMs - schedStartMs - inBreak(schedStartMs, inMs) : 0;
+
+    // ── Undertime ─────────────────────────────────────────────────────────────
+    // Scheduled working time lost by punching out before schedule end.
+    const missedFromMs = Math.max(outMs, schedStartMs);
+    const undertimeMs =
+      outMs < schedEndMs
+        ? Math.max(0, schedEndMs - missedFromMs - inBreak(missedFromMs, schedEndMs))
+        : 0;
+
+    // Worked time inside the break, clipped to the punch span
+    const workedBrkStartMs = Math.max(inMs, brkStartMs);
+    const workedBrkEndMs = Math.min(outMs, brkEndMs);
+
+    // ── Regular hours ─────────────────────────────────────────────────────────
+    // Actual time worked within the schedule window (early arrivals do NOT pad
+    // this), less the unpaid break.
+    const regularBrkMs = overlap(workedBrkStartMs, workedBrkEndMs, schedStartMs, schedEndMs);
+    const regularMs = overlap(inMs, outMs, schedStartMs, schedEndMs) - regularBrkMs;
+
+    // ── Overtime ──────────────────────────────────────────────────────────────
+    // Time worked strictly after schedule end.
+    // max(inMs, schedEndMs): if the employee only started after schedEnd
+    // (e.g. an extra shift at 20:00 on a 09-18 schedule) OT starts at punchIn,
+    // NOT at 18:00 — preventing phantom OT hours before they even showed up.
+    const otStartMs = Math.max(inMs, schedEndMs);
+    const otBrkMs = overlap(workedBrkStartMs, workedBrkEndMs, otStartMs, outMs);
+    const otMs = Math.max(0, outMs - otStartMs) - otBrkMs;
+
+    // ── Night Differential ────────────────────────────────────────────────────
+    // Counts ALL minutes worked between 22:00 and 06:00 local across every
+    // night within the punch span. Starting from the night before workDate
+    // correctly captures graveyard shifts that punch in before 06:00.
+    let ndMs = 0;
+    let ndBrkMs = 0;
+    let ndDay = dayBefore(workDate);
+    while (true) {
+      const windowStart = toUtcMs(ndDay, '22:00');
+      const windowEnd = toUtcMs(dayAfter(ndDay), '06:00');
+      if (windowStart >= outMs) break; // window starts after punchOut — stop
+      ndMs += overlap(inMs, outMs, windowStart, windowEnd);
+      ndBrkMs += overlap(workedBrkStartMs, workedBrkEndMs, windowStart, windowEnd);
+      ndDay = dayAfter(ndDay);
+    }
+    ndMs -= ndBrkMs;
+
+    return {
+      lateMinutes: toMinutes(lateMs),
+      undertimeMinutes: toMinutes(undertimeMs),
+      regularMs,
+      otMs,
+      ndMs,
+      breakMinutes: toMinutes(regularBrkMs + otBrkMs),
+      breakDeducted: {
+        regularHours: toHours(regularBrkMs),
+        overtimeHours: toHours(otBrkMs),
+        nightDiffHours: toHours(ndBrkMs),
+      },
+    };
+  }
 }
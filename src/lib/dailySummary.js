@@ -0,0 +1,315 @@
+import { db } from './firebase.admin.js';
+import { applyOvertimeRules } from './attendancePolicy.js';
+import { getApprovedLeaveOn } from './leave.js';
+import { getApprovedOvertimeHours, splitOvertime } from './overtime.js';
+
+/**
+ * Builds dailySummary documents (id `${uid}_${workDate}`) from the completed
+ * attendance records of one user on one workDate.
+ *
+ * Multi-punch (break-time) rules:
+ *  - regularHours / overtimeHours / nightDiffHours / totalWorkedHours
+ *      → accumulated from every punch pair (correct to sum)
+ *  - lateMinutes
+ *      → taken from the FIRST punch-in of the day only;
+ *        break punch-ins are NOT counted as late arrivals
+ *  - undertimeMinutes
+ *      → taken from the LAST punch-out only;
+ *        intermediate punch-outs (e.g. lunch break) are NOT undertime
+ *  - restDayHours / restDayOvertimeHours
+ *      → the 8-hour rest-day threshold applies to the whole day, so the
+ *        summed rest-day time is split again after accumulating, with the
+ *        policy's OT minimum and blocks applied to the day's rest-day OT
+ *  - breakMinutes (unpaid meal break)
+ *      → the day owes one break; unworked gaps between pairs inside the
+ *        shift count toward it, and any per-pair deduction beyond what is
+ *        still owed is added back (latest pairs first)
+ *
+ * Every pair on a workDate shares its day category (ordinary, restDay,
+ * regularHoliday, …); byCategory breaks regular, OT and ND hours down by
+ * category so payroll can apply premiums straight from the summaries.
+ *
+ * Approved leave on the workDate is listed under leave, and paid leave adds
+ * paidLeaveHours. A day with leave but no punches still gets a summary.
+ *
+ * Overtime worked (overtimeHours, or restDayOvertimeHours on rest days) is
+ * split into approvedOvertimeHours — up to the hours of the day's approved
+ * OT requests — and unapprovedOvertimeHours.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * True for an attendance record that counts toward summaries:
+ * closed, with metrics, and neither voided nor soft-deleted.
+ */
+export function isCountedRecord(record) {
+  return Boolean(
+    record.metrics && record.punchOut && record.punchOut !== 'VOIDED' && !record.deleted,
+  );
+}
+
+export const SUMMARY_FIELDS = Object.freeze([
+  'regularHours',
+  'overtimeHours',
+  'restDayHours',
+  'restDayOvertimeHours',
+  'nightDiffHours',
+  'lateMinutes',
+  'undertimeMinutes',
+  'totalWorkedHours',
+  'breakMinutes',
+  'paidLeaveHours',
+  'approvedOvertimeHours',
+  'unapprovedOvertimeHours',
+]);
+
+const REST_DAY_REGULAR_HOURS = 8;
+
+const emptyTotals = () => Object.fromEntries(SUMMARY_FIELDS.map((f) => [f, 0]));
+
+// Minutes of unworked gaps between consecutive pairs inside [shiftStart, shiftEnd].
+function gapMinutesWithin(sorted, { shiftStart, shiftEnd }) {
+  const startMs = Date.parse(shiftStart);
+  const endMs = Date.parse(shiftEnd);
+  let gapMs = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    const from = Math.max(Date.parse(sorted[i - 1].punchOut), startMs);
+    const to = Math.min(Date.parse(sorted[i].punchIn), endMs);
+    gapMs += Math.max(0, to - from);
+  }
+  return Math.round(gapMs / 60_000);
+}
+
+// Applies the multi-punch rules to per-pair figures picked from each record.
+function dayTotals(sorted, pick, owedBreakMinutes) {
+  const first = pick(sorted[0]);
+  const last = pick(sorted[sorted.length - 1]);
+
+  const totals = sorted.map(pick).reduce(
+    (acc, m) => ({
+      // Accumulate time-based metrics identically across all pairs
+      regularHours: round2(acc.regularHours + (m.regularHours || 0)),
+      overtimeHours: round2(acc.overtimeHours + (m.overtimeHours || 0)),
+      restDayHours: round2(acc.restDayHours + (m.restDayHours || 0)),
+      restDayOvertimeHours: round2(acc.restDayOvertimeHours + (m.restDayOvertimeHours || 0)),
+      nightDiffHours: round2(acc.nightDiffHours + (m.nightDiffHours || 0)),
+      totalWorkedHours: round2(acc.totalWorkedHours + (m.totalWorkedHours || 0)),
+      breakMinutes: acc.breakMinutes + (m.breakMinutes || 0),
+      // lateMinutes  → first punch-in of the day only
+      lateMinutes: first.lateMinutes ?? 0,
+      // undertimeMinutes → last punch-out of the day only
+      undertimeMinutes: last.undertimeMinutes ?? 0,
+    }),
+    emptyTotals(),
+  );
+
+  // Rest-day OT starts after 8 hours worked across all of the day's pairs,
+  // with the OT minimum and blocks applied to the day's OT as for one pair
+  const restDayBefore = round2(totals.restDayHours + totals.restDayOvertimeHours);
+  // (records computed before restDaySplit existed fall back to their buckets)
+  const restDayWorked = (m) =>
+    m.restDaySplit?.workedHours ?? (m.restDayHours || 0) + (m.restDayOvertimeHours || 0);
+  const split = sorted.map(pick).find((m) => m.restDaySplit)?.restDaySplit;
+  const restDayTotal = round2(sorted.map(pick).reduce((sum, m) => sum + restDayWorked(m), 0));
+  totals.restDayHours = Math.min(restDayTotal, REST_DAY_REGULAR_HOURS);
+  const restDayOtMinutes = Math.round((restDayTotal - totals.restDayHours) * 60);
+  totals.restDayOvertimeHours = round2(
+    (split ? applyOvertimeRules(restDayOtMinutes, split) : restDayOtMinutes) / 60,
+  );
+  totals.totalWorkedHours = round2(
+    totals.totalWorkedHours - restDayBefore + totals.restDayHours + totals.restDayOvertimeHours,
+  );
+
+  // Give back break deductions the day no longer owes, latest pair first
+  let excess = totals.breakMinutes - owedBreakMinutes;
+  for (const m of sorted.map(pick).reverse()) {
+    if (excess <= 0) break;
+    if (!m.breakMinutes) continue;
+    const taken = Math.min(excess, m.breakMinutes);
+    const share = taken / m.breakMinutes;
+    const { regularHours = 0, overtimeHours = 0, nightDiffHours = 0 } = m.breakDeducted ?? {};
+    totals.regularHours = round2(totals.regularHours + share * regularHours);
+    totals.overtimeHours = round2(totals.overtimeHours + share * overtimeHours);
+    totals.nightDiffHours = round2(totals.nightDiffHours + share * nightDiffHours);
+    totals.totalWorkedHours = round2(
+      totals.totalWorkedHours + share * (regularHours + overtimeHours),
+    );
+    totals.breakMinutes -= taken;
+    excess -= taken;
+  }
+
+  return totals;
+}
+
+const CATEGORY_FIELDS = ['regularHours', 'overtimeHours', 'nightDiffHours'];
+
+// Category hours of a day: on rest days the rest-day buckets are the
+// category's regular and OT hours.
+function categoryHours(totals, restDay) {
+  return restDay
+    ? {
+        regularHours: totals.restDayHours,
+        overtimeHours: totals.restDayOvertimeHours,
+        nightDiffHours: totals.nightDiffHours,
+      }
+    : totals;
+}
+
+// Adds the category hours of one summary into a byCategory accumulator.
+function addCategoryHours(byCategory, category, hours) {
+  const acc = (byCategory[category] ??= { regularHours: 0, overtimeHours: 0, nightDiffHours: 0 });
+  for (const field of CATEGORY_FIELDS) acc[field] = round2(acc[field] + (hours[field] || 0));
+  return byCategory;
+}
+
+/**
+ * Pure aggregation of one day's attendance records ({ id, punchIn, punchOut,
+ * metrics }) into policy-adjusted totals, raw totals and the punch list.
+ */
+export function summarizeDay(records) {
+  // Sort punch pairs by punchIn ascending so first/last are deterministic
+  const sorted = [...records].sort((a, b) => (a.punchIn ?? '').localeCompare(b.punchIn ?? ''));
+
+  // One break per day, reduced by lunch gaps taken off the clock
+  const rule = sorted.find((r) => r.metrics?.break)?.metrics.break;
+  const owed = rule ? Math.max(0, rule.requiredMinutes - gapMinutesWithin(sorted, rule)) : 0;
+
+  const totals = dayTotals(sorted, (r) => r.metrics ?? {}, owed);
+  // Records computed before holidays existed have no category
+  const category = sorted[0].metrics?.category ?? 'ordinary';
+
+  const restDay = sorted[0].metrics?.restDay ?? false;
+
+  return {
+    restDay,
+    holiday: sorted[0].metrics?.holiday ?? null,
+    category,
+    ...totals,
+    byCategory: addCategoryHours({}, category, categoryHours(totals, restDay)),
+    // Records computed before the attendance policy existed have no raw block
+    raw: dayTotals(sorted, (r) => r.metrics?.raw ?? r.metrics ?? {}, owed),
+    punches: sorted.map((r) => ({
+      attendanceId: r.id,
+      punchIn: r.punchIn,
+      punchOut: r.punchOut,
+    })),
+  };
+}
+
+/**
+ * Adds approved leave ([{ requestId, leaveTypeId, paid, days, hours }]) to a
+ * summarizeDay result, or builds a leave-only day when summary is null.
+ */
+export function withLeave(summary, leave) {
+  const base = summary ?? {
+    restDay: false,
+    holiday: null,
+    category: 'ordinary',
+    ...emptyTotals(),
+    byCategory: {},
+    raw: emptyTotals(),
+    punches: [],
+  };
+  const paidLeaveHours = round2(
+    leave.filter((l) => l.paid).reduce((acc, l) => acc + (l.hours || 0), 0),
+  );
+  return { ...base, paidLeaveHours, raw: { ...base.raw, paidLeaveHours }, leave };
+}
+
+// OT worked on a day, whichever bucket it landed in.
+const workedOvertime = (totals) =>
+  round2((totals.overtimeHours || 0) + (totals.restDayOvertimeHours || 0));
+
+/**
+ * Splits a summary's worked OT (adjusted and raw) against approvedHours.
+ */
+export function withOvertimeApproval(summary, approvedHours) {
+  return {
+    ...summary,
+    ...splitOvertime(workedOvertime(summary), approvedHours),
+    raw: { ...summary.raw, ...splitOvertime(workedOvertime(summary.raw), approvedHours) },
+  };
+}
+
+/**
+ * Builds a summary from a day's counted records, approved leave and approved
+ * OT hours; null when the day has neither records nor leave.
+ */
+export function buildDaySummary(dayRecords, leave = [], approvedOvertimeHours = 0) {
+  if (dayRecords.length === 0 && leave.length === 0) return null;
+  return withOvertimeApproval(
+    withLeave(dayRecords.length ? summarizeDay(dayRecords) : null, leave),
+    approvedOvertimeHours,
+  );
+}
+
+/**
+ * Sums dailySummary documents into { ...totals, byCategory, raw: { ...totals } }
+ * for weekly and range reports.
+ */
+export function sumSummaries(days) {
+  const add = (acc, d) => ({
+    regularHours: round2(acc.regularHours + (d.regularHours || 0)),
+    overtimeHours: round2(acc.overtimeHours + (d.overtimeHours || 0)),
+    restDayHours: round2(acc.restDayHours + (d.restDayHours || 0)),
+    restDayOvertimeHours: round2(acc.restDayOvertimeHours + (d.restDayOvertimeHours || 0)),
+    nightDiffHours: round2(acc.nightDiffHours + (d.nightDiffHours || 0)),
+    lateMinutes: acc.lateMinutes + (d.lateMinutes || 0),
+    undertimeMinutes: acc.undertimeMinutes + (d.undertimeMinutes || 0),
+    totalWorkedHours: round2(acc.totalWorkedHours + (d.totalWorkedHours || 0)),
+    breakMinutes: acc.breakMinutes + (d.breakMinutes || 0),
+    paidLeaveHours: round2(acc.paidLeaveHours + (d.paidLeaveHours || 0)),
+    approvedOvertimeHours: round2(acc.approvedOvertimeHours + (d.approvedOvertimeHours || 0)),
+    unapprovedOvertimeHours: round2(acc.unapprovedOvertimeHours + (d.unapprovedOvertimeHours || 0)),
+  });
+
+  const byCategory = {};
+  for (const d of days) {
+    const parts = d.byCategory ?? { [d.category ?? 'ordinary']: categoryHours(d, d.restDay) };
+    for (const [category, hours] of Object.entries(parts)) {
+      addCategoryHours(byCategory, category, hours);
+    }
+  }
+
+  return {
+    ...days.reduce(add, emptyTotals()),
+    byCategory,
+    raw: days.map((d) => d.raw ?? d).reduce(add, emptyTotals()),
+  };
+}
+
+/**
+ * Loads a user's counted attendance records attributed to workDate.
+ * Filters in JS to avoid a composite index.
+ */
+export async function getDayRecords(uid, workDate) {
+  const snap = await db.collection('attendance').where('uid', '==', uid).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => isCountedRecord(r) && r.metrics.workDate === workDate);
+}
+
+/**
+ * Recomputes the dailySummary for uid + workDate from its attendance records
+ * approved leave and approved OT, deleting the summary when neither records
+ * nor leave remain.
+ */
+export async function rebuildDailySummary(uid, workDate) {
+  const ref = db.collection('dailySummary').doc(`${uid}_${workDate}`);
+  const [dayRecords, leave, approvedOvertimeHours] = await Promise.all([
+    getDayRecords(uid, workDate),
+    getApprovedLeaveOn(uid, workDate),
+    getApprovedOvertimeHours(uid, workDate),
+  ]);
+
+  const built = buildDaySummary(dayRecords, leave, approvedOvertimeHours);
+  if (!built) {
+    await ref.delete();
+    return null;
+  }
+
+  const summary = { uid, workDate, ...built, updatedAt: new Date().toISOString() };
+  await ref.set(summary);
+  return summary;
+}
@@ -0,0 +1,76 @@
+/**
+ * Department / position filters and department rollups for the admin
+ * reports. Rows carry the employee's profile under row.employee (see
+ * employeeInfo in admin.services.js); rows without a profile or department
+ * roll up under department null.
+ */
+
+const ROLLUP_FIELDS = Object.freeze([
+  'regularHours',
+  'overtimeHours',
+  'nightDiffHours',
+  'lateMinutes',
+  'totalWorkedHours',
+]);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const sameText = (a, b) =>
+  String(a ?? '')
+    .trim()
+    .toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Keeps the rows whose employee matches department and/or position
+ * (case-insensitive); an omitted filter matches everyone.
+ */
+export function filterByEmployee(rows, { department, position } = {}) {
+  return rows.filter(
+    (row) =>
+      (!department || sameText(row.employee?.department, department)) &&
+      (!position || sameText(row.employee?.position, position)),
+  );
+}
+
+/**
+ * One rollup per department, sorted by name (null last):
+ *   { department, headcount, regularHours, overtimeHours, nightDiffHours,
+ *     lateMinutes, totalWorkedHours, averageWorkedHours }
+ * metricsOf(row) returns the row's figures — the row itself for daily
+ * reports, row.totals for period reports. averageWorkedHours is per employee
+ * in the rollup, absentees included.
+ */
+export function departmentRollups(rows, metricsOf = (row) => row) {
+  const byDepartment = new Map();
+  for (const row of rows) {
+    const department = row.employee?.department?.trim() || null;
+    // Grouped case-insensitively, like the filter; labelled with the first spelling seen
+    const key = department?.toLowerCase() ?? null;
+    let rollup = byDepartment.get(key);
+    if (!rollup) {
+      rollup = {
+        department,
+        headcount: 0,
+        ...Object.fromEntries(ROLLUP_FIELDS.map((f) => [f, 0])),
+      };
+      byDepartment.set(key, rollup);
+    }
+    const metrics = metricsOf(row) ?? {};
+    rollup.headcount += 1;
+    for (const field of ROLLUP_FIELDS) rollup[field] += metrics[field] ?? 0;
+  }
+
+  return [...byDepartment.values()]
+    .map((rollup) => ({
+      ...rollup,
+      ...Object.fromEntries(ROLLUP_FIELDS.map((f) => [f, round2(rollup[f])])),
+      averageWorkedHours: round2(rollup.totalWorkedHours / rollup.headcount),
+    }))
+    .sort((a, b) =>
+      a.department === null
+        ? 1
+        : b.department === null
+          ? -1
+          : a.department.localeCompare(b.department),
+    );
+}
@@ -0,0 +1,155 @@
+import { db } from './firebase.admin.js';
+import { isCountedRecord } from './dailySummary.js';
+import { datesBetween } from './leave.js';
+import { DEFAULT_TIMEZONE, getLocalDate, getLocalTime } from './timezone.js';
+
+/**
+ * Monthly Daily Time Record (DTR) in the style of Civil Service Form No. 48.
+ *
+ * One row per calendar day of the month with the A.M. and P.M. arrival and
+ * departure times (the employee's local 'HH:MM') and the day's undertime,
+ * which on the form includes tardiness (lateMinutes + undertimeMinutes from
+ * the dailySummary). A day with a single punch pair fills the arrival and
+ * departure slots by time of day; with several pairs the first pair is the
+ * A.M. session and the last pair the P.M. session. Rendering lives in
+ * lib/dtrRender.js.
+ */
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const isMorning = (time) => time < '12:00';
+
+/**
+ * The calendar dates of month ('YYYY-MM').
+ */
+export function monthDates(month) {
+  if (!MONTH_RE.test(month ?? '')) throw new Error('month must be in YYYY-MM format');
+  const [year, mon] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+  return datesBetween(`${month}-01`, `${month}-${String(lastDay).padStart(2, '0')}`);
+}
+
+/**
+ * Fills the four time slots of a DTR row from one day's counted records.
+ */
+export function dtrTimes(records, timezone = DEFAULT_TIMEZONE) {
+  const slots = { amArrival: null, amDeparture: null, pmArrival: null, pmDeparture: null };
+  if (records.length === 0) return slots;
+
+  const sorted = [...records].sort((a, b) => a.punchIn.localeCompare(b.punchIn));
+  const first = sorted[0];
+  const last = sorted.at(-1);
+  const time = (iso) => getLocalTime(new Date(iso), timezone);
+
+  if (sorted.length > 1) {
+    return {
+      amArrival: time(first.punchIn),
+      amDeparture: time(first.punchOut),
+      pmArrival: time(last.punchIn),
+      pmDeparture: time(last.punchOut),
+    };
+  }
+
+  const arrival = time(first.punchIn);
+  const departure = time(first.punchOut);
+  const sameDay =
+    getLocalDate(new Date(first.punchIn), timezone) ===
+    getLocalDate(new Date(first.punchOut), timezone);
+  if (isMorning(arrival)) slots.amArrival = arrival;
+  else slots.pmArrival = arrival;
+  if (isMorning(departure) && isMorning(arrival) && sameDay) slots.amDeparture = departure;
+  else slots.pmDeparture = departure;
+  return slots;
+}
+
+// Annotation for the row: leave, a holiday's name or a worked rest day.
+function dayRemark(summary) {
+  if (!summary) return null;
+  if (summary.leave?.length) return 'On leave';
+  if (summary.holiday?.name) return summary.holiday.name;
+  return summary.restDay ? 'Rest day' : null;
+}
+
+const splitMinutes = (minutes) => ({
+  hours: Math.floor(minutes / 60),
+  minutes: Math.round(minutes % 60),
+});
+
+/**
+ * Builds the DTR for month from the user's counted attendance records and
+ * dailySummary docs (both already limited to the user).
+ */
+export function buildDtr({ month, user, timezone = DEFAULT_TIMEZONE, records, summaries }) {
+  const dates = monthDates(month);
+  const recordsByDate = {};
+  for (const record of records.filter(isCountedRecord)) {
+    (recordsByDate[record.metrics.workDate] ??= []).push(record);
+  }
+  const summaryByDate = Object.fromEntries(summaries.map((s) => [s.workDate, s]));
+
+  let totalMinutes = 0;
+  const days = dates.map((workDate) => {
+    const summary = summaryByDate[workDate];
+    const minutes = (summary?.lateMinutes ?? 0) + (summary?.undertimeMinutes ?? 0);
+    totalMinutes += minutes;
+    const undertime = splitMinutes(minutes);
+    return {
+      day: Number(workDate.slice(8)),
+      workDate,
+      ...dtrTimes(recordsByDate[workDate] ?? [], timezone),
+      undertimeHours: minutes ? undertime.hours : null,
+      undertimeMinutes: minutes ? undertime.minutes : null,
+      remark: dayRemark(summary),
+    };
+  });
+
+  const [year, mon] = month.split('-').map(Number);
+  const total = splitMinutes(totalMinutes);
+  return {
+    month,
+    monthLabel: new Date(Date.UTC(year, mon - 1, 1)).toLocaleString('en-US', {
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    }),
+    timezone,
+    employee: {
+      uid: user.uid,
+      name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+      department: user.department ?? null,
+      position: user.position ?? null,
+    },
+    days,
+    totalUndertime: { hours: total.hours, minutes: total.minutes },
+  };
+}
+
+/**
+ * Loads uid's records and summaries for month and builds the DTR.
+ * Filters the attendance records in JS to avoid a composite index.
+ */
+export async function loadDtr(uid, month) {
+  const dates = monthDates(month);
+  const userDoc = await db.collection('users').doc(uid).get();
+  if (!userDoc.exists) throw new Error('User not found');
+  const user = { uid, ...userDoc.data() };
+
+  const [attendanceSnap, summarySnap] = await Promise.all([
+    db.collection('attendance').where('uid', '==', uid).get(),
+    db
+      .collection('dailySummary')
+      .where('uid', '==', uid)
+      .where('workDate', '>=', dates[0])
+      .where('workDate', '<=', dates.at(-1))
+      .get(),
+  ]);
+  const inMonth = (record) => record.metrics?.workDate?.startsWith(month);
+
+  return buildDtr({
+    month,
+    user,
+    timezone: user.timezone || DEFAULT_TIMEZONE,
+    records: attendanceSnap.docs.map((d) => ({ id: d.id, ...d.data() })).filter(inMonth),
+    summaries: summarySnap.docs.map((d) => d.data()),
+  });
+}
@@ -0,0 +1,240 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * HTML and PDF rendering of a DTR built by lib/dtr.js, laid out like Civil
+ * Service Form No. 48: header, the day-by-day table, the employee's
+ * certification and the verifying officer's signature line.
+ */
+
+export const DTR_FORMATS = Object.freeze(['html', 'pdf']);
+
+const CERTIFICATION =
+  'I certify on my honor that the above is a true and correct report of the hours of ' +
+  'work performed, record of which was made daily at the time of arrival and departure ' +
+  'from office.';
+
+/**
+ * Validates the format query param; undefined means HTML.
+ */
+export function resolveDtrFormat(format) {
+  const resolved = format ?? 'html';
+  if (!DTR_FORMATS.includes(resolved)) {
+    throw new Error(`format must be one of ${DTR_FORMATS.join(', ')}`);
+  }
+  return resolved;
+}
+
+// Cell text for a row: the four times and the undertime, or the remark when
+// nothing was punched.
+function rowCells(day) {
+  const times = [day.amArrival, day.amDeparture, day.pmArrival, day.pmDeparture];
+  return {
+    times: times.map((t) => t ?? ''),
+    blank: times.every((t) => !t),
+    undertime: [day.undertimeHours ?? '', day.undertimeMinutes ?? ''],
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c],
+  );
+
+/**
+ * A standalone, printable HTML page.
+ */
+export function renderDtrHtml(dtr) {
+  const rows = dtr.days
+    .map((day) => {
+      const { times, blank, undertime } = rowCells(day);
+      const middle =
+        blank && day.remark
+          ? `<td colspan="4" class="remark">${escapeHtml(day.remark)}</td>`
+          : times.map((t) => `<td>${escapeHtml(t)}</td>`).join('');
+      return `<tr><td>${day.day}</td>${middle}${undertime
+        .map((u) => `<td>${escapeHtml(u)}</td>`)
+        .join('')}</tr>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Daily Time Record – ${escapeHtml(dtr.employee.name)} – ${escapeHtml(dtr.monthLabel)}</title>
+<style>
+  body { font-family: 'Times New Roman', serif; font-size: 12px; }
+  .form { width: 420px; margin: 0 auto; }
+  .form-no { font-style: italic; font-size: 10px; margin: 0; }
+  h1 { text-align: center; font-size: 16px; margin: 8px 0; }
+  .name { text-align: center; font-weight: bold; border-bottom: 1px solid #000; margin: 16px 0 0; }
+  .caption { text-align: center; font-size: 10px; margin: 0 0 8px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #000; text-align: center; padding: 1px 2px; }
+  .remark { font-style: italic; }
+  .sig { border-bottom: 1px solid #000; height: 28px; margin-top: 8px; }
+  .sig-caption { text-align: center; font-size: 10px; margin: 0; }
+  @media print { .form { width: auto; } }
+</style>
+</head>
+<body>
+<div class="form">
+<p class="form-no">Civil Service Form No. 48</p>
+<h1>DAILY TIME RECORD</h1>
+<p class="name">${escapeHtml(dtr.employee.name)}</p>
+<p class="caption">(Name)</p>
+<p>For the month of <u>${escapeHtml(dtr.monthLabel)}</u></p>
+<p>Official hours for arrival and departure<br>
+Regular days ____________ Saturdays ____________</p>
+<table>
+<thead>
+<tr><th rowspan="2">Day</th><th colspan="2">A.M.</th><th colspan="2">P.M.</th><th colspan="2">Undertime</th></tr>
+<tr><th>Arrival</th><th>Departure</th><th>Arrival</th><th>Departure</th><th>Hours</th><th>Minutes</th></tr>
+</thead>
+<tbody>
+${rows}
+<tr><th colspan="5">Total</th><th>${dtr.totalUndertime.hours}</th><th>${dtr.totalUndertime.minutes}</th></tr>
+</tbody>
+</table>
+<p>${CERTIFICATION}</p>
+<div class="sig"></div>
+<p class="sig-caption">(Signature)</p>
+<p>VERIFIED as to the prescribed office hours:</p>
+<div class="sig"></div>
+<p class="sig-caption">In Charge</p>
+</div>
+</body>
+</html>
+`;
+}
+
+// Column widths (points): day, four times, undertime hours and minutes.
+const COLUMNS = [36, 64, 64, 64, 64, 50, 50];
+const TABLE_WIDTH = COLUMNS.reduce((a, b) => a + b, 0);
+const ROW_HEIGHT = 13;
+// US Letter, with the table centred
+const PAGE_WIDTH = 612;
+const LEFT = (PAGE_WIDTH - TABLE_WIDTH) / 2;
+
+function drawRow(doc, y, cells, { bold = false } = {}) {
+  let x = LEFT;
+  let column = 0;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  for (const { text, span = 1 } of cells) {
+    const width = COLUMNS.slice(column, column + span).reduce((a, b) => a + b, 0);
+    doc.rect(x, y, width, ROW_HEIGHT).stroke();
+    doc.text(String(text ?? ''), x, y + 3, { width, align: 'center', lineBreak: false });
+    x += width;
+    column += span;
+  }
+}
+
+/**
+ * Writes the DTR as a one-page PDF to stream (e.g. an HTTP response).
+ */
+export function writeDtrPdf(dtr, stream) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margins: { top: 36, bottom: 36, left: LEFT, right: LEFT },
+  });
+  doc.pipe(stream);
+
+  const left = LEFT;
+  const tableWidth = TABLE_WIDTH;
+  doc.font('Helvetica-Oblique').fontSize(8).text('Civil Service Form No. 48', left, 36);
+  doc.font('Helvetica-Bold').fontSize(14).text('DAILY TIME RECORD', left, 52, {
+    width: tableWidth,
+    align: 'center',
+  });
+  doc.fontSize(11).text(dtr.employee.name, left, 80, { width: tableWidth, align: 'center' });
+  doc
+    .moveTo(left, 94)
+    .lineTo(left + tableWidth, 94)
+    .stroke();
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .text('(Name)', left, 97, { width: tableWidth, align: 'center' });
+  doc.fontSize(9).text(`For the month of ${dtr.monthLabel}`, left, 112);
+  doc.text('Official hours for arrival and departure', left, 126);
+  doc.text('Regular days ____________   Saturdays ____________', left, 138);
+
+  doc.fontSize(8);
+  let y = 156;
+  // Two-level header as on the paper form
+  drawRow(
+    doc,
+    y,
+    [
+      { text: '' },
+      { text: 'A.M.', span: 2 },
+      { text: 'P.M.', span: 2 },
+      { text: 'Undertime', span: 2 },
+    ],
+    { bold: true },
+  );
+  y += ROW_HEIGHT;
+  drawRow(
+    doc,
+    y,
+    ['Day', 'Arrival', 'Departure', 'Arrival', 'Departure', 'Hours', 'Minutes'].map((text) => ({
+      text,
+    })),
+    { bold: true },
+  );
+
+  for (const day of dtr.days) {
+    y += ROW_HEIGHT;
+    const { times, blank, undertime } = rowCells(day);
+    const middle =
+      blank && day.remark ? [{ text: day.remark, span: 4 }] : times.map((text) => ({ text }));
+    drawRow(doc, y, [{ text: day.day }, ...middle, ...undertime.map((text) => ({ text }))]);
+  }
+  y += ROW_HEIGHT;
+  drawRow(
+    doc,
+    y,
+    [
+      { text: 'Total', span: 5 },
+      { text: dtr.totalUndertime.hours },
+      { text: dtr.totalUndertime.minutes },
+    ],
+    { bold: true },
+  );
+
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .text(CERTIFICATION, left, y + 24, { width: tableWidth });
+  y = doc.y + 28;
+  doc
+    .moveTo(left, y)
+    .lineTo(left + tableWidth, y)
+    .stroke();
+  doc.text('(Signature)', left, y + 3, { width: tableWidth, align: 'center' });
+  doc.text('VERIFIED as to the prescribed office hours:', left, y + 20);
+  y += 56;
+  doc
+    .moveTo(left, y)
+    .lineTo(left + tableWidth, y)
+    .stroke();
+  doc.text('In Charge', left, y + 3, { width: tableWidth, align: 'center' });
+
+  doc.end();
+}
+
+/**
+ * Sends the DTR as an HTML page or an inline PDF.
+ */
+export function sendDtr(res, dtr, format) {
+  if (format === 'html') {
+    res.status(200).type('html').send(renderDtrHtml(dtr));
+    return;
+  }
+  res
+    .status(200)
+    .type('pdf')
+    .set('Content-Disposition', `inline; filename="dtr-${dtr.employee.uid}-${dtr.month}.pdf"`);
+  writeDtrPdf(dtr, res);
+}
@@ -0,0 +1,44 @@
+import { isValidDate } from './timezone.js';
+
+/**
+ * Philippine holiday classification.
+ *
+ * A workDate is an ordinary day, a regular holiday or a special non-working
+ * day (collection 'holidays', doc id = 'YYYY-MM-DD'). Combined with whether
+ * the date is the employee's rest day this gives the day category that
+ * payroll premiums are keyed on.
+ */
+
+export const HOLIDAY_TYPES = Object.freeze(['regular', 'special']);
+
+export const DAY_CATEGORIES = Object.freeze([
+  'ordinary',
+  'restDay',
+  'specialHoliday',
+  'specialHolidayRestDay',
+  'regularHoliday',
+  'regularHolidayRestDay',
+]);
+
+/**
+ * Day category for a holiday type ('regular' | 'special' | null) and rest-day flag.
+ */
+export function dayCategory(holidayType, restDay) {
+  const base = holidayType ? `${holidayType}Holiday` : null;
+  if (!base) return restDay ? 'restDay' : 'ordinary';
+  return restDay ? `${base}RestDay` : base;
+}
+
+/**
+ * Validates a holiday and returns a clean copy. Throws with a client-facing message.
+ */
+export function normalizeHoliday({ date, name, type } = {}) {
+  if (!date || !name || !type) throw new Error('date, name and type are required');
+  if (!isValidDate(date)) {
+    throw new Error(`Invalid holiday date: ${date} (use YYYY-MM-DD)`);
+  }
+  if (!HOLIDAY_TYPES.includes(type)) {
+    throw new Error(`Invalid holiday type: ${type} (use ${HOLIDAY_TYPES.join(' or ')})`);
+  }
+  return { date, name: String(name).trim(), type };
+}
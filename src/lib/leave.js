@@ -0,0 +1,338 @@
+import { db } from './firebase.admin.js';
+import { addDays, isValidDate } from './timezone.js';
+import { getDayWindow, windowLengthMinutes, breakLengthMinutes } from './schedule.js';
+import { loadStandingSchedule, getRosterWindowsInRange, getHolidayMap } from './scheduleContext.js';
+import { normalizeAccrual } from './leaveAccrual.js';
+
+/**
+ * Leave types, requests and balances.
+ *
+ * Leave types (collection 'leaveTypes', doc id = code):
+ *   { code: 'VL', name, annualEntitlementDays: number | null, accrual, paid,
+ *     carryOverCap: number | null, convertToCash: boolean }
+ * A type is balance-tracked through either a fixed annual entitlement or an
+ * accrual rule (lib/leaveAccrual.js); with neither (e.g. leave without pay)
+ * it has no balance. carryOverCap and convertToCash drive year-end closing.
+ *
+ * Leave requests (collection 'leaveRequests'):
+ *   { uid, leaveTypeId, paid, startDate, endDate, halfDay, reason, status,
+ *     year, days: [{ date, days, hours }], totalDays, … }
+ * days lists the scheduled working days the request covers, with the hours
+ * each one is worth; rest days and holidays inside the range are skipped and
+ * cost nothing. The list is fixed when the request is filed.
+ *
+ * Balances are per user, type and calendar year. The entitlement is the
+ * type's annualEntitlementDays (overridable per user in collection
+ * 'leaveBalances', doc id `${uid}_${leaveTypeId}_${year}`) plus the year's
+ * entries in collection 'leaveLedger' — accruals, carry-over, year-end
+ * conversion or forfeiture and manual adjustments:
+ *   { uid, leaveTypeId, year, kind, date, days (+ credit / − debit), amount?, note, … }
+ * Used and pending days are summed from the year's requests, so they never
+ * drift.
+ */
+
+export const LEAVE_STATUSES = Object.freeze(['pending', 'approved', 'rejected', 'cancelled']);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const CODE_RE = /^[A-Z][A-Z0-9_]{0,15}$/;
+// Longest range datesBetween expands (a leap year)
+export const MAX_RANGE_DAYS = 366;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validates a leave type and returns a clean copy. Codes are upper-cased.
+ */
+export function normalizeLeaveType({
+  code,
+  name,
+  annualEntitlementDays,
+  accrual,
+  paid,
+  carryOverCap,
+  convertToCash,
+} = {}) {
+  const cleanCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  if (!CODE_RE.test(cleanCode)) {
+    throw new Error('code is required (letters, digits and _, up to 16 characters, e.g. VL)');
+  }
+  if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+
+  const entitlement = annualEntitlementDays ?? null;
+  if (entitlement !== null && !isDayCount(entitlement)) {
+    throw new Error('annualEntitlementDays must be a non-negative number of days or null');
+  }
+  const rule = normalizeAccrual(accrual);
+  if (rule && entitlement !== null) {
+    throw new Error('Set either annualEntitlementDays or accrual, not both');
+  }
+  if (paid !== undefined && typeof paid !== 'boolean') throw new Error('paid must be a boolean');
+
+  const cap = carryOverCap === undefined ? 0 : carryOverCap;
+  if (cap !== null && !isDayCount(cap)) {
+    throw new Error('carryOverCap must be a non-negative number of days or null (no cap)');
+  }
+  if (convertToCash !== undefined && typeof convertToCash !== 'boolean') {
+    throw new Error('convertToCash must be a boolean');
+  }
+
+  return {
+    code: cleanCode,
+    name: name.trim(),
+    annualEntitlementDays: entitlement,
+    accrual: rule,
+    paid: paid ?? true,
+    carryOverCap: cap,
+    convertToCash: convertToCash ?? false,
+  };
+}
+
+/**
+ * True when a leave type keeps a balance.
+ */
+export function isTrackedType(type) {
+  return Boolean(type.accrual) || (type.annualEntitlementDays ?? null) !== null;
+}
+
+// Whole or half days: 0, 0.5, 1, 1.5, …
+function isDayCount(n) {
+  return typeof n === 'number' && n >= 0 && Number.isInteger(n * 2);
+}
+
+/**
+ * Validates the dates of a leave request. Requests stay within one calendar
+ * year so they draw on a single balance; half days are single-day requests.
+ */
+export function normalizeLeaveDates({ startDate, endDate, halfDay }) {
+  if (!DATE_RE.test(startDate ?? '') || !DATE_RE.test(endDate ?? '')) {
+    throw new Error('startDate and endDate are required (YYYY-MM-DD)');
+  }
+  if (endDate < startDate) throw new Error('endDate cannot be before startDate');
+  if (startDate.slice(0, 4) !== endDate.slice(0, 4)) {
+    throw new Error('A leave request must stay within one calendar year; split it at Dec 31');
+  }
+  if (halfDay && startDate !== endDate) {
+    throw new Error('halfDay requests must have the same startDate and endDate');
+  }
+  return { startDate, endDate, halfDay: halfDay === true };
+}
+
+/**
+ * Every date from startDate to endDate inclusive. Throws for dates that are
+ * not real YYYY-MM-DD dates and for ranges longer than MAX_RANGE_DAYS rather
+ * than returning a truncated list.
+ */
+export function datesBetween(startDate, endDate) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new Error('startDate and endDate must be valid YYYY-MM-DD dates');
+  }
+  if ((Date.parse(endDate) - Date.parse(startDate)) / 86_400_000 + 1 > MAX_RANGE_DAYS) {
+    throw new Error(`Date range must be at most ${MAX_RANGE_DAYS} days`);
+  }
+  const dates = [];
+  // The cap also stops the loop should addDays ever fail to advance
+  for (let d = startDate; d <= endDate && dates.length < MAX_RANGE_DAYS; d = addDays(d, 1)) {
+    dates.push(d);
+  }
+  return dates;
+}
+
+/**
+ * The working days a leave covers, as [{ date, days, hours }].
+ *
+ * @param {string[]} dates
+ * @param {(date: string) => object | null} windowOn - shift window on a date, null on rest days
+ * @param {object} holidays - { [date]: { type, name } }
+ * @param {boolean} halfDay
+ */
+export function leaveDays(dates, windowOn, holidays, halfDay = false) {
+  const share = halfDay ? 0.5 : 1;
+  return dates.flatMap((date) => {
+    const window = windowOn(date);
+    if (!window || holidays[date]) return [];
+    const hours = (windowLengthMinutes(window) - breakLengthMinutes(window)) / 60;
+    return [{ date, days: share, hours: round2(hours * share) }];
+  });
+}
+
+/**
+ * Resolves the working days a user's leave would cover from their standing
+ * schedule, roster overrides and the holiday calendar.
+ */
+export async function loadLeaveDays(uid, { startDate, endDate, halfDay }) {
+  const userDoc = await db.collection('users').doc(uid).get();
+  if (!userDoc.exists) throw new Error('User profile not found');
+
+  const dates = datesBetween(startDate, endDate);
+  const [schedule, rosterByUid, holidays] = await Promise.all([
+    loadStandingSchedule(userDoc.data()),
+    getRosterWindowsInRange(startDate, endDate, { uid }),
+    getHolidayMap(dates),
+  ]);
+  const roster = rosterByUid[uid] ?? {};
+  if (!schedule && Object.keys(roster).length === 0) {
+    throw new Error('User schedule is not configured. Contact your administrator.');
+  }
+
+  const windowOn = (date) =>
+    date in roster ? roster[date] : schedule ? getDayWindow(schedule(date), date) : null;
+  return leaveDays(dates, windowOn, holidays, halfDay);
+}
+
+export async function getLeaveType(leaveTypeId) {
+  const snap = await db.collection('leaveTypes').doc(leaveTypeId).get();
+  if (!snap.exists) throw new Error('Leave type not found');
+  return { id: snap.id, ...snap.data() };
+}
+
+export async function listLeaveTypes() {
+  const snap = await db.collection('leaveTypes').get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * A user's leave requests, newest first. Filters in JS to avoid a composite index.
+ */
+export async function getUserLeaveRequests(uid, { status, year } = {}) {
+  const snap = await db.collection('leaveRequests').where('uid', '==', uid).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => (!status || r.status === status) && (!year || r.year === Number(year)))
+    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+}
+
+/**
+ * Approved leave covering workDate, as [{ requestId, leaveTypeId, paid, days, hours }].
+ */
+export async function getApprovedLeaveOn(uid, workDate) {
+  const snap = await db
+    .collection('leaveRequests')
+    .where('uid', '==', uid)
+    .where('status', '==', 'approved')
+    .get();
+
+  return snap.docs.flatMap((d) => {
+    const request = d.data();
+    if (workDate < request.startDate || workDate > request.endDate) return [];
+    const day = request.days.find((x) => x.date === workDate);
+    return day
+      ? [
+          {
+            requestId: d.id,
+            leaveTypeId: request.leaveTypeId,
+            paid: request.paid,
+            days: day.days,
+            hours: day.hours,
+          },
+        ]
+      : [];
+  });
+}
+
+/**
+ * Pure balance arithmetic for one type and year.
+ */
+export function computeBalance(type, entitledDays, requests) {
+  const sum = (status) =>
+    round2(
+      requests
+        .filter((r) => r.leaveTypeId === type.id && r.status === status)
+        .reduce((acc, r) => acc + r.totalDays, 0),
+    );
+  const usedDays = sum('approved');
+  const pendingDays = sum('pending');
+  return {
+    leaveTypeId: type.id,
+    name: type.name,
+    paid: type.paid,
+    entitledDays,
+    usedDays,
+    pendingDays,
+    // null when the type is not balance-tracked
+    availableDays: entitledDays === null ? null : round2(entitledDays - usedDays - pendingDays),
+  };
+}
+
+/**
+ * A user's ledger entries, oldest first. Filters in JS to avoid a composite index.
+ */
+export async function getLedgerEntries(uid, { year, leaveTypeId } = {}) {
+  const snap = await db.collection('leaveLedger').where('uid', '==', uid).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter(
+      (e) => (!year || e.year === Number(year)) && (!leaveTypeId || e.leaveTypeId === leaveTypeId),
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Sums ledger entries of one type and year.
+ */
+export function ledgerDays(entries, leaveTypeId, year) {
+  return round2(
+    entries
+      .filter((e) => e.leaveTypeId === leaveTypeId && e.year === Number(year))
+      .reduce((acc, e) => acc + e.days, 0),
+  );
+}
+
+/**
+ * A year's entitlement for a type: the fixed entitlement (or per-user
+ * override) plus ledger entries; null for untracked types.
+ */
+export function entitlementFor(type, override, entries, year) {
+  if (!isTrackedType(type)) return null;
+  const base = type.accrual ? 0 : (override ?? type.annualEntitlementDays);
+  return round2(base + ledgerDays(entries, type.id, year));
+}
+
+/**
+ * A user's balance for every leave type in a year.
+ */
+export async function getLeaveBalances(uid, year) {
+  const [types, requests, overrides, entries] = await Promise.all([
+    listLeaveTypes(),
+    getUserLeaveRequests(uid, { year }),
+    db.collection('leaveBalances').where('uid', '==', uid).where('year', '==', Number(year)).get(),
+    getLedgerEntries(uid, { year }),
+  ]);
+  const entitled = Object.fromEntries(
+    overrides.docs.map((d) => [d.data().leaveTypeId, d.data().entitledDays]),
+  );
+
+  return types.map((type) =>
+    computeBalance(type, entitlementFor(type, entitled[type.id], entries, year), requests),
+  );
+}
+
+/**
+ * A user's leave ledger for a year: stored entries plus a usage entry per
+ * approved request, oldest first.
+ */
+export async function getLeaveLedger(uid, { year, leaveTypeId } = {}) {
+  const [entries, approved] = await Promise.all([
+    getLedgerEntries(uid, { year, leaveTypeId }),
+    getUserLeaveRequests(uid, { status: 'approved', year }),
+  ]);
+
+  const usage = approved
+    .filter((r) => !leaveTypeId || r.leaveTypeId === leaveTypeId)
+    .map((r) => ({
+      id: `usage_${r.id}`,
+      uid,
+      leaveTypeId: r.leaveTypeId,
+      year: r.year,
+      kind: 'usage',
+      date: r.startDate,
+      days: -r.totalDays,
+      requestId: r.id,
+      createdAt: r.reviewedAt ?? r.updatedAt,
+    }));
+
+  return [...entries, ...usage].sort(
+    (a, b) => a.date.localeCompare(b.date) || (a.createdAt ?? '').localeCompare(b.createdAt ?? ''),
+  );
+}
@@ -0,0 +1,96 @@
+/**
+ * Leave accrual rules and year-end arithmetic on 'YYYY-MM-DD' strings.
+ *
+ * A leave type's accrual rule is one of:
+ *   { method: 'monthly', days: 1.25 }
+ *       → days credited at the end of every month of service; the hire month
+ *         is pro-rated by the days employed in it
+ *   { method: 'anniversary', days: 5, afterYears: 1 }
+ *       → days credited on every service anniversary once afterYears of
+ *         service are complete (Service Incentive Leave: 5 days after 1 year)
+ *
+ * At year end the unused balance is carried over up to carryOverCap days
+ * (null = no cap); the rest is converted to cash when convertToCash is set
+ * and forfeited otherwise.
+ */
+
+export const ACCRUAL_METHODS = Object.freeze(['monthly', 'anniversary']);
+
+const MAX_ACCRUAL_DAYS = 31;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validates an accrual rule and returns a clean copy (null when none).
+ */
+export function normalizeAccrual(rule) {
+  if (rule === undefined || rule === null) return null;
+  if (!ACCRUAL_METHODS.includes(rule.method)) {
+    throw new Error(`accrual.method must be one of ${ACCRUAL_METHODS.join(', ')}`);
+  }
+  if (typeof rule.days !== 'number' || !(rule.days > 0 && rule.days <= MAX_ACCRUAL_DAYS)) {
+    throw new Error(`accrual.days must be a number of days between 0 and ${MAX_ACCRUAL_DAYS}`);
+  }
+  if (rule.method === 'monthly') return { method: 'monthly', days: rule.days };
+
+  const afterYears = rule.afterYears ?? 1;
+  if (!Number.isInteger(afterYears) || afterYears < 1) {
+    throw new Error('accrual.afterYears must be a whole number of years (1 or more)');
+  }
+  return { method: 'anniversary', days: rule.days, afterYears };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Credits a rule earns in the calendar year of asOf, up to and including
+ * asOf, as [{ period, date, days }]. period identifies the credit ('YYYY-MM'
+ * for monthly accruals, the anniversary date otherwise) so runs can be
+ * repeated without double-crediting.
+ */
+export function accrualCredits(rule, hireDate, asOf) {
+  const year = Number(asOf.slice(0, 4));
+
+  if (rule.method === 'monthly') {
+    const credits = [];
+    for (let month = 1; month <= 12; month++) {
+      const length = daysInMonth(year, month);
+      const monthEnd = `${year}-${pad(month)}-${pad(length)}`;
+      if (monthEnd > asOf || monthEnd < hireDate) continue;
+
+      const hiredThisMonth = hireDate.slice(0, 7) === monthEnd.slice(0, 7);
+      const employed = hiredThisMonth ? length - Number(hireDate.slice(8)) + 1 : length;
+      credits.push({
+        period: monthEnd.slice(0, 7),
+        date: monthEnd,
+        days: round2((rule.days * employed) / length),
+      });
+    }
+    return credits;
+  }
+
+  const [hireYear, hireMonth, hireDay] = hireDate.split('-').map(Number);
+  if (year - hireYear < rule.afterYears) return [];
+  // Feb 29 hires reach their anniversary on Feb 28 in common years
+  const day = Math.min(hireDay, daysInMonth(year, hireMonth));
+  const anniversary = `${year}-${pad(hireMonth)}-${pad(day)}`;
+  return anniversary <= asOf ? [{ period: anniversary, date: anniversary, days: rule.days }] : [];
+}
+
+/**
+ * Splits a year's unused days into { carryOver, converted, forfeited }.
+ */
+export function yearEndSplit(remainingDays, { carryOverCap = 0, convertToCash = false } = {}) {
+  const remaining = Math.max(0, round2(remainingDays));
+  const carryOver = carryOverCap === null ? remaining : Math.min(remaining, carryOverCap);
+  const rest = round2(remaining - carryOver);
+  return {
+    carryOver,
+    converted: convertToCash ? rest : 0,
+    forfeited: convertToCash ? 0 : rest,
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Forgotten open punches: when an open punch-in counts as stale and what the
+ * sweeper does with it.
+ *
+ * Policy (settings/openPunchPolicy, merged over DEFAULT_OPEN_PUNCH_POLICY):
+ *   action              'flag'      → mark the punch for admin review
+ *                       'autoClose' → punch out at the scheduled shift end
+ *   maxOpenHours        stale once open this many hours
+ *   hoursAfterShiftEnd  stale this many hours after the scheduled shift end
+ *                       (null disables the rule)
+ *
+ * A punch that cannot be closed at its shift end — a rest day, or a punch-in
+ * after the shift had already ended — is flagged even under autoClose.
+ */
+
+export const OPEN_PUNCH_ACTIONS = Object.freeze(['flag', 'autoClose']);
+
+export const DEFAULT_OPEN_PUNCH_POLICY = Object.freeze({
+  action: 'flag',
+  maxOpenHours: 16,
+  hoursAfterShiftEnd: 4,
+});
+
+const MAX_HOURS = 72;
+const MS_PER_HOUR = 3_600_000;
+
+const isHours = (n) => typeof n === 'number' && n > 0 && n <= MAX_HOURS;
+
+/**
+ * Validates a (possibly partial) policy update and returns a clean copy.
+ */
+export function normalizeOpenPunchPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('policy must be an object');
+  }
+  const clean = {};
+  if (policy.action !== undefined) {
+    if (!OPEN_PUNCH_ACTIONS.includes(policy.action)) {
+      throw new Error(`action must be one of ${OPEN_PUNCH_ACTIONS.join(', ')}`);
+    }
+    clean.action = policy.action;
+  }
+  if (policy.maxOpenHours !== undefined) {
+    if (!isHours(policy.maxOpenHours)) {
+      throw new Error(`maxOpenHours must be a number of hours between 0 and ${MAX_HOURS}`);
+    }
+    clean.maxOpenHours = policy.maxOpenHours;
+  }
+  if (policy.hoursAfterShiftEnd !== undefined) {
+    const n = policy.hoursAfterShiftEnd;
+    if (n !== null && !(typeof n === 'number' && n >= 0 && n <= MAX_HOURS)) {
+      throw new Error(`hoursAfterShiftEnd must be a number of hours up to ${MAX_HOURS} or null`);
+    }
+    clean.hoursAfterShiftEnd = n;
+  }
+  return clean;
+}
+
+/**
+ * Merges a stored policy over the defaults.
+ */
+export function resolveOpenPunchPolicy(stored) {
+  return {
+    action: stored?.action ?? DEFAULT_OPEN_PUNCH_POLICY.action,
+    maxOpenHours: stored?.maxOpenHours ?? DEFAULT_OPEN_PUNCH_POLICY.maxOpenHours,
+    hoursAfterShiftEnd:
+      stored?.hoursAfterShiftEnd === undefined
+        ? DEFAULT_OPEN_PUNCH_POLICY.hoursAfterShiftEnd
+        : stored.hoursAfterShiftEnd,
+  };
+}
+
+/**
+ * Why an open punch is stale at nowMs ('maxOpenHours' | 'pastShiftEnd'), or
+ * null while it may still be a shift in progress. shiftEndMs is null when the
+ * punch has no scheduled shift.
+ */
+export function staleReason(punchInMs, shiftEndMs, nowMs, policy) {
+  if (nowMs - punchInMs >= policy.maxOpenHours * MS_PER_HOUR) return 'maxOpenHours';
+  if (
+    policy.hoursAfterShiftEnd !== null &&
+    shiftEndMs !== null &&
+    shiftEndMs > punchInMs &&
+    nowMs >= shiftEndMs + policy.hoursAfterShiftEnd * MS_PER_HOUR
+  ) {
+    return 'pastShiftEnd';
+  }
+  return null;
+}
+
+/**
+ * What the sweeper does with a stale punch: { action: 'autoClose', punchOutMs }
+ * or { action: 'flag' }.
+ */
+export function sweepDecision(punchInMs, shiftEndMs, policy) {
+  if (policy.action === 'autoClose' && shiftEndMs !== null && shiftEndMs > punchInMs) {
+    return { action: 'autoClose', punchOutMs: shiftEndMs };
+  }
+  return { action: 'flag' };
+}
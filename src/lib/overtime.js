@@ -0,0 +1,101 @@
+import { db } from './firebase.admin.js';
+
+/**
+ * Overtime pre-approval (collection 'overtimeRequests').
+ *
+ *   { uid, workDate, hours, reason, status, requestedBy, approvedHours, … }
+ *
+ * An employee (or an admin on their behalf) requests OT for a workDate; an
+ * admin approves it, optionally for fewer hours. Daily summaries split the
+ * OT actually worked into approvedOvertimeHours (up to the approved hours)
+ * and unapprovedOvertimeHours, and payroll only pays the approved part.
+ */
+
+export const OVERTIME_STATUSES = Object.freeze(['pending', 'approved', 'rejected', 'cancelled']);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_REASON_LENGTH = 500;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * True for a number of hours in quarter-hour steps between 0.25 and 24.
+ */
+export function isOvertimeHours(hours) {
+  return typeof hours === 'number' && hours > 0 && hours <= 24 && Number.isInteger(hours * 4);
+}
+
+/**
+ * Validates an OT request and returns a clean copy.
+ */
+export function normalizeOvertimeRequest({ workDate, hours, reason }) {
+  if (!DATE_RE.test(workDate ?? '')) throw new Error('workDate is required (YYYY-MM-DD)');
+  if (!isOvertimeHours(hours)) {
+    throw new Error('hours must be between 0.25 and 24 in quarter-hour steps');
+  }
+  if (typeof reason !== 'string' || !reason.trim()) throw new Error('reason is required');
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new Error(`reason cannot exceed ${MAX_REASON_LENGTH} characters`);
+  }
+  return { workDate, hours, reason: reason.trim() };
+}
+
+/**
+ * Splits worked OT hours into { approvedOvertimeHours, unapprovedOvertimeHours }.
+ */
+export function splitOvertime(workedHours, approvedHours) {
+  const approved = round2(Math.min(workedHours, approvedHours));
+  return {
+    approvedOvertimeHours: approved,
+    unapprovedOvertimeHours: round2(workedHours - approved),
+  };
+}
+
+/**
+ * Files a pending OT request for uid. requestedBy is the employee themself
+ * or the admin filing on their behalf. One open (pending or approved)
+ * request per user and workDate.
+ */
+export async function createOvertimeRequest(uid, fields, requestedBy) {
+  const clean = normalizeOvertimeRequest(fields);
+
+  const existing = await db
+    .collection('overtimeRequests')
+    .where('uid', '==', uid)
+    .where('workDate', '==', clean.workDate)
+    .get();
+  const open = existing.docs.find((d) => ['pending', 'approved'].includes(d.data().status));
+  if (open) {
+    throw new Error(`An overtime request for ${clean.workDate} is already ${open.data().status}`);
+  }
+
+  const now = new Date().toISOString();
+  const request = {
+    uid,
+    ...clean,
+    status: 'pending',
+    requestedBy: requestedBy ?? uid,
+    approvedHours: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const ref = await db.collection('overtimeRequests').add(request);
+  return { id: ref.id, ...request };
+}
+
+/**
+ * Approved OT hours for uid on workDate (0 when none).
+ */
+export async function getApprovedOvertimeHours(uid, workDate) {
+  const snap = await db
+    .collection('overtimeRequests')
+    .where('uid', '==', uid)
+    .where('workDate', '==', workDate)
+    .get();
+  return round2(
+    snap.docs
+      .map((d) => d.data())
+      .filter((r) => r.status === 'approved')
+      .reduce((acc, r) => acc + (r.approvedHours ?? r.hours), 0),
+  );
+}
@@ -0,0 +1,142 @@
+/**
+ * Pay-period definitions and period arithmetic on 'YYYY-MM-DD' strings.
+ *
+ * Definition shapes:
+ *   { type: 'weekly', weekStartsOn: 0–6 }          (0 = Sunday, default 1 = Monday)
+ *   { type: 'biweekly', anchorDate: 'YYYY-MM-DD' }  (the first day of any period)
+ *   { type: 'semiMonthly', cutoffDays: [10, 25] }   (two cutoffs per month)
+ *   { type: 'monthly', cutoffDay: 31 }              (one cutoff per month)
+ *
+ * A cutoff day is the last day of a period; days past the end of a short
+ * month clamp to its last day (31 → Feb 28/29). Periods are numbered within
+ * the year their endDate falls in, so period 1 of 2025 on a [10, 25]
+ * semi-monthly calendar runs Dec 26 – Jan 10.
+ */
+
+import { addDays, dayAfter, getWeekday } from './timezone.js';
+
+export const PERIOD_TYPES = Object.freeze(['weekly', 'biweekly', 'semiMonthly', 'monthly']);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 86_400_000;
+
+const isCutoffDay = (n) => Number.isInteger(n) && n >= 1 && n <= 31;
+
+/**
+ * Validates a definition and returns a clean copy of its period fields.
+ * Throws with a client-facing message.
+ */
+export function normalizePeriodDefinition(def = {}) {
+  const { type } = def;
+  if (!PERIOD_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${PERIOD_TYPES.join(', ')}`);
+  }
+
+  if (type === 'weekly') {
+    const weekStartsOn = def.weekStartsOn ?? 1;
+    if (!Number.isInteger(weekStartsOn) || weekStartsOn < 0 || weekStartsOn > 6) {
+      throw new Error('weekStartsOn must be 0 (Sunday) to 6 (Saturday)');
+    }
+    return { type, weekStartsOn };
+  }
+
+  if (type === 'biweekly') {
+    if (!def.anchorDate || !DATE_RE.test(def.anchorDate)) {
+      throw new Error('anchorDate (YYYY-MM-DD, the first day of a period) is required');
+    }
+    return { type, anchorDate: def.anchorDate };
+  }
+
+  if (type === 'semiMonthly') {
+    const cutoffDays = def.cutoffDays ?? [15, 31];
+    if (
+      !Array.isArray(cutoffDays) ||
+      cutoffDays.length !== 2 ||
+      !cutoffDays.every(isCutoffDay) ||
+      cutoffDays[0] >= cutoffDays[1]
+    ) {
+      throw new Error('cutoffDays must be two ascending days of the month, e.g. [10, 25]');
+    }
+    return { type, cutoffDays: [...cutoffDays] };
+  }
+
+  const cutoffDay = def.cutoffDay ?? 31;
+  if (!isCutoffDay(cutoffDay)) throw new Error('cutoffDay must be a day of the month (1–31)');
+  return { type, cutoffDay };
+}
+
+// ─── Month helpers ────────────────────────────────────────────────────────────
+
+function monthParts(dateStr) {
+  const [y, m] = dateStr.split('-').map(Number);
+  return { y, m };
+}
+
+function shiftMonth({ y, m }, n) {
+  const index = y * 12 + (m - 1) + n;
+  return { y: Math.floor(index / 12), m: (index % 12) + 1 };
+}
+
+// Cutoff date in a month, clamped to the month's last day.
+function cutoffIn({ y, m }, day) {
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return `${y}-${String(m).padStart(2, '0')}-${String(Math.min(day, last)).padStart(2, '0')}`;
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / MS_PER_DAY);
+}
+
+/**
+ * The { startDate, endDate } period of a definition that contains date.
+ */
+export function periodContaining(def, date) {
+  if (def.type === 'weekly') {
+    const offset = (getWeekday(date) - def.weekStartsOn + 7) % 7;
+    const startDate = addDays(date, -offset);
+    return { startDate, endDate: addDays(startDate, 6) };
+  }
+
+  if (def.type === 'biweekly') {
+    const k = Math.floor(daysBetween(def.anchorDate, date) / 14);
+    const startDate = addDays(def.anchorDate, k * 14);
+    return { startDate, endDate: addDays(startDate, 13) };
+  }
+
+  // Monthly calendars: list the cutoffs around date and take the first one
+  // on or after it; the period starts the day after the cutoff before that.
+  const days = def.type === 'semiMonthly' ? def.cutoffDays : [def.cutoffDay];
+  const month = monthParts(date);
+  const cutoffs = [-1, 0, 1].flatMap((n) => days.map((d) => cutoffIn(shiftMonth(month, n), d)));
+  const i = cutoffs.findIndex((c) => c >= date);
+  return { startDate: dayAfter(cutoffs[i - 1]), endDate: cutoffs[i] };
+}
+
+/**
+ * All periods whose endDate falls in year, numbered from 1.
+ */
+export function periodsInYear(def, year) {
+  const periods = [];
+  let period = periodContaining(def, `${year}-01-01`);
+  while (period.endDate <= `${year}-12-31`) {
+    periods.push({ number: periods.length + 1, year: Number(year), ...period });
+    period = periodContaining(def, dayAfter(period.endDate));
+  }
+  return periods;
+}
+
+/**
+ * Resolves period number N of year, or the period containing date.
+ * Returns { number, year, startDate, endDate }.
+ */
+export function resolvePeriod(def, { date, year, number }) {
+  if (number !== undefined) {
+    const periods = periodsInYear(def, year);
+    const period = periods[number - 1];
+    if (!period) throw new Error(`period must be between 1 and ${periods.length} for ${year}`);
+    return period;
+  }
+  const { endDate } = periodContaining(def, date);
+  const endYear = Number(endDate.slice(0, 4));
+  return periodsInYear(def, endYear).find((p) => p.endDate === endDate);
+}
@@ -0,0 +1,193 @@
+/**
+ * Gross pay computation from dailySummary documents.
+ *
+ * Compensation is effective-dated (same version rules as schedules):
+ *   { effectiveFrom: 'YYYY-MM-DD' | null, rateType: 'hourly' | 'daily' | 'monthly', rate }
+ * and is converted to an hourly rate:
+ *   hourly  → rate
+ *   daily   → rate / hoursPerDay
+ *   monthly → rate × 12 / workDaysPerYear / hoursPerDay
+ *
+ * Premiums are multipliers of the hourly rate keyed by day category
+ * (lib/holidays.js). Night differential is an extra nightDiffRate on top of
+ * the category's regular multiplier.
+ *
+ * On working days, regular pay covers the scheduled hours (regular hours
+ * plus late and undertime), and late and undertime come off as separate
+ * deduction lines at the same multiplier. Rest-day categories have no
+ * late/undertime and pay restDayHours at the category's regular multiplier.
+ * Paid leave hours are paid at the plain hourly rate.
+ *
+ * Only approved overtime (approvedOvertimeHours) is paid; unapproved OT is
+ * reported but not priced. Summaries built before OT approval existed have
+ * no approvedOvertimeHours and pay all OT worked.
+ */
+
+import { DAY_CATEGORIES } from './holidays.js';
+
+export const RATE_TYPES = Object.freeze(['hourly', 'daily', 'monthly']);
+
+export const DEFAULT_PAY_SETTINGS = Object.freeze({
+  hoursPerDay: 8,
+  workDaysPerYear: 261,
+  nightDiffRate: 0.1,
+  premiums: Object.freeze({
+    ordinary: { regular: 1, overtime: 1.25 },
+    restDay: { regular: 1.3, overtime: 1.69 },
+    specialHoliday: { regular: 1.3, overtime: 1.69 },
+    specialHolidayRestDay: { regular: 1.5, overtime: 1.95 },
+    regularHoliday: { regular: 2, overtime: 2.6 },
+    regularHolidayRestDay: { regular: 2.6, overtime: 3.38 },
+  }),
+});
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const isPositive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+
+/**
+ * Validates a compensation entry and returns a clean copy (without effectiveFrom).
+ */
+export function normalizeCompensation({ rateType, rate } = {}) {
+  if (!RATE_TYPES.includes(rateType)) {
+    throw new Error(`rateType must be one of ${RATE_TYPES.join(', ')}`);
+  }
+  if (!isPositive(rate)) throw new Error('rate must be a positive number');
+  return { rateType, rate: round2(rate) };
+}
+
+/**
+ * Validates a (possibly partial) pay settings update and returns a clean copy.
+ */
+export function normalizePaySettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('settings must be an object');
+  }
+  const clean = {};
+
+  for (const field of ['hoursPerDay', 'workDaysPerYear']) {
+    if (settings[field] === undefined) continue;
+    if (!isPositive(settings[field])) throw new Error(`${field} must be a positive number`);
+    clean[field] = settings[field];
+  }
+  if (settings.nightDiffRate !== undefined) {
+    const n = settings.nightDiffRate;
+    if (typeof n !== 'number' || !(n >= 0 && n <= 1)) {
+      throw new Error('nightDiffRate must be a fraction between 0 and 1 (e.g. 0.1)');
+    }
+    clean.nightDiffRate = n;
+  }
+
+  if (settings.premiums !== undefined) {
+    const unknown = Object.keys(settings.premiums ?? {}).filter((k) => !DAY_CATEGORIES.includes(k));
+    if (unknown.length) throw new Error(`Unknown premium category: ${unknown.join(', ')}`);
+    clean.premiums = {};
+    for (const [category, multipliers] of Object.entries(settings.premiums)) {
+      for (const key of ['regular', 'overtime']) {
+        if (multipliers?.[key] === undefined) continue;
+        if (!isPositive(multipliers[key])) {
+          throw new Error(`premiums.${category}.${key} must be a positive multiplier`);
+        }
+        clean.premiums[category] = { ...clean.premiums[category], [key]: multipliers[key] };
+      }
+    }
+  }
+  return clean;
+}
+
+/**
+ * Merges stored pay settings over the defaults.
+ */
+export function resolvePaySettings(stored) {
+  const premiums = {};
+  for (const category of DAY_CATEGORIES) {
+    premiums[category] = {
+      ...DEFAULT_PAY_SETTINGS.premiums[category],
+      ...stored?.premiums?.[category],
+    };
+  }
+  return {
+    hoursPerDay: stored?.hoursPerDay ?? DEFAULT_PAY_SETTINGS.hoursPerDay,
+    workDaysPerYear: stored?.workDaysPerYear ?? DEFAULT_PAY_SETTINGS.workDaysPerYear,
+    nightDiffRate: stored?.nightDiffRate ?? DEFAULT_PAY_SETTINGS.nightDiffRate,
+    premiums,
+  };
+}
+
+/**
+ * Hourly rate for a compensation entry.
+ */
+export function hourlyRate({ rateType, rate }, settings) {
+  if (rateType === 'hourly') return rate;
+  if (rateType === 'daily') return rate / settings.hoursPerDay;
+  return (rate * 12) / settings.workDaysPerYear / settings.hoursPerDay;
+}
+
+/**
+ * Turns one employee's dailySummary documents into gross pay lines.
+ *
+ * @param {object[]} days - dailySummary documents
+ * @param {(workDate: string) => object | null} compensationOn - entry in effect on a date
+ * @param {object} settings - resolved pay settings
+ * @returns {{ lines: object[], grossPay: number, unapprovedOvertimeHours: number,
+ *   unpricedDates: string[] }}
+ */
+export function computePayLines(days, compensationOn, settings) {
+  const lines = new Map();
+  const unpricedDates = [];
+  let unapprovedOvertimeHours = 0;
+
+  const add = (type, category, hours, rate, multiplier, sign = 1) => {
+    if (!hours) return;
+    const key = `${type}|${category}|${rate}|${multiplier}`;
+    const line = lines.get(key) ?? { type, category, hours: 0, hourlyRate: rate, multiplier };
+    line.hours = round2(line.hours + hours);
+    lines.set(key, line);
+    line.amount = round2(sign * line.hours * rate * multiplier);
+  };
+
+  for (const day of [...days].sort((a, b) => a.workDate.localeCompare(b.workDate))) {
+    const compensation = compensationOn(day.workDate);
+    if (!compensation) {
+      unpricedDates.push(day.workDate);
+      continue;
+    }
+    const rate = round4(hourlyRate(compensation, settings));
+    const category = day.category ?? 'ordinary';
+    const premium = settings.premiums[category] ?? settings.premiums.ordinary;
+
+    const regularHours = day.restDay ? day.restDayHours || 0 : day.regularHours || 0;
+    const workedOvertimeHours = day.restDay
+      ? day.restDayOvertimeHours || 0
+      : day.overtimeHours || 0;
+    const overtimeHours = Math.min(
+      workedOvertimeHours,
+      day.approvedOvertimeHours ?? workedOvertimeHours,
+    );
+    unapprovedOvertimeHours = round2(unapprovedOvertimeHours + workedOvertimeHours - overtimeHours);
+    const lateHours = (day.lateMinutes || 0) / 60;
+    const undertimeHours = (day.undertimeMinutes || 0) / 60;
+
+    add('regular', category, regularHours + lateHours + undertimeHours, rate, premium.regular);
+    add('overtime', category, overtimeHours, rate, premium.overtime);
+    add(
+      'nightDiff',
+      category,
+      day.nightDiffHours || 0,
+      rate,
+      round4(premium.regular * settings.nightDiffRate),
+    );
+    add('paidLeave', category, day.paidLeaveHours || 0, rate, 1);
+    add('late', category, lateHours, rate, premium.regular, -1);
+    add('undertime', category, undertimeHours, rate, premium.regular, -1);
+  }
+
+  const result = [...lines.values()];
+  return {
+    lines: result,
+    grossPay: round2(result.reduce((sum, line) => sum + line.amount, 0)),
+    unapprovedOvertimeHours,
+    unpricedDates,
+  };
+}
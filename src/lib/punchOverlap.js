@@ -0,0 +1,31 @@
+/**
+ * Overlap checks for punches recorded by hand (admin-created punches).
+ *
+ * A punch covers [punchIn, punchOut); an open punch (punchOut null) is
+ * treated as running indefinitely, since it will be closed later. Voided and
+ * soft-deleted records are ignored.
+ */
+
+const isLive = (record) => !record.deleted && !record.voided && record.punchOut !== 'VOIDED';
+
+/**
+ * The [startMs, endMs) interval a punch covers (endMs Infinity when open).
+ */
+export function punchInterval({ punchIn, punchOut }) {
+  return [Date.parse(punchIn), punchOut ? Date.parse(punchOut) : Infinity];
+}
+
+/**
+ * The first live record overlapping the proposed punch, or null. Touching
+ * intervals (one ends when the next starts) do not overlap.
+ */
+export function findOverlap(records, { punchIn, punchOut }, { excludeId } = {}) {
+  const [start, end] = punchInterval({ punchIn, punchOut });
+  return (
+    records.find((record) => {
+      if (record.id === excludeId || !isLive(record)) return false;
+      const [otherStart, otherEnd] = punchInterval(record);
+      return start < otherEnd && otherStart < end;
+    }) ?? null
+  );
+}
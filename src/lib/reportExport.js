@@ -0,0 +1,116 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * CSV / XLSX export of the admin reports (?format=csv|xlsx).
+ *
+ * Daily reports export one row per employee-day, weekly and pay-period
+ * reports one row per employee-period. Downstream spreadsheets depend on the
+ * column order and headers: never rename or reorder a column, only append
+ * new ones at the end.
+ */
+
+export const EXPORT_FORMATS = Object.freeze(['json', 'csv', 'xlsx']);
+
+const EMPLOYEE_COLUMNS = [
+  { header: 'Employee ID', value: (r) => r.uid },
+  { header: 'Last Name', value: (r) => r.employee?.lastName },
+  { header: 'First Name', value: (r) => r.employee?.firstName },
+  { header: 'Department', value: (r) => r.employee?.department },
+  { header: 'Position', value: (r) => r.employee?.position },
+];
+
+// [summary field, header] in export order (see SUMMARY_FIELDS in dailySummary.js)
+const METRICS = [
+  ['regularHours', 'Regular Hours'],
+  ['overtimeHours', 'Overtime Hours'],
+  ['restDayHours', 'Rest Day Hours'],
+  ['restDayOvertimeHours', 'Rest Day Overtime Hours'],
+  ['nightDiffHours', 'Night Differential Hours'],
+  ['lateMinutes', 'Late Minutes'],
+  ['undertimeMinutes', 'Undertime Minutes'],
+  ['totalWorkedHours', 'Total Worked Hours'],
+  ['breakMinutes', 'Break Minutes'],
+  ['paidLeaveHours', 'Paid Leave Hours'],
+  ['approvedOvertimeHours', 'Approved Overtime Hours'],
+  ['unapprovedOvertimeHours', 'Unapproved Overtime Hours'],
+];
+
+const metricColumns = (source) =>
+  METRICS.map(([field, header]) => ({ header, value: (r) => source(r)?.[field] ?? 0 }));
+
+export const DAILY_EXPORT_COLUMNS = Object.freeze([
+  ...EMPLOYEE_COLUMNS,
+  { header: 'Work Date', value: (r) => r.workDate },
+  { header: 'Status', value: (r) => r.status },
+  { header: 'Day Category', value: (r) => r.category },
+  { header: 'First In', value: (r) => r.punches?.[0]?.punchIn },
+  { header: 'Last Out', value: (r) => r.punches?.at(-1)?.punchOut },
+  ...metricColumns((r) => r),
+]);
+
+export const PERIOD_EXPORT_COLUMNS = Object.freeze([
+  ...EMPLOYEE_COLUMNS,
+  { header: 'Start Date', value: (r) => r.startDate },
+  { header: 'End Date', value: (r) => r.endDate },
+  { header: 'Days Worked', value: (r) => r.days?.filter((d) => d.punches?.length).length ?? 0 },
+  { header: 'Absences', value: (r) => r.absenceCount ?? 0 },
+  { header: 'Absent Dates', value: (r) => r.absentDates?.join(' ') },
+  ...metricColumns((r) => r.totals),
+]);
+
+/**
+ * Validates the format query param; undefined means JSON.
+ */
+export function resolveExportFormat(format) {
+  const resolved = format ?? 'json';
+  if (!EXPORT_FORMATS.includes(resolved)) {
+    throw new Error(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Flattens report rows into arrays of cell values, one per column.
+ */
+export function toTable(columns, records) {
+  return records.map((record) => columns.map((c) => c.value(record) ?? ''));
+}
+
+// Quotes a CSV cell and neutralizes values a spreadsheet would run as a formula
+// (including ones behind a leading tab or carriage return).
+function csvCell(value) {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV (CRLF line endings) with a header row.
+ */
+export function toCsv(columns, records) {
+  return [columns.map((c) => c.header), ...toTable(columns, records)]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+/**
+ * Sends records as a CSV or XLSX attachment (filename without extension).
+ * The XLSX workbook is streamed to the response row by row.
+ */
+export async function sendExport(res, format, { filename, sheetName, columns, records }) {
+  // attachment() also sets the Content-Type from the extension
+  res.status(200).attachment(`${filename}.${format}`);
+  if (format === 'csv') {
+    res.send(toCsv(columns, records));
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((c) => ({ header: c.header, width: Math.max(12, c.header.length) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of toTable(columns, records)) sheet.addRow(row).commit();
+  sheet.commit();
+  await workbook.commit();
+}
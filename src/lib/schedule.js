@@ -0,0 +1,229 @@
+/**
+ * Schedule shape helpers shared by the metric computation and the admin
+ * schedule endpoints.
+ *
+ * A shift window is { start: 'HH:MM', end: 'HH:MM' } in the employee's local
+ * time. When end is earlier than start the shift is overnight: it starts on
+ * the workDate and ends on the following calendar day (e.g. 22:00 → 06:00).
+ *
+ * A window may carry an unpaid meal break:
+ *   - fixed: break: { start: 'HH:MM', end: 'HH:MM' } inside the shift
+ *   - auto:  break: { afterHours: 5, minutes: 60 } — taken after that many
+ *            continuous hours on the clock
+ */
+
+import { dayBefore } from './timezone.js';
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * True for a 24-hour 'HH:MM' string.
+ */
+export function isValidTime(value) {
+  return typeof value === 'string' && TIME_RE.test(value);
+}
+
+/**
+ * 'HH:MM' → minutes since local midnight.
+ */
+export function toMinuteOfDay(value) {
+  const [h, m] = value.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * True when the window ends on the calendar day after it starts.
+ */
+export function isOvernight(window) {
+  return toMinuteOfDay(window.end) < toMinuteOfDay(window.start);
+}
+
+/**
+ * Length of a shift window in minutes, accounting for overnight windows.
+ * Wall-clock length only — DST days are measured by computeMetrics.
+ */
+export function windowLengthMinutes(window) {
+  const diff = toMinuteOfDay(window.end) - toMinuteOfDay(window.start);
+  return diff < 0 ? diff + 24 * 60 : diff;
+}
+
+const MAX_BREAK_MINUTES = 240;
+
+/**
+ * Validates a window's break rule and returns a clean copy (null when none).
+ */
+export function normalizeBreak(rule, window, label = 'schedule') {
+  if (rule === undefined || rule === null) return null;
+  const name = `${label}.break`;
+
+  if (rule.afterHours !== undefined || rule.minutes !== undefined) {
+    if (rule.start !== undefined || rule.end !== undefined) {
+      throw new Error(`${name} is either a fixed window or an automatic break, not both`);
+    }
+    if (typeof rule.afterHours !== 'number' || !(rule.afterHours > 0 && rule.afterHours < 24)) {
+      throw new Error(`${name}.afterHours must be a number of hours between 0 and 24`);
+    }
+    if (!Number.isInteger(rule.minutes) || rule.minutes < 1 || rule.minutes > MAX_BREAK_MINUTES) {
+      throw new Error(`${name}.minutes must be a whole number between 1 and ${MAX_BREAK_MINUTES}`);
+    }
+    return { afterHours: rule.afterHours, minutes: rule.minutes };
+  }
+
+  const clean = normalizeWindow(rule, name);
+  // Both ends measured from shift start so overnight shifts compare correctly
+  const offset = windowLengthMinutes({ start: window.start, end: clean.start });
+  if (offset + windowLengthMinutes(clean) > windowLengthMinutes(window)) {
+    throw new Error(`${name} must fall within ${label}.start and ${label}.end`);
+  }
+  return clean;
+}
+
+/**
+ * Length of a window's unpaid break in minutes (0 when it has none).
+ */
+export function breakLengthMinutes(window) {
+  const rule = window?.break;
+  if (!rule) return 0;
+  return rule.minutes ?? windowLengthMinutes(rule);
+}
+
+/**
+ * Validates a { start, end, break? } shift window and returns a clean copy.
+ * Throws with a client-facing message on bad input.
+ */
+export function normalizeWindow(window, label = 'schedule') {
+  if (!window?.start || !window?.end) {
+    throw new Error(`${label}.start and ${label}.end are required (HH:MM format)`);
+  }
+  if (!isValidTime(window.start) || !isValidTime(window.end)) {
+    throw new Error(`${label}.start and ${label}.end must be 24-hour HH:MM times`);
+  }
+  if (window.start === window.end) {
+    throw new Error(`${label}.start and ${label}.end cannot be the same time`);
+  }
+  const clean = { start: window.start, end: window.end };
+  const rule = normalizeBreak(window.break, clean, label);
+  return rule ? { ...clean, break: rule } : clean;
+}
+
+/**
+ * Copies the computeMetrics fields of a stored window.
+ */
+function pickWindow(window) {
+  return window.break
+    ? { start: window.start, end: window.end, break: window.break }
+    : { start: window.start, end: window.end };
+}
+
+// ─── Weekly schedules ─────────────────────────────────────────────────────────
+//
+// users.schedule takes one of two shapes:
+//   - flat:   { start, end, break? }             → same window every day
+//   - weekly: { days: { mon: { start, end }, …, sun: null } }
+//             → per-weekday window; null (or an omitted day) is a rest day
+
+export const WEEKDAY_KEYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+/**
+ * True when the schedule uses the per-weekday shape.
+ */
+export function isWeeklySchedule(schedule) {
+  return Boolean(schedule?.days) && typeof schedule.days === 'object';
+}
+
+/**
+ * True when the schedule has at least one usable window.
+ */
+export function isScheduleConfigured(schedule) {
+  if (isWeeklySchedule(schedule)) {
+    return WEEKDAY_KEYS.some((k) => schedule.days[k]?.start && schedule.days[k]?.end);
+  }
+  return Boolean(schedule?.start && schedule?.end);
+}
+
+/**
+ * Returns the { start, end } window that applies on a workDate ('YYYY-MM-DD'),
+ * or null when that date is a rest day.
+ */
+export function getDayWindow(schedule, workDate) {
+  if (!isWeeklySchedule(schedule)) {
+    return schedule?.start && schedule?.end ? pickWindow(schedule) : null;
+  }
+  const [y, mo, d] = workDate.split('-').map(Number);
+  const key = WEEKDAY_KEYS[new Date(Date.UTC(y, mo - 1, d, 12)).getUTCDay()];
+  const window = schedule.days[key];
+  return window?.start && window?.end ? pickWindow(window) : null;
+}
+
+/**
+ * Validates either schedule shape and returns a clean copy. Weekly schedules
+ * are expanded to all seven keys, with null marking rest days.
+ */
+export function normalizeSchedule(schedule) {
+  if (!isWeeklySchedule(schedule)) return normalizeWindow(schedule);
+
+  const unknown = Object.keys(schedule.days).filter((k) => !WEEKDAY_KEYS.includes(k));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown schedule day(s): ${unknown.join(', ')} (use ${WEEKDAY_KEYS.join(', ')})`,
+    );
+  }
+
+  const days = {};
+  for (const key of WEEKDAY_KEYS) {
+    const window = schedule.days[key];
+    days[key] = window ? normalizeWindow(window, `schedule.days.${key}`) : null;
+  }
+
+  if (!WEEKDAY_KEYS.some((k) => days[k])) {
+    throw new Error('A weekly schedule needs at least one working day');
+  }
+  return { days };
+}
+
+// ─── Effective-dated versions ────────────────────────────────────────────────
+//
+// Shift templates and users.scheduleHistory keep a list of versions, each
+// with an effectiveFrom 'YYYY-MM-DD' string (or null for "since the beginning").
+
+/**
+ * Returns the latest version whose effectiveFrom is on or before workDate,
+ * or null when workDate precedes every version.
+ */
+export function versionOnDate(versions = [], workDate) {
+  let match = null;
+  for (const v of versions) {
+    const from = v.effectiveFrom ?? '';
+    if (from <= workDate && (!match || from >= (match.effectiveFrom ?? ''))) match = v;
+  }
+  return match;
+}
+
+/**
+ * Returns the schedule of the version in effect on workDate, or null.
+ */
+export function scheduleOnDate(versions = [], workDate) {
+  return versionOnDate(versions, workDate)?.schedule ?? null;
+}
+
+/**
+ * Inserts a version into a list, replacing any version with the same
+ * effectiveFrom, and returns the list sorted oldest → newest.
+ */
+export function upsertVersion(versions = [], version) {
+  const key = version.effectiveFrom ?? null;
+  return [...versions.filter((v) => (v.effectiveFrom ?? null) !== key), version].sort((a, b) =>
+    (a.effectiveFrom ?? '').localeCompare(b.effectiveFrom ?? ''),
+  );
+}
+
+/**
+ * Adds effectiveTo ('YYYY-MM-DD' inclusive, null = open-ended) to each
+ * version of a sorted list, giving a contiguous timeline.
+ */
+export function toTimeline(versions = []) {
+  return versions.map((v, i) => {
+    const next = versions[i + 1];
+    return { ...v, effectiveTo: next?.effectiveFrom ? dayBefore(next.effectiveFrom) : null };
+  });
+}
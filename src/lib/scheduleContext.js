@@ -0,0 +1,244 @@
+import { db } from './firebase.admin.js';
+import { DEFAULT_TIMEZONE, getLocalDate, dayBefore } from './timezone.js';
+import {
+  isScheduleConfigured,
+  scheduleOnDate,
+  versionOnDate,
+  getDayWindow,
+  toTimeline,
+} from './schedule.js';
+import { resolvePolicy } from './attendancePolicy.js';
+
+/**
+ * Gathers the schedule inputs computeMetrics needs for one of a user's punches.
+ *
+ * The standing schedule comes from users.scheduleHistory: effective-dated
+ * entries, each either an inline schedule or a shift template reference
+ *   [{ effectiveFrom: 'YYYY-MM-DD' | null, schedule?, templateId?, assignedAt }]
+ * The entry in effect on the workDate wins, so re-assigning a schedule never
+ * rewrites the metrics of earlier punches. A template entry resolves to the
+ * template version in effect on that workDate. Users created before history
+ * existed fall back to their inline users.schedule / users.scheduleTemplateId.
+ *
+ * Roster entries (collection 'roster', doc id `${uid}_${workDate}`) override
+ * the standing schedule for their date. Both the punch-in's local date and the
+ * day before are loaded, because a punch-in after midnight may belong to the
+ * previous day's overnight shift.
+ *
+ * The attendance policy is resolved per workDate as well: org default
+ * (settings/attendancePolicy), then the policy of the shift template in
+ * effect, then the user's own users.attendancePolicy override.
+ *
+ * Holidays (collection 'holidays', doc id = date) are loaded for the same two
+ * candidate workDates as the roster.
+ */
+
+/**
+ * Converts a roster document into a computeMetrics window (null = day off).
+ */
+export function rosterWindow(entry) {
+  if (entry.restDay) return null;
+  return entry.break
+    ? { start: entry.start, end: entry.end, break: entry.break }
+    : { start: entry.start, end: entry.end };
+}
+
+/**
+ * Returns { [workDate]: window | null } for the roster entries that exist on
+ * the given dates.
+ */
+export async function getRosterWindows(uid, workDates) {
+  const snaps = await Promise.all(
+    workDates.map((date) => db.collection('roster').doc(`${uid}_${date}`).get()),
+  );
+  return Object.fromEntries(
+    snaps.filter((s) => s.exists).map((s) => [s.data().workDate, rosterWindow(s.data())]),
+  );
+}
+
+/**
+ * Returns { [uid]: { [workDate]: window | null } } for the roster entries in
+ * [startDate, endDate]: one range query on workDate for everyone, or with uid
+ * one query on uid filtered by date in JS (avoids a composite index).
+ */
+export async function getRosterWindowsInRange(startDate, endDate, { uid } = {}) {
+  const query = uid
+    ? db.collection('roster').where('uid', '==', uid)
+    : db.collection('roster').where('workDate', '>=', startDate).where('workDate', '<=', endDate);
+  const snap = await query.get();
+
+  const byUid = {};
+  for (const entry of snap.docs.map((d) => d.data())) {
+    if (entry.workDate < startDate || entry.workDate > endDate) continue;
+    (byUid[entry.uid] ??= {})[entry.workDate] = rosterWindow(entry);
+  }
+  return byUid;
+}
+
+/**
+ * Returns { [date]: { type, name } } for the holidays on the given dates.
+ */
+export async function getHolidayMap(dates) {
+  const snaps = await Promise.all(dates.map((date) => db.collection('holidays').doc(date).get()));
+  return Object.fromEntries(
+    snaps.filter((s) => s.exists).map((s) => [s.id, { type: s.data().type, name: s.data().name }]),
+  );
+}
+
+/**
+ * A user's schedule history, synthesising a single open-ended entry for
+ * users who predate scheduleHistory.
+ */
+export function getScheduleHistory(user) {
+  if (user.scheduleHistory?.length) return user.scheduleHistory;
+  return [
+    {
+      effectiveFrom: null,
+      schedule: user.schedule ?? null,
+      templateId: user.scheduleTemplateId ?? null,
+    },
+  ];
+}
+
+async function loadTemplates(templateIds) {
+  const snaps = await Promise.all(
+    [...new Set(templateIds)].map((id) => db.collection('shiftTemplates').doc(id).get()),
+  );
+  return Object.fromEntries(snaps.filter((s) => s.exists).map((s) => [s.id, s.data()]));
+}
+
+/**
+ * Resolves a user document's standing schedule to a (workDate) => schedule
+ * function over their schedule history. Returns null when no entry is usable.
+ */
+export async function loadStandingSchedule(user) {
+  const history = getScheduleHistory(user);
+  const templates = await loadTemplates(history.map((e) => e.templateId).filter(Boolean));
+
+  const usable = history.some((e) =>
+    e.templateId ? templates[e.templateId] : isScheduleConfigured(e.schedule),
+  );
+  if (!usable) return null;
+
+  return (workDate) => {
+    const entry = versionOnDate(history, workDate) ?? history[0];
+    const template = entry.templateId && templates[entry.templateId];
+    if (template) return scheduleOnDate(template.versions, workDate) ?? user.schedule;
+    // A deleted template falls back to the user's inline schedule
+    return entry.schedule ?? user.schedule;
+  };
+}
+
+/**
+ * The standing (non-roster) window for a user document on a workDate,
+ * or null for a rest day.
+ */
+export async function getStandingWindow(user, workDate) {
+  const schedule = await loadStandingSchedule(user);
+  return schedule ? getDayWindow(schedule(workDate), workDate) : null;
+}
+
+/**
+ * The org-wide default attendance policy, or null when none is stored.
+ */
+export async function getOrgPolicy() {
+  const snap = await db.collection('settings').doc('attendancePolicy').get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * Resolves a user document's attendance policy to a (workDate) => policy
+ * function over the org default, template and user layers.
+ */
+export async function loadPolicy(user) {
+  const history = getScheduleHistory(user);
+  const [org, templates] = await Promise.all([
+    getOrgPolicy(),
+    loadTemplates(history.map((e) => e.templateId).filter(Boolean)),
+  ]);
+
+  return (workDate) => {
+    const entry = versionOnDate(history, workDate) ?? history[0];
+    const template = entry.templateId ? templates[entry.templateId] : null;
+    return resolvePolicy(org, template?.policy, user.attendancePolicy);
+  };
+}
+
+/**
+ * Returns a (punchInDate) => context loader for one user, for callers that
+ * compute metrics for many punches at once (recompute, the open-punch
+ * sweeper). The user document, standing schedule and policy are read once;
+ * roster and holiday lookups are cached per date.
+ */
+export async function createScheduleContextLoader(uid) {
+  const userDoc = await db.collection('users').doc(uid).get();
+  if (!userDoc.exists) throw new Error('User profile not found');
+
+  const timezone = userDoc.data().timezone || DEFAULT_TIMEZONE;
+  const schedule = await loadStandingSchedule(userDoc.data());
+  const policy = await loadPolicy(userDoc.data());
+
+  const loadedDates = new Set();
+  const rosterByDate = {};
+  const holidaysByDate = {};
+
+  return async (punchInDate) => {
+    const localDate = getLocalDate(punchInDate, timezone);
+    const candidateDates = [dayBefore(localDate), localDate];
+
+    const missing = candidateDates.filter((date) => !loadedDates.has(date));
+    if (missing.length) {
+      Object.assign(rosterByDate, await getRosterWindows(uid, missing));
+      Object.assign(holidaysByDate, await getHolidayMap(missing));
+      for (const date of missing) loadedDates.add(date);
+    }
+
+    const pick = (byDate) =>
+      Object.fromEntries(candidateDates.filter((d) => d in byDate).map((d) => [d, byDate[d]]));
+    const roster = pick(rosterByDate);
+    const holidays = pick(holidaysByDate);
+
+    if (!schedule && Object.keys(roster).length === 0) {
+      throw new Error('User schedule is not configured. Contact your administrator.');
+    }
+
+    return { schedule, timezone, roster, policy, holidays };
+  };
+}
+
+/**
+ * Returns { schedule, timezone, roster, policy, holidays } ready to spread
+ * into computeMetrics.
+ */
+export async function loadScheduleContext(uid, punchInDate) {
+  const load = await createScheduleContextLoader(uid);
+  return load(punchInDate);
+}
+
+/**
+ * A user's schedule timeline: each history entry with its effectiveTo date
+ * and, for template entries, the template's name and versions.
+ */
+export async function getScheduleTimeline(uid) {
+  const userDoc = await db.collection('users').doc(uid).get();
+  if (!userDoc.exists) throw new Error('User not found');
+
+  const user = userDoc.data();
+  const history = getScheduleHistory(user);
+  const templates = await loadTemplates(history.map((e) => e.templateId).filter(Boolean));
+
+  return {
+    uid,
+    timezone: user.timezone || DEFAULT_TIMEZONE,
+    timeline: toTimeline(history).map((entry) => {
+      const template = entry.templateId ? templates[entry.templateId] : null;
+      return {
+        ...entry,
+        ...(entry.templateId && {
+          templateName: template?.name ?? null,
+          templateVersions: template ? toTimeline(template.versions) : [],
+        }),
+      };
+    }),
+  };
+}
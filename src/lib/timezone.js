@@ -0,0 +1,183 @@
+/**
+ * IANA timezone helpers built on Intl — no external tz database required.
+ *
+ * Dates are handled as 'YYYY-MM-DD' strings and wall-clock times as 'HH:MM'
+ * strings, both interpreted in a named timezone (e.g. 'Asia/Manila',
+ * 'Australia/Sydney', 'America/New_York'). Conversions honour DST:
+ *   - A wall-clock time that does not exist (spring-forward gap) resolves to
+ *     the instant just after the gap, e.g. 02:30 → 03:30 local.
+ *   - A wall-clock time that occurs twice (fall-back overlap) resolves to the
+ *     earlier of the two instants.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Manila';
+
+const MS_PER_DAY = 86_400_000;
+
+/**
+ * Organisation-wide timezone used when no per-user timezone applies
+ * (e.g. admin report defaults). Read lazily so dotenv has already run.
+ */
+export function orgTimezone() {
+  return process.env.ORG_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let fmt = formatterCache.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    formatterCache.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+/**
+ * Returns true when timeZone is a valid IANA identifier.
+ */
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads the wall clock of timeZone at the given UTC instant (ms).
+ */
+function getLocalParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Offset (ms) of timeZone from UTC at the given instant: localMs − utcMs.
+ * Positive east of Greenwich (Asia/Manila → +8h).
+ */
+export function getTimezoneOffsetMs(ms, timeZone) {
+  const p = getLocalParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (ms - (((ms % 1000) + 1000) % 1000));
+}
+
+/**
+ * Returns 'YYYY-MM-DD' in timeZone's local calendar for the given Date.
+ */
+export function getLocalDate(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getLocalParts(date.getTime(), timeZone);
+  return [p.year, String(p.month).padStart(2, '0'), String(p.day).padStart(2, '0')].join('-');
+}
+
+/**
+ * Returns 'HH:MM' (24-hour) on timeZone's wall clock for the given Date.
+ */
+export function getLocalTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getLocalParts(date.getTime(), timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a local date string + time string in timeZone to a UTC timestamp (ms).
+ *
+ * The offsets a day either side of the naive instant bracket any DST
+ * transition (transitions are never less than a day apart), so each yields a
+ * candidate instant. Candidates whose wall clock reads back as the requested
+ * time are valid; the earliest valid one wins. If none is valid the time is
+ * inside a gap, and the later candidate (pre-transition offset) lands just
+ * past it.
+ */
+export function localToUtcMs(dateStr, timeStr, timeZone = DEFAULT_TIMEZONE) {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  const [h, mi] = timeStr.split(':').map(Number);
+  const naiveMs = Date.UTC(y, mo - 1, d, h, mi, 0);
+
+  const candidates = [
+    naiveMs - getTimezoneOffsetMs(naiveMs - MS_PER_DAY, timeZone),
+    naiveMs - getTimezoneOffsetMs(naiveMs + MS_PER_DAY, timeZone),
+  ];
+  const valid = candidates.filter((ms) => ms + getTimezoneOffsetMs(ms, timeZone) === naiveMs);
+
+  return valid.length ? Math.min(...valid) : Math.max(...candidates);
+}
+
+function shiftDate(dateStr, days) {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, mo - 1, d + days, 12, 0, 0));
+  return [
+    dt.getUTCFullYear(),
+    String(dt.getUTCMonth() + 1).padStart(2, '0'),
+    String(dt.getUTCDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Returns true when dateStr is a real calendar date in YYYY-MM-DD form
+ * (rejects e.g. 2025-02-30, which Date.parse rolls over into March).
+ */
+export function isValidDate(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  const ms = Date.parse(`${dateStr}T00:00:00Z`);
+  return !Number.isNaN(ms) && new Date(ms).toISOString().slice(0, 10) === dateStr;
+}
+
+/**
+ * Returns the YYYY-MM-DD string for the calendar day after dateStr.
+ */
+export function dayAfter(dateStr) {
+  return shiftDate(dateStr, 1);
+}
+
+/**
+ * Returns the YYYY-MM-DD string for the calendar day before dateStr.
+ */
+export function dayBefore(dateStr) {
+  return shiftDate(dateStr, -1);
+}
+
+/**
+ * Returns the YYYY-MM-DD string n calendar days after (or before, if negative) dateStr.
+ */
+export function addDays(dateStr, n) {
+  return shiftDate(dateStr, n);
+}
+
+/**
+ * Day of week for a YYYY-MM-DD string: 0 = Sunday … 6 = Saturday.
+ */
+export function getWeekday(dateStr) {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d, 12, 0, 0)).getUTCDay();
+}
+
+/**
+ * Today's date ('YYYY-MM-DD') in timeZone.
+ */
+export function todayIn(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  return getLocalDate(now, timeZone);
+}
+
+/**
+ * The Monday–Sunday week containing today in timeZone.
+ */
+export function currentWeekIn(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  const today = todayIn(timeZone, now);
+  const day = getWeekday(today); // 0=Sun … 6=Sat
+  const startDate = addDays(today, day === 0 ? -6 : 1 - day);
+  return { startDate, endDate: addDays(startDate, 6) };
+}